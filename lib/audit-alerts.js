@@ -0,0 +1,133 @@
+/**
+ * Audit Threshold Alerts
+ *
+ * Checks the key numbers of an audit (see summarizeAudit in
+ * lib/audit-history.js) against configurable thresholds, such as
+ * "readinessScore < 100" or "unlabeled > 20%".
+ */
+
+/**
+ * Metrics thresholds can check. Counts can also be checked as a percentage
+ * of all tasks ("unlabeled > 20%"); percentages are compared as they are.
+ */
+export const THRESHOLD_METRICS = {
+  readinessScore: { percent: true },
+  estimatesUsage: { percent: true },
+  dueDatesUsage: { percent: true },
+  totalTasks: { percent: false },
+  orphans: { percent: false },
+  unlabeled: { percent: false },
+  noAssignee: { percent: false },
+  shortDescription: { percent: false }
+};
+
+/**
+ * Thresholds used when none are configured.
+ */
+export const DEFAULT_AUDIT_THRESHOLDS = 'readinessScore < 100, orphans > 0, unlabeled > 20%';
+
+const OPERATORS = {
+  '<': (actual, value) => actual < value,
+  '<=': (actual, value) => actual <= value,
+  '>': (actual, value) => actual > value,
+  '>=': (actual, value) => actual >= value
+};
+
+/**
+ * A threshold an audit is checked against
+ * @typedef {Object} AuditThreshold
+ * @property {string} metric - Metric name (see THRESHOLD_METRICS)
+ * @property {'<'|'<='|'>'|'>='} operator - Comparison that makes a breach
+ * @property {number} value - Value compared against
+ * @property {boolean} ofTotal - Compare a count as a percentage of all tasks
+ */
+
+/**
+ * A threshold an audit didn't meet
+ * @typedef {Object} ThresholdBreach
+ * @property {string} metric - Metric name
+ * @property {string} threshold - The threshold, as written ("unlabeled > 20%")
+ * @property {number} actual - The audit's value (a percentage for ofTotal thresholds)
+ * @property {string} message - Human-readable description of the breach
+ */
+
+/**
+ * Error thrown for thresholds that can't be parsed
+ */
+export class ThresholdError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThresholdError';
+  }
+}
+
+/**
+ * Parses a comma-separated list of thresholds, e.g.
+ * "readinessScore < 100, orphans > 0, unlabeled > 20%".
+ *
+ * @param {string} spec - Thresholds to parse
+ * @returns {AuditThreshold[]} Parsed thresholds
+ * @throws {ThresholdError} If a threshold is malformed or names an unknown metric
+ */
+export function parseThresholds(spec) {
+  return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(\w+)\s*(<=|>=|<|>)\s*(\d+(?:\.\d+)?)\s*(%?)$/);
+    if (!match) {
+      throw new ThresholdError(`Invalid threshold "${part}" (expected e.g. "orphans > 0" or "unlabeled > 20%")`);
+    }
+
+    const [, metric, operator, value, percentSign] = match;
+    if (!THRESHOLD_METRICS[metric]) {
+      throw new ThresholdError(`Unknown metric "${metric}" in threshold "${part}" (use ${Object.keys(THRESHOLD_METRICS).join(', ')})`);
+    }
+
+    return {
+      metric,
+      operator,
+      value: Number(value),
+      ofTotal: percentSign === '%' && !THRESHOLD_METRICS[metric].percent
+    };
+  });
+}
+
+/**
+ * Formats a threshold the way it is written.
+ *
+ * @param {AuditThreshold} threshold - The threshold
+ * @returns {string} e.g. "unlabeled > 20%"
+ */
+export function formatThreshold({ metric, operator, value, ofTotal }) {
+  const unit = ofTotal || THRESHOLD_METRICS[metric].percent ? '%' : '';
+  return `${metric} ${operator} ${value}${unit}`;
+}
+
+/**
+ * Checks an audit's key numbers against thresholds.
+ *
+ * @param {import('./audit-history.js').AuditSummary} summary - Key numbers of the audit
+ * @param {AuditThreshold[]} thresholds - Thresholds to check
+ * @returns {ThresholdBreach[]} Thresholds the audit breached (empty if none)
+ */
+export function checkThresholds(summary, thresholds) {
+  const breaches = [];
+
+  for (const threshold of thresholds) {
+    const { metric, operator, value, ofTotal } = threshold;
+    const count = summary[metric] ?? 0;
+    const actual = ofTotal
+      ? (summary.totalTasks > 0 ? Math.round((count / summary.totalTasks) * 100) : 0)
+      : count;
+
+    if (OPERATORS[operator](actual, value)) {
+      const shown = ofTotal ? `${actual}% (${count} of ${summary.totalTasks} tasks)` : `${actual}${THRESHOLD_METRICS[metric].percent ? '%' : ''}`;
+      breaches.push({
+        metric,
+        threshold: formatThreshold(threshold),
+        actual,
+        message: `${metric} is ${shown}, alert when ${formatThreshold(threshold)}`
+      });
+    }
+  }
+
+  return breaches;
+}
@@ -0,0 +1,164 @@
+/**
+ * Audit history.
+ * Stores every audit report per workspace in MongoDB (production) or MangoDB
+ * (file-based, development), so the Operator Dashboard can chart how the
+ * workspace changes over time and compare two reports.
+ */
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Key numbers of an audit report, stored next to it so the history can be
+ * charted without loading every report
+ * @typedef {Object} AuditSummary
+ * @property {number} readinessScore - Percentage of required queues that exist
+ * @property {number} totalTasks - Issues in the workspace
+ * @property {number} orphans - Open issues without a project
+ * @property {number} unlabeled - Open issues without labels
+ * @property {number} noAssignee - Open issues without an assignee
+ * @property {number} shortDescription - Open issues with a short description
+ * @property {number} estimatesUsage - Percentage of issues with an estimate
+ * @property {number} dueDatesUsage - Percentage of issues with a due date
+ */
+
+/**
+ * Stored audit, as listed in the history
+ * @typedef {Object} AuditHistoryEntry
+ * @property {string} id - ID of the stored report
+ * @property {Date} timestamp - When the audit ran
+ * @property {AuditSummary} summary - Key numbers of the report
+ */
+
+/**
+ * Most reports list() returns by default.
+ */
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Most reports list() is asked for through the API.
+ */
+export const MAX_HISTORY_LIMIT = 1000;
+
+/**
+ * Most reports kept per workspace by default; save() deletes the oldest
+ * beyond this (about three years of nightly audits).
+ */
+export const DEFAULT_MAX_AUDITS = 1000;
+
+/**
+ * Extracts the numbers the history charts from an audit report.
+ *
+ * @param {Object} report - Audit report (see runAudit)
+ * @returns {AuditSummary} Key numbers of the report
+ */
+export function summarizeAudit(report) {
+  const { queues, health, fields } = report;
+  return {
+    readinessScore: queues.readinessScore,
+    totalTasks: health.totalTasks,
+    orphans: health.orphans.count,
+    unlabeled: health.unlabeled.count,
+    noAssignee: health.noAssignee.count,
+    shortDescription: health.shortDescription.count,
+    estimatesUsage: fields.estimatesUsage,
+    dueDatesUsage: fields.dueDatesUsage
+  };
+}
+
+/**
+ * Parses a `limit` query parameter for list(): defaults to
+ * DEFAULT_HISTORY_LIMIT and is clamped to 1..MAX_HISTORY_LIMIT.
+ *
+ * @param {string|undefined} rawLimit - Raw query parameter value
+ * @returns {number} Number of audits to list
+ */
+export function parseHistoryLimit(rawLimit) {
+  return Math.max(1, Math.min(parseInt(rawLimit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT));
+}
+
+/**
+ * Stores audit reports per workspace.
+ */
+export class AuditHistory {
+  /**
+   * Creates a new audit history.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.collection - MongoDB/MangoDB collection to store reports
+   * @param {number} [options.maxAudits=1000] - Most reports kept per workspace
+   */
+  constructor(options = {}) {
+    this.collection = options.collection;
+    this.maxAudits = options.maxAudits || DEFAULT_MAX_AUDITS;
+  }
+
+  /**
+   * Stores an audit report, deleting the workspace's oldest reports beyond
+   * the retention limit.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {Object} report - Audit report (see runAudit)
+   * @returns {Promise<AuditHistoryEntry>} The stored entry
+   */
+  async save(workspaceId, report) {
+    const entry = {
+      _id: randomUUID(),
+      workspaceId,
+      timestamp: new Date(report.timestamp),
+      summary: summarizeAudit(report),
+      report
+    };
+    await this.collection.insertOne(entry);
+    await this.prune(workspaceId);
+    return { id: entry._id, timestamp: entry.timestamp, summary: entry.summary };
+  }
+
+  /**
+   * Deletes a workspace's oldest reports beyond the retention limit.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @returns {Promise<void>}
+   */
+  async prune(workspaceId) {
+    const entries = await this.collection
+      .find({ workspaceId }, { projection: { _id: 1 } })
+      .sort({ timestamp: -1 })
+      .toArray();
+
+    const expiredIds = entries.slice(this.maxAudits).map(entry => entry._id);
+    if (expiredIds.length > 0) {
+      await this.collection.deleteMany({ _id: { $in: expiredIds } });
+    }
+  }
+
+  /**
+   * Lists a workspace's most recent audits, oldest first.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {number} [limit] - Most audits to return (default: DEFAULT_HISTORY_LIMIT)
+   * @returns {Promise<AuditHistoryEntry[]>} Audits without their reports
+   */
+  async list(workspaceId, limit = DEFAULT_HISTORY_LIMIT) {
+    const entries = await this.collection
+      .find({ workspaceId }, { projection: { timestamp: 1, summary: 1 } })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+
+    return entries.reverse().map(entry => ({ id: entry._id, timestamp: entry.timestamp, summary: entry.summary }));
+  }
+
+  /**
+   * Returns one of a workspace's stored reports.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {string} id - ID of the stored report
+   * @returns {Promise<{id: string, timestamp: Date, report: Object}|null>} The report, or null if the workspace has none with this ID
+   */
+  async get(workspaceId, id) {
+    const entry = await this.collection.findOne({ _id: id, workspaceId });
+    if (!entry) {
+      return null;
+    }
+    return { id: entry._id, timestamp: entry.timestamp, report: entry.report };
+  }
+}
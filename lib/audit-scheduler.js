@@ -0,0 +1,160 @@
+/**
+ * Scheduled Audits
+ *
+ * Runs the audit of every stored workspace once a day at a set time (UTC),
+ * checks each report against the alert thresholds and sends breaches to a
+ * notifier (see lib/notifier.js).
+ */
+import { summarizeAudit } from './audit-history.js';
+import { checkThresholds } from './audit-alerts.js';
+
+/**
+ * Outcome of a workspace's scheduled audit
+ * @typedef {Object} ScheduledAuditResult
+ * @property {string} workspaceId - Workspace/organization ID
+ * @property {string|null} auditId - ID of the report in the audit history (null if the audit failed)
+ * @property {import('./audit-alerts.js').ThresholdBreach[]} breaches - Thresholds the audit breached
+ * @property {boolean} notified - True if the breaches were sent to the notifier
+ * @property {string|null} error - Why the audit or notification failed
+ */
+
+/**
+ * Parses a time of day ("HH:MM", 24-hour clock).
+ *
+ * @param {string} time - Time of day, e.g. "02:30"
+ * @returns {{hours: number, minutes: number}|null} The time, or null if malformed
+ */
+export function parseScheduleTime(time) {
+  const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+/**
+ * Gets the next time the schedule is due (UTC), after `now`.
+ *
+ * @param {{hours: number, minutes: number}} time - Time of day (UTC)
+ * @param {Date} now - Current time
+ * @returns {Date} Next run time
+ */
+export function getNextRunTime({ hours, minutes }, now) {
+  const next = new Date(now);
+  next.setUTCHours(hours, minutes, 0, 0);
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+/**
+ * Runs audits of all stored workspaces on a daily schedule.
+ */
+export class AuditScheduler {
+  /**
+   * Creates a new audit scheduler.
+   *
+   * @param {Object} options - Configuration options
+   * @param {{hours: number, minutes: number}} options.time - Time of day to run at (UTC, see parseScheduleTime)
+   * @param {function(): Promise<Object[]>} options.listWorkspaces - Returns the workspaces to audit (with valid tokens)
+   * @param {function(Object): Promise<Object>} options.auditWorkspace - Audits and stores a workspace, returning the report with its history `id`
+   * @param {import('./audit-alerts.js').AuditThreshold[]} options.thresholds - Thresholds to check reports against
+   * @param {import('./notifier.js').Notifier} options.notifier - Receives breaches
+   * @param {function(): Date} [options.now] - Current time (for tests)
+   */
+  constructor(options = {}) {
+    this.time = options.time;
+    this.listWorkspaces = options.listWorkspaces;
+    this.auditWorkspace = options.auditWorkspace;
+    this.thresholds = options.thresholds;
+    this.notifier = options.notifier;
+    this.now = options.now || (() => new Date());
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Schedules the next run (and every one after it).
+   *
+   * @returns {Date} When the next run is due
+   */
+  start() {
+    this.stop();
+    const nextRun = getNextRunTime(this.time, this.now());
+
+    this.timer = setTimeout(() => {
+      this.runAll()
+        .catch(error => console.error('Scheduled audit error:', error))
+        .finally(() => this.start());
+    }, nextRun - this.now());
+
+    // Don't keep the process alive just for the schedule
+    this.timer.unref?.();
+    return nextRun;
+  }
+
+  /**
+   * Cancels the next run.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Audits every workspace now, one at a time, and sends each workspace's
+   * breaches to the notifier. A failing workspace doesn't stop the others.
+   * Runs that start while one is in progress wait for it instead.
+   *
+   * @returns {Promise<ScheduledAuditResult[]>} Outcome per workspace
+   */
+  async runAll() {
+    if (!this.running) {
+      this.running = this.auditAll().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Audits every workspace (see runAll).
+   *
+   * @returns {Promise<ScheduledAuditResult[]>} Outcome per workspace
+   */
+  async auditAll() {
+    const workspaces = await this.listWorkspaces();
+    const results = [];
+
+    for (const workspace of workspaces) {
+      const result = { workspaceId: workspace.id, auditId: null, breaches: [], notified: false, error: null };
+      results.push(result);
+
+      try {
+        const report = await this.auditWorkspace(workspace);
+        const summary = summarizeAudit(report);
+        result.auditId = report.id ?? null;
+        result.breaches = checkThresholds(summary, this.thresholds);
+
+        if (result.breaches.length > 0) {
+          await this.notifier.notify({
+            workspace: { id: workspace.id, name: workspace.name },
+            auditId: result.auditId,
+            timestamp: report.timestamp,
+            summary,
+            breaches: result.breaches
+          });
+          result.notified = true;
+        }
+      } catch (error) {
+        console.error(`Scheduled audit failed for workspace ${workspace.id}:`, error);
+        result.error = error.message;
+      }
+    }
+
+    return results;
+  }
+}
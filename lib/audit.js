@@ -5,7 +5,8 @@
  * the workspace structure, labels, queues, and task health.
  */
 import { GraphQLClient, gql } from 'graphql-request';
-import { QUEUE_CONFIG, QUEUE_TYPES, getQueueForLabel, isInQueue } from './queue-config.js';
+import { QUEUE_CONFIG, QUEUE_TYPES, getLabelPath, getQueueForLabel, isInQueue, matchesPattern } from './queue-config.js';
+import { fetchWorkflowStates } from './linear.js';
 
 // =============================================================================
 // GraphQL Queries
@@ -43,26 +44,7 @@ const ALL_PROJECTS_QUERY = gql`
 `;
 
 /**
- * Fetches all workflow states across teams.
- */
-const WORKFLOW_STATES_QUERY = gql`
-  query {
-    workflowStates {
-      nodes {
-        id
-        name
-        type
-        team {
-          id
-          name
-        }
-      }
-    }
-  }
-`;
-
-/**
- * Fetches all labels with their issue counts.
+ * Fetches all labels with their issue counts and label groups.
  */
 const LABELS_QUERY = gql`
   query($first: Int!, $after: String) {
@@ -71,6 +53,7 @@ const LABELS_QUERY = gql`
         id
         name
         color
+        parent { name }
         issues {
           nodes {
             id
@@ -102,6 +85,7 @@ const AUDIT_ISSUE_FIELDS = gql`
       nodes {
         id
         name
+        parent { name }
       }
     }
   }
@@ -165,10 +149,10 @@ async function fetchAuditData(accessToken) {
   });
 
   // Fetch all data in parallel
-  const [teamsData, projectsData, statesData, labels, issues] = await Promise.all([
+  const [teamsData, projectsData, workflowStates, labels, issues] = await Promise.all([
     client.request(TEAMS_QUERY),
     client.request(ALL_PROJECTS_QUERY),
-    client.request(WORKFLOW_STATES_QUERY),
+    fetchWorkflowStates(accessToken),
     fetchAllPaginated(client, LABELS_QUERY, 'issueLabels'),
     fetchAllPaginated(client, AUDIT_ISSUES_QUERY, 'issues')
   ]);
@@ -176,7 +160,7 @@ async function fetchAuditData(accessToken) {
   return {
     teams: teamsData.teams?.nodes || [],
     projects: projectsData.projects?.nodes || [],
-    workflowStates: statesData.workflowStates?.nodes || [],
+    workflowStates,
     labels,
     issues
   };
@@ -226,21 +210,24 @@ function computeWorkspaceStructure(data) {
 
 /**
  * Computes label analysis.
+ * Labels are named by their full path ("Type/Bug" for labels in a group).
  *
  * @param {Object} data - Raw audit data
+ * @param {Object[]} queueConfig - Queue definitions of the workspace
  * @returns {Object} Label analysis
  */
-function computeLabelAnalysis(data) {
+function computeLabelAnalysis(data, queueConfig) {
   const { labels, issues } = data;
 
   // Count issues per label
   const labelStats = labels.map(label => {
     const issueCount = label.issues?.nodes?.length || 0;
-    const queueMapping = getQueueForLabel(label.name);
+    const path = getLabelPath(label);
+    const queueMapping = getQueueForLabel(path, queueConfig);
 
     return {
       id: label.id,
-      name: label.name,
+      name: path,
       color: label.color,
       issueCount,
       queue: queueMapping
@@ -267,9 +254,10 @@ function computeLabelAnalysis(data) {
  *
  * @param {Object} data - Raw audit data
  * @param {Object} labelAnalysis - Pre-computed label analysis
+ * @param {Object[]} queueConfig - Queue definitions of the workspace
  * @returns {Object} Queue readiness info
  */
-function computeQueueReadiness(data, labelAnalysis) {
+function computeQueueReadiness(data, labelAnalysis, queueConfig) {
   const { issues, workflowStates } = data;
 
   // Get all state types that exist in the workspace
@@ -277,14 +265,12 @@ function computeQueueReadiness(data, labelAnalysis) {
     workflowStates.map(s => s.type?.toLowerCase()).filter(Boolean)
   );
 
-  // Get all label names that exist in the workspace
-  const existingLabels = new Set(
-    labelAnalysis.all.map(l => l.name.toLowerCase())
-  );
+  // Get all label paths that exist in the workspace
+  const existingLabels = labelAnalysis.all.map(l => l.name);
 
   // Build queue status for each queue definition
   const queueStatus = {};
-  for (const queueDef of QUEUE_CONFIG) {
+  for (const queueDef of queueConfig) {
     // Count tasks in this queue
     const tasksInQueue = issues.filter(issue => isInQueue(issue, queueDef));
 
@@ -295,13 +281,10 @@ function computeQueueReadiness(data, labelAnalysis) {
     switch (queueDef.type) {
       case QUEUE_TYPES.LABEL:
         // Label-based queue exists if at least one matching label exists
-        for (const pattern of queueDef.labelPatterns || []) {
-          if (existingLabels.has(pattern.toLowerCase())) {
-            exists = true;
-            matchedLabel = pattern;
-            break;
-          }
-        }
+        matchedLabel = existingLabels.find(label =>
+          matchesPattern(label, queueDef.labelPatterns || [])
+        ) || null;
+        exists = matchedLabel !== null;
         break;
 
       case QUEUE_TYPES.STATE:
@@ -516,16 +499,20 @@ function computeTasksPerProject(data) {
  * Runs a complete workspace audit.
  *
  * @param {string} accessToken - OAuth access token
+ * @param {Object} [options]
+ * @param {Object[]} [options.queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {Promise<Object>} Complete audit report
  */
-export async function runAudit(accessToken) {
+export async function runAudit(accessToken, options = {}) {
+  const { queueConfig = QUEUE_CONFIG } = options;
+
   // Fetch all data
   const data = await fetchAuditData(accessToken);
 
   // Compute all analyses
   const workspace = computeWorkspaceStructure(data);
-  const labels = computeLabelAnalysis(data);
-  const queues = computeQueueReadiness(data, labels);
+  const labels = computeLabelAnalysis(data, queueConfig);
+  const queues = computeQueueReadiness(data, labels, queueConfig);
   const health = computeTaskHealth(data);
   const fields = computeFieldUsage(data);
   const projectTasks = computeTasksPerProject(data);
@@ -549,9 +536,12 @@ export async function runAudit(accessToken) {
  * Computes audit from mock data (for testing).
  *
  * @param {Object} mockData - Mock data matching the shape of fetchAuditData output
+ * @param {Object} [options]
+ * @param {Object[]} [options.queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {Object} Complete audit report
  */
-export function computeAuditFromData(mockData) {
+export function computeAuditFromData(mockData, options = {}) {
+  const { queueConfig = QUEUE_CONFIG } = options;
   const data = {
     teams: mockData.teams || [],
     projects: mockData.projects || [],
@@ -561,8 +551,8 @@ export function computeAuditFromData(mockData) {
   };
 
   const workspace = computeWorkspaceStructure(data);
-  const labels = computeLabelAnalysis(data);
-  const queues = computeQueueReadiness(data, labels);
+  const labels = computeLabelAnalysis(data, queueConfig);
+  const queues = computeQueueReadiness(data, labels, queueConfig);
   const health = computeTaskHealth(data);
   const fields = computeFieldUsage(data);
   const projectTasks = computeTasksPerProject(data);
@@ -0,0 +1,50 @@
+/**
+ * In-process feed of per-workspace change notifications.
+ * Webhooks publish changes here; the /events stream forwards them to browsers
+ * viewing that workspace.
+ */
+import { EventEmitter } from 'events'
+
+/**
+ * Change notification for a single entity
+ * @typedef {Object} Change
+ * @property {'Issue'|'Project'|'IssueRelation'} type - Entity type
+ * @property {'create'|'update'|'remove'} action - What happened to the entity
+ * @property {string} id - Entity ID
+ * @property {import('./tree.js').Issue} [issue] - Issue after the change (Issue create/update)
+ * @property {{id: string, name: string}} [project] - Project after the change (Project create/update)
+ * @property {string[]} [issueIds] - Issues at both ends of the relation (IssueRelation)
+ */
+
+/**
+ * Publish/subscribe feed keyed by workspace ID.
+ */
+export class ChangeFeed {
+  constructor() {
+    this.emitter = new EventEmitter()
+    // One listener per open browser tab; don't warn about "leaks" with many tabs
+    this.emitter.setMaxListeners(0)
+  }
+
+  /**
+   * Notifies all subscribers of a workspace about a change.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {Change} change - The change to publish
+   */
+  publish(workspaceId, change) {
+    this.emitter.emit(workspaceId, change)
+  }
+
+  /**
+   * Subscribes to changes for a workspace.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {function(Change): void} listener - Called for each change
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(workspaceId, listener) {
+    this.emitter.on(workspaceId, listener)
+    return () => this.emitter.off(workspaceId, listener)
+  }
+}
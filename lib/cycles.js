@@ -0,0 +1,208 @@
+/**
+ * Cycle (sprint) helpers for the /cycles page.
+ * Picks the current, next and previous cycle of each team, builds each
+ * cycle's issue trees and a burn-up of its completed issues per day.
+ */
+import { buildForest, partitionCompleted, getCycleName } from './tree.js'
+
+// =============================================================================
+// Type Definitions
+// =============================================================================
+
+/**
+ * Cycle object from Linear API
+ * @typedef {Object} Cycle
+ * @property {string} id - Unique cycle ID
+ * @property {number} number - Cycle number within its team
+ * @property {string} [name] - Cycle name (usually unset)
+ * @property {string} startsAt - ISO date string
+ * @property {string} endsAt - ISO date string
+ * @property {string} [completedAt] - ISO date string (set once the cycle is over)
+ * @property {boolean} [isActive] - The team's current cycle
+ * @property {boolean} [isNext] - The team's next cycle
+ * @property {boolean} [isPrevious] - The team's previous cycle
+ * @property {{id: string, name: string, key?: string}} team - Team the cycle belongs to
+ */
+
+/**
+ * Completed issues by day of a cycle
+ * @typedef {Object} BurnUp
+ * @property {number} scope - Issues planned in the cycle (canceled issues left out)
+ * @property {number} done - Issues of the scope completed so far
+ * @property {Array<{date: string, completed: number|null}>} days - Issues completed by the end of each day (null for days still to come)
+ */
+
+/**
+ * Cycle with its issue trees, partitioned like a project tree
+ * @typedef {Object} CycleTree
+ * @property {Cycle} cycle - The cycle
+ * @property {string} groupId - Group ID of the cycle's issues (as when grouping by cycle)
+ * @property {string} name - Display name of the cycle
+ * @property {'current'|'next'|'previous'} kind - Which of the team's cycles it is
+ * @property {import('./tree.js').TreeNode[]} incomplete - Incomplete issue trees
+ * @property {import('./tree.js').TreeNode[]} completed - Completed issue trees
+ * @property {number} completedCount - Total count of completed issues
+ * @property {import('./tree.js').TreeNode[]} canceled - Canceled issue trees
+ * @property {number} canceledCount - Total count of issues in canceled trees
+ * @property {BurnUp} burnUp - Completed issues by day
+ */
+
+// =============================================================================
+// Cycle Selection
+// =============================================================================
+
+/**
+ * Cycle kinds shown per team, in display order, with the Linear flag marking each
+ */
+export const CYCLE_KINDS = [
+  { kind: 'current', flag: 'isActive' },
+  { kind: 'next', flag: 'isNext' },
+  { kind: 'previous', flag: 'isPrevious' }
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Get which of its team's cycles a cycle is
+ * @param {Cycle} cycle - Cycle from Linear
+ * @returns {'current'|'next'|'previous'|null} Kind (null for other cycles)
+ */
+export function getCycleKind(cycle) {
+  return CYCLE_KINDS.find(({ flag }) => cycle[flag])?.kind || null
+}
+
+/**
+ * Build the issue trees and burn-up of each team's current, next and previous
+ * cycle. Cycles are ordered by team name, then current, next, previous.
+ *
+ * @param {Cycle[]} cycles - Cycles from Linear
+ * @param {import('./tree.js').Issue[]} issues - Issues (of any cycle)
+ * @param {Object} [options]
+ * @param {string} [options.sort] - Sort mode for sibling issues (see SORT_MODES)
+ * @param {Date} [options.now] - Current time (days after it have no burn-up yet)
+ * @returns {CycleTree[]} Cycles with their trees
+ */
+export function buildCycleTrees(cycles, issues, options = {}) {
+  const { sort, now = new Date() } = options
+  const forest = buildForest(issues, { groupBy: 'cycle', sort })
+  const kindOrder = CYCLE_KINDS.map(({ kind }) => kind)
+
+  return cycles
+    .map(cycle => ({ cycle, kind: getCycleKind(cycle) }))
+    .filter(({ kind }) => kind)
+    .sort((a, b) =>
+      (a.cycle.team?.name || '').localeCompare(b.cycle.team?.name || '') ||
+      kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind)
+    )
+    .map(({ cycle, kind }) => {
+      const groupId = `cycle-${cycle.id}`
+      const { roots } = forest.get(groupId) || { roots: [] }
+      const { incomplete, completed, completedCount, canceled, canceledCount } = partitionCompleted(roots)
+      const cycleIssues = issues.filter(issue => issue.cycle?.id === cycle.id)
+
+      return {
+        cycle,
+        groupId,
+        name: getCycleName(cycle),
+        kind,
+        incomplete,
+        completed,
+        completedCount,
+        canceled,
+        canceledCount,
+        burnUp: buildBurnUp(cycle, cycleIssues, now)
+      }
+    })
+}
+
+// =============================================================================
+// Burn-up
+// =============================================================================
+
+/**
+ * Count the issues of a cycle completed by the end of each of its days.
+ * Issues completed before the cycle started count from its first day.
+ *
+ * @param {Cycle} cycle - Cycle with startsAt/endsAt
+ * @param {import('./tree.js').Issue[]} issues - Issues planned in the cycle
+ * @param {Date} [now] - Current time (days starting after it are null)
+ * @returns {BurnUp} Scope and completed issues by day
+ */
+export function buildBurnUp(cycle, issues, now = new Date()) {
+  const start = new Date(cycle.startsAt).getTime()
+  const end = new Date(cycle.endsAt).getTime()
+  const nowMs = new Date(now).getTime()
+  const dayCount = Math.max(1, Math.ceil((end - start) / DAY_MS))
+
+  const planned = issues.filter(issue => issue.state?.type !== 'canceled')
+  const completedTimes = planned
+    .filter(issue => issue.completedAt)
+    .map(issue => new Date(issue.completedAt).getTime())
+
+  const days = Array.from({ length: dayCount }, (_, index) => {
+    const dayStart = start + index * DAY_MS
+    const dayEnd = Math.min(dayStart + DAY_MS, end)
+    return {
+      date: new Date(dayStart).toISOString(),
+      completed: dayStart > nowMs ? null : completedTimes.filter(time => time < dayEnd).length
+    }
+  })
+
+  return { scope: planned.length, done: completedTimes.length, days }
+}
+
+// Eighths of a chart cell, for smoother bars
+const BLOCKS = ' ▁▂▃▄▅▆▇█'
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+/**
+ * Format an ISO date as "Jan 5" (UTC, like Linear's cycle boundaries)
+ */
+function formatDay(isoDate) {
+  const date = new Date(isoDate)
+  return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`
+}
+
+/**
+ * Draw a burn-up as an ASCII chart: one bar per day rising towards the scope
+ * line (the dotted top row), with the first and last day below.
+ *
+ *   5 ┤····▄▄████
+ *     │  ▂▂██████
+ *     │▁▁████████
+ *   0 └──────────
+ *     Jan 1 Jan 5
+ *
+ * @param {BurnUp} burnUp - Scope and completed issues by day
+ * @param {Object} [options]
+ * @param {number} [options.height=6] - Rows of bars
+ * @param {number} [options.columnWidth=2] - Characters per day
+ * @returns {string} Chart lines joined with newlines
+ */
+export function formatBurnUpChart({ scope, days }, { height = 6, columnWidth = 2 } = {}) {
+  const labelWidth = String(scope).length
+  const width = days.length * columnWidth
+  const lines = []
+
+  for (let row = height; row >= 1; row--) {
+    const cells = days.map(({ completed }) => {
+      // Filled part of this row, in eighths
+      const value = completed === null || scope === 0 ? 0 : (completed / scope) * height
+      const eighths = Math.round(Math.min(Math.max(value - (row - 1), 0), 1) * 8)
+      const cell = eighths === 0 && row === height ? '·' : BLOCKS[eighths]
+      return cell.repeat(columnWidth)
+    })
+
+    const label = row === height ? String(scope).padStart(labelWidth) : ' '.repeat(labelWidth)
+    lines.push(`${label} ${row === height ? '┤' : '│'}${cells.join('')}`)
+  }
+
+  lines.push(`${'0'.padStart(labelWidth)} └${'─'.repeat(width)}`)
+
+  const first = formatDay(days[0].date)
+  const last = formatDay(days[days.length - 1].date)
+  const gap = Math.max(1, width - first.length - last.length)
+  lines.push(`${' '.repeat(labelWidth + 2)}${days.length > 1 ? `${first}${' '.repeat(gap)}${last}` : first}`)
+
+  return lines.join('\n')
+}
@@ -0,0 +1,247 @@
+/**
+ * Dependency graph helpers for the /graph page.
+ * Turns a project's issues into a directed graph (parent → sub-issue,
+ * blocker → blocked issue), lays it out in columns from left to right and
+ * finds the critical path: the longest chain of open issues blocking each other.
+ */
+import { getIssueRelations } from './tree.js'
+
+// =============================================================================
+// Type Definitions
+// =============================================================================
+
+/**
+ * Issue placed in the graph
+ * @typedef {Object} GraphNode
+ * @property {string} id - Issue ID
+ * @property {import('./tree.js').Issue} issue - The issue
+ * @property {number} layer - Column (0 = issues nothing in the graph points at)
+ * @property {number} row - Position within the column
+ * @property {number} x - Left edge of the node box
+ * @property {number} y - Top edge of the node box
+ * @property {boolean} critical - On the critical path
+ */
+
+/**
+ * Directed edge between two issues of the graph
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Parent or blocking issue ID
+ * @property {string} to - Sub-issue or blocked issue ID
+ * @property {'parent'|'blocks'} kind - Where the edge comes from
+ * @property {boolean} critical - On the critical path
+ * @property {{x1: number, y1: number, x2: number, y2: number}} points - Right side of `from` to left side of `to`
+ */
+
+/**
+ * Laid out dependency graph of a project
+ * @typedef {Object} IssueGraph
+ * @property {GraphNode[]} nodes - Issues, by column then row
+ * @property {GraphEdge[]} edges - Parent and blocking edges between them
+ * @property {string[]} criticalPath - Issue IDs of the longest open blocked chain, blocker first (empty without one)
+ * @property {number} width - Width of the drawing
+ * @property {number} height - Height of the drawing
+ */
+
+// =============================================================================
+// Layout
+// =============================================================================
+
+/**
+ * Size of the node boxes and the space around them, in SVG units
+ */
+export const GRAPH_LAYOUT = {
+  nodeWidth: 220,
+  nodeHeight: 32,
+  columnGap: 56,
+  rowGap: 12,
+  padding: 8
+}
+
+const CLOSED_STATE_TYPES = ['completed', 'canceled']
+
+/**
+ * True if an issue is still open (not completed or canceled)
+ * @param {import('./tree.js').Issue} issue
+ * @returns {boolean}
+ */
+function isOpen(issue) {
+  return !CLOSED_STATE_TYPES.includes(issue.state?.type)
+}
+
+/**
+ * Build the dependency graph of a project's issues.
+ * Only edges between issues of the project are drawn; parents and blockers
+ * in other projects are left to the issue details.
+ *
+ * @param {import('./tree.js').Issue[]} issues - Issues (of any project)
+ * @param {string} projectId - Project to draw
+ * @returns {IssueGraph} Laid out graph
+ */
+export function buildIssueGraph(issues, projectId) {
+  const projectIssues = issues.filter(issue => issue.project?.id === projectId)
+  const issueMap = new Map(projectIssues.map(issue => [issue.id, issue]))
+
+  const edges = []
+  const edgeKeys = new Set()
+  const addEdge = (from, to, kind) => {
+    const key = `${kind}:${from}:${to}`
+    if (from === to || !issueMap.has(from) || !issueMap.has(to) || edgeKeys.has(key)) return
+    edgeKeys.add(key)
+    edges.push({ from, to, kind, critical: false })
+  }
+  for (const issue of projectIssues) {
+    if (issue.parent) addEdge(issue.parent.id, issue.id, 'parent')
+    for (const blocked of getIssueRelations(issue).blocks) addEdge(issue.id, blocked.id, 'blocks')
+  }
+
+  const { order, forward } = sortTopologically(projectIssues, edges)
+
+  // Longest-path layering: each issue one column right of its furthest predecessor
+  const layers = new Map(order.map(id => [id, 0]))
+  for (const id of order) {
+    for (const edge of forward.get(id)) {
+      layers.set(edge.to, Math.max(layers.get(edge.to), layers.get(id) + 1))
+    }
+  }
+
+  const criticalPath = findCriticalPath(order, forward, issueMap)
+  const onPath = new Set(criticalPath)
+  for (const edge of edges) {
+    edge.critical = edge.kind === 'blocks' && onPath.has(edge.from) &&
+      criticalPath[criticalPath.indexOf(edge.from) + 1] === edge.to
+  }
+
+  const columns = orderColumns(projectIssues, edges, layers)
+  const { nodeWidth, nodeHeight, columnGap, rowGap, padding } = GRAPH_LAYOUT
+  const nodes = columns.flatMap((column, layer) => column.map((id, row) => ({
+    id,
+    issue: issueMap.get(id),
+    layer,
+    row,
+    x: padding + layer * (nodeWidth + columnGap),
+    y: padding + row * (nodeHeight + rowGap),
+    critical: onPath.has(id)
+  })))
+
+  const nodeMap = new Map(nodes.map(node => [node.id, node]))
+  for (const edge of edges) {
+    const from = nodeMap.get(edge.from)
+    const to = nodeMap.get(edge.to)
+    edge.points = {
+      x1: from.x + nodeWidth,
+      y1: from.y + nodeHeight / 2,
+      x2: to.x,
+      y2: to.y + nodeHeight / 2
+    }
+  }
+
+  const rows = Math.max(0, ...columns.map(column => column.length))
+  return {
+    nodes,
+    edges,
+    criticalPath,
+    width: columns.length > 0 ? 2 * padding + columns.length * nodeWidth + (columns.length - 1) * columnGap : 0,
+    height: rows > 0 ? 2 * padding + rows * nodeHeight + (rows - 1) * rowGap : 0
+  }
+}
+
+/**
+ * Order issues so every edge points forward, in input order where edges allow.
+ * When only issues on a cycle are left (e.g. two issues blocking each other),
+ * the first of them goes next and the edges closing the cycle are left out of
+ * `forward`, so layering and the critical path only follow the rest.
+ *
+ * @param {import('./tree.js').Issue[]} issues - Issues of the graph
+ * @param {GraphEdge[]} edges - Edges between them
+ * @returns {{order: string[], forward: Map<string, GraphEdge[]>}} Topological order and outgoing acyclic edges by issue ID
+ */
+function sortTopologically(issues, edges) {
+  const outgoing = new Map(issues.map(issue => [issue.id, []]))
+  const incoming = new Map(issues.map(issue => [issue.id, 0]))
+  for (const edge of edges) {
+    outgoing.get(edge.from).push(edge)
+    incoming.set(edge.to, incoming.get(edge.to) + 1)
+  }
+
+  const forward = new Map(issues.map(issue => [issue.id, []]))
+  const placed = new Set()
+  const order = []
+  while (order.length < issues.length) {
+    const remaining = issues.filter(issue => !placed.has(issue.id))
+    const { id } = remaining.find(issue => incoming.get(issue.id) === 0) || remaining[0]
+    placed.add(id)
+    order.push(id)
+
+    for (const edge of outgoing.get(id)) {
+      if (placed.has(edge.to)) continue
+      forward.get(id).push(edge)
+      incoming.set(edge.to, incoming.get(edge.to) - 1)
+    }
+  }
+  return { order, forward }
+}
+
+/**
+ * Find the longest chain of open issues blocking each other
+ * @param {string[]} order - Issue IDs in topological order
+ * @param {Map<string, GraphEdge[]>} forward - Outgoing acyclic edges by issue ID
+ * @param {Map<string, import('./tree.js').Issue>} issueMap - Issues by ID
+ * @returns {string[]} Issue IDs, blocker first (empty if no open issue blocks another)
+ */
+function findCriticalPath(order, forward, issueMap) {
+  // Length of the longest open chain ending at each issue, and the issue before it
+  const lengths = new Map()
+  const previous = new Map()
+  for (const id of order) {
+    if (!isOpen(issueMap.get(id))) continue
+    if (!lengths.has(id)) lengths.set(id, 1)
+    for (const edge of forward.get(id)) {
+      if (edge.kind !== 'blocks' || !isOpen(issueMap.get(edge.to))) continue
+      if ((lengths.get(edge.to) || 1) < lengths.get(id) + 1) {
+        lengths.set(edge.to, lengths.get(id) + 1)
+        previous.set(edge.to, id)
+      }
+    }
+  }
+
+  let end = null
+  for (const [id, length] of lengths) {
+    if (length > 1 && (end === null || length > lengths.get(end))) end = id
+  }
+
+  const path = []
+  for (let id = end; id; id = previous.get(id)) path.unshift(id)
+  return path
+}
+
+/**
+ * Group issues into columns and order each column by the average row of the
+ * issues pointing at it (barycenter heuristic), to keep edges short and
+ * limit crossings. Issues without predecessors keep the input order.
+ *
+ * @param {import('./tree.js').Issue[]} issues - Issues of the graph, in display order
+ * @param {GraphEdge[]} edges - Edges between them
+ * @param {Map<string, number>} layers - Column of each issue
+ * @returns {string[][]} Issue IDs by column, then row
+ */
+function orderColumns(issues, edges, layers) {
+  const columnCount = issues.length > 0 ? Math.max(...layers.values()) + 1 : 0
+  const columns = Array.from({ length: columnCount }, () => [])
+  for (const issue of issues) columns[layers.get(issue.id)].push(issue.id)
+
+  const rows = new Map()
+  columns[0]?.forEach((id, row) => rows.set(id, row))
+
+  for (const column of columns.slice(1)) {
+    const barycenter = new Map(column.map((id, index) => {
+      const sourceRows = edges
+        .filter(edge => edge.to === id && rows.has(edge.from))
+        .map(edge => rows.get(edge.from))
+      const center = sourceRows.length > 0 ? sourceRows.reduce((sum, row) => sum + row, 0) / sourceRows.length : index
+      return [id, center]
+    }))
+    column.sort((a, b) => barycenter.get(a) - barycenter.get(b))
+    column.forEach((id, row) => rows.set(id, row))
+  }
+  return columns
+}
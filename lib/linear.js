@@ -3,6 +3,18 @@
  * Uses OAuth access tokens for authentication.
  */
 import { GraphQLClient, gql } from 'graphql-request'
+import { PROJECT_STATES } from './tree.js'
+
+/**
+ * Persisted project/issue data that can be brought up to date incrementally
+ * @typedef {Object} Snapshot
+ * @property {string} organizationName - The Linear workspace/organization name
+ * @property {Array} projects - Open projects (any of PROJECT_STATES)
+ * @property {Array} issues - Issues (filtered by team if the snapshot is team-scoped)
+ * @property {string} syncedAt - ISO timestamp of the last sync (full or incremental)
+ * @property {string} fullSyncedAt - ISO timestamp of the last full fetch
+ * @property {number} [version] - SNAPSHOT_VERSION the snapshot was fetched with
+ */
 
 /**
  * GraphQL fragment containing all issue fields needed for tree display.
@@ -11,29 +23,72 @@ import { GraphQLClient, gql } from 'graphql-request'
 const ISSUE_FIELDS_FRAGMENT = gql`
   fragment IssueFields on Issue {
     id
+    identifier
     title
     description
     estimate
     priority
     sortOrder
     createdAt
+    updatedAt
+    archivedAt
     dueDate
     completedAt
     url
     parent { id }
     project { id }
+    projectMilestone {
+      id
+      name
+      targetDate
+      sortOrder
+    }
+    team {
+      id
+      name
+    }
+    cycle {
+      id
+      number
+      name
+      startsAt
+    }
     state {
       name
       type
     }
     assignee {
+      id
       name
     }
     labels {
       nodes {
         name
+        parent { name }
+      }
+    }
+    relations {
+      nodes {
+        id
+        type
+        relatedIssue { ...RelatedIssueFields }
       }
     }
+    inverseRelations {
+      nodes {
+        id
+        type
+        issue { ...RelatedIssueFields }
+      }
+    }
+  }
+
+  fragment RelatedIssueFields on Issue {
+    id
+    identifier
+    title
+    url
+    state { type }
   }
 `
 
@@ -53,6 +108,58 @@ const TEAMS_QUERY = gql`
   }
 `
 
+/**
+ * GraphQL query to fetch the current, next and previous cycle of each team
+ * (optionally of one team). Used for the /cycles page; a few cycles per team,
+ * so a single page of results is enough.
+ */
+const CYCLES_QUERY = gql`
+  query($filter: CycleFilter) {
+    cycles(first: 250, filter: $filter) {
+      nodes {
+        id
+        number
+        name
+        startsAt
+        endsAt
+        completedAt
+        isActive
+        isNext
+        isPrevious
+        team {
+          id
+          name
+          key
+        }
+      }
+    }
+  }
+`
+
+/**
+ * GraphQL query to fetch the workflow states of each team (optionally of one
+ * team), ordered by position within their type. Used for state glyphs, the
+ * In Progress sub-groups and the audit (lib/audit.js); a handful per team, so
+ * one page is enough.
+ */
+const WORKFLOW_STATES_QUERY = gql`
+  query($filter: WorkflowStateFilter) {
+    workflowStates(first: 250, filter: $filter) {
+      nodes {
+        id
+        name
+        type
+        position
+        color
+        team {
+          id
+          name
+        }
+      }
+    }
+  }
+`
+
 /**
  * GraphQL query to fetch organization details.
  * Used to identify workspace after OAuth callback.
@@ -68,22 +175,54 @@ const ORGANIZATION_QUERY = gql`
 `
 
 /**
- * GraphQL query to fetch the organization name and all "started" projects.
- * Projects in other states (planned, paused, completed, canceled) are excluded
- * to focus on active work.
+ * GraphQL query to fetch the signed-in user.
+ * Used for the "mine" view and `assignee:me` search.
  */
-const PROJECTS_QUERY = gql`
+const VIEWER_QUERY = gql`
   query {
+    viewer {
+      id
+      name
+    }
+  }
+`
+
+/**
+ * GraphQL query to fetch the organization name and open projects (see
+ * PROJECT_STATES). Completed and canceled projects are excluded to focus on
+ * current and upcoming work; which states are shown is chosen when rendering.
+ * Uses cursor-based pagination to handle workspaces with many projects.
+ */
+const PROJECTS_QUERY = gql`
+  query($first: Int!, $after: String, $states: [String!]) {
     organization {
       name
     }
-    projects(filter: { state: { eq: "started" } }) {
+    projects(first: $first, after: $after, filter: { state: { in: $states } }) {
       nodes {
         id
         name
         content
         url
         sortOrder
+        state
+        targetDate
+        lead {
+          id
+          name
+        }
+        projectMilestones {
+          nodes {
+            id
+            name
+            targetDate
+            sortOrder
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
       }
     }
   }
@@ -127,6 +266,47 @@ const ISSUES_QUERY_ALL = gql`
   }
 `
 
+/**
+ * GraphQL query to fetch issues updated after a timestamp (incremental sync).
+ * Includes archived issues so archived/deleted (trashed) issues can be removed
+ * from the snapshot. Not filtered by team, so issues moved to another team are
+ * seen and dropped from team-filtered snapshots.
+ */
+const ISSUES_UPDATED_QUERY = gql`
+  ${ISSUE_FIELDS_FRAGMENT}
+  query($first: Int!, $after: String, $since: DateTimeOrDuration!) {
+    issues(first: $first, after: $after, includeArchived: true, filter: { updatedAt: { gt: $since } }) {
+      nodes {
+        ...IssueFields
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`
+
+/**
+ * How far before the last sync to look for changes, so issues updated while
+ * the previous sync was running (or small clock differences) aren't missed.
+ * Re-applying an already merged issue is harmless.
+ */
+const SYNC_OVERLAP_MS = 60 * 1000 // 1 minute
+
+/**
+ * Maximum age of the last full fetch before an incremental sync falls back to
+ * a full fetch. Permanently deleted issues never show up as updated, so this
+ * is what eventually removes them from the snapshot.
+ */
+const FULL_SYNC_MAX_AGE_MS = 24 * 60 * 60 * 1000 // 24 hours
+
+/**
+ * Bump when the fetched fields change, so snapshots missing the new fields
+ * are replaced by a full fetch instead of being updated incrementally.
+ */
+const SNAPSHOT_VERSION = 7
+
 /**
  * Fetches all teams from Linear for the authenticated user's organization.
  *
@@ -145,6 +325,51 @@ export async function fetchTeams(apiKey) {
   return data.teams?.nodes || []
 }
 
+/**
+ * Fetches the current, next and previous cycle of each team from Linear.
+ *
+ * @param {string} apiKey - OAuth access token
+ * @param {string|null} teamId - Optional team ID to only fetch that team's cycles
+ * @returns {Promise<Array>} Cycles with id, number, name, dates, isActive/isNext/isPrevious and team
+ * @throws {Error} If the API request fails (e.g., 401 for invalid/expired token)
+ */
+export async function fetchCycles(apiKey, teamId = null) {
+  const client = new GraphQLClient('https://api.linear.app/graphql', {
+    headers: {
+      Authorization: apiKey,
+    },
+  })
+
+  const filter = {
+    or: [{ isActive: { eq: true } }, { isNext: { eq: true } }, { isPrevious: { eq: true } }],
+    ...(teamId && { team: { id: { eq: teamId } } }),
+  }
+
+  const data = await client.request(CYCLES_QUERY, { filter })
+  return data.cycles?.nodes || []
+}
+
+/**
+ * Fetches the workflow states of each team from Linear.
+ *
+ * @param {string} apiKey - OAuth access token
+ * @param {string|null} teamId - Optional team ID to only fetch that team's states
+ * @returns {Promise<Array>} Workflow states with id, name, type, position, color and team
+ * @throws {Error} If the API request fails (e.g., 401 for invalid/expired token)
+ */
+export async function fetchWorkflowStates(apiKey, teamId = null) {
+  const client = new GraphQLClient('https://api.linear.app/graphql', {
+    headers: {
+      Authorization: apiKey,
+    },
+  })
+
+  const filter = teamId ? { team: { id: { eq: teamId } } } : undefined
+
+  const data = await client.request(WORKFLOW_STATES_QUERY, { filter })
+  return data.workflowStates?.nodes || []
+}
+
 /**
  * Fetches organization details from Linear for the authenticated user.
  * Used to identify the workspace after OAuth callback.
@@ -164,6 +389,24 @@ export async function fetchOrganization(apiKey) {
   return data.organization
 }
 
+/**
+ * Fetches the signed-in user (the viewer) from Linear.
+ *
+ * @param {string} apiKey - OAuth access token
+ * @returns {Promise<{id: string, name: string}>} Viewer's user ID and name
+ * @throws {Error} If the API request fails (e.g., 401 for invalid/expired token)
+ */
+export async function fetchViewer(apiKey) {
+  const client = new GraphQLClient('https://api.linear.app/graphql', {
+    headers: {
+      Authorization: apiKey,
+    },
+  })
+
+  const data = await client.request(VIEWER_QUERY)
+  return { id: data.viewer.id, name: data.viewer.name }
+}
+
 /**
  * Fetches all projects and issues from Linear for the authenticated user's organization.
  *
@@ -171,7 +414,7 @@ export async function fetchOrganization(apiKey) {
  * @param {string|null} teamId - Optional team ID to filter issues by
  * @returns {Promise<{organizationName: string, projects: Array, issues: Array}>}
  *   - organizationName: The Linear workspace/organization name
- *   - projects: Array of active ("started") projects with id, name, content, url, sortOrder
+ *   - projects: Array of open projects (see PROJECT_STATES) with id, name, content, url, sortOrder, state
  *   - issues: Array of all issues (or filtered by team) with full metadata for tree building
  * @throws {Error} If the API request fails (e.g., 401 for invalid/expired token)
  */
@@ -182,30 +425,135 @@ export async function fetchProjects(apiKey, teamId = null) {
     },
   })
 
-  // Fetch projects (single request)
-  const projectsData = await client.request(PROJECTS_QUERY)
+  const { organizationName, projects } = await fetchAllProjects(client)
 
-  // Fetch all issues using cursor-based pagination.
-  // Linear's API limits each request to 250 items max, so we loop until exhausted.
   // Use filtered query if teamId provided, otherwise fetch all issues.
-  let allIssues = []
+  const allIssues = teamId
+    ? await fetchAllIssues(client, ISSUES_QUERY, { teamId })
+    : await fetchAllIssues(client, ISSUES_QUERY_ALL)
+
+  return {
+    organizationName,
+    projects,
+    issues: allIssues,
+  }
+}
+
+/**
+ * Brings a persisted snapshot up to date with Linear.
+ * Only issues updated since the snapshot's last sync are requested and merged
+ * in; without a usable snapshot this falls back to a full fetch.
+ *
+ * @param {string} apiKey - OAuth access token
+ * @param {string|null} teamId - Optional team ID the snapshot is filtered by
+ * @param {Snapshot|null} snapshot - Previously synced snapshot (null for a full fetch)
+ * @returns {Promise<Snapshot>} Updated snapshot
+ * @throws {Error} If the API request fails (e.g., 401 for invalid/expired token)
+ */
+export async function syncProjects(apiKey, teamId = null, snapshot = null) {
+  // Taken before fetching, so anything updated during this sync is picked up next time
+  const syncedAt = new Date().toISOString()
+
+  const needsFullSync = !snapshot?.syncedAt ||
+    !snapshot.fullSyncedAt ||
+    snapshot.version !== SNAPSHOT_VERSION ||
+    Date.now() - new Date(snapshot.fullSyncedAt).getTime() > FULL_SYNC_MAX_AGE_MS
+
+  if (needsFullSync) {
+    const data = await fetchProjects(apiKey, teamId)
+    return { ...data, syncedAt, fullSyncedAt: syncedAt, version: SNAPSHOT_VERSION }
+  }
+
+  const client = new GraphQLClient('https://api.linear.app/graphql', {
+    headers: {
+      Authorization: apiKey,
+    },
+  })
+
+  // Projects are few compared to issues, so always fetch them in full
+  const { organizationName, projects } = await fetchAllProjects(client)
+
+  const since = new Date(new Date(snapshot.syncedAt).getTime() - SYNC_OVERLAP_MS).toISOString()
+  const changedIssues = await fetchAllIssues(client, ISSUES_UPDATED_QUERY, { since })
+
+  return {
+    organizationName,
+    projects,
+    issues: mergeIssues(snapshot.issues, changedIssues, teamId),
+    syncedAt,
+    fullSyncedAt: snapshot.fullSyncedAt,
+    version: SNAPSHOT_VERSION,
+  }
+}
+
+/**
+ * Merges changed issues into a snapshot's issue list.
+ * Archived (including deleted/trashed) issues and issues that moved out of the
+ * snapshot's team are removed; everything else is added or replaced.
+ *
+ * @param {Array} issues - Issues currently in the snapshot
+ * @param {Array} changedIssues - Issues updated since the last sync
+ * @param {string|null} teamId - Team the snapshot is filtered by (null = all teams)
+ * @returns {Array} Merged issue list
+ */
+export function mergeIssues(issues, changedIssues, teamId = null) {
+  const byId = new Map(issues.map(issue => [issue.id, issue]))
+
+  for (const issue of changedIssues) {
+    const isRemoved = issue.archivedAt || (teamId && issue.team?.id !== teamId)
+    if (isRemoved) {
+      byId.delete(issue.id)
+    } else {
+      byId.set(issue.id, issue)
+    }
+  }
+
+  return [...byId.values()]
+}
+
+/**
+ * Fetches all issues for a query using cursor-based pagination.
+ * Linear's API limits each request to 250 items max, so we loop until exhausted.
+ *
+ * @param {GraphQLClient} client - GraphQL client
+ * @param {string} query - Paginated issues query
+ * @param {Object} [variables] - Extra query variables (e.g. teamId, since)
+ * @returns {Promise<Array>} All issues
+ */
+async function fetchAllIssues(client, query, variables = {}) {
+  const issues = []
   let hasNextPage = true
   let cursor = null
-  const query = teamId ? ISSUES_QUERY : ISSUES_QUERY_ALL
 
   while (hasNextPage) {
-    const variables = teamId
-      ? { first: 250, after: cursor, teamId }
-      : { first: 250, after: cursor }
-    const data = await client.request(query, variables)
-    allIssues.push(...data.issues.nodes)
+    const data = await client.request(query, { ...variables, first: 250, after: cursor })
+    issues.push(...data.issues.nodes)
     hasNextPage = data.issues.pageInfo.hasNextPage
     cursor = data.issues.pageInfo.endCursor
   }
 
-  return {
-    organizationName: projectsData.organization.name,
-    projects: projectsData.projects.nodes,
-    issues: allIssues,
+  return issues
+}
+
+/**
+ * Fetches the organization name and all open projects using cursor-based pagination.
+ *
+ * @param {GraphQLClient} client - GraphQL client
+ * @returns {Promise<{organizationName: string, projects: Array}>} Organization name and projects
+ */
+async function fetchAllProjects(client) {
+  const projects = []
+  let organizationName = null
+  let hasNextPage = true
+  let cursor = null
+
+  while (hasNextPage) {
+    const data = await client.request(PROJECTS_QUERY, { first: 250, after: cursor, states: PROJECT_STATES })
+    organizationName = data.organization.name
+    projects.push(...data.projects.nodes)
+    hasNextPage = data.projects.pageInfo.hasNextPage
+    cursor = data.projects.pageInfo.endCursor
   }
+
+  return { organizationName, projects }
 }
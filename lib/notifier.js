@@ -0,0 +1,113 @@
+/**
+ * Audit Alert Notifiers
+ *
+ * Scheduled audits send threshold breaches to a notifier: any object with an
+ * async notify(alert) method. WebhookNotifier posts them as JSON to a URL,
+ * which works with generic webhook receivers (and Slack-style incoming
+ * webhooks, which show the `text` field).
+ */
+
+// Constants
+const WEBHOOK_TIMEOUT_MS = 10000; // 10 seconds
+
+/**
+ * Breaches found by a scheduled audit of a workspace
+ * @typedef {Object} AuditAlert
+ * @property {{id: string, name: string}} workspace - The audited workspace
+ * @property {string|null} auditId - ID of the report in the audit history
+ * @property {string} timestamp - When the audit ran (ISO 8601)
+ * @property {import('./audit-history.js').AuditSummary} summary - Key numbers of the audit
+ * @property {import('./audit-alerts.js').ThresholdBreach[]} breaches - Thresholds the audit breached
+ */
+
+/**
+ * Receives audit alerts
+ * @typedef {Object} Notifier
+ * @property {function(AuditAlert): Promise<void>} notify - Sends an alert
+ */
+
+/**
+ * Error thrown when a notifier can't deliver an alert
+ */
+export class NotifierError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'NotifierError';
+    this.status = status; // HTTP status of the receiver (null for network errors)
+  }
+}
+
+/**
+ * Formats an alert as one line of text per breach.
+ *
+ * @param {AuditAlert} alert - The alert
+ * @returns {string} Plain-text alert
+ */
+export function formatAlertText({ workspace, breaches }) {
+  const count = breaches.length === 1 ? '1 threshold' : `${breaches.length} thresholds`;
+  return [
+    `Audit of ${workspace.name} breached ${count}:`,
+    ...breaches.map(breach => `- ${breach.message}`)
+  ].join('\n');
+}
+
+/**
+ * Posts audit alerts as JSON to a URL.
+ * The body is `{event: 'audit.alert', text, ...alert}`.
+ */
+export class WebhookNotifier {
+  /**
+   * Creates a new webhook notifier.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.url - URL to POST alerts to
+   * @param {number} [options.timeoutMs=10000] - Time to wait for the receiver
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('WebhookNotifier needs a url');
+    }
+    this.url = options.url;
+    this.timeoutMs = options.timeoutMs || WEBHOOK_TIMEOUT_MS;
+  }
+
+  /**
+   * Posts an alert to the webhook URL.
+   *
+   * @param {AuditAlert} alert - The alert
+   * @returns {Promise<void>}
+   * @throws {NotifierError} If the receiver can't be reached or doesn't answer with 2xx
+   */
+  async notify(alert) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: 'audit.alert', text: formatAlertText(alert), ...alert }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+      throw new NotifierError(`Alert webhook failed: ${reason}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      throw new NotifierError(`Alert webhook failed: ${response.status}`, response.status);
+    }
+  }
+}
+
+/**
+ * Writes audit alerts to the server log (used when no webhook is configured).
+ */
+export class LogNotifier {
+  async notify(alert) {
+    console.warn(formatAlertText(alert));
+  }
+}
@@ -119,7 +119,7 @@ function parseIssues(lines, projectId) {
     const line = lines[i];
 
     // Match list item: spaces/tabs, dash, state marker, title
-    const match = line.match(/^(\s*)- ([✓◐○]) (.+)$/);
+    const match = line.match(/^(\s*)- ([✓✗◐○]) (.+)$/);
     if (!match) {
       i++;
       continue;
@@ -132,6 +132,8 @@ function parseIssues(lines, projectId) {
     let state;
     if (stateChar === '✓') {
       state = { type: 'completed', name: 'Done' };
+    } else if (stateChar === '✗') {
+      state = { type: 'canceled', name: 'Canceled' };
     } else if (stateChar === '◐') {
       state = { type: 'started', name: 'In Progress' };
     } else {
@@ -148,7 +150,7 @@ function parseIssues(lines, projectId) {
       const nextLine = lines[j];
 
       // Stop if we hit another list item at same or lower depth
-      const nextMatch = nextLine.match(/^(\s*)- [✓◐○]/);
+      const nextMatch = nextLine.match(/^(\s*)- [✓✗◐○]/);
       if (nextMatch) {
         const nextDepth = Math.floor(nextMatch[1].length / 2);
         if (nextDepth <= depth) break;
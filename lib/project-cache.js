@@ -0,0 +1,141 @@
+/**
+ * Per-workspace cache of Linear project/issue data.
+ * Stores fetched data in MongoDB (production) or MangoDB (file-based, development)
+ * so page loads don't have to page through every issue in the workspace.
+ *
+ * Entries are keyed by workspace and team filter. Once an entry is older than
+ * the TTL it is still served, while a background refresh replaces it
+ * (stale-while-revalidate).
+ */
+
+/**
+ * Cached entry as stored in the collection
+ * @typedef {Object} CacheEntry
+ * @property {string} _id - Cache key (see ProjectCache.key)
+ * @property {string} workspaceId - Workspace/organization ID
+ * @property {string|null} teamId - Team filter the data was fetched with (null = all teams)
+ * @property {Object} data - Data returned by the loader
+ * @property {Date} fetchedAt - When the data was fetched from Linear
+ */
+
+/**
+ * Result of a cache lookup
+ * @typedef {Object} CacheResult
+ * @property {Object} data - Cached (or freshly loaded) data
+ * @property {Date} fetchedAt - When the data was fetched from Linear
+ * @property {boolean} isStale - True if the data is older than the TTL (a refresh is running)
+ */
+
+/**
+ * Stale-while-revalidate cache for project data.
+ */
+export class ProjectCache {
+  /**
+   * Creates a new project cache instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.collection - MongoDB/MangoDB collection to store entries
+   * @param {number} [options.ttl=300] - Time in seconds before an entry is refreshed (default: 5 minutes)
+   */
+  constructor(options = {}) {
+    this.collection = options.collection
+    this.ttl = options.ttl || 300
+    // In-flight refreshes by cache key, so concurrent requests share one fetch
+    this.pending = new Map()
+  }
+
+  /**
+   * Builds the cache key for a workspace and team filter.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {string|null} teamId - Team filter (null = all teams)
+   * @returns {string} Cache key
+   */
+  static key(workspaceId, teamId = null) {
+    return `${workspaceId}:${teamId || 'all'}`
+  }
+
+  /**
+   * Returns cached data, loading it if missing and refreshing it in the
+   * background if stale.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {string|null} teamId - Team filter (null = all teams)
+   * @param {function(Object|null): Promise<Object>} loader - Fetches fresh data from Linear (receives the cached data, if any)
+   * @returns {Promise<CacheResult>} Cached data with freshness info
+   * @throws {Error} If there is no cached entry and the loader fails
+   */
+  async get(workspaceId, teamId, loader) {
+    const entry = await this.collection.findOne({ _id: ProjectCache.key(workspaceId, teamId) })
+
+    if (!entry) {
+      const fresh = await this.refresh(workspaceId, teamId, loader)
+      return { data: fresh.data, fetchedAt: fresh.fetchedAt, isStale: false }
+    }
+
+    const isStale = Date.now() - new Date(entry.fetchedAt).getTime() >= this.ttl * 1000
+    if (isStale) {
+      // Serve stale data now; errors are logged since nobody is waiting on them
+      this.refresh(workspaceId, teamId, loader, entry.data).catch(err => {
+        console.error(`Background refresh failed for ${ProjectCache.key(workspaceId, teamId)}:`, err)
+      })
+    }
+
+    return { data: entry.data, fetchedAt: entry.fetchedAt, isStale }
+  }
+
+  /**
+   * Loads fresh data and stores it. Concurrent calls for the same key share
+   * a single loader call.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {string|null} teamId - Team filter (null = all teams)
+   * @param {function(Object|null): Promise<Object>} loader - Fetches fresh data from Linear
+   * @param {Object|null} [previous] - Currently cached data, passed to the loader for incremental updates
+   * @returns {Promise<CacheEntry>} The stored entry
+   */
+  refresh(workspaceId, teamId, loader, previous = null) {
+    const key = ProjectCache.key(workspaceId, teamId)
+    if (this.pending.has(key)) return this.pending.get(key)
+
+    const promise = (async () => {
+      const data = await loader(previous)
+      const entry = { workspaceId, teamId: teamId || null, data, fetchedAt: new Date() }
+      await this.collection.updateOne({ _id: key }, { $set: entry }, { upsert: true })
+      return { _id: key, ...entry }
+    })().finally(() => this.pending.delete(key))
+
+    this.pending.set(key, promise)
+    return promise
+  }
+
+  /**
+   * Applies a change to every cached entry of a workspace (e.g. from a webhook).
+   * Entries keep their fetchedAt, so the regular background refresh still runs.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {function(Object, string|null): Object} updater - Receives (data, teamId), returns updated data
+   * @returns {Promise<number>} Number of entries updated
+   */
+  async update(workspaceId, updater) {
+    const entries = await this.collection.find({ workspaceId }).toArray()
+
+    for (const entry of entries) {
+      const data = updater(entry.data, entry.teamId)
+      await this.collection.updateOne({ _id: entry._id }, { $set: { data } })
+    }
+
+    return entries.length
+  }
+
+  /**
+   * Removes all cached entries for a workspace (every team filter).
+   * The next lookup fetches fresh data from Linear.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @returns {Promise} Resolves when entries are removed
+   */
+  invalidate(workspaceId) {
+    return this.collection.deleteMany({ workspaceId })
+  }
+}
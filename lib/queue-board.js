@@ -0,0 +1,76 @@
+/**
+ * Queue board helpers for the /queues page.
+ * Lays out issues in one column per queue of the workspace's queue config
+ * (see lib/queue-config.js) and flags the issues the config doesn't place
+ * in exactly one queue, which usually means the config needs fixing.
+ */
+import { QUEUE_CONFIG, getQueuesForIssue } from './queue-config.js'
+
+// =============================================================================
+// Type Definitions
+// =============================================================================
+
+/**
+ * Issue on the queue board
+ * @typedef {Object} QueueCard
+ * @property {import('./tree.js').Issue} issue - The issue
+ * @property {string[]} queues - Names of all queues the issue is in
+ * @property {'overlap'|'unqueued'|null} problem - In several queues, in none, or fine
+ */
+
+/**
+ * Column of the queue board
+ * @typedef {Object} QueueColumn
+ * @property {Object} queue - Queue definition (see QUEUE_CONFIG)
+ * @property {QueueCard[]} cards - Issues in the queue
+ */
+
+/**
+ * Issues laid out by queue
+ * @typedef {Object} QueueBoard
+ * @property {QueueColumn[]} columns - One column per queue, in config order
+ * @property {QueueCard[]} unqueued - Open issues that are in no queue
+ * @property {number} issueCount - Issues on the board (each counted once)
+ * @property {number} overlapCount - Issues that are in several queues
+ */
+
+// =============================================================================
+// Board
+// =============================================================================
+
+const CLOSED_STATE_TYPES = ['completed', 'canceled']
+
+/**
+ * Build the queue board of a workspace's issues.
+ * Closed (completed or canceled) issues in no queue are left out, as they are
+ * done with the workflow; a queue matching closed states still lists them.
+ *
+ * @param {import('./tree.js').Issue[]} issues - Issues of the workspace
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
+ * @returns {QueueBoard} Issues by queue
+ */
+export function buildQueueBoard(issues, queueConfig = QUEUE_CONFIG) {
+  const columns = queueConfig.map(queue => ({ queue, cards: [] }))
+  const columnMap = new Map(columns.map(column => [column.queue.name, column]))
+  const unqueued = []
+  let issueCount = 0
+  let overlapCount = 0
+
+  for (const issue of issues) {
+    const queues = getQueuesForIssue(issue, queueConfig)
+
+    if (queues.length === 0) {
+      if (CLOSED_STATE_TYPES.includes(issue.state?.type)) continue
+      unqueued.push({ issue, queues, problem: 'unqueued' })
+      issueCount++
+      continue
+    }
+
+    const card = { issue, queues, problem: queues.length > 1 ? 'overlap' : null }
+    for (const name of queues) columnMap.get(name).cards.push(card)
+    issueCount++
+    if (card.problem) overlapCount++
+  }
+
+  return { columns, unqueued, issueCount, overlapCount }
+}
@@ -0,0 +1,93 @@
+/**
+ * Per-workspace queue configuration.
+ * Stores each workspace's queue definitions in MongoDB (production) or
+ * MangoDB (file-based, development). Workspaces without a stored config use
+ * the default QUEUE_CONFIG.
+ */
+import { QUEUE_CONFIG, validateQueueConfig } from './queue-config.js';
+
+/**
+ * Queue config of a workspace
+ * @typedef {Object} WorkspaceQueueConfig
+ * @property {Object[]} queues - Queue definitions (see QUEUE_CONFIG)
+ * @property {boolean} isDefault - True if the workspace has no config of its own
+ * @property {Date|null} updatedAt - When the workspace's config was last saved
+ */
+
+/**
+ * Error thrown when saving queue definitions that don't validate
+ */
+export class QueueConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid queue config: ${errors.join('; ')}`);
+    this.name = 'QueueConfigError';
+    this.errors = errors; // Messages from validateQueueConfig
+  }
+}
+
+/**
+ * Stores queue definitions per workspace.
+ */
+export class QueueConfigStore {
+  /**
+   * Creates a new queue config store.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.collection - MongoDB/MangoDB collection to store configs
+   */
+  constructor(options = {}) {
+    this.collection = options.collection;
+  }
+
+  /**
+   * Returns a workspace's queue config, or the default one.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @returns {Promise<WorkspaceQueueConfig>} The workspace's queue config
+   */
+  async get(workspaceId) {
+    const entry = await this.collection.findOne({ _id: workspaceId });
+
+    // Configs are validated on save, but skip any that no longer validate
+    // (e.g. saved before a rule was added) rather than scoring with them
+    const { queues } = entry ? validateQueueConfig(entry.queues) : { queues: null };
+    if (!queues) {
+      return { queues: QUEUE_CONFIG, isDefault: true, updatedAt: null };
+    }
+    return { queues, isDefault: false, updatedAt: entry.updatedAt };
+  }
+
+  /**
+   * Validates and stores a workspace's queue definitions.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @param {*} input - Queue definitions (e.g. parsed from the editor)
+   * @returns {Promise<WorkspaceQueueConfig>} The stored (normalized) config
+   * @throws {QueueConfigError} If the definitions don't validate
+   */
+  async save(workspaceId, input) {
+    const { queues, errors } = validateQueueConfig(input);
+    if (!queues) {
+      throw new QueueConfigError(errors);
+    }
+
+    const updatedAt = new Date();
+    await this.collection.updateOne(
+      { _id: workspaceId },
+      { $set: { queues, updatedAt } },
+      { upsert: true }
+    );
+    return { queues, isDefault: false, updatedAt };
+  }
+
+  /**
+   * Removes a workspace's queue definitions, so it uses the default again.
+   *
+   * @param {string} workspaceId - Workspace/organization ID
+   * @returns {Promise<WorkspaceQueueConfig>} The default config
+   */
+  async reset(workspaceId) {
+    await this.collection.deleteOne({ _id: workspaceId });
+    return { queues: QUEUE_CONFIG, isDefault: true, updatedAt: null };
+  }
+}
@@ -6,6 +6,10 @@
  * - Label-based queues: task is in queue if it has a specific label
  * - State-based queues: task is in queue if it's in a specific workflow state
  * - Implicit queues: task is in queue based on state + absence of labels
+ *
+ * QUEUE_CONFIG is the default model. Workspaces can store their own queue
+ * definitions (see lib/queue-config-store.js); the helpers below take the
+ * workspace's config and fall back to the default.
  */
 
 /**
@@ -24,16 +28,20 @@ export const QUEUE_TYPES = {
 export const PRE_WORK_LABELS = ['needs-breakdown', 'needs-research'];
 
 /**
- * Queue definitions for the workflow model.
+ * Default queue definitions for the workflow model.
+ * Linear has no "review" state type (review steps are custom started states
+ * like "In Review"), so a review queue is left to each workspace's config.
  *
  * Each queue has:
  * - name: Internal queue name
  * - type: How to match tasks (label, state, or implicit)
- * - match: Label pattern or state type to match
+ * - labelPatterns: For label-based, which labels put a task in the queue
  * - stateTypes: For state-based, which state types to match
  * - excludeLabels: For implicit, which labels exclude a task
  * - required: Whether this queue must exist for the workflow to function
  * - description: Human-readable description of the queue's purpose
+ *
+ * labelPatterns and excludeLabels are label patterns (see matchesPattern).
  */
 export const QUEUE_CONFIG = [
   {
@@ -64,45 +72,266 @@ export const QUEUE_CONFIG = [
     stateTypes: ['started'],
     required: true,
     description: 'Tasks currently being worked on'
-  },
-  {
-    name: 'Review',
-    type: QUEUE_TYPES.STATE,
-    stateTypes: ['review'],  // May need adjustment based on actual Linear state
-    required: false,  // Not all workflows have a review state
-    description: 'Tasks awaiting review'
   }
 ];
 
+// =============================================================================
+// Label Patterns
+// =============================================================================
+
+/**
+ * Separates a label group from its labels in label paths (e.g. "Type/Bug").
+ */
+export const LABEL_GROUP_SEPARATOR = '/';
+
+/**
+ * Gets the full path of a label: "Group/Label" for labels in a Linear label
+ * group, just the name otherwise.
+ *
+ * @param {Object} label - Label with name and optional parent group
+ * @returns {string} The label's path
+ */
+export function getLabelPath(label) {
+  return label.parent?.name
+    ? `${label.parent.name}${LABEL_GROUP_SEPARATOR}${label.name}`
+    : label.name;
+}
+
+/**
+ * Longest label pattern accepted.
+ */
+export const MAX_PATTERN_LENGTH = 100;
+
+/**
+ * Longest label path /regex/ patterns are tested against; longer labels
+ * don't match them. Bounds the time a pattern can take per label.
+ */
+export const MAX_LABEL_PATH_LENGTH = 100;
+
+/**
+ * Most repeating quantifiers (*, +, {n,}) a /regex/ pattern can have.
+ */
+export const MAX_REGEX_REPEATS = 2;
+
+// Compiled label patterns, by pattern (least recently used first)
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 500;
+
+/**
+ * Error thrown for label patterns that can't be compiled or could take too
+ * long to match
+ */
+export class LabelPatternError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabelPatternError';
+  }
+}
+
+/**
+ * Finds what makes a regular expression prone to catastrophic backtracking:
+ * backreferences, quantifiers on groups that contain quantifiers or
+ * alternatives ("(a+)+", "(a|aa)*"), quantified atoms next to each other
+ * ("a*a*", "\w+\d+") and more than MAX_REGEX_REPEATS repeating quantifiers.
+ * This is deliberately conservative; such patterns can usually be rewritten
+ * with a character class ("[a-z0-9]+").
+ *
+ * @param {string} source - Regular expression source (between the slashes)
+ * @returns {string|null} The problem, or null if the expression is safe to run
+ */
+function findRegexHazard(source) {
+  // Open groups, innermost last; the outermost stands for the whole pattern
+  const groups = [{ nested: false, before: false }];
+  let lastAtom = null; // Last atom: a group's state, or {} for anything else
+  let lastQuantified = false; // The last atom has a quantifier
+  let beforeQuantified = false; // The atom before it has a quantifier
+  let repeats = 0;
+
+  const addAtom = (atom, before = lastQuantified) => {
+    beforeQuantified = before;
+    lastAtom = atom;
+    lastQuantified = false;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const quantifier = char === '*' || char === '+' || char === '?'
+      ? char
+      : char === '{' ? source.slice(i).match(/^\{\d+(?:,\d*)?\}/)?.[0] : null;
+
+    if (quantifier) {
+      i += quantifier.length - 1;
+      if (source[i + 1] === '?') i++; // Lazy quantifier
+      if (!lastAtom) continue; // Not a quantifier (the RegExp compiler decides)
+
+      if (lastAtom.nested) return 'nested quantifier';
+      if (beforeQuantified) return 'overlapping quantifiers';
+      if (quantifier === '*' || quantifier === '+' || /,\}$/.test(quantifier)) repeats++;
+      lastQuantified = true;
+      groups.at(-1).nested = true;
+    } else if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return 'backreference';
+      i++;
+      addAtom({});
+    } else if (char === '[') {
+      // Skip the character class (a "]" right after "[" or "[^" closes it in JS)
+      i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+      addAtom({});
+    } else if (char === '(') {
+      groups.push({ nested: false, before: lastQuantified });
+      const prefix = source.slice(i).match(/^\(\?(?::|=|!|<=|<!|<[^>]*>)/);
+      if (prefix) i += prefix[0].length - 1;
+      lastAtom = null;
+      lastQuantified = false;
+      beforeQuantified = false;
+    } else if (char === ')') {
+      if (groups.length === 1) continue; // Unbalanced (the RegExp compiler rejects it)
+      const group = groups.pop();
+      groups.at(-1).nested ||= group.nested;
+      addAtom(group, group.before);
+    } else if (char === '|') {
+      groups.at(-1).nested = true;
+      lastAtom = null;
+      lastQuantified = false;
+      beforeQuantified = false;
+    } else {
+      addAtom({});
+    }
+  }
+
+  if (repeats > MAX_REGEX_REPEATS) return `more than ${MAX_REGEX_REPEATS} repeating quantifiers`;
+  return null;
+}
+
+/**
+ * Matches a glob against a label path (case-insensitive), where * matches
+ * any characters and ? one character. Runs in O(pattern × label) time, so
+ * globs with many *s can't backtrack the way the equivalent regex would.
+ *
+ * @param {string} glob - Lowercased glob
+ * @param {string} text - Label path
+ * @returns {boolean} True if the whole label path matches
+ */
+function matchGlob(glob, text) {
+  const label = text.toLowerCase();
+  let g = 0;
+  let t = 0;
+  let starG = -1; // Position after the last * seen
+  let starT = 0; // Where the text the last * matched ends
+
+  while (t < label.length) {
+    if (g < glob.length && (glob[g] === '?' || glob[g] === label[t])) {
+      g++;
+      t++;
+    } else if (g < glob.length && glob[g] === '*') {
+      starG = ++g;
+      starT = t;
+    } else if (starG !== -1) {
+      // Let the last * match one more character
+      g = starG;
+      t = ++starT;
+    } else {
+      return false;
+    }
+  }
+  while (glob[g] === '*') g++;
+  return g === glob.length;
+}
+
+/**
+ * Compiles a label pattern to a case-insensitive matcher.
+ * Patterns are one of:
+ * - a label path, matched exactly ("needs-breakdown", "Type/Bug")
+ * - a glob, where * matches any characters and ? one character ("needs-*", "Type/*")
+ * - a regular expression between slashes, matched anywhere in the path ("/^research(:|-)/",
+ *   with optional i, m, s or u flags). Expressions that could backtrack
+ *   catastrophically are rejected (see findRegexHazard), and they are only
+ *   tested against label paths of up to MAX_LABEL_PATH_LENGTH characters.
+ *
+ * @param {string} pattern - The label pattern
+ * @returns {{test: function(string): boolean}} Matcher for label paths
+ * @throws {SyntaxError} If a /regex/ pattern is not a valid regular expression
+ * @throws {LabelPatternError} If the pattern is too long or a /regex/ pattern is unsafe to run
+ */
+export function compileLabelPattern(pattern) {
+  const cached = compiledPatterns.get(pattern);
+  if (cached) {
+    // Move to the end, so the least recently used pattern is evicted first
+    compiledPatterns.delete(pattern);
+    compiledPatterns.set(pattern, cached);
+    return cached;
+  }
+
+  const trimmed = pattern.trim();
+  if (trimmed.length > MAX_PATTERN_LENGTH) {
+    throw new LabelPatternError(`longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  const regex = trimmed.match(/^\/(.+)\/([imsu]*)$/);
+  let compiled;
+  if (regex) {
+    const hazard = findRegexHazard(regex[1]);
+    if (hazard) {
+      throw new LabelPatternError(`${hazard} could make matching too slow`);
+    }
+    const flags = regex[2].includes('i') ? regex[2] : `${regex[2]}i`;
+    const expression = new RegExp(regex[1], flags);
+    compiled = { test: labelPath => labelPath.length <= MAX_LABEL_PATH_LENGTH && expression.test(labelPath) };
+  } else {
+    const glob = trimmed.toLowerCase();
+    compiled = { test: labelPath => matchGlob(glob, labelPath) };
+  }
+
+  compiledPatterns.set(pattern, compiled);
+  if (compiledPatterns.size > MAX_COMPILED_PATTERNS) {
+    compiledPatterns.delete(compiledPatterns.keys().next().value);
+  }
+  return compiled;
+}
+
 /**
  * Checks if a label matches any of the given patterns (case-insensitive).
+ * Labels in a label group are matched by their full path ("Type/Bug"), so
+ * "Bug" alone does not match them but "Type/Bug" and "type/b*" do.
  *
- * @param {string} labelName - The label name to check
- * @param {string[]} patterns - Array of patterns to match against
+ * @param {string} labelPath - The label's path (see getLabelPath)
+ * @param {string[]} patterns - Label patterns to match against (see compileLabelPattern)
  * @returns {boolean} True if the label matches any pattern
  */
-export function matchesPattern(labelName, patterns) {
-  const normalizedLabel = labelName.toLowerCase().trim();
-  return patterns.some(pattern => normalizedLabel === pattern.toLowerCase());
+export function matchesPattern(labelPath, patterns) {
+  const normalizedLabel = labelPath.trim();
+  return patterns.some(pattern => compileLabelPattern(pattern).test(normalizedLabel));
 }
 
+// =============================================================================
+// Queue Matching
+// =============================================================================
+
 /**
  * Checks if a task belongs to a specific queue.
  *
  * @param {Object} issue - The issue to check
- * @param {Object} queueDef - The queue definition
+ * @param {Object|string} queue - The queue definition, or the name of a queue in queueConfig
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {boolean} True if the issue belongs to this queue
  */
-export function isInQueue(issue, queueDef) {
-  const issueLabels = (issue.labels?.nodes || []).map(l => l.name.toLowerCase());
+export function isInQueue(issue, queue, queueConfig = QUEUE_CONFIG) {
+  const queueDef = typeof queue === 'string'
+    ? queueConfig.find(q => q.name === queue)
+    : queue;
+  if (!queueDef) return false;
+
+  const issueLabels = (issue.labels?.nodes || []).map(getLabelPath);
   const stateType = issue.state?.type?.toLowerCase() || '';
 
   switch (queueDef.type) {
     case QUEUE_TYPES.LABEL:
       // Task has one of the queue's labels
-      return queueDef.labelPatterns.some(pattern =>
-        issueLabels.includes(pattern.toLowerCase())
-      );
+      return issueLabels.some(label => matchesPattern(label, queueDef.labelPatterns));
 
     case QUEUE_TYPES.STATE:
       // Task is in one of the queue's state types
@@ -113,8 +342,8 @@ export function isInQueue(issue, queueDef) {
       const inCorrectState = queueDef.stateTypes.some(st =>
         st.toLowerCase() === stateType
       );
-      const hasExcludedLabel = queueDef.excludeLabels.some(label =>
-        issueLabels.includes(label.toLowerCase())
+      const hasExcludedLabel = issueLabels.some(label =>
+        matchesPattern(label, queueDef.excludeLabels || [])
       );
       return inCorrectState && !hasExcludedLabel;
 
@@ -127,10 +356,11 @@ export function isInQueue(issue, queueDef) {
  * Gets all queues a task belongs to.
  *
  * @param {Object} issue - The issue to check
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {string[]} Array of queue names the task belongs to
  */
-export function getQueuesForIssue(issue) {
-  return QUEUE_CONFIG
+export function getQueuesForIssue(issue, queueConfig = QUEUE_CONFIG) {
+  return queueConfig
     .filter(queueDef => isInQueue(issue, queueDef))
     .map(queueDef => queueDef.name);
 }
@@ -139,13 +369,14 @@ export function getQueuesForIssue(issue) {
  * Finds which label-based queue a label belongs to.
  * Only checks label-based queues (not state or implicit).
  *
- * @param {string} labelName - The label name to check
+ * @param {string} labelPath - The label's path (see getLabelPath)
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {string|null} Queue name if matched, null if unmapped
  */
-export function getQueueForLabel(labelName) {
-  for (const queue of QUEUE_CONFIG) {
+export function getQueueForLabel(labelPath, queueConfig = QUEUE_CONFIG) {
+  for (const queue of queueConfig) {
     if (queue.type === QUEUE_TYPES.LABEL &&
-        matchesPattern(labelName, queue.labelPatterns)) {
+        matchesPattern(labelPath, queue.labelPatterns)) {
       return queue.name;
     }
   }
@@ -155,37 +386,205 @@ export function getQueueForLabel(labelName) {
 /**
  * Gets all queue names from the configuration.
  *
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {string[]} Array of queue names
  */
-export function getQueueNames() {
-  return QUEUE_CONFIG.map(q => q.name);
+export function getQueueNames(queueConfig = QUEUE_CONFIG) {
+  return queueConfig.map(q => q.name);
 }
 
 /**
  * Gets all required queue names.
  *
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {string[]} Array of required queue names
  */
-export function getRequiredQueues() {
-  return QUEUE_CONFIG.filter(q => q.required).map(q => q.name);
+export function getRequiredQueues(queueConfig = QUEUE_CONFIG) {
+  return queueConfig.filter(q => q.required).map(q => q.name);
 }
 
 /**
  * Gets all label-based queues.
  *
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {Object[]} Array of label-based queue definitions
  */
-export function getLabelBasedQueues() {
-  return QUEUE_CONFIG.filter(q => q.type === QUEUE_TYPES.LABEL);
+export function getLabelBasedQueues(queueConfig = QUEUE_CONFIG) {
+  return queueConfig.filter(q => q.type === QUEUE_TYPES.LABEL);
 }
 
 /**
  * Gets all state-based queues (including implicit).
  *
+ * @param {Object[]} [queueConfig] - Queue definitions of the workspace (default: QUEUE_CONFIG)
  * @returns {Object[]} Array of state-based queue definitions
  */
-export function getStateBasedQueues() {
-  return QUEUE_CONFIG.filter(q =>
+export function getStateBasedQueues(queueConfig = QUEUE_CONFIG) {
+  return queueConfig.filter(q =>
     q.type === QUEUE_TYPES.STATE || q.type === QUEUE_TYPES.IMPLICIT
   );
 }
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+/**
+ * Linear's workflow state types (the values stateTypes can match).
+ */
+export const LINEAR_STATE_TYPES = ['triage', 'backlog', 'unstarted', 'started', 'completed', 'canceled'];
+
+/**
+ * State types that earlier default queues used and Linear never reports
+ * (the old default Review queue matched "review"). Still accepted so those
+ * queues can be recreated, though they match no issues.
+ */
+export const LEGACY_STATE_TYPES = ['review'];
+
+/**
+ * Most queues a workspace can define.
+ */
+export const MAX_QUEUES = 20;
+
+/**
+ * Fields each queue type uses, besides name, type, required and description.
+ * Fields marked true must be given.
+ */
+const QUEUE_TYPE_FIELDS = {
+  [QUEUE_TYPES.LABEL]: { labelPatterns: true },
+  [QUEUE_TYPES.STATE]: { stateTypes: true },
+  [QUEUE_TYPES.IMPLICIT]: { stateTypes: true, excludeLabels: false }
+};
+
+const COMMON_QUEUE_FIELDS = ['name', 'type', 'required', 'description'];
+
+/**
+ * Checks that a value is an array of non-empty strings.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if every item is a non-blank string
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Finds the label patterns that don't compile.
+ *
+ * @param {string[]} patterns - Label patterns to check
+ * @returns {string[]} Error messages, one per invalid pattern
+ */
+function findInvalidPatterns(patterns) {
+  const invalid = [];
+  for (const pattern of patterns) {
+    try {
+      compileLabelPattern(pattern);
+    } catch (error) {
+      invalid.push(`invalid pattern ${pattern} (${error.message})`);
+    }
+  }
+  return invalid;
+}
+
+/**
+ * Validates queue definitions (e.g. from the Operator Dashboard editor) and
+ * normalizes them: strings trimmed, state types lowercased, `required` and
+ * `description` defaulted.
+ *
+ * @param {*} input - Queue definitions to check (should be an array of queue objects)
+ * @returns {{queues: Object[]|null, errors: string[]}} Normalized queues (null if there are errors) and error messages
+ */
+export function validateQueueConfig(input) {
+  if (!Array.isArray(input)) {
+    return { queues: null, errors: ['Queue config must be an array of queues'] };
+  }
+  if (input.length === 0) {
+    return { queues: null, errors: ['Queue config needs at least one queue'] };
+  }
+  if (input.length > MAX_QUEUES) {
+    return { queues: null, errors: [`Queue config can have at most ${MAX_QUEUES} queues`] };
+  }
+
+  const errors = [];
+  const names = new Set();
+  const queues = input.map((queue, index) => {
+    const at = `Queue ${index + 1}`;
+    if (!queue || typeof queue !== 'object' || Array.isArray(queue)) {
+      errors.push(`${at}: must be an object`);
+      return null;
+    }
+
+    const name = typeof queue.name === 'string' ? queue.name.trim() : '';
+    const label = name ? `${at} (${name})` : at;
+    if (!name) {
+      errors.push(`${at}: name is required`);
+    } else if (names.has(name.toLowerCase())) {
+      errors.push(`${label}: name is already used by another queue`);
+    }
+    names.add(name.toLowerCase());
+
+    const typeFields = QUEUE_TYPE_FIELDS[queue.type];
+    if (!typeFields) {
+      errors.push(`${label}: type must be one of ${Object.values(QUEUE_TYPES).join(', ')}`);
+      return null;
+    }
+
+    for (const field of Object.keys(queue)) {
+      if (!COMMON_QUEUE_FIELDS.includes(field) && !(field in typeFields)) {
+        errors.push(`${label}: ${field} is not used by ${queue.type} queues`);
+      }
+    }
+    if (queue.required !== undefined && typeof queue.required !== 'boolean') {
+      errors.push(`${label}: required must be true or false`);
+    }
+    if (queue.description !== undefined && typeof queue.description !== 'string') {
+      errors.push(`${label}: description must be a string`);
+    }
+
+    const normalized = {
+      name,
+      type: queue.type,
+      required: queue.required === true,
+      description: typeof queue.description === 'string' ? queue.description.trim() : ''
+    };
+
+    if ('labelPatterns' in typeFields) {
+      if (!isStringList(queue.labelPatterns) || queue.labelPatterns.length === 0) {
+        errors.push(`${label}: labelPatterns must be a non-empty list of label patterns`);
+      } else {
+        normalized.labelPatterns = queue.labelPatterns.map(pattern => pattern.trim());
+        for (const invalid of findInvalidPatterns(normalized.labelPatterns)) {
+          errors.push(`${label}: labelPatterns has an ${invalid}`);
+        }
+      }
+    }
+
+    if ('stateTypes' in typeFields) {
+      if (!isStringList(queue.stateTypes) || queue.stateTypes.length === 0) {
+        errors.push(`${label}: stateTypes must be a non-empty list of state types`);
+      } else {
+        const stateTypes = queue.stateTypes.map(st => st.trim().toLowerCase());
+        const unknown = stateTypes.filter(st => !LINEAR_STATE_TYPES.includes(st) && !LEGACY_STATE_TYPES.includes(st));
+        if (unknown.length > 0) {
+          errors.push(`${label}: unknown state type ${unknown.join(', ')} (use ${LINEAR_STATE_TYPES.join(', ')})`);
+        }
+        normalized.stateTypes = stateTypes;
+      }
+    }
+
+    if ('excludeLabels' in typeFields) {
+      if (queue.excludeLabels !== undefined && !isStringList(queue.excludeLabels)) {
+        errors.push(`${label}: excludeLabels must be a list of label patterns`);
+      } else {
+        normalized.excludeLabels = (queue.excludeLabels || []).map(l => l.trim());
+        for (const invalid of findInvalidPatterns(normalized.excludeLabels)) {
+          errors.push(`${label}: excludeLabels has an ${invalid}`);
+        }
+      }
+    }
+
+    return normalized;
+  });
+
+  return errors.length > 0 ? { queues: null, errors } : { queues, errors };
+}
@@ -72,6 +72,50 @@ export function renderFancyPage(workspaceName = 'Workspace') {
     <section id="audit-error" class="audit-error hidden">
       <!-- Error message will be rendered here -->
     </section>
+
+    <details class="audit-history" open>
+      <summary class="audit-history-header">
+        <span>Audit History</span>
+        <span id="audit-history-count" class="audit-history-count"></span>
+      </summary>
+      <div class="audit-history-content">
+        <p id="audit-history-empty" class="audit-history-empty">No audits stored yet. Run an audit to start the history.</p>
+        <div id="audit-trends" class="audit-trends"></div>
+        <div id="audit-compare-controls" class="audit-compare-controls hidden">
+          <label>compare <select id="compare-from" aria-label="First report"></select></label>
+          <label>with <select id="compare-to" aria-label="Second report"></select></label>
+          <button id="compare-audits" class="audit-button">Compare</button>
+        </div>
+        <div id="audit-comparison" class="audit-comparison hidden" aria-live="polite"></div>
+      </div>
+    </details>
+
+    <details class="queue-config">
+      <summary class="queue-config-header">
+        <span>Queue Configuration</span>
+        <span id="queue-config-source" class="queue-config-source"></span>
+      </summary>
+      <div class="queue-config-content">
+        <p class="queue-config-help">
+          The queues the audit scores this workspace against, as JSON. Each queue has a
+          <code>name</code>, a <code>type</code> (<code>label</code>, <code>state</code> or <code>implicit</code>),
+          <code>required</code> and <code>description</code>. Label queues match <code>labelPatterns</code>;
+          state queues match <code>stateTypes</code> (triage, backlog, unstarted, started, completed, canceled);
+          implicit queues match <code>stateTypes</code> minus issues with any of their <code>excludeLabels</code>.
+          Label patterns are names (<code>needs-breakdown</code>), globs (<code>needs-*</code>) or
+          regular expressions (<code>/^research(:|-)/</code>, without nested or adjacent quantifiers,
+          backreferences or more than two <code>*</code>/<code>+</code>); labels in a group are matched by their
+          full path (<code>Type/Bug</code>).
+        </p>
+        <textarea id="queue-config-editor" class="queue-config-editor" rows="18" spellcheck="false" aria-label="Queue configuration (JSON)"></textarea>
+        <div class="queue-config-actions">
+          <button id="save-queue-config" class="audit-button">Save Queues</button>
+          <button id="reset-queue-config" class="queue-config-reset">reset to defaults</button>
+          <span id="queue-config-status" class="audit-status" aria-live="polite"></span>
+        </div>
+        <ul id="queue-config-errors" class="queue-config-errors hidden"></ul>
+      </div>
+    </details>
   </main>
 
   <script src="/fancy.js"></script>
@@ -1,3 +1,9 @@
+import { PROJECT_STATES, SORT_MODES, DEFAULT_SORT, GROUP_BY_MODES, DEFAULT_GROUP_BY, getIssueRelations, getOpenBlockers } from './tree.js'
+import { formatBurnUpChart } from './cycles.js'
+import { getStateGlyph } from './workflow-states.js'
+import { GRAPH_LAYOUT } from './graph.js'
+import { getLabelPath } from './queue-config.js'
+
 // =============================================================================
 // Type Imports (JSDoc)
 // =============================================================================
@@ -5,11 +11,18 @@
 /**
  * @typedef {import('./tree.js').ProjectTree} ProjectTree
  * @typedef {import('./tree.js').InProgressTree} InProgressTree
+ * @typedef {import('./tree.js').InProgressStateGroup} InProgressStateGroup
  * @typedef {import('./tree.js').TreeNode} TreeNode
+ * @typedef {import('./tree.js').MilestoneTree} MilestoneTree
+ * @typedef {import('./tree.js').ProjectSummary} ProjectSummary
  * @typedef {import('./tree.js').InProgressTreeNode} InProgressTreeNode
  * @typedef {import('./tree.js').Issue} Issue
+ * @typedef {import('./tree.js').RelatedIssue} RelatedIssue
  * @typedef {import('./tree.js').Project} Project
  * @typedef {import('./workspace.js').Workspace} Workspace
+ * @typedef {import('./cycles.js').CycleTree} CycleTree
+ * @typedef {import('./workflow-states.js').StateGlyphs} StateGlyphs
+ * @typedef {import('./graph.js').IssueGraph} IssueGraph
  */
 
 /**
@@ -26,8 +39,27 @@
  * @property {boolean} [isLanding] - If true, show login link instead of logout
  * @property {Team[]} [teams] - Array of teams for the team selector
  * @property {string|null} [selectedTeamId] - Currently selected team ID
+ * @property {string[]} [selectedProjectStates] - Project states currently shown
+ * @property {{id: string, name: string}|null} [viewer] - Signed-in user (enables the "mine" toggle and `assignee:me` search)
+ * @property {boolean} [mine] - True if only the viewer's issues are shown
+ * @property {string} [sort] - Sort mode of the issues (see SORT_MODES)
+ * @property {string} [groupBy] - What the trees are grouped by (see GROUP_BY_MODES)
+ * @property {boolean} [foreignParents] - True if parents from other projects are shown as context nodes
+ * @property {boolean} [stateNames] - True if issues show their workflow state name and In Progress is split by state
+ * @property {InProgressTree[]} [blockedInProgressTrees] - In-progress issues with open blockers (the "Blocked" sub-section)
+ * @property {InProgressStateGroup[]|null} [inProgressStateGroups] - In-progress issues split by state (shown instead of inProgressTrees with stateNames)
+ * @property {StateGlyphs} [stateGlyphs] - Glyphs of each team's custom workflow states
  * @property {Workspace[]} [workspaces] - Array of connected workspaces
  * @property {string|null} [activeWorkspaceId] - Currently active workspace ID
+ * @property {Date|string|null} [fetchedAt] - When the data was fetched from Linear (shown on refresh action)
+ * @property {string} [currentUrl] - URL of the current page (refresh action returns here)
+ */
+
+/**
+ * How issue lines show their workflow state
+ * @typedef {Object} StateDisplay
+ * @property {StateGlyphs} [stateGlyphs] - Glyphs of each team's custom workflow states
+ * @property {boolean} [stateNames] - Show the state name as a badge after the title
  */
 
 // Base64-encoded SVG favicon - tree structure icon representing the CLI aesthetic
@@ -43,12 +75,21 @@ const FAVICON_BASE64 = 'PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZp
  * @returns {string} Full HTML document
  */
 export function renderPage(projectTrees, inProgressTrees = [], organizationName = 'Projects', options = {}) {
-  const { isLanding = false, teams = [], selectedTeamId = null, workspaces = [], activeWorkspaceId = null } = options
-  const inProgressHtml = renderInProgressSection(inProgressTrees)
-  const projectsHtml = projectTrees.map(renderProject).join('\n')
+  const { isLanding = false, teams = [], selectedTeamId = null, selectedProjectStates = ['started'], viewer = null, mine = false, sort = DEFAULT_SORT, groupBy = DEFAULT_GROUP_BY, foreignParents = false, stateNames = false, inProgressStateGroups = null, blockedInProgressTrees = [], stateGlyphs = {}, workspaces = [], activeWorkspaceId = null, fetchedAt = null, currentUrl = '/' } = options
+  const stateDisplay = { stateGlyphs, stateNames }
+  const inProgressHtml = stateNames && inProgressStateGroups
+    ? renderInProgressStateSection(inProgressStateGroups, stateDisplay, blockedInProgressTrees)
+    : renderInProgressSection(inProgressTrees, stateDisplay, blockedInProgressTrees)
+
+  // Names of the groups on this page, for links to parents in other groups
+  const groupLinks = {
+    names: new Map(projectTrees.map(({ project }) => [project.id, project.name])),
+    fallbackName: groupBy === 'project' ? 'another project' : 'another group'
+  }
+  const projectsHtml = projectTrees.map(tree => renderProject(tree, groupLinks, stateDisplay)).join('\n')
 
   // Navigation bar with workspace/team selectors (authenticated users only)
-  const navBarHtml = !isLanding ? renderNavBar({ workspaces, activeWorkspaceId, teams, selectedTeamId }) : ''
+  const navBarHtml = !isLanding ? renderNavBar({ workspaces, activeWorkspaceId, teams, selectedTeamId, selectedProjectStates, viewer, mine, sort, groupBy, foreignParents, stateNames, fetchedAt, currentUrl }) : ''
 
   return `<!DOCTYPE html>
 <!-- AI agents: see /llms.txt for navigation guidance -->
@@ -60,7 +101,7 @@ export function renderPage(projectTrees, inProgressTrees = [], organizationName
   <link rel="icon" type="image/svg+xml" href="data:image/svg+xml;base64,${FAVICON_BASE64}">
   <link rel="stylesheet" href="/style.css">
 </head>
-<body${isLanding ? ' class="is-landing"' : ''}>
+<body${isLanding ? ' class="is-landing"' : ''}${viewer ? ` data-viewer-id="${escapeHtml(viewer.id)}"` : ''}${!isLanding ? ` data-group-by="${groupBy}"` : ''}${renderStateGlyphsAttribute(stateGlyphs)}>
   ${navBarHtml}
   <header>
     <h1>${escapeHtml(organizationName)}</h1>
@@ -71,11 +112,46 @@ export function renderPage(projectTrees, inProgressTrees = [], organizationName
       ${projectsHtml}
     </section>
   </main>
+  ${renderKeyboardHelp()}
   <script src="/app.js"></script>
 </body>
 </html>`
 }
 
+/**
+ * Render the custom state glyphs as a body attribute, so live updates show
+ * the same glyphs (see getStateGlyph in public/app.js)
+ * @param {StateGlyphs} stateGlyphs - Glyphs of each team's custom workflow states
+ * @returns {string} Attribute with a leading space (empty if no team has custom states)
+ */
+function renderStateGlyphsAttribute(stateGlyphs) {
+  return Object.keys(stateGlyphs).length > 0
+    ? ` data-state-glyphs="${escapeHtml(JSON.stringify(stateGlyphs))}"`
+    : ''
+}
+
+/**
+ * Render keyboard shortcut help (toggled with "?", see public/app.js)
+ */
+function renderKeyboardHelp() {
+  const shortcuts = [
+    ['j / ↓', 'next issue'],
+    ['k / ↑', 'previous issue'],
+    ['l / →', 'expand, or go to first child'],
+    ['h / ←', 'collapse, or go to parent'],
+    ['enter', 'expand/collapse'],
+    ['o', 'open issue in Linear'],
+    ['/', 'search'],
+    ['?', 'toggle this help'],
+  ]
+  const rowsHtml = shortcuts.map(([key, action]) => `<dt><kbd>${escapeHtml(key)}</kbd></dt><dd>${action}</dd>`).join('')
+
+  return `<div class="keyboard-help hidden" id="keyboard-help" role="dialog" aria-label="Keyboard shortcuts" tabindex="-1">
+    <dl>${rowsHtml}</dl>
+    <p class="keyboard-help-hint">press ? or esc to close</p>
+  </div>`
+}
+
 /**
  * Render the unified navigation bar
  * @param {Object} options - Navigation options
@@ -83,28 +159,68 @@ export function renderPage(projectTrees, inProgressTrees = [], organizationName
  * @param {string|null} options.activeWorkspaceId - Currently active workspace ID
  * @param {Team[]} options.teams - Array of teams
  * @param {string|null} options.selectedTeamId - Currently selected team ID
+ * @param {string[]} options.selectedProjectStates - Project states currently shown
+ * @param {{id: string, name: string}|null} options.viewer - Signed-in user (null hides the "mine" toggle)
+ * @param {boolean} options.mine - True if only the viewer's issues are shown
+ * @param {string} options.sort - Current sort mode
+ * @param {string} options.groupBy - Current group-by mode
+ * @param {boolean} options.foreignParents - True if parents from other projects are shown as context nodes
+ * @param {boolean} options.stateNames - True if workflow state names are shown
+ * @param {Date|string|null} options.fetchedAt - When the data was fetched from Linear
+ * @param {string} options.currentUrl - URL of the current page
  * @returns {string} HTML for navigation bar
  */
-function renderNavBar({ workspaces = [], activeWorkspaceId = null, teams = [], selectedTeamId = null }) {
+function renderNavBar({ workspaces = [], activeWorkspaceId = null, teams = [], selectedTeamId = null, selectedProjectStates = ['started'], viewer = null, mine = false, sort = DEFAULT_SORT, groupBy = DEFAULT_GROUP_BY, foreignParents = false, stateNames = false, fetchedAt = null, currentUrl = '/' }) {
   const workspaceNavItem = renderWorkspaceNavItem(workspaces, activeWorkspaceId)
   const teamNavItem = renderTeamNavItem(teams, selectedTeamId)
+  const projectStateNavItem = renderProjectStateNavItem(selectedProjectStates)
   const workspaceOptions = renderWorkspaceOptions(workspaces, activeWorkspaceId)
   const teamOptions = renderTeamOptions(teams, selectedTeamId)
+  const projectStateOptions = renderProjectStateOptions(selectedProjectStates)
+  const groupOptions = renderModeOptions('group', GROUP_BY_MODES, groupBy, 'Select grouping')
+  const sortOptions = renderModeOptions('sort', SORT_MODES, sort, 'Select sort order')
 
   return `
   <nav class="nav-bar" aria-label="Main navigation">
     <div class="nav-filters">
       ${workspaceNavItem}
       ${teamNavItem}
+      ${projectStateNavItem}
+      ${renderModeNavItem('group', groupBy)}
+      ${renderModeNavItem('sort', sort)}
+      ${viewer ? renderMineNavItem(mine) : ''}
+      ${renderParentsNavItem(foreignParents)}
+      ${renderStatesNavItem(stateNames)}
+      ${renderSearchNavItem()}
     </div>
     <div class="nav-actions">
+      ${renderRefreshAction(fetchedAt, currentUrl)}
+      <a href="/cycles" class="nav-action">cycles</a>
+      <a href="/graph" class="nav-action">graph</a>
+      <a href="/queues" class="nav-action">queues</a>
       <a href="/fancy" class="nav-action">audit</a>
       <a href="#" class="nav-action reset-view">reset</a>
       <a href="/logout" class="nav-action">logout</a>
     </div>
   </nav>
   ${workspaceOptions}
-  ${teamOptions}`
+  ${teamOptions}
+  ${projectStateOptions}
+  ${groupOptions}
+  ${sortOptions}`
+}
+
+/**
+ * Render the "refresh" nav action (POST form that drops cached data)
+ * Tooltip shows how old the currently displayed data is.
+ */
+function renderRefreshAction(fetchedAt, currentUrl) {
+  const age = fetchedAt ? ` title="Updated ${formatAge(fetchedAt)}"` : ''
+
+  return `<form action="/refresh" method="POST" class="nav-action-form">
+        <input type="hidden" name="returnTo" value="${escapeHtml(currentUrl)}">
+        <button type="submit" class="nav-action refresh-data"${age}>refresh</button>
+      </form>`
 }
 
 /**
@@ -134,6 +250,68 @@ function renderTeamNavItem(teams, selectedTeamId) {
     </div>`
 }
 
+/**
+ * Render project state nav item (the clickable "state: value" text)
+ */
+function renderProjectStateNavItem(selectedProjectStates) {
+  const displayValue = selectedProjectStates.length === PROJECT_STATES.length
+    ? 'all'
+    : selectedProjectStates.join(', ')
+
+  return `<div class="nav-item" data-selector="project-state">
+      <span class="nav-label">state:</span>
+      <button class="nav-value" id="project-state-toggle" aria-expanded="false" aria-haspopup="listbox" aria-controls="project-state-options">${escapeHtml(displayValue)}</button>
+    </div>`
+}
+
+/**
+ * Render a single-choice mode nav item (the clickable "group: value" / "sort: value" text)
+ */
+function renderModeNavItem(name, selected) {
+  return `<div class="nav-item" data-selector="${name}">
+      <span class="nav-label">${name}:</span>
+      <button class="nav-value" id="${name}-toggle" aria-expanded="false" aria-haspopup="listbox" aria-controls="${name}-options">${escapeHtml(selected)}</button>
+    </div>`
+}
+
+/**
+ * Render the "mine" toggle (only the viewer's issues, with their parents as context)
+ */
+function renderMineNavItem(mine) {
+  return `<div class="nav-item" data-selector="mine">
+      <button class="nav-value" id="mine-toggle" aria-pressed="${mine}"><span class="option-marker">${mine ? '■' : '□'}</span> mine</button>
+    </div>`
+}
+
+/**
+ * Render the "parents" toggle (parents from other projects shown as greyed context nodes)
+ */
+function renderParentsNavItem(foreignParents) {
+  return `<div class="nav-item" data-selector="parents">
+      <button class="nav-value" id="parents-toggle" aria-pressed="${foreignParents}"><span class="option-marker">${foreignParents ? '■' : '□'}</span> parents</button>
+    </div>`
+}
+
+/**
+ * Render the "states" toggle (workflow state names as badges, In Progress split by state)
+ */
+function renderStatesNavItem(stateNames) {
+  return `<div class="nav-item" data-selector="states">
+      <button class="nav-value" id="states-toggle" aria-pressed="${stateNames}"><span class="option-marker">${stateNames ? '■' : '□'}</span> states</button>
+    </div>`
+}
+
+/**
+ * Render search nav item (filters the rendered tree as you type, see public/app.js)
+ */
+function renderSearchNavItem() {
+  return `<div class="nav-item" data-selector="search">
+      <label class="nav-label" for="tree-search">search:</label>
+      <input type="search" class="nav-search" id="tree-search" placeholder="text, assignee:me, label:bug, due:&lt;7d" autocomplete="off" spellcheck="false">
+      <span class="nav-search-count" aria-live="polite"></span>
+    </div>`
+}
+
 /**
  * Render workspace options panel (appears when workspace toggle is clicked)
  * Each workspace on its own row. Current workspace row includes "remove".
@@ -218,16 +396,110 @@ function renderTeamOptions(teams, selectedTeamId) {
   </div>`
 }
 
+/**
+ * Render project state options panel (appears when state toggle is clicked)
+ * Multi-select: each state toggles on/off, at least one stays selected.
+ */
+function renderProjectStateOptions(selectedProjectStates) {
+  const optionsHtml = PROJECT_STATES.map((state, index) => {
+    const isSelected = selectedProjectStates.includes(state)
+    const marker = isSelected ? '■' : '□'
+    const selectedClass = isSelected ? ' selected' : ''
+    const prefix = index === PROJECT_STATES.length - 1 ? '└─' : '├─'
+
+    return `<div class="nav-options-row">
+      <span class="option-prefix">${prefix}</span>
+      <button class="nav-option${selectedClass}" role="option" aria-selected="${isSelected}" data-project-state="${state}">
+        <span class="option-marker">${marker}</span> ${state}
+      </button>
+    </div>`
+  }).join('\n    ')
+
+  return `
+  <div class="nav-options-panel hidden" id="project-state-options" role="listbox" aria-multiselectable="true" aria-label="Select project states">
+    ${optionsHtml}
+  </div>`
+}
+
+/**
+ * Render a single-choice mode options panel (appears when its toggle is clicked)
+ * Options carry data-{name}="{mode}", e.g. data-sort="due".
+ */
+function renderModeOptions(name, modes, selected, label) {
+  const optionsHtml = modes.map((mode, index) => {
+    const isSelected = mode === selected
+    const marker = isSelected ? '●' : '○'
+    const selectedClass = isSelected ? ' selected' : ''
+    const prefix = index === modes.length - 1 ? '└─' : '├─'
+
+    return `<div class="nav-options-row">
+      <span class="option-prefix">${prefix}</span>
+      <button class="nav-option${selectedClass}" role="option" aria-selected="${isSelected}" data-${name}="${mode}">
+        <span class="option-marker">${marker}</span> ${mode}
+      </button>
+    </div>`
+  }).join('\n    ')
+
+  return `
+  <div class="nav-options-panel hidden" id="${name}-options" role="listbox" aria-label="${label}">
+    ${optionsHtml}
+  </div>`
+}
+
 /**
  * Render the in-progress section with tree structure
  * @param {InProgressTree[]} inProgressTrees - Array of in-progress trees grouped by project
+ * @param {StateDisplay} [stateDisplay] - How issue lines show their workflow state
+ * @param {InProgressTree[]} [blockedTrees] - In-progress issues with open blockers, listed after the others
  * @returns {string} HTML for in-progress section
  */
-function renderInProgressSection(inProgressTrees) {
-  if (!inProgressTrees || inProgressTrees.length === 0) return ''
+function renderInProgressSection(inProgressTrees, stateDisplay = {}, blockedTrees = []) {
+  if ((!inProgressTrees || inProgressTrees.length === 0) && blockedTrees.length === 0) return ''
 
-  // Count total in-progress issues (not ancestor context issues)
-  let totalCount = 0
+  const itemsHtml = renderInProgressTrees(inProgressTrees, stateDisplay)
+
+  // With a Blocked sub-section the items hold two trees instead of being one
+  const itemsContainer = blockedTrees.length > 0
+    ? `<div class="in-progress-items">
+      ${itemsHtml ? `<div class="tree">${itemsHtml}</div>` : ''}
+      ${renderInProgressBlocked(blockedTrees, stateDisplay)}
+    </div>`
+    : `<div class="in-progress-items tree">
+      ${itemsHtml}
+    </div>`
+
+  return `
+  <div class="in-progress-section" role="region" aria-label="In Progress Tasks">
+    <div class="in-progress-header">▼ In Progress</div>
+    ${itemsContainer}
+  </div>`
+}
+
+/**
+ * Render the "Blocked" sub-section of In Progress: started issues whose
+ * blockers are still open
+ * @param {InProgressTree[]} blockedTrees - In-progress trees of the blocked issues
+ * @param {StateDisplay} stateDisplay - How issue lines show their workflow state
+ * @returns {string} HTML for the sub-section (empty string if nothing is blocked)
+ */
+function renderInProgressBlocked(blockedTrees, stateDisplay) {
+  if (blockedTrees.length === 0) return ''
+
+  return `
+      <div class="in-progress-blocked">
+        <div class="in-progress-blocked-header">⛔ Blocked <span class="in-progress-state-count">${countInProgressIssues(blockedTrees)}</span></div>
+        <div class="tree">
+          ${renderInProgressTrees(blockedTrees, stateDisplay)}
+        </div>
+      </div>`
+}
+
+/**
+ * Count the in-progress issues of in-progress trees (not ancestor context issues)
+ * @param {InProgressTree[]} inProgressTrees - Array of in-progress trees grouped by project
+ * @returns {number} In-progress issues
+ */
+function countInProgressIssues(inProgressTrees) {
   function countInProgress(node) {
     let count = node.isInProgress ? 1 : 0
     for (const child of node.children) {
@@ -235,37 +507,72 @@ function renderInProgressSection(inProgressTrees) {
     }
     return count
   }
+
+  let totalCount = 0
   for (const { roots } of inProgressTrees) {
     for (const root of roots) {
       totalCount += countInProgress(root)
     }
   }
+  return totalCount
+}
 
-  // Render trees grouped by project
-  const itemsHtml = inProgressTrees.map(({ projectName, roots }) => {
-    return roots
-      .map(node => renderNode(node, 'in-progress-root', {
-        section: 'in-progress',
-        projectName
-      }))
-      .join('\n')
-  }).join('\n')
+/**
+ * Render the in-progress section split by workflow state, each state with
+ * a header and its own tree
+ * @param {InProgressStateGroup[]} stateGroups - In-progress issues by state
+ * @param {StateDisplay} stateDisplay - How issue lines show their workflow state
+ * @param {InProgressTree[]} [blockedTrees] - In-progress issues with open blockers, listed after the states
+ * @returns {string} HTML for in-progress section
+ */
+function renderInProgressStateSection(stateGroups, stateDisplay, blockedTrees = []) {
+  if (stateGroups.length === 0 && blockedTrees.length === 0) return ''
+
+  const groupsHtml = stateGroups.map(({ stateName, count, trees }) => `
+      <div class="in-progress-state" data-state-name="${escapeHtml(stateName)}">
+        <div class="in-progress-state-header">${escapeHtml(stateName)} <span class="in-progress-state-count">${count}</span></div>
+        <div class="tree">
+          ${renderInProgressTrees(trees, stateDisplay)}
+        </div>
+      </div>`).join('')
 
   return `
   <div class="in-progress-section" role="region" aria-label="In Progress Tasks">
     <div class="in-progress-header">▼ In Progress</div>
-    <div class="in-progress-items tree">
-      ${itemsHtml}
+    <div class="in-progress-items">
+      ${groupsHtml}
+      ${renderInProgressBlocked(blockedTrees, stateDisplay)}
     </div>
   </div>`
 }
 
+/**
+ * Render in-progress trees grouped by project
+ * @param {InProgressTree[]} inProgressTrees - Array of in-progress trees grouped by project
+ * @param {StateDisplay} stateDisplay - How issue lines show their workflow state
+ * @returns {string} HTML for the root nodes
+ */
+function renderInProgressTrees(inProgressTrees, stateDisplay) {
+  return inProgressTrees.map(({ projectName, roots }) => {
+    return roots
+      .map(node => renderNode(node, 'in-progress-root', {
+        section: 'in-progress',
+        projectName,
+        stateDisplay
+      }))
+      .join('\n')
+  }).join('\n')
+}
+
 /**
  * Render a single project with its issues
  * @param {ProjectTree} projectTree - Project tree with partitioned issues
+ * @param {GroupLinks} groupLinks - Names of the groups on the page (for links to foreign parents)
+ * @param {StateDisplay} [stateDisplay] - How issue lines show their workflow state
  * @returns {string} HTML for project section
  */
-function renderProject({ project, incomplete, completed, completedCount }) {
+function renderProject({ project, incomplete, completed, completedCount, canceled, canceledCount, summary }, groupLinks, stateDisplay = {}) {
+  const summaryHtml = summary ? renderProjectSummary(summary) : ''
   const description = project.content
     ? renderProjectDescription(project.content, project.id)
     : ''
@@ -277,28 +584,19 @@ function renderProject({ project, incomplete, completed, completedCount }) {
     ? `<div class="project-meta${hasDescription ? ' hidden' : ''}"><a href="${project.url}"${projectTarget} class="detail-link">${projectLinkText}</a></div>`
     : ''
 
-  const incompleteHtml = incomplete
-    .map(node => renderNode(node, project.id))
-    .join('\n')
-
-  const completedToggle = completedCount > 0
-    ? `<div class="completed-toggle" data-project-id="${project.id}" data-count="${completedCount}">show ${completedCount} completed</div>`
-    : ''
-
-  const completedHtml = completed.length > 0
-    ? `<div class="tree hidden" data-completed-for="${project.id}">${completed.map(node => renderNode(node, project.id)).join('\n')}</div>`
-    : ''
+  const { incompleteTree, completedHtml, completedToggle } = renderProjectIssues(project.id, { incomplete, completed, completedCount, canceled, canceledCount }, groupLinks, project.id, stateDisplay)
 
   const defaultCollapsed = project.collapsed ? ' data-default-collapsed="true"' : ''
 
-  // Wrap incomplete nodes in .tree container for CSS-based tree lines
-  const incompleteTree = incomplete.length > 0
-    ? `<div class="tree">${incompleteHtml}</div>`
+  // Badge projects that aren't in progress (started projects are the norm)
+  const stateBadge = project.state && project.state !== 'started'
+    ? ` <span class="project-state" data-state="${project.state}">${project.state}</span>`
     : ''
 
   return `
   <div class="project" data-id="${project.id}"${defaultCollapsed}>
-    <div class="project-header">${project.collapsed ? '▶' : '▼'} ${escapeHtml(project.name)}</div>
+    <div class="project-header">${project.collapsed ? '▶' : '▼'} ${escapeHtml(project.name)}${stateBadge}</div>
+    ${summaryHtml}
     ${description}
     ${projectLink}
     ${incompleteTree}
@@ -307,6 +605,105 @@ function renderProject({ project, incomplete, completed, completedCount }) {
   </div>`
 }
 
+/**
+ * Render a project's progress below its header: a bar of issues done, then
+ * issue and point counts, overdue issues, target date and lead
+ * @param {ProjectSummary} summary - Project progress
+ * @returns {string} HTML for the summary line
+ */
+function renderProjectSummary({ done, total, donePoints, totalPoints, percent, overdue, targetDate, lead }) {
+  // Same thresholds as the usage bars on /fancy
+  let fillClass = ''
+  if (percent < 25) fillClass = ' very-low'
+  else if (percent < 50) fillClass = ' low'
+
+  const meta = [`${done}/${total} issues`]
+  if (totalPoints > 0) meta.push(`${donePoints}/${totalPoints} pts`)
+  if (overdue > 0) meta.push(`<span class="summary-overdue">${overdue} overdue</span>`)
+  if (targetDate) meta.push(`target ${formatDate(targetDate)}`)
+  if (lead?.name) meta.push(`lead ${escapeHtml(lead.name)}`)
+
+  return `<div class="project-summary"><span class="summary-bar${fillClass}" aria-label="${percent}% of issues done">${formatProgressBar(percent)}</span> <span class="summary-percent">${percent}%</span> <span class="summary-meta">${meta.join(' · ')}</span></div>`
+}
+
+/**
+ * Draw a progress bar with block characters, e.g. "██████░░░░" for 60%
+ * @param {number} percent - Progress (0-100)
+ * @param {number} [width=20] - Characters in the bar
+ * @returns {string} Bar of filled and empty blocks
+ */
+function formatProgressBar(percent, width = 20) {
+  const filled = Math.round((Math.min(Math.max(percent, 0), 100) / 100) * width)
+  return '█'.repeat(filled) + '░'.repeat(width - filled)
+}
+
+/**
+ * Render the issue trees of a project (or another group): its milestones and
+ * incomplete issues, then the hidden completed and canceled ones with their
+ * "show N completed" and "show N canceled" toggles
+ * @param {string} groupId - Project (group) ID
+ * @param {{incomplete: Array<TreeNode|MilestoneTree>, completed: TreeNode[], completedCount: number, canceled?: TreeNode[], canceledCount?: number}} trees - Partitioned issue trees
+ * @param {GroupLinks} groupLinks - Names of the groups on the page (for links to foreign parents)
+ * @param {string} [completedFor] - ID the completed issues are shown/hidden by (defaults to groupId; canceled ones use "canceled-" + this ID)
+ * @param {StateDisplay} [stateDisplay] - How issue lines show their workflow state
+ * @returns {{incompleteTree: string, completedHtml: string, completedToggle: string}} HTML parts (completedHtml/completedToggle include the canceled ones)
+ */
+function renderProjectIssues(groupId, { incomplete, completed, completedCount, canceled = [], canceledCount = 0 }, groupLinks, completedFor = groupId, stateDisplay = {}) {
+  const nodeOptions = { groupId, groupLinks, stateDisplay }
+  const milestones = incomplete.filter(node => node.isMilestone)
+  const issueNodes = incomplete.filter(node => !node.isMilestone)
+
+  const milestonesHtml = milestones.map(milestoneTree => renderMilestone(groupId, milestoneTree, groupLinks, stateDisplay)).join('\n')
+
+  // Wrap incomplete nodes in .tree container for CSS-based tree lines
+  const incompleteTree = milestonesHtml + (issueNodes.length > 0
+    ? `<div class="tree">${issueNodes.map(node => renderNode(node, groupId, nodeOptions)).join('\n')}</div>`
+    : '')
+
+  // Closed issues are hidden behind a toggle each: completed, then canceled
+  const closedSections = [
+    { id: completedFor, kind: 'completed', nodes: completed, count: completedCount },
+    { id: `canceled-${completedFor}`, kind: 'canceled', nodes: canceled, count: canceledCount }
+  ]
+
+  const completedHtml = closedSections
+    .filter(({ nodes }) => nodes.length > 0)
+    .map(({ id, nodes }) => `<div class="tree hidden" data-completed-for="${id}">${nodes.map(node => renderNode(node, groupId, nodeOptions)).join('\n')}</div>`)
+    .join('')
+
+  const completedToggle = closedSections
+    .filter(({ count }) => count > 0)
+    .map(({ id, kind, count }) => `<div class="completed-toggle" data-project-id="${id}" data-kind="${kind}" data-count="${count}">show ${count} ${kind}</div>`)
+    .join('')
+
+  return { incompleteTree, completedHtml, completedToggle }
+}
+
+/**
+ * Render a project milestone: name, progress and target date, then its
+ * issues with their own "show N completed" toggle
+ * @param {string} groupId - Project the milestone belongs to
+ * @param {MilestoneTree} milestoneTree - Milestone with its partitioned issue trees
+ * @param {GroupLinks} groupLinks - Names of the groups on the page (for links to foreign parents)
+ * @param {StateDisplay} stateDisplay - How issue lines show their workflow state
+ * @returns {string} HTML for the milestone section
+ */
+function renderMilestone(groupId, milestoneTree, groupLinks, stateDisplay) {
+  const { milestone, progress } = milestoneTree
+  const sectionId = `milestone-${milestone.id}`
+  const { incompleteTree, completedHtml, completedToggle } = renderProjectIssues(groupId, milestoneTree, groupLinks, sectionId, stateDisplay)
+
+  const target = milestone.targetDate ? ` · target ${formatDate(milestone.targetDate)}` : ''
+
+  return `
+    <div class="milestone" data-id="${escapeHtml(sectionId)}" data-milestone-id="${escapeHtml(milestone.id)}">
+      <div class="milestone-header">◆ ${escapeHtml(milestone.name || 'Milestone')} <span class="milestone-progress">${progress.done}/${progress.total} done${target}</span></div>
+      ${incompleteTree}
+      ${completedHtml}
+      ${completedToggle}
+    </div>`
+}
+
 /**
  * Render a project description with truncation for long text
  */
@@ -331,6 +728,80 @@ function renderProjectDescription(description, projectId) {
   </div>`
 }
 
+/**
+ * Map an issue's Linear state to its status indicator.
+ * Custom states (e.g. "In Review") keep their type's CSS class, with their
+ * own glyph and their name as label.
+ * @param {Issue} issue - The issue object
+ * @param {StateGlyphs} [stateGlyphs] - Glyphs of each team's custom workflow states
+ * @returns {{stateClass: string, stateChar: string, stateLabel: string}} CSS class / data-status value, glyph, and accessible label
+ */
+export function getIssueStatus(issue, stateGlyphs = {}) {
+  const status = getStateTypeStatus(issue.state?.type || 'unstarted')
+  const glyph = getStateGlyph(stateGlyphs, issue)
+  return glyph ? { ...status, stateChar: glyph, stateLabel: issue.state.name } : status
+}
+
+/**
+ * Default status indicator of a state type
+ * @param {string} stateType - Linear state type
+ * @returns {{stateClass: string, stateChar: string, stateLabel: string}}
+ */
+function getStateTypeStatus(stateType) {
+  if (stateType === 'completed') {
+    return { stateClass: 'done', stateChar: '✓', stateLabel: 'Completed' }
+  }
+  if (stateType === 'canceled') {
+    return { stateClass: 'canceled', stateChar: '✗', stateLabel: 'Canceled' }
+  }
+  if (stateType === 'started') {
+    return { stateClass: 'in-progress', stateChar: '◐', stateLabel: 'In Progress' }
+  }
+  return { stateClass: 'todo', stateChar: '○', stateLabel: 'To Do' }
+}
+
+/**
+ * Names of the groups (projects) rendered on a page
+ * @typedef {Object} GroupLinks
+ * @property {Map<string, string>} names - Group ID → name
+ * @property {string} fallbackName - Shown for groups that aren't on the page
+ */
+
+/**
+ * Get the element ID of an issue's node within a project (group) section,
+ * so links can point at where an issue is listed
+ * @param {string} groupId - Group (project) ID
+ * @param {string} issueId - Issue ID
+ * @returns {string} Element ID
+ */
+function getNodeAnchor(groupId, issueId) {
+  return `issue-${groupId}-${issueId}`
+}
+
+/**
+ * Render a link to an issue listed in another group (project).
+ * Points at its node on the page, or at Linear if its group isn't shown.
+ * @param {{id: string, title: string, url?: string}} issue - Linked issue
+ * @param {string} groupId - Group (project) the issue is listed in
+ * @param {GroupLinks} groupLinks - Names of the groups on the page
+ * @param {function(string): string} renderText - Renders the link text from the group name
+ * @returns {string} HTML for the link
+ */
+function renderGroupLink(issue, groupId, groupLinks, renderText) {
+  const groupName = groupLinks.names.get(groupId)
+  const text = escapeHtml(renderText(groupName || groupLinks.fallbackName))
+  const title = escapeHtml(issue.title)
+
+  const attributes = `class="parent-link" data-linked-id="${issue.id}" title="${title}"`
+
+  if (!groupName) {
+    return issue.url
+      ? `<a ${attributes} href="${issue.url}" target="_blank">${text}</a>`
+      : `<span ${attributes}>${text}</span>`
+  }
+  return `<a ${attributes} href="#${escapeHtml(getNodeAnchor(groupId, issue.id))}">${text}</a>`
+}
+
 /**
  * Render a single issue node and its children recursively
  * @param {TreeNode|InProgressTreeNode} node - The node to render
@@ -338,34 +809,23 @@ function renderProjectDescription(description, projectId) {
  * @param {Object} options - Rendering options
  * @param {'project'|'in-progress'} options.section - Section type
  * @param {string} [options.projectName] - Project name to show in brackets (in-progress only, depth 0)
+ * @param {string} [options.groupId] - Group (project) the node is rendered in (project section only)
+ * @param {GroupLinks} [options.groupLinks] - Names of the groups on the page (project section only)
+ * @param {StateDisplay} [options.stateDisplay] - How the line shows the issue's workflow state
  * @returns {string} HTML string
  */
 function renderNode(node, parentId, options = {}) {
-  const { section = 'project', projectName = null } = options
-  const { issue, children, depth } = node
-
-  // Determine state
-  const stateType = issue.state?.type || 'unstarted'
-  let stateClass, stateChar, stateLabel
-  if (stateType === 'completed' || stateType === 'canceled') {
-    stateClass = 'done'
-    stateChar = '✓'
-    stateLabel = 'Completed'
-  } else if (stateType === 'started') {
-    stateClass = 'in-progress'
-    stateChar = '◐'
-    stateLabel = 'In Progress'
-  } else {
-    stateClass = 'todo'
-    stateChar = '○'
-    stateLabel = 'To Do'
-  }
+  const { section = 'project', projectName = null, groupId = null, groupLinks = null, stateDisplay = {} } = options
+  const { issue, children, depth, foreignParent = null, foreignGroupId = null } = node
+
+  const { stateClass, stateChar, stateLabel } = getIssueStatus(issue, stateDisplay.stateGlyphs)
 
-  const titleClass = stateClass === 'done' ? 'title done' : 'title'
+  const titleClass = stateClass === 'done' || stateClass === 'canceled' ? `title ${stateClass}` : 'title'
   const hasChildren = children.length > 0
 
   // Check if issue has details worth showing
-  const hasDetails = issue.url || issue.description || issue.assignee || issue.estimate || issue.dueDate || issue.completedAt || (issue.labels?.nodes?.length > 0)
+  const hasRelations = issue.relations?.nodes?.length > 0 || issue.inverseRelations?.nodes?.length > 0
+  const hasDetails = issue.url || issue.description || issue.assignee || issue.estimate || issue.dueDate || issue.completedAt || (issue.labels?.nodes?.length > 0) || hasRelations || !!foreignParent
 
   // Show toggle if has children OR details (unified expand/collapse)
   const canExpand = hasChildren || hasDetails
@@ -374,18 +834,40 @@ function renderNode(node, parentId, options = {}) {
     ? `<span class="toggle">▶</span>`
     : ''
 
+  // Open issues waiting on other open issues (blockers are linked in the details)
+  const blockers = stateClass === 'done' || stateClass === 'canceled' ? [] : getOpenBlockers(issue)
+  const blockedMarker = blockers.length > 0
+    ? renderBlockedMarker(blockers)
+    : ''
+
+  // Actual workflow state name (e.g. "In Review"), when the "states" toggle is on
+  const stateNameBadge = stateDisplay.stateNames && issue.state?.name
+    ? `<span class="state-name" data-status="${stateClass}">${escapeHtml(issue.state.name)}</span>`
+    : ''
+
   // Project name badge for in-progress section (only at depth 0)
   const projectBadge = (section === 'in-progress' && depth === 0 && projectName)
     ? `<span class="in-progress-project">(${escapeHtml(projectName)})</span>`
     : ''
 
+  // Breadcrumb to a parent listed in another project, or where a greyed
+  // context parent is listed itself
+  const groupLink = foreignParent
+    ? renderGroupLink(foreignParent, foreignParent.groupId, groupLinks, name => `↗ parent in ${name}`)
+    : foreignGroupId
+      ? renderGroupLink(issue, foreignGroupId, groupLinks, name => `↗ in ${name}`)
+      : ''
+
   // Child tasks (depth > 0) start hidden - hidden class now on .node wrapper
   const isChildTask = depth > 0
-  const lineClasses = ['line', canExpand && 'expandable', hasChildren && 'has-children'].filter(Boolean).join(' ')
-  const line = `<div class="${lineClasses}" data-id="${issue.id}" data-parent="${parentId}" data-depth="${depth}" data-section="${section}" style="--depth: ${depth}"><span class="state ${stateClass}" data-status="${stateClass}" aria-label="Status: ${stateLabel}">${stateChar}</span><span class="${titleClass}">${escapeHtml(issue.title)}</span>${projectBadge}${toggle}</div>`
+  const lineClasses = ['line', canExpand && 'expandable', hasChildren && 'has-children', node.isContext && 'context', foreignGroupId && 'foreign'].filter(Boolean).join(' ')
+  const line = `<div class="${lineClasses}" data-id="${issue.id}" data-parent="${parentId}" data-depth="${depth}" data-section="${section}"${renderSearchAttributes(issue)} style="--depth: ${depth}"><span class="state ${stateClass}" data-status="${stateClass}" aria-label="Status: ${stateLabel}">${stateChar}</span><span class="${titleClass}">${escapeHtml(issue.title)}</span>${blockedMarker}${stateNameBadge}${projectBadge}${groupLink}${toggle}</div>`
 
   // Render details section
-  const details = hasDetails ? renderDetails(issue, depth, section) : ''
+  const parentLine = foreignParent
+    ? `<div class="detail-line detail-parent"><span class="detail-meta">parent: </span>${renderGroupLink(foreignParent, foreignParent.groupId, groupLinks, () => foreignParent.title)}</div>`
+    : ''
+  const details = hasDetails ? renderDetails(issue, depth, section, parentLine) : ''
 
   // Render children
   const childrenHtml = children
@@ -399,17 +881,74 @@ function renderNode(node, parentId, options = {}) {
 
   const nodeClasses = ['node', isChildTask && 'hidden'].filter(Boolean).join(' ')
 
-  return `<div class="${nodeClasses}" data-id="${issue.id}">${line}${details}${childrenWrapper}</div>`
+  // Anchor for links from other projects (foreign context copies aren't linked to)
+  const anchor = groupId && !foreignGroupId ? ` id="${escapeHtml(getNodeAnchor(groupId, issue.id))}"` : ''
+
+  return `<div class="${nodeClasses}"${anchor} data-id="${issue.id}">${line}${details}${childrenWrapper}</div>`
+}
+
+/**
+ * Render the ⛔ marker of a blocked issue
+ * @param {RelatedIssue[]} blockers - Open issues blocking it
+ * @returns {string} HTML for the marker
+ */
+function renderBlockedMarker(blockers) {
+  const label = escapeHtml(`Blocked by ${blockers.map(formatRelatedIssue).join(', ')}`)
+  const ids = escapeHtml(blockers.map(blocker => blocker.id).join(' '))
+  return `<span class="blocked-marker" data-blocked-by="${ids}" title="${label}" aria-label="${label}">⛔</span>`
+}
+
+/**
+ * Format a related issue as "ENG-42 Title" (or just the title without an identifier)
+ * @param {RelatedIssue} related - Other end of a relation
+ * @returns {string} Plain text
+ */
+function formatRelatedIssue(related) {
+  return [related.identifier, related.title].filter(Boolean).join(' ') || related.id
+}
+
+/**
+ * Render the data attributes client-side search matches against
+ * (title is read from the line itself)
+ * @param {Issue} issue - The issue object
+ * @returns {string} Attributes, each with a leading space
+ */
+function renderSearchAttributes(issue) {
+  const labels = issue.labels?.nodes?.map(l => l.name) || []
+
+  return [
+    issue.state?.type && `data-state-type="${escapeHtml(issue.state.type)}"`,
+    issue.state?.name && `data-state-name="${escapeHtml(issue.state.name)}"`,
+    issue.assignee?.id && `data-assignee-id="${escapeHtml(issue.assignee.id)}"`,
+    issue.assignee?.name && `data-assignee="${escapeHtml(issue.assignee.name)}"`,
+    labels.length > 0 && `data-labels="${escapeHtml(JSON.stringify(labels))}"`,
+    issue.dueDate && `data-due="${escapeHtml(issue.dueDate)}"`,
+    issue.description && `data-description="${escapeHtml(issue.description)}"`
+  ].filter(Boolean).map(attr => ` ${attr}`).join('')
 }
 
 /**
  * Render the details section for an issue
  * @param {Issue} issue - The issue object
  * @param {number} depth - Nesting depth
- * @param {'project'|'in-progress'} section - Section type
+ * @param {'project'|'in-progress'|'graph'} section - Section type
+ * @param {string} [parentLine] - HTML for the link to a parent in another project
  * @returns {string} HTML for details section (empty string if no details)
  */
-function renderDetails(issue, depth, section = 'project') {
+function renderDetails(issue, depth, section = 'project', parentLine = '') {
+  const linesHtml = parentLine + renderDetailLines(issue)
+  if (!linesHtml) return ''
+
+  return `<div class="details hidden" data-details-for="${issue.id}" data-section="${section}" style="--depth: ${depth}">${linesHtml}</div>`
+}
+
+/**
+ * Render the contents of an issue's details panel (description, metadata, link).
+ * Also used by live updates to replace the contents of an existing panel.
+ * @param {Issue} issue - The issue object
+ * @returns {string} HTML for the detail lines (empty string if no details)
+ */
+export function renderDetailLines(issue) {
   const lines = []
 
   // Description (can be multiple lines)
@@ -443,15 +982,47 @@ function renderDetails(issue, depth, section = 'project') {
     lines.push(`<div class="detail-line"><span class="detail-meta">${meta.join(' · ')}</span></div>`)
   }
 
+  lines.push(renderRelationLines(issue))
+
   if (issue.url) {
     const linkText = issue.linkText || 'View in Linear →'
     const target = issue.sameTab ? '' : ' target="_blank"'
     lines.push(`<div class="detail-line"><a href="${issue.url}"${target} class="detail-link">${linkText}</a></div>`)
   }
 
-  if (lines.length === 0) return ''
+  return lines.join('')
+}
 
-  return `<div class="details hidden" data-details-for="${issue.id}" data-section="${section}" style="--depth: ${depth}">${lines.join('')}</div>`
+/**
+ * Render an issue's relations, one detail line per kind: "blocked by: ENG-1 Title, ..."
+ * Closed related issues are struck through. Links open the issue in Linear.
+ * @param {Issue} issue - The issue object
+ * @returns {string} HTML for the relation lines (empty string if it has none)
+ */
+function renderRelationLines(issue) {
+  const { blockedBy, blocks, duplicateOf, duplicatedBy, related } = getIssueRelations(issue)
+  const kinds = [
+    ['blocked-by', 'blocked by', blockedBy],
+    ['blocks', 'blocks', blocks],
+    ['duplicate-of', 'duplicate of', duplicateOf],
+    ['duplicated-by', 'duplicated by', duplicatedBy],
+    ['related', 'related', related]
+  ]
+
+  return kinds
+    .filter(([, , issues]) => issues.length > 0)
+    .map(([kind, label, issues]) => {
+      const links = issues.map(relatedIssue => {
+        const state = relatedIssue.state?.type
+        const classes = ['relation-link', (state === 'completed' || state === 'canceled') && 'closed'].filter(Boolean).join(' ')
+        const text = escapeHtml(formatRelatedIssue(relatedIssue))
+        return relatedIssue.url
+          ? `<a class="${classes}" data-linked-id="${escapeHtml(relatedIssue.id)}" href="${escapeHtml(relatedIssue.url)}" target="_blank">${text}</a>`
+          : `<span class="${classes}" data-linked-id="${escapeHtml(relatedIssue.id)}">${text}</span>`
+      })
+      return `<div class="detail-line detail-relation" data-relation="${kind}"><span class="detail-meta">${label}: </span>${links.join(', ')}</div>`
+    })
+    .join('')
 }
 
 /**
@@ -464,6 +1035,19 @@ function formatDate(dateStr) {
   return `${months[date.getMonth()]} ${date.getDate()}`
 }
 
+/**
+ * Format how long ago a timestamp was (e.g. "just now", "5m ago", "2h ago")
+ */
+function formatAge(timestamp) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000))
+  if (seconds < 60) return 'just now'
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes}m ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return `${hours}h ago`
+  return `${Math.round(hours / 24)}d ago`
+}
+
 /**
  * Escape HTML special characters
  */
@@ -477,6 +1061,379 @@ function escapeHtml(str) {
     .replace(/'/g, '&#039;')
 }
 
+// =============================================================================
+// Cycles Page
+// =============================================================================
+
+/**
+ * Render the /cycles page: each team's current, next and previous cycle with
+ * a burn-up chart and its issues as a tree (laid out like projects on `/`)
+ * @param {CycleTree[]} cycleTrees - Cycles with their issue trees, in display order
+ * @param {string} organizationName - The Linear organization name
+ * @param {Object} options - Page settings
+ * @param {Team[]} [options.teams] - Array of teams for the team selector
+ * @param {string|null} [options.selectedTeamId] - Currently selected team ID
+ * @param {string} [options.sort] - Sort mode of the issues (see SORT_MODES)
+ * @param {StateGlyphs} [options.stateGlyphs] - Glyphs of each team's custom workflow states
+ * @param {Workspace[]} [options.workspaces] - Array of connected workspaces
+ * @param {string|null} [options.activeWorkspaceId] - Currently active workspace ID
+ * @param {Date|string|null} [options.fetchedAt] - When the data was fetched from Linear
+ * @param {string} [options.currentUrl] - URL of the current page (refresh action returns here)
+ * @returns {string} Full HTML document
+ */
+export function renderCyclesPage(cycleTrees, organizationName = 'Projects', options = {}) {
+  const { teams = [], selectedTeamId = null, sort = DEFAULT_SORT, stateGlyphs = {}, workspaces = [], activeWorkspaceId = null, fetchedAt = null, currentUrl = '/cycles' } = options
+
+  const groupLinks = {
+    names: new Map(cycleTrees.map(({ groupId, cycle, name }) => [groupId, `${cycle.team?.name || 'Unknown team'} › ${name}`])),
+    fallbackName: 'another cycle'
+  }
+  const cyclesHtml = cycleTrees.length > 0
+    ? cycleTrees.map(cycleTree => renderCycle(cycleTree, groupLinks, { stateGlyphs })).join('\n')
+    : '<div class="project-description">No current, next or previous cycles. Cycles may be turned off for this team in Linear.</div>'
+
+  // Issue lines live-update like the cycle grouping on `/` (see getIssueGroupIds in public/app.js)
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Cycles</title>
+  <link rel="icon" type="image/svg+xml" href="data:image/svg+xml;base64,${FAVICON_BASE64}">
+  <link rel="stylesheet" href="/style.css">
+</head>
+<body data-group-by="cycle"${renderStateGlyphsAttribute(stateGlyphs)}>
+  <nav class="nav-bar" aria-label="Main navigation">
+    <div class="nav-filters">
+      ${renderWorkspaceNavItem(workspaces, activeWorkspaceId)}
+      ${renderTeamNavItem(teams, selectedTeamId)}
+      ${renderModeNavItem('sort', sort)}
+      ${renderSearchNavItem()}
+    </div>
+    <div class="nav-actions">
+      ${renderRefreshAction(fetchedAt, currentUrl)}
+      <a href="/" class="nav-action">← projects</a>
+      <a href="/graph" class="nav-action">graph</a>
+      <a href="/queues" class="nav-action">queues</a>
+      <a href="#" class="nav-action reset-view">reset</a>
+      <a href="/logout" class="nav-action">logout</a>
+    </div>
+  </nav>
+  ${renderWorkspaceOptions(workspaces, activeWorkspaceId)}
+  ${renderTeamOptions(teams, selectedTeamId)}
+  ${renderModeOptions('sort', SORT_MODES, sort, 'Select sort order')}
+  <header>
+    <h1>${escapeHtml(organizationName)} cycles</h1>
+  </header>
+  <main>
+    <section role="region" aria-label="Cycles">
+      ${cyclesHtml}
+    </section>
+  </main>
+  ${renderKeyboardHelp()}
+  <script src="/app.js"></script>
+</body>
+</html>`
+}
+
+/**
+ * Render a single cycle: dates, progress and burn-up chart, then its issues
+ * @param {CycleTree} cycleTree - Cycle with its partitioned issue trees
+ * @param {GroupLinks} groupLinks - Names of the cycles on the page (for links to foreign parents)
+ * @param {StateDisplay} stateDisplay - How issue lines show their workflow state
+ * @returns {string} HTML for the cycle section
+ */
+function renderCycle({ cycle, groupId, name, kind, incomplete, completed, completedCount, canceled, canceledCount, burnUp }, groupLinks, stateDisplay) {
+  const { incompleteTree, completedHtml, completedToggle } = renderProjectIssues(groupId, { incomplete, completed, completedCount, canceled, canceledCount }, groupLinks, groupId, stateDisplay)
+
+  const lastDay = burnUp.days[burnUp.days.length - 1].date
+  const summary = `${formatDate(cycle.startsAt)} – ${formatDate(lastDay)} · ${burnUp.done}/${burnUp.scope} done`
+
+  // Next cycles haven't started, so there's nothing to chart yet
+  const chart = kind !== 'next'
+    ? `<pre class="burn-up" aria-label="Burn-up: ${burnUp.done} of ${burnUp.scope} issues done">${escapeHtml(formatBurnUpChart(burnUp))}</pre>`
+    : ''
+
+  return `
+  <div class="project cycle" data-id="${groupId}" data-kind="${kind}">
+    <div class="project-header">▼ ${escapeHtml(cycle.team?.name || 'Unknown team')} › ${escapeHtml(name)} <span class="project-state" data-state="${kind}">${kind}</span></div>
+    <div class="project-description cycle-summary">${summary}${chart}</div>
+    ${incompleteTree}
+    ${completedHtml}
+    ${completedToggle}
+  </div>`
+}
+
+// =============================================================================
+// Graph Page
+// =============================================================================
+
+// Characters of "ENG-42 Title" that fit in a node box (the full title is in its tooltip)
+const GRAPH_LABEL_LENGTH = 28
+
+/**
+ * Render the /graph page: a project's issues as a directed graph (SVG) with
+ * parent → sub-issue and blocker → blocked edges, the critical path
+ * highlighted, and a panel showing the selected issue's details
+ * (see public/graph.js)
+ * @param {IssueGraph|null} graph - Laid out graph of the selected project (null without projects)
+ * @param {Project[]} projects - Projects to pick from, in display order
+ * @param {string} organizationName - The Linear organization name
+ * @param {Object} options - Page settings
+ * @param {Project|null} [options.selectedProject] - Project the graph shows
+ * @param {string|null} [options.selectedTeamId] - Team the data is filtered by (kept in project links)
+ * @param {StateGlyphs} [options.stateGlyphs] - Glyphs of each team's custom workflow states
+ * @param {Date|string|null} [options.fetchedAt] - When the data was fetched from Linear
+ * @param {string} [options.currentUrl] - URL of the current page (refresh action returns here)
+ * @returns {string} Full HTML document
+ */
+export function renderGraphPage(graph, projects, organizationName = 'Projects', options = {}) {
+  const { selectedProject = null, selectedTeamId = null, stateGlyphs = {}, fetchedAt = null, currentUrl = '/graph' } = options
+
+  const projectLinks = projects.map(project => {
+    const params = new URLSearchParams({ project: project.id })
+    if (selectedTeamId) params.set('team', selectedTeamId)
+    const current = project.id === selectedProject?.id ? ' aria-current="page"' : ''
+    return `<a href="/graph?${escapeHtml(params.toString())}" class="graph-project-link"${current}>${escapeHtml(project.name)}</a>`
+  }).join('\n      ')
+
+  const graphHtml = !graph
+    ? '<div class="project-description">No open projects to draw.</div>'
+    : graph.nodes.length === 0
+      ? '<div class="project-description">This project has no issues yet.</div>'
+      : renderGraph(graph, selectedProject, stateGlyphs)
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Graph${selectedProject ? ` - ${escapeHtml(selectedProject.name)}` : ''}</title>
+  <link rel="icon" type="image/svg+xml" href="data:image/svg+xml;base64,${FAVICON_BASE64}">
+  <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+  <nav class="nav-bar" aria-label="Main navigation">
+    <div class="nav-filters"></div>
+    <div class="nav-actions">
+      ${renderRefreshAction(fetchedAt, currentUrl)}
+      <a href="/" class="nav-action">← projects</a>
+      <a href="/cycles" class="nav-action">cycles</a>
+      <a href="/queues" class="nav-action">queues</a>
+      <a href="/logout" class="nav-action">logout</a>
+    </div>
+  </nav>
+  <header>
+    <h1>${escapeHtml(organizationName)} graph${selectedProject ? ` › ${escapeHtml(selectedProject.name)}` : ''}</h1>
+  </header>
+  <nav class="graph-projects" aria-label="Projects">
+      ${projectLinks}
+  </nav>
+  <main>
+    ${graphHtml}
+  </main>
+  <script src="/graph.js"></script>
+</body>
+</html>`
+}
+
+/**
+ * Render the graph of a project: summary and legend, the SVG drawing and
+ * the (initially hidden) details of each issue
+ * @param {IssueGraph} graph - Laid out graph
+ * @param {Project} project - Project the graph shows
+ * @param {StateGlyphs} stateGlyphs - Glyphs of each team's custom workflow states
+ * @returns {string} HTML for the graph section
+ */
+function renderGraph({ nodes, edges, criticalPath, width, height }, project, stateGlyphs) {
+  const issueMap = new Map(nodes.map(node => [node.id, node.issue]))
+  const blockingCount = edges.filter(edge => edge.kind === 'blocks').length
+  const pathText = criticalPath.length > 0
+    ? `critical path: ${criticalPath.map(id => escapeHtml(issueMap.get(id).identifier || issueMap.get(id).title)).join(' → ')}`
+    : 'no open blocked chains'
+  const summary = `${nodes.length} ${nodes.length === 1 ? 'issue' : 'issues'} · ${blockingCount} blocking · ${pathText}`
+
+  const edgesHtml = edges.map(({ from, to, kind, critical, points: { x1, y1, x2, y2 } }) => {
+    const bend = Math.max(Math.abs(x2 - x1) / 2, 20)
+    const classes = ['graph-edge', critical && 'critical'].filter(Boolean).join(' ')
+    const marker = critical ? 'critical' : kind
+    return `<path class="${classes}" data-kind="${kind}" data-from="${escapeHtml(from)}" data-to="${escapeHtml(to)}" d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" marker-end="url(#graph-arrow-${marker})"/>`
+  }).join('\n        ')
+
+  const nodesHtml = nodes.map(({ id, issue, x, y, critical }) => {
+    const { stateClass, stateChar, stateLabel } = getIssueStatus(issue, stateGlyphs)
+    const fullLabel = formatRelatedIssue(issue)
+    const label = fullLabel.length > GRAPH_LABEL_LENGTH ? `${fullLabel.slice(0, GRAPH_LABEL_LENGTH - 1)}…` : fullLabel
+    const classes = ['graph-node', critical && 'critical'].filter(Boolean).join(' ')
+    return `<g class="${classes}" data-id="${escapeHtml(id)}" data-status="${stateClass}" transform="translate(${x} ${y})" tabindex="0" role="button" aria-pressed="false" aria-label="${escapeHtml(`${fullLabel}, ${stateLabel}`)}">
+          <title>${escapeHtml(`${fullLabel} (${stateLabel})`)}</title>
+          <rect class="graph-node-box" width="${GRAPH_LAYOUT.nodeWidth}" height="${GRAPH_LAYOUT.nodeHeight}" rx="4"/>
+          <text x="10" y="${GRAPH_LAYOUT.nodeHeight / 2}" dominant-baseline="central"><tspan class="graph-node-state">${stateChar}</tspan> ${escapeHtml(label)}</text>
+        </g>`
+  }).join('\n        ')
+
+  // Same details as the issue's line on `/`, shown in the side panel when its node is selected
+  const detailsHtml = nodes.map(({ id, issue }) => {
+    const { stateClass, stateChar, stateLabel } = getIssueStatus(issue, stateGlyphs)
+    const titleClass = stateClass === 'done' || stateClass === 'canceled' ? `title ${stateClass}` : 'title'
+    const line = `<div class="line" data-id="${escapeHtml(id)}"><span class="state ${stateClass}" data-status="${stateClass}" aria-label="Status: ${stateLabel}">${stateChar}</span><span class="${titleClass}">${escapeHtml(formatRelatedIssue(issue))}</span><span class="state-name" data-status="${stateClass}">${escapeHtml(issue.state?.name || stateLabel)}</span></div>`
+    return `<div class="graph-issue hidden" data-issue-id="${escapeHtml(id)}">${line}${renderDetails(issue, 0, 'graph')}</div>`
+  }).join('\n      ')
+
+  return `<section class="graph" role="region" aria-label="Dependency graph of ${escapeHtml(project.name)}">
+    <div class="project-description graph-summary">${summary}</div>
+    <div class="graph-legend" aria-hidden="true"><span class="graph-legend-parent">parent → sub-issue</span> <span class="graph-legend-blocks">blocker → blocked</span> <span class="graph-legend-critical">critical path</span></div>
+    <div class="graph-canvas">
+      <svg class="issue-graph" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="group" aria-label="Issues">
+        <defs>
+          ${['parent', 'blocks', 'critical'].map(kind => `<marker id="graph-arrow-${kind}" class="graph-arrow ${kind}" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 8 4 L 0 8 z"/></marker>`).join('\n          ')}
+        </defs>
+        ${edgesHtml}
+        ${nodesHtml}
+      </svg>
+    </div>
+    <aside class="graph-details" aria-label="Issue details" aria-live="polite">
+      <div class="graph-details-empty detail-meta">Select an issue to see its details.</div>
+      ${detailsHtml}
+    </aside>
+  </section>`
+}
+
+// =============================================================================
+// Queues Page
+// =============================================================================
+
+/**
+ * Render the /queues page: the workspace's issues in one column per queue,
+ * with issues the queue config places in several queues or in none
+ * highlighted as config problems
+ * @param {import('./queue-board.js').QueueBoard} board - Issues by queue
+ * @param {string} organizationName - The Linear organization name
+ * @param {Object} options - Page settings
+ * @param {boolean} [options.isDefaultConfig] - The workspace uses the default queues
+ * @param {StateGlyphs} [options.stateGlyphs] - Glyphs of each team's custom workflow states
+ * @param {Date|string|null} [options.fetchedAt] - When the data was fetched from Linear
+ * @param {string} [options.currentUrl] - URL of the current page (refresh action returns here)
+ * @returns {string} Full HTML document
+ */
+export function renderQueuesPage(board, organizationName = 'Projects', options = {}) {
+  const { isDefaultConfig = true, stateGlyphs = {}, fetchedAt = null, currentUrl = '/queues' } = options
+  const { columns, unqueued, issueCount, overlapCount } = board
+
+  const problems = [
+    overlapCount > 0 && `<span class="queue-problem-count">${overlapCount} in several queues</span>`,
+    unqueued.length > 0 && `<span class="queue-problem-count">${unqueued.length} in no queue</span>`
+  ].filter(Boolean)
+  const summary = [
+    `${issueCount} ${issueCount === 1 ? 'issue' : 'issues'}`,
+    ...(problems.length > 0 ? problems : ['every issue in one queue'])
+  ].join(' · ')
+  const configLink = `<a href="/fancy" class="queue-config-link">${isDefaultConfig ? 'default queues' : 'workspace queues'} · edit in audit →</a>`
+
+  const columnsHtml = columns.map(({ queue, cards }) => renderQueueColumn(queue.name, queue.description, cards, stateGlyphs))
+  if (unqueued.length > 0) {
+    columnsHtml.push(renderQueueColumn(null, 'Open issues the queue config puts in no queue', unqueued, stateGlyphs))
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Queues</title>
+  <link rel="icon" type="image/svg+xml" href="data:image/svg+xml;base64,${FAVICON_BASE64}">
+  <link rel="stylesheet" href="/style.css">
+</head>
+<body>
+  <nav class="nav-bar" aria-label="Main navigation">
+    <div class="nav-filters"></div>
+    <div class="nav-actions">
+      ${renderRefreshAction(fetchedAt, currentUrl)}
+      <a href="/" class="nav-action">← projects</a>
+      <a href="/cycles" class="nav-action">cycles</a>
+      <a href="/graph" class="nav-action">graph</a>
+      <a href="/logout" class="nav-action">logout</a>
+    </div>
+  </nav>
+  <header>
+    <h1>${escapeHtml(organizationName)} queues</h1>
+  </header>
+  <main>
+    <div class="project-description queue-board-summary">${summary} · ${configLink}</div>
+    <div class="queue-board" role="region" aria-label="Queues">
+      ${columnsHtml.join('\n      ')}
+    </div>
+  </main>
+</body>
+</html>`
+}
+
+/**
+ * Render a column of the queue board
+ * @param {string|null} name - Queue name (null for the column of issues in no queue)
+ * @param {string} description - What the queue is for
+ * @param {import('./queue-board.js').QueueCard[]} cards - Issues in the column
+ * @param {StateGlyphs} stateGlyphs - Glyphs of each team's custom workflow states
+ * @returns {string} HTML for the column
+ */
+function renderQueueColumn(name, description, cards, stateGlyphs) {
+  const title = name ?? 'No queue'
+  const classes = ['queue-column', !name && 'unqueued'].filter(Boolean).join(' ')
+  const cardsHtml = cards.length > 0
+    ? cards.map(card => renderQueueCard(card, name, stateGlyphs)).join('\n        ')
+    : '<li class="queue-empty">empty</li>'
+
+  return `<section class="${classes}"${name ? ` data-queue="${escapeHtml(name)}"` : ''} aria-label="${escapeHtml(title)}">
+      <h2 class="queue-column-header">${escapeHtml(title)} <span class="queue-column-count">${cards.length}</span></h2>
+      ${description ? `<div class="queue-column-description">${escapeHtml(description)}</div>` : ''}
+      <ul class="queue-cards">
+        ${cardsHtml}
+      </ul>
+    </section>`
+}
+
+/**
+ * Render an issue's card: status and title, then assignee, estimate and
+ * labels, and what's wrong if the config doesn't put it in exactly one queue
+ * @param {import('./queue-board.js').QueueCard} card - The issue and its queues
+ * @param {string|null} column - Queue of the column the card is in (null for no queue)
+ * @param {StateGlyphs} stateGlyphs - Glyphs of each team's custom workflow states
+ * @returns {string} HTML for the card
+ */
+function renderQueueCard({ issue, queues, problem }, column, stateGlyphs) {
+  const { stateClass, stateChar, stateLabel } = getIssueStatus(issue, stateGlyphs)
+  const titleText = escapeHtml(formatRelatedIssue(issue))
+  const title = issue.url
+    ? `<a href="${escapeHtml(issue.url)}" target="_blank" class="queue-card-title">${titleText}</a>`
+    : `<span class="queue-card-title">${titleText}</span>`
+
+  const meta = [
+    `<span class="queue-card-assignee">${escapeHtml(issue.assignee?.name || 'unassigned')}</span>`,
+    issue.estimate ? `<span class="queue-card-estimate">${issue.estimate} pts</span>` : null
+  ].filter(Boolean).join(' · ')
+  const labels = (issue.labels?.nodes || [])
+    .map(label => `<span class="queue-card-label">${escapeHtml(getLabelPath(label))}</span>`)
+    .join(' ')
+
+  const otherQueues = queues.filter(name => name !== column)
+  const problemHtml = problem === 'overlap'
+    ? `<div class="queue-card-problem">also in ${otherQueues.map(escapeHtml).join(', ')}</div>`
+    : problem === 'unqueued'
+      ? '<div class="queue-card-problem">matches no queue</div>'
+      : ''
+
+  const lines = [
+    `<div class="queue-card-line"><span class="state ${stateClass}" data-status="${stateClass}" aria-label="Status: ${escapeHtml(stateLabel)}">${stateChar}</span>${title}</div>`,
+    `<div class="queue-card-meta">${meta}</div>`,
+    labels && `<div class="queue-card-labels">${labels}</div>`,
+    problemHtml
+  ].filter(Boolean)
+
+  return `<li class="queue-card${problem ? ' config-problem' : ''}" data-id="${escapeHtml(issue.id)}"${problem ? ` data-problem="${problem}"` : ''}>
+          ${lines.join('\n          ')}
+        </li>`
+}
+
 /**
  * Render the login page
  * @returns {string} Full HTML document
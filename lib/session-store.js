@@ -101,6 +101,31 @@ export class MongoSessionStore extends session.Store {
       .catch(err => callback?.(err));
   }
 
+  /**
+   * Lists the workspaces stored in unexpired sessions, for work that runs
+   * without a request (such as scheduled audits). Read-only: tokens are only
+   * refreshed by requests of the session's own user.
+   * A workspace signed in from several sessions is listed once, from the
+   * session with the latest token.
+   *
+   * @returns {Promise<Object[]>} Workspaces
+   */
+  async listWorkspaces() {
+    const docs = await this.collection.find({ expires: { $gt: new Date() } }).toArray();
+    const latest = new Map();
+
+    for (const doc of docs) {
+      for (const workspace of doc.session?.workspaces || []) {
+        const current = latest.get(workspace.id);
+        if (!current || workspace.tokenExpiresAt > current.tokenExpiresAt) {
+          latest.set(workspace.id, workspace);
+        }
+      }
+    }
+
+    return [...latest.values()];
+  }
+
   /**
    * Removes all expired sessions from the store.
    * Called periodically (e.g., on OAuth routes) to prevent stale session buildup.
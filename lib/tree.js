@@ -6,21 +6,48 @@
  * Issue object from Linear API or landing.md
  * @typedef {Object} Issue
  * @property {string} id - Unique issue ID
+ * @property {string} [identifier] - Human-readable ID (e.g. "ENG-42")
  * @property {string} title - Issue title
  * @property {string} [description] - Issue description
  * @property {number} [priority] - Priority (1=Urgent, 2=High, 3=Medium, 4=Low, 0=None)
  * @property {number} [estimate] - Point estimate
  * @property {number} [sortOrder] - Sort order within project
  * @property {string} createdAt - ISO date string
+ * @property {string} [updatedAt] - ISO date string
+ * @property {string} [archivedAt] - ISO date string (set for archived/deleted issues)
  * @property {string} [dueDate] - ISO date string
  * @property {string} [completedAt] - ISO date string
  * @property {string} [url] - Link to issue in Linear
  * @property {{id: string}} [parent] - Parent issue reference
  * @property {{id: string}} [project] - Project reference
+ * @property {Milestone} [projectMilestone] - Milestone of the project the issue is planned in
  * @property {{name: string, type: string}} [state] - Issue state (type: started|completed|canceled|unstarted|backlog)
- * @property {{name: string}} [assignee] - Assignee
+ * @property {{id: string, name: string}} [assignee] - Assignee
  * @property {{nodes: Array<{name: string}>}} [labels] - Labels
- * @property {{id: string}} [team] - Team reference
+ * @property {{id: string, name?: string}} [team] - Team reference
+ * @property {{id: string, number?: number, name?: string, startsAt?: string}} [cycle] - Cycle the issue is planned in
+ * @property {{nodes: Array<{id: string, type: string, relatedIssue: RelatedIssue}>}} [relations] - Relations from this issue (e.g. it blocks relatedIssue)
+ * @property {{nodes: Array<{id: string, type: string, issue: RelatedIssue}>}} [inverseRelations] - Relations to this issue (e.g. issue blocks it)
+ */
+
+/**
+ * Other end of an issue relation
+ * @typedef {Object} RelatedIssue
+ * @property {string} id - Issue ID
+ * @property {string} [identifier] - Human-readable ID (e.g. "ENG-42")
+ * @property {string} [title] - Issue title
+ * @property {string} [url] - Link to issue in Linear
+ * @property {{type: string}} [state] - Issue state
+ */
+
+/**
+ * An issue's relations by kind (relation types: blocks, duplicate, related)
+ * @typedef {Object} IssueRelations
+ * @property {RelatedIssue[]} blockedBy - Issues blocking this one
+ * @property {RelatedIssue[]} blocks - Issues this one blocks
+ * @property {RelatedIssue[]} duplicateOf - Issues this one duplicates
+ * @property {RelatedIssue[]} duplicatedBy - Issues duplicating this one
+ * @property {RelatedIssue[]} related - Related issues (either direction)
  */
 
 /**
@@ -31,6 +58,10 @@
  * @property {string} [content] - Project description
  * @property {string} [url] - Link to project in Linear
  * @property {number} sortOrder - Sort order
+ * @property {string} [state] - Project state (started|paused|planned|backlog), see PROJECT_STATES
+ * @property {{nodes: Milestone[]}} [projectMilestones] - Milestones of the project
+ * @property {string} [targetDate] - ISO date string the project is planned to finish by
+ * @property {{id: string, name: string}} [lead] - Project lead
  * @property {boolean} [collapsed] - Default collapsed state (landing page only)
  * @property {string} [linkText] - Custom link text
  * @property {boolean} [sameTab] - Open link in same tab
@@ -42,6 +73,69 @@
  * @property {Issue} issue - The issue data
  * @property {TreeNode[]} children - Child nodes
  * @property {number} depth - Depth in tree (0 = root)
+ * @property {boolean} isContext - Shown only as an ancestor of a matching issue (assignee filter), or as a foreign parent
+ * @property {ForeignParent} [foreignParent] - Root node whose parent issue is listed in another group (project)
+ * @property {string} [foreignGroupId] - Context node standing in for a parent from another group: the group it is listed in
+ */
+
+/**
+ * Project milestone from Linear API
+ * @typedef {Object} Milestone
+ * @property {string} id - Unique milestone ID
+ * @property {string} [name] - Milestone name (missing on references from webhooks)
+ * @property {string} [targetDate] - ISO date string
+ * @property {number} [sortOrder] - Sort order within the project
+ */
+
+/**
+ * Milestone node between a project and its root issues (grouping by project only)
+ * @typedef {Object} MilestoneNode
+ * @property {Milestone} milestone - The milestone
+ * @property {TreeNode[]} children - Root issue trees planned in the milestone (depth 0)
+ * @property {true} isMilestone - Marks the node as a milestone rather than an issue
+ */
+
+/**
+ * Milestone node partitioned like a project tree (see partitionCompleted)
+ * @typedef {Object} MilestoneTree
+ * @property {Milestone} milestone - The milestone
+ * @property {TreeNode[]} children - Root issue trees planned in the milestone
+ * @property {true} isMilestone - Marks the node as a milestone rather than an issue
+ * @property {TreeNode[]} incomplete - Incomplete issue trees
+ * @property {TreeNode[]} completed - Completed issue trees
+ * @property {number} completedCount - Total count of completed issues
+ * @property {TreeNode[]} canceled - Canceled issue trees
+ * @property {number} canceledCount - Total count of issues in canceled trees
+ * @property {{done: number, total: number}} progress - Completed and total issues in the milestone (canceled ones left out)
+ */
+
+/**
+ * Parent issue that lives in another group (project) than its child
+ * @typedef {Object} ForeignParent
+ * @property {string} id - Parent issue ID
+ * @property {string} title - Parent issue title
+ * @property {string} [url] - Parent issue URL in Linear (linked when its group isn't on the page)
+ * @property {string} groupId - Group (project) the parent is listed in
+ */
+
+/**
+ * Options for limiting which issues a forest is built from and how it is ordered
+ * @typedef {Object} ForestOptions
+ * @property {string|null} [assigneeId] - Only include issues assigned to this user (plus their ancestors as context)
+ * @property {string} [sort] - Sort mode for sibling issues (see SORT_MODES, default: 'default')
+ * @property {string} [groupBy] - What the trees are grouped by (see GROUP_BY_MODES, default: 'project')
+ * @property {Set<string>|null} [projectIds] - Only include issues in these projects (and issues without a project)
+ * @property {boolean} [foreignParents] - Show parents from other groups as context nodes instead of only linking to them
+ * @property {string} [stateName] - In-progress forest only: only issues in this started state count as in progress
+ * @property {boolean} [blocked] - In-progress forest only: true counts only issues with open blockers as in progress, false leaves them out
+ */
+
+/**
+ * Group an issue is listed under (a project, assignee, team, cycle, label or priority)
+ * @typedef {Object} IssueGroup
+ * @property {string} id - Group ID (the project ID when grouping by project; prefixed by mode otherwise)
+ * @property {string|null} name - Display name (null for projects, which are named from the project list)
+ * @property {number|string|null} order - Sort key among groups (null sorts last, e.g. "Unassigned")
  */
 
 /**
@@ -51,27 +145,45 @@
  * @property {InProgressTreeNode[]} children - Child nodes
  * @property {number} depth - Depth in tree (0 = root)
  * @property {boolean} isInProgress - Whether this specific issue is in-progress
+ * @property {boolean} isContext - Shown only as an ancestor of a matching issue (assignee filter)
  */
 
 /**
- * Entry in the forest Map for a single project
+ * Entry in the forest Map for a single group (a project by default)
  * @typedef {Object} ForestEntry
- * @property {TreeNode[]} roots - Root nodes of the tree
+ * @property {IssueGroup} group - The group these trees belong to
+ * @property {Array<TreeNode|MilestoneNode>} roots - Root nodes of the tree (milestones first when grouping by project)
  * @property {Map<string, TreeNode>} issueMap - Map of issue ID to node
  */
 
 /**
- * Forest: Map of project ID to tree structure
+ * Forest: Map of group ID (project ID by default) to tree structure
  * @typedef {Map<string, ForestEntry>} Forest
  */
 
 /**
  * Partitioned project tree for rendering
  * @typedef {Object} ProjectTree
- * @property {Project} project - The project
- * @property {TreeNode[]} incomplete - Incomplete issue trees
+ * @property {Project} project - The project (or a stand-in for another group, see buildGroupTrees)
+ * @property {Array<TreeNode|MilestoneTree>} incomplete - Milestones, then incomplete issue trees
  * @property {TreeNode[]} completed - Completed issue trees
- * @property {number} completedCount - Total count of completed issues
+ * @property {number} completedCount - Total count of completed issues (outside milestones)
+ * @property {TreeNode[]} canceled - Canceled issue trees
+ * @property {number} canceledCount - Total count of issues in canceled trees (outside milestones)
+ * @property {ProjectSummary} [summary] - Progress of the project (Linear projects only)
+ */
+
+/**
+ * Progress of a project's issues (canceled issues left out)
+ * @typedef {Object} ProjectSummary
+ * @property {number} done - Completed issues
+ * @property {number} total - Issues
+ * @property {number} donePoints - Estimate points of completed issues
+ * @property {number} totalPoints - Estimate points of all issues
+ * @property {number} percent - Completed issues, in percent (rounded down)
+ * @property {number} overdue - Incomplete issues past their due date
+ * @property {string|null} targetDate - Project target date
+ * @property {{id: string, name: string}|null} lead - Project lead
  */
 
 /**
@@ -82,6 +194,182 @@
  * @property {InProgressTreeNode[]} roots - Root nodes of in-progress tree
  */
 
+/**
+ * In-progress issues in one started state (e.g. "In Review"), grouped by project
+ * @typedef {Object} InProgressStateGroup
+ * @property {string} stateName - Workflow state name
+ * @property {number} count - In-progress issues in this state
+ * @property {InProgressTree[]} trees - In-progress trees of the issues in this state
+ */
+
+// =============================================================================
+// Project States
+// =============================================================================
+
+/**
+ * Project states that can be shown, in display order (active work first).
+ * Completed and canceled projects are never fetched.
+ */
+export const PROJECT_STATES = ['started', 'paused', 'planned', 'backlog']
+
+/**
+ * Project states shown when none are selected
+ */
+export const DEFAULT_PROJECT_STATES = ['started']
+
+// =============================================================================
+// Group-by Modes
+// =============================================================================
+
+/**
+ * What project trees can be grouped by, in the order offered in the nav bar.
+ * Every mode keeps the parent/child hierarchy within a group.
+ */
+export const GROUP_BY_MODES = ['project', 'assignee', 'team', 'cycle', 'label', 'priority']
+
+/**
+ * Grouping used when none is selected
+ */
+export const DEFAULT_GROUP_BY = 'project'
+
+/**
+ * Group ID for issues that don't belong to any project (the audit's "orphans")
+ */
+export const NO_PROJECT_ID = 'no-project'
+
+/**
+ * Display name of the NO_PROJECT_ID group
+ */
+export const NO_PROJECT_NAME = 'Unassigned to project'
+
+/**
+ * Priority names by priority value (0 = no priority)
+ */
+const PRIORITY_NAMES = ['No priority', 'Urgent', 'High', 'Medium', 'Low']
+
+/**
+ * Get the display name of a cycle (cycles are often unnamed in Linear)
+ * @param {{name?: string, number?: number}} cycle - Cycle (or an issue's cycle reference)
+ * @returns {string} Cycle name, or "Cycle <number>"
+ */
+export function getCycleName(cycle) {
+  return cycle.name || (cycle.number ? `Cycle ${cycle.number}` : 'Cycle')
+}
+
+/**
+ * Get the groups an issue is listed under.
+ * Issues have exactly one group, except when grouping by label: an issue is
+ * listed under each of its labels.
+ *
+ * @param {Issue} issue - Issue to group
+ * @param {string} [groupBy] - Group-by mode (unknown modes group by project)
+ * @returns {IssueGroup[]} Groups of the issue
+ */
+function getIssueGroups(issue, groupBy = DEFAULT_GROUP_BY) {
+  switch (groupBy) {
+    case 'assignee':
+      return [issue.assignee
+        ? { id: `assignee-${issue.assignee.id}`, name: issue.assignee.name, order: issue.assignee.name }
+        : { id: 'assignee-none', name: 'Unassigned', order: null }]
+    case 'team':
+      return [issue.team
+        ? { id: `team-${issue.team.id}`, name: issue.team.name || 'Unknown team', order: issue.team.name || '' }
+        : { id: 'team-none', name: 'No team', order: null }]
+    case 'cycle': {
+      const { cycle } = issue
+      if (!cycle) return [{ id: 'cycle-none', name: 'No cycle', order: null }]
+      return [{ id: `cycle-${cycle.id}`, name: getCycleName(cycle), order: cycle.startsAt || cycle.number || '' }]
+    }
+    case 'label': {
+      const labels = issue.labels?.nodes || []
+      if (labels.length === 0) return [{ id: 'label-none', name: 'No label', order: null }]
+      return labels.map(label => ({ id: `label-${encodeURIComponent(label.name)}`, name: label.name, order: label.name }))
+    }
+    case 'priority': {
+      const priority = issue.priority || 0
+      // No priority sorts after Low
+      return [{ id: `priority-${priority}`, name: PRIORITY_NAMES[priority], order: priority || 5 }]
+    }
+    default:
+      return [issue.project
+        ? { id: issue.project.id, name: null, order: null }
+        : { id: NO_PROJECT_ID, name: NO_PROJECT_NAME, order: null }]
+  }
+}
+
+// =============================================================================
+// Sort Modes
+// =============================================================================
+
+/**
+ * Sort modes for sibling issues, in the order offered in the nav bar.
+ * - default: priority, then oldest first
+ * - linear: Linear's manual order (sortOrder)
+ * - due: earliest due date first
+ * - estimate: smallest estimate first
+ * - updated: most recently updated first
+ * - assignee: by assignee name
+ * Issues missing the sorted-by field go last; ties fall back to the default order.
+ */
+export const SORT_MODES = ['default', 'linear', 'due', 'estimate', 'updated', 'assignee']
+
+/**
+ * Sort mode used when none is selected
+ */
+export const DEFAULT_SORT = 'default'
+
+/**
+ * Compare two values, placing missing (null/undefined) values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {function(*, *): number} compare - Comparison for two present values
+ * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if equal
+ */
+function compareMissingLast(a, b, compare) {
+  const aMissing = a === null || a === undefined
+  const bMissing = b === null || b === undefined
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1
+  return compare(a, b)
+}
+
+/**
+ * Default order: priority, then creation date
+ * @param {Issue} a - First issue
+ * @param {Issue} b - Second issue
+ * @returns {number} Comparison result
+ */
+function compareByPriority(a, b) {
+  // Priority: 1=Urgent, 2=High, 3=Medium, 4=Low, 0=None (treat as 5)
+  const aPriority = a.priority || 5
+  const bPriority = b.priority || 5
+  if (aPriority !== bPriority) return aPriority - bPriority
+  // Tiebreaker: createdAt (oldest first)
+  return new Date(a.createdAt) - new Date(b.createdAt)
+}
+
+/**
+ * Primary comparison for each sort mode (ties fall back to compareByPriority)
+ * @type {Object<string, function(Issue, Issue): number>}
+ */
+const SORT_COMPARATORS = {
+  default: () => 0,
+  linear: (a, b) => compareMissingLast(a.sortOrder, b.sortOrder, (x, y) => x - y),
+  due: (a, b) => compareMissingLast(a.dueDate, b.dueDate, (x, y) => new Date(x) - new Date(y)),
+  estimate: (a, b) => compareMissingLast(a.estimate, b.estimate, (x, y) => x - y),
+  updated: (a, b) => compareMissingLast(a.updatedAt, b.updatedAt, (x, y) => new Date(y) - new Date(x)),
+  assignee: (a, b) => compareMissingLast(a.assignee?.name, b.assignee?.name, (x, y) => x.localeCompare(y)),
+}
+
+/**
+ * Get the issue comparison for a sort mode
+ * @param {string} [sort] - Sort mode (unknown modes use the default order)
+ * @returns {function(Issue, Issue): number} Comparison function
+ */
+function getIssueComparator(sort = DEFAULT_SORT) {
+  const compare = SORT_COMPARATORS[sort] || SORT_COMPARATORS[DEFAULT_SORT]
+  return (a, b) => compare(a, b) || compareByPriority(a, b)
+}
+
 // =============================================================================
 // Tree Helper Functions
 // =============================================================================
@@ -99,28 +387,23 @@ function assignDepth(node, depth) {
 }
 
 /**
- * Sort nodes by priority and creation date (simple sort)
+ * Sort nodes by the sort mode only (simple sort)
  * @param {TreeNode[]|InProgressTreeNode[]} nodes - Array of tree nodes to sort in place
+ * @param {function(Issue, Issue): number} compareIssues - Comparison from getIssueComparator
  */
-function sortNodesByPriority(nodes) {
-  nodes.sort((a, b) => {
-    // Priority: 1=Urgent, 2=High, 3=Medium, 4=Low, 0=None (treat as 5)
-    const aPriority = a.issue.priority || 5
-    const bPriority = b.issue.priority || 5
-    if (aPriority !== bPriority) return aPriority - bPriority
-    // Tiebreaker: createdAt (oldest first)
-    return new Date(a.issue.createdAt) - new Date(b.issue.createdAt)
-  })
+function sortNodes(nodes, compareIssues) {
+  nodes.sort((a, b) => compareIssues(a.issue, b.issue))
   for (const node of nodes) {
-    sortNodesByPriority(node.children)
+    sortNodes(node.children, compareIssues)
   }
 }
 
 /**
- * Sort nodes with full criteria: status, completion, priority, date
+ * Sort nodes with full criteria: status, completion, then the sort mode
  * @param {TreeNode[]} nodes - Array of tree nodes to sort in place
+ * @param {function(Issue, Issue): number} compareIssues - Comparison from getIssueComparator
  */
-function sortNodesWithStatus(nodes) {
+function sortNodesWithStatus(nodes, compareIssues) {
   nodes.sort((a, b) => {
     // In-progress issues first
     const aInProgress = a.issue.state?.type === 'started'
@@ -128,34 +411,216 @@ function sortNodesWithStatus(nodes) {
     if (aInProgress !== bInProgress) {
       return aInProgress ? -1 : 1
     }
-    // Then: incomplete before complete
-    const aComplete = isCompleted(a.issue)
-    const bComplete = isCompleted(b.issue)
-    if (aComplete !== bComplete) {
-      return aComplete ? 1 : -1
-    }
-    // Priority: 1=Urgent, 2=High, 3=Medium, 4=Low, 0=None (treat as 5)
-    const aPriority = a.issue.priority || 5
-    const bPriority = b.issue.priority || 5
-    if (aPriority !== bPriority) {
-      return aPriority - bPriority
+    // Then: open before closed (completed or canceled)
+    const aClosed = isClosed(a.issue)
+    const bClosed = isClosed(b.issue)
+    if (aClosed !== bClosed) {
+      return aClosed ? 1 : -1
     }
-    // Tiebreaker: createdAt (oldest first)
-    return new Date(a.issue.createdAt) - new Date(b.issue.createdAt)
+    // Then the selected sort mode
+    return compareIssues(a.issue, b.issue)
   })
   for (const node of nodes) {
-    sortNodesWithStatus(node.children)
+    sortNodesWithStatus(node.children, compareIssues)
+  }
+}
+
+/**
+ * Limit issues to those assigned to a user, keeping their ancestor chains
+ * as context (the same way the in-progress view keeps ancestors).
+ * @param {Issue[]} issues - All issues
+ * @param {string|null} assigneeId - User ID to filter by (null = no filter)
+ * @returns {{issues: Issue[], contextIds: Set<string>}} Included issues, and the IDs included only as ancestors
+ */
+function filterByAssignee(issues, assigneeId) {
+  if (!assigneeId) return { issues, contextIds: new Set() }
+
+  const issueMap = new Map(issues.map(i => [i.id, i]))
+  const assignedIds = new Set(
+    issues.filter(i => i.assignee?.id === assigneeId).map(i => i.id)
+  )
+
+  // Walk up from each assigned issue to collect its ancestors
+  const includedIds = new Set(assignedIds)
+  for (const id of assignedIds) {
+    let current = issueMap.get(id)
+    while (current.parent?.id && issueMap.has(current.parent.id) && !includedIds.has(current.parent.id)) {
+      includedIds.add(current.parent.id)
+      current = issueMap.get(current.parent.id)
+    }
+  }
+
+  const contextIds = new Set([...includedIds].filter(id => !assignedIds.has(id)))
+  return { issues: issues.filter(i => includedIds.has(i.id)), contextIds }
+}
+
+/**
+ * Handle roots whose parent issue is in another group: either reference the
+ * parent (foreignParent) or nest them under a context node for the parent.
+ * Context nodes aren't added to the group's issueMap.
+ *
+ * @param {TreeNode[]} roots - Root nodes of a group
+ * @param {Map<string, Issue>} allById - Every issue by ID
+ * @param {ForestOptions} options - groupBy and foreignParents options
+ * @returns {TreeNode[]} Roots of the group
+ */
+function linkForeignParents(roots, allById, options) {
+  const result = []
+  const contextNodes = new Map()
+
+  for (const node of roots) {
+    const parent = allById.get(node.issue.parent?.id)
+    if (!parent) {
+      result.push(node)
+      continue
+    }
+
+    // With labels the parent can be in several groups; link to the first
+    const groupId = getIssueGroups(parent, options.groupBy)[0].id
+
+    if (!options.foreignParents) {
+      node.foreignParent = { id: parent.id, title: parent.title, url: parent.url, groupId }
+      result.push(node)
+      continue
+    }
+
+    // Siblings share one context node for their parent
+    if (!contextNodes.has(parent.id)) {
+      const contextNode = { issue: parent, children: [], depth: null, isContext: true, foreignGroupId: groupId }
+      contextNodes.set(parent.id, contextNode)
+      result.push(contextNode)
+    }
+    contextNodes.get(parent.id).children.push(node)
+  }
+
+  return result
+}
+
+/**
+ * Order milestones like Linear: by sort order, then target date, then name
+ * @param {Milestone} a - First milestone
+ * @param {Milestone} b - Second milestone
+ * @returns {number} Comparison result
+ */
+function compareMilestones(a, b) {
+  return compareMissingLast(a.sortOrder, b.sortOrder, (x, y) => x - y) ||
+    compareMissingLast(a.targetDate, b.targetDate, (x, y) => new Date(x) - new Date(y)) ||
+    (a.name || '').localeCompare(b.name || '')
+}
+
+/**
+ * Nest the roots of a project under nodes for their milestones. Milestones
+ * come first, followed by the roots without a milestone; roots keep their
+ * order. A foreign parent's context node goes by its first child's milestone.
+ *
+ * @param {TreeNode[]} roots - Sorted root nodes of a project
+ * @returns {Array<MilestoneNode|TreeNode>} Milestone nodes, then the other roots
+ */
+function nestUnderMilestones(roots) {
+  const milestoneNodes = new Map()
+  const loose = []
+
+  for (const node of roots) {
+    const { issue } = node.foreignGroupId ? node.children[0] : node
+    const milestone = issue.projectMilestone
+    if (!milestone?.id) {
+      loose.push(node)
+      continue
+    }
+
+    if (!milestoneNodes.has(milestone.id)) {
+      milestoneNodes.set(milestone.id, { milestone, children: [], isMilestone: true })
+    }
+    milestoneNodes.get(milestone.id).children.push(node)
   }
+
+  const milestones = [...milestoneNodes.values()].sort((a, b) => compareMilestones(a.milestone, b.milestone))
+  return [...milestones, ...loose]
 }
 
 /**
- * Check if an issue is completed or canceled
+ * Check if an issue is completed (canceled issues aren't)
  * @param {Issue} issue - Issue to check
- * @returns {boolean} True if issue state is 'completed' or 'canceled'
+ * @returns {boolean} True if issue state is 'completed'
  */
 function isCompleted(issue) {
-  const type = issue.state?.type
-  return type === 'completed' || type === 'canceled'
+  return issue.state?.type === 'completed'
+}
+
+/**
+ * Check if an issue is canceled
+ * @param {Issue} issue - Issue to check
+ * @returns {boolean} True if issue state is 'canceled'
+ */
+function isCanceled(issue) {
+  return issue.state?.type === 'canceled'
+}
+
+/**
+ * Check if an issue is closed: completed or canceled
+ * @param {Issue} issue - Issue to check
+ * @returns {boolean} True if issue state is 'completed' or 'canceled'
+ */
+function isClosed(issue) {
+  return isCompleted(issue) || isCanceled(issue)
+}
+
+// =============================================================================
+// Issue Relations
+// =============================================================================
+
+/**
+ * Sort an issue's relations by kind
+ * @param {Issue} issue - Issue with relations/inverseRelations
+ * @returns {IssueRelations} Related issues by kind
+ */
+export function getIssueRelations(issue) {
+  const outgoing = issue.relations?.nodes || []
+  const incoming = issue.inverseRelations?.nodes || []
+  const to = type => outgoing.filter(relation => relation.type === type && relation.relatedIssue).map(relation => relation.relatedIssue)
+  const from = type => incoming.filter(relation => relation.type === type && relation.issue).map(relation => relation.issue)
+
+  return {
+    blockedBy: from('blocks'),
+    blocks: to('blocks'),
+    duplicateOf: to('duplicate'),
+    duplicatedBy: from('duplicate'),
+    related: [...to('related'), ...from('related')]
+  }
+}
+
+/**
+ * Get the issues blocking an issue that are still open (not completed or canceled)
+ * @param {Issue} issue - Issue with inverseRelations
+ * @returns {RelatedIssue[]} Open blockers
+ */
+export function getOpenBlockers(issue) {
+  return getIssueRelations(issue).blockedBy.filter(blocker => !isClosed(blocker))
+}
+
+/**
+ * Refresh the other end of each relation from the issues themselves.
+ * Relations are fetched with their issue, so a blocker completed since then
+ * (e.g. through a webhook) would otherwise still look open.
+ *
+ * @param {Issue[]} issues - Issues (relations to issues not in the list are kept as fetched)
+ * @returns {Issue[]} New array; issues with relations are copied, others kept
+ */
+export function resolveIssueRelations(issues) {
+  const issueMap = new Map(issues.map(issue => [issue.id, issue]))
+  const resolve = related => {
+    const current = issueMap.get(related.id)
+    return current ? { ...related, title: current.title, url: current.url, state: current.state } : related
+  }
+
+  return issues.map(issue => {
+    if (!issue.relations?.nodes.length && !issue.inverseRelations?.nodes.length) return issue
+    return {
+      ...issue,
+      relations: { nodes: (issue.relations?.nodes || []).map(relation => ({ ...relation, relatedIssue: relation.relatedIssue && resolve(relation.relatedIssue) })) },
+      inverseRelations: { nodes: (issue.inverseRelations?.nodes || []).map(relation => ({ ...relation, issue: relation.issue && resolve(relation.issue) })) }
+    }
+  })
 }
 
 // =============================================================================
@@ -163,85 +628,176 @@ function isCompleted(issue) {
 // =============================================================================
 
 /**
- * Build a forest of issue trees grouped by project
- * @param {Issue[]} issues - Flat list of issues from Linear API
- * @returns {Forest} Map of projectId → { roots, issueMap }
+ * Select the projects to show for the chosen states, grouped by state
+ * (in PROJECT_STATES order) and then by sort order.
+ * Projects without a state (e.g. landing page) count as started.
+ *
+ * @param {Project[]} projects - All fetched projects
+ * @param {string[]} states - Selected project states
+ * @returns {Project[]} New array of matching projects in display order
  */
-export function buildForest(issues) {
+export function selectProjects(projects, states) {
+  const stateOrder = project => PROJECT_STATES.indexOf(project.state || 'started')
+
+  return projects
+    .filter(project => states.includes(project.state || 'started'))
+    .sort((a, b) => stateOrder(a) - stateOrder(b) || a.sortOrder - b.sortOrder)
+}
+
+/**
+ * Build a forest of issue trees grouped by project (or another group-by mode).
+ * Issues without a project are grouped under NO_PROJECT_ID.
+ *
+ * Issues whose parent is in another group become roots. They get a
+ * foreignParent reference to link to it, or with the foreignParents option
+ * they're nested under a context node for that parent instead.
+ *
+ * When grouping by project, roots planned in a project milestone are nested
+ * under a MilestoneNode for it.
+ *
+ * @param {Issue[]} allIssues - Flat list of issues from Linear API
+ * @param {ForestOptions} [options] - Limit the issues included, set their order and grouping
+ * @returns {Forest} Map of groupId → { group, roots, issueMap }
+ */
+export function buildForest(allIssues, options = {}) {
   const forest = new Map()
+  const { projectIds = null } = options
+  const assigned = filterByAssignee(allIssues, options.assigneeId)
+  const issues = projectIds
+    ? assigned.issues.filter(issue => !issue.project || projectIds.has(issue.project.id))
+    : assigned.issues
+  const { contextIds } = assigned
+  const compareIssues = getIssueComparator(options.sort)
+  const isByProject = !GROUP_BY_MODES.includes(options.groupBy) || options.groupBy === 'project'
 
-  // Group issues by project
-  const byProject = new Map()
-  for (const issue of issues) {
-    const projectId = issue.project?.id
-    if (!projectId) continue
+  // Every issue (not just included ones), to find parents in other groups
+  const allById = new Map(allIssues.map(issue => [issue.id, issue]))
 
-    if (!byProject.has(projectId)) {
-      byProject.set(projectId, [])
+  // Group issues (by project unless another mode is selected)
+  const byGroup = new Map()
+  for (const issue of issues) {
+    for (const group of getIssueGroups(issue, options.groupBy)) {
+      if (!byGroup.has(group.id)) {
+        byGroup.set(group.id, { group, issues: [] })
+      }
+      byGroup.get(group.id).issues.push(issue)
     }
-    byProject.get(projectId).push(issue)
   }
 
-  // Build tree for each project
-  for (const [projectId, projectIssues] of byProject) {
-    // Create node map
+  // Build tree for each group
+  for (const [groupId, { group, issues: groupIssues }] of byGroup) {
+    // Create node map (per group: with labels, an issue can be in several groups)
     const issueMap = new Map()
-    for (const issue of projectIssues) {
+    for (const issue of groupIssues) {
       issueMap.set(issue.id, {
         issue,
         children: [],
         depth: null,
+        isContext: contextIds.has(issue.id),
       })
     }
 
     // Link children to parents
     const roots = []
-    for (const issue of projectIssues) {
+    for (const issue of groupIssues) {
       const node = issueMap.get(issue.id)
       const parentId = issue.parent?.id
 
       if (parentId && issueMap.has(parentId)) {
-        // Parent is in same project, add as child
+        // Parent is in same group, add as child
         issueMap.get(parentId).children.push(node)
       } else {
-        // No parent or parent in different project = root
+        // No parent or parent in different group = root
         roots.push(node)
       }
     }
 
+    const groupRoots = linkForeignParents(roots, allById, options)
+
     // Assign depths using extracted helper
-    for (const root of roots) {
+    for (const root of groupRoots) {
       assignDepth(root, 0)
     }
 
-    // Sort with full criteria (status, completion, priority, date)
-    sortNodesWithStatus(roots)
+    // Sort with full criteria (status, completion, sort mode)
+    sortNodesWithStatus(groupRoots, compareIssues)
 
-    forest.set(projectId, { roots, issueMap })
+    // Milestones belong to projects, so issues without one have none
+    const hasMilestones = isByProject && groupId !== NO_PROJECT_ID
+    forest.set(groupId, { group, roots: hasMilestones ? nestUnderMilestones(groupRoots) : groupRoots, issueMap })
   }
 
   return forest
 }
 
 /**
- * Check if a node and all its descendants are completed
+ * Turn forest entries of groups other than projects into project trees for
+ * rendering. Each group stands in for a project (ID and name only), and
+ * groups are ordered by their sort key with catch-all groups ("Unassigned",
+ * "No label", ...) last.
+ *
+ * @param {Iterable<ForestEntry>} entries - Entries of a forest built with a groupBy option
+ * @returns {ProjectTree[]} Partitioned trees, one per group
+ */
+export function buildGroupTrees(entries) {
+  const compareOrder = (a, b) => typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b))
+
+  return [...entries]
+    .sort((a, b) => compareMissingLast(a.group.order, b.group.order, compareOrder) || a.group.name.localeCompare(b.group.name))
+    .map(({ group, roots }) => {
+      const { incomplete, completed, completedCount, canceled, canceledCount } = partitionCompleted(roots)
+      return { project: { id: group.id, name: group.name, sortOrder: 0 }, incomplete, completed, completedCount, canceled, canceledCount }
+    })
+}
+
+/**
+ * Check if a node and all its descendants are closed (completed or canceled)
  * @param {TreeNode} node - Node to check
- * @returns {boolean} True if node and all descendants are completed
+ * @returns {boolean} True if node and all descendants are closed
  */
-function isSubtreeCompleted(node) {
-  if (!isCompleted(node.issue)) return false
-  return node.children.every(child => isSubtreeCompleted(child))
+function isSubtreeClosed(node) {
+  if (!isClosed(node.issue)) return false
+  return node.children.every(child => isSubtreeClosed(child))
+}
+
+/**
+ * Count the issues in trees, and how many of them are completed
+ * (canceled issues and context nodes for parents from other projects aren't counted)
+ * @param {TreeNode[]} nodes - Tree nodes
+ * @returns {{done: number, total: number}} Completed and total issues
+ */
+function countProgress(nodes) {
+  let done = 0
+  let total = 0
+
+  function visit(node) {
+    if (!node.foreignGroupId && !isCanceled(node.issue)) {
+      total++
+      if (isCompleted(node.issue)) done++
+    }
+    node.children.forEach(visit)
+  }
+
+  nodes.forEach(visit)
+  return { done, total }
 }
 
 /**
- * Partition roots into incomplete and completed subtrees
- * @param {TreeNode[]} roots - Root nodes of the tree
- * @returns {{incomplete: TreeNode[], completed: TreeNode[], completedCount: number}} Partitioned trees
+ * Partition roots into incomplete, completed and canceled subtrees.
+ * A closed subtree goes with its root: canceled if the root is canceled,
+ * completed otherwise. Milestone nodes stay in the incomplete list, each
+ * with its own partition of its issues and its progress.
+ * @param {Array<TreeNode|MilestoneNode>} roots - Root nodes of the tree
+ * @returns {{incomplete: Array<TreeNode|MilestoneTree>, completed: TreeNode[], completedCount: number, canceled: TreeNode[], canceledCount: number}} Partitioned trees
  */
 export function partitionCompleted(roots) {
   const incomplete = []
   const completed = []
+  const canceled = []
   let completedCount = 0
+  let canceledCount = 0
 
   function countNodes(node) {
     let count = 1
@@ -252,26 +808,65 @@ export function partitionCompleted(roots) {
   }
 
   for (const root of roots) {
-    if (isSubtreeCompleted(root)) {
+    if (root.isMilestone) {
+      incomplete.push({ ...root, ...partitionCompleted(root.children), progress: countProgress(root.children) })
+    } else if (!isSubtreeClosed(root)) {
+      incomplete.push(root)
+    } else if (isCanceled(root.issue)) {
+      canceled.push(root)
+      canceledCount += countNodes(root)
+    } else {
       completed.push(root)
       completedCount += countNodes(root)
-    } else {
-      incomplete.push(root)
     }
   }
 
-  return { incomplete, completed, completedCount }
+  return { incomplete, completed, completedCount, canceled, canceledCount }
+}
+
+/**
+ * Summarize the progress of a project: issues and estimate points done,
+ * and incomplete issues past their due date.
+ *
+ * @param {Project} project - The project (for its target date and lead)
+ * @param {Issue[]} issues - Issues (any project; only the project's are counted)
+ * @param {Date} [now] - Current time (issues due before its day are overdue)
+ * @returns {ProjectSummary} Project progress
+ */
+export function summarizeProject(project, issues, now = new Date()) {
+  const projectIssues = issues.filter(issue => issue.project?.id === project.id && !isCanceled(issue))
+  const doneIssues = projectIssues.filter(isCompleted)
+  const points = list => list.reduce((sum, issue) => sum + (issue.estimate || 0), 0)
+
+  // Due dates have no time part, so compare local calendar days
+  const pad = n => String(n).padStart(2, '0')
+  const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+
+  return {
+    done: doneIssues.length,
+    total: projectIssues.length,
+    donePoints: points(doneIssues),
+    totalPoints: points(projectIssues),
+    percent: projectIssues.length > 0 ? Math.floor((doneIssues.length / projectIssues.length) * 100) : 0,
+    overdue: projectIssues.filter(issue => !isCompleted(issue) && issue.dueDate && issue.dueDate < today).length,
+    targetDate: project.targetDate || null,
+    lead: project.lead || null
+  }
 }
 
 /**
  * Build a forest of in-progress issues with their ancestor chains.
- * Groups by project for display purposes.
+ * Groups by project for display purposes; issues without a project are
+ * grouped under NO_PROJECT_ID, after every project.
  *
- * @param {Issue[]} issues - All issues (not just in-progress)
+ * @param {Issue[]} allIssues - All issues (not just in-progress)
  * @param {Project[]} projects - All projects (for getting project names)
+ * @param {ForestOptions} [options] - Limit the issues included and set their order
  * @returns {InProgressTree[]} Array of in-progress trees grouped by project
  */
-export function buildInProgressForest(issues, projects) {
+export function buildInProgressForest(allIssues, projects, options = {}) {
+  const { issues, contextIds } = filterByAssignee(allIssues, options.assigneeId)
+
   // Create a map of all issues by ID for fast lookup
   const issueMap = new Map(issues.map(i => [i.id, i]))
 
@@ -286,9 +881,9 @@ export function buildInProgressForest(issues, projects) {
     }
   }
 
-  // Find all in-progress issues
+  // Find all in-progress issues (ancestors kept only as context don't count)
   const inProgressIds = new Set(
-    issues.filter(i => i.state?.type === 'started').map(i => i.id)
+    issues.filter(i => isInProgressFor(i, options) && !contextIds.has(i.id)).map(i => i.id)
   )
 
   if (inProgressIds.size === 0) return []
@@ -325,8 +920,7 @@ export function buildInProgressForest(issues, projects) {
 
   for (const id of relevantIds) {
     const issue = issueMap.get(id)
-    const projectId = issue.project?.id
-    if (!projectId) continue
+    const projectId = issue.project?.id || NO_PROJECT_ID
 
     if (!byProject.has(projectId)) {
       byProject.set(projectId, new Map())
@@ -346,7 +940,8 @@ export function buildInProgressForest(issues, projects) {
         issue,
         children: [],
         depth: null,
-        isInProgress: inProgressIds.has(id)
+        isInProgress: inProgressIds.has(id),
+        isContext: contextIds.has(id)
       })
     }
 
@@ -368,11 +963,13 @@ export function buildInProgressForest(issues, projects) {
       assignDepth(root, 0)
     }
 
-    // Sort by priority only (simpler sort for in-progress view)
-    sortNodesByPriority(roots)
+    // Sort by the sort mode only (everything here is in progress or context)
+    sortNodes(roots, getIssueComparator(options.sort))
 
     // Get project name
-    const project = projects.find(p => p.id === projectId)
+    const project = projectId === NO_PROJECT_ID
+      ? { id: NO_PROJECT_ID, name: NO_PROJECT_NAME }
+      : projects.find(p => p.id === projectId)
     if (project && roots.length > 0) {
       result.push({
         projectId,
@@ -382,12 +979,56 @@ export function buildInProgressForest(issues, projects) {
     }
   }
 
-  // Sort by project sortOrder
-  result.sort((a, b) => {
-    const projA = projects.find(p => p.id === a.projectId)
-    const projB = projects.find(p => p.id === b.projectId)
-    return (projA?.sortOrder || 0) - (projB?.sortOrder || 0)
-  })
+  // Sort by project sortOrder (issues without a project last)
+  const sortOrderOf = projectId => projectId === NO_PROJECT_ID
+    ? Infinity
+    : projects.find(p => p.id === projectId)?.sortOrder || 0
+  result.sort((a, b) => sortOrderOf(a.projectId) - sortOrderOf(b.projectId))
 
   return result
 }
+
+/**
+ * Check if an issue is in progress and matches the in-progress forest's
+ * state name and blocked filters
+ * @param {Issue} issue - Issue to check
+ * @param {ForestOptions} options - Forest options (stateName, blocked)
+ * @returns {boolean} True if the issue is listed as in progress
+ */
+function isInProgressFor(issue, { stateName, blocked } = {}) {
+  if (issue.state?.type !== 'started') return false
+  if (stateName && issue.state.name !== stateName) return false
+  if (blocked !== undefined && blocked !== getOpenBlockers(issue).length > 0) return false
+  return true
+}
+
+/**
+ * Split the in-progress forest by workflow state name (e.g. "In Progress",
+ * "In Review"), each state with its own trees. Ancestors in another state
+ * are repeated as context in each sub-group that needs them.
+ *
+ * @param {Issue[]} allIssues - All issues (not just in-progress)
+ * @param {Project[]} projects - All projects (for getting project names)
+ * @param {ForestOptions & {stateOrder?: string[]}} [options] - As for buildInProgressForest, plus the order
+ *   of the state names (names not in it follow, alphabetically)
+ * @returns {InProgressStateGroup[]} Sub-groups with at least one in-progress issue
+ */
+export function buildInProgressStateGroups(allIssues, projects, options = {}) {
+  const { stateOrder = [], ...forestOptions } = options
+  const { issues, contextIds } = filterByAssignee(allIssues, options.assigneeId)
+
+  const countByName = new Map()
+  for (const issue of issues) {
+    if (!isInProgressFor(issue, forestOptions) || contextIds.has(issue.id)) continue
+    countByName.set(issue.state.name, (countByName.get(issue.state.name) || 0) + 1)
+  }
+
+  const orderOf = name => stateOrder.includes(name) ? stateOrder.indexOf(name) : Infinity
+  const names = [...countByName.keys()].sort((a, b) => orderOf(a) - orderOf(b) || a.localeCompare(b))
+
+  return names.map(stateName => ({
+    stateName,
+    count: countByName.get(stateName),
+    trees: buildInProgressForest(allIssues, projects, { ...forestOptions, stateName })
+  }))
+}
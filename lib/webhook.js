@@ -0,0 +1,246 @@
+/**
+ * Linear webhook helpers.
+ * Verifies webhook signatures and applies Issue/Project/IssueRelation events to cached
+ * project snapshots, so the tree reflects changes without polling.
+ */
+import crypto from 'crypto'
+import { mergeIssues } from './linear.js'
+import { PROJECT_STATES } from './tree.js'
+
+// Reject deliveries older than this to limit replay attacks (Linear recommends 60s)
+const WEBHOOK_MAX_AGE_MS = 60 * 1000
+
+/**
+ * Webhook payload sent by Linear
+ * @typedef {Object} WebhookEvent
+ * @property {'create'|'update'|'remove'} action - What happened to the entity
+ * @property {string} type - Entity type (e.g. 'Issue', 'Project', 'IssueRelation')
+ * @property {Object} data - The entity after the change
+ * @property {string} [url] - Link to the entity in Linear
+ * @property {string} organizationId - Workspace/organization the event belongs to
+ * @property {number} webhookTimestamp - When the webhook was sent (ms since epoch)
+ */
+
+/**
+ * Checks the Linear-Signature header against the raw request body.
+ * The signature is a hex HMAC-SHA256 of the body using the webhook secret.
+ *
+ * @param {Buffer|string} rawBody - Raw request body (before JSON parsing)
+ * @param {string|undefined} signature - Value of the Linear-Signature header
+ * @param {string} secret - Webhook signing secret from Linear
+ * @returns {boolean} True if the signature is valid
+ */
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+  const expectedBuffer = Buffer.from(expected, 'hex')
+  const signatureBuffer = Buffer.from(signature, 'hex')
+
+  // timingSafeEqual throws on length mismatch
+  if (signatureBuffer.length !== expectedBuffer.length) return false
+  return crypto.timingSafeEqual(signatureBuffer, expectedBuffer)
+}
+
+/**
+ * Checks that a webhook was sent recently (replay protection).
+ *
+ * @param {number} webhookTimestamp - Timestamp from the payload (ms since epoch)
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {boolean} True if the webhook is recent enough to accept
+ */
+export function isWebhookFresh(webhookTimestamp, now = Date.now()) {
+  if (typeof webhookTimestamp !== 'number') return false
+  return Math.abs(now - webhookTimestamp) <= WEBHOOK_MAX_AGE_MS
+}
+
+/**
+ * Converts webhook issue data (flat IDs, plain label array) into the issue
+ * shape returned by the GraphQL queries in lib/linear.js.
+ *
+ * @param {Object} data - Issue data from the webhook payload
+ * @param {string} [url] - Issue URL from the payload (used if data has none)
+ * @returns {import('./tree.js').Issue} Issue in tree format
+ */
+export function normalizeWebhookIssue(data, url = null) {
+  return {
+    id: data.id,
+    identifier: data.identifier ?? null,
+    title: data.title,
+    description: data.description ?? null,
+    estimate: data.estimate ?? null,
+    priority: data.priority ?? 0,
+    sortOrder: data.sortOrder,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+    archivedAt: data.archivedAt ?? null,
+    dueDate: data.dueDate ?? null,
+    completedAt: data.completedAt ?? null,
+    url: data.url || url,
+    parent: data.parentId ? { id: data.parentId } : null,
+    project: data.projectId ? { id: data.projectId } : null,
+    projectMilestone: data.projectMilestoneId ? { id: data.projectMilestoneId } : null,
+    team: data.teamId ? { id: data.teamId } : null,
+    cycle: data.cycleId ? { id: data.cycleId } : null,
+    state: data.state ? { name: data.state.name, type: data.state.type } : null,
+    assignee: data.assignee ? { id: data.assignee.id ?? data.assigneeId, name: data.assignee.name } : null,
+    labels: { nodes: (data.labels || []).map(normalizeWebhookLabel) },
+  }
+}
+
+/**
+ * Converts a webhook label into the label shape of the GraphQL queries,
+ * keeping its label group so queue patterns like "Type/Bug" still match.
+ * Payloads that only carry the group's ID get `{id}` as parent; see
+ * applyWebhookEvent for how its name is filled in.
+ *
+ * @param {Object} label - Label from the webhook payload
+ * @returns {{name: string, parent?: {name?: string, id?: string}}} Label in tree format
+ */
+function normalizeWebhookLabel(label) {
+  const parent = label.parent?.name
+    ? { name: label.parent.name }
+    : label.parentId ? { id: label.parentId } : null
+  return parent ? { name: label.name, parent } : { name: label.name }
+}
+
+/**
+ * Applies a webhook event to a cached snapshot.
+ * Returns a new snapshot; the input is not modified. Events for entity types
+ * the tree doesn't display leave the snapshot unchanged.
+ *
+ * @param {import('./linear.js').Snapshot} snapshot - Cached project data
+ * @param {WebhookEvent} event - Webhook payload
+ * @param {string|null} teamId - Team the snapshot is filtered by (null = all teams)
+ * @returns {import('./linear.js').Snapshot} Updated snapshot
+ */
+export function applyWebhookEvent(snapshot, event, teamId = null) {
+  const { action, type, data } = event
+
+  if (type === 'Issue') {
+    if (action === 'remove') {
+      return { ...snapshot, issues: snapshot.issues.filter(issue => issue.id !== data.id) }
+    }
+
+    // Keep fields webhooks don't carry (anything the GraphQL query adds)
+    const existing = snapshot.issues.find(issue => issue.id === data.id)
+    const issue = { ...existing, ...normalizeWebhookIssue(data, event.url) }
+
+    // Webhooks only carry team/cycle IDs; keep the names fetched with the issue
+    for (const key of ['team', 'cycle', 'projectMilestone']) {
+      if (existing?.[key] && existing[key].id === issue[key]?.id) issue[key] = existing[key]
+    }
+
+    // Webhooks may omit a label's group (or only give its ID); keep the one fetched with the issue
+    issue.labels = {
+      nodes: issue.labels.nodes.map(label => {
+        if (label.parent?.name) return label
+        const known = existing?.labels?.nodes.find(candidate => candidate.name === label.name)
+        return known?.parent ? { ...label, parent: known.parent } : label
+      })
+    }
+
+    // Moved to another milestone: look it up in the issue's project
+    if (issue.projectMilestone && !issue.projectMilestone.name) {
+      const project = snapshot.projects.find(project => project.id === issue.project?.id)
+      const milestone = project?.projectMilestones?.nodes.find(milestone => milestone.id === issue.projectMilestone.id)
+      if (milestone) issue.projectMilestone = milestone
+    }
+    return { ...snapshot, issues: mergeIssues(snapshot.issues, [issue], teamId) }
+  }
+
+  if (type === 'IssueRelation') {
+    return { ...snapshot, issues: applyRelationEvent(snapshot.issues, action, data) }
+  }
+
+  if (type === 'Project') {
+    const others = snapshot.projects.filter(project => project.id !== data.id)
+
+    // Only open projects are kept (see PROJECTS_QUERY)
+    if (action === 'remove' || data.archivedAt || !PROJECT_STATES.includes(data.state)) {
+      return { ...snapshot, projects: others }
+    }
+
+    const existing = snapshot.projects.find(project => project.id === data.id)
+    const project = {
+      ...existing,
+      id: data.id,
+      name: data.name,
+      content: data.content ?? existing?.content ?? data.description ?? null,
+      url: data.url || event.url || existing?.url || null,
+      sortOrder: data.sortOrder ?? existing?.sortOrder ?? 0,
+      state: data.state,
+      targetDate: data.targetDate ?? null,
+      // Webhooks only carry the lead's ID; keep the name fetched with the project
+      lead: data.leadId ? (existing?.lead?.id === data.leadId ? existing.lead : { id: data.leadId }) : null,
+    }
+    return { ...snapshot, projects: [...others, project] }
+  }
+
+  return snapshot
+}
+
+/**
+ * Applies an IssueRelation event to both of its issues: the relation is
+ * replaced (or removed) in the issue's relations and the related issue's
+ * inverseRelations. Ends that aren't in the snapshot are skipped.
+ *
+ * @param {import('./tree.js').Issue[]} issues - Issues of the snapshot
+ * @param {'create'|'update'|'remove'} action - What happened to the relation
+ * @param {{id: string, type: string, issueId: string, relatedIssueId: string}} data - Relation from the payload
+ * @returns {import('./tree.js').Issue[]} Updated issues
+ */
+function applyRelationEvent(issues, action, data) {
+  // Webhooks only carry the issue IDs; fill in what the tree shows from the snapshot
+  const toRelatedIssue = id => {
+    const issue = issues.find(candidate => candidate.id === id)
+    return issue
+      ? { id, identifier: issue.identifier, title: issue.title, url: issue.url, state: issue.state && { type: issue.state.type } }
+      : { id }
+  }
+  const replace = (connection, node) => {
+    const nodes = (connection?.nodes || []).filter(relation => relation.id !== data.id)
+    return { nodes: action === 'remove' ? nodes : [...nodes, node] }
+  }
+
+  return issues.map(issue => {
+    if (issue.id === data.issueId) {
+      const node = { id: data.id, type: data.type, relatedIssue: toRelatedIssue(data.relatedIssueId) }
+      return { ...issue, relations: replace(issue.relations, node) }
+    }
+    if (issue.id === data.relatedIssueId) {
+      const node = { id: data.id, type: data.type, issue: toRelatedIssue(data.issueId) }
+      return { ...issue, inverseRelations: replace(issue.inverseRelations, node) }
+    }
+    return issue
+  })
+}
+
+/**
+ * Converts a webhook event into a change notification for open pages.
+ *
+ * @param {WebhookEvent} event - Webhook payload
+ * @returns {import('./change-feed.js').Change|null} Change to publish (null for entity types the tree doesn't show)
+ */
+export function toChange(event) {
+  const { action, type, data } = event
+
+  if (type === 'Issue') {
+    return action === 'remove'
+      ? { type, action, id: data.id }
+      : { type, action, id: data.id, issue: normalizeWebhookIssue(data, event.url) }
+  }
+
+  // Relations change where issues are listed (e.g. In Progress › Blocked)
+  if (type === 'IssueRelation') {
+    return { type, action, id: data.id, issueIds: [data.issueId, data.relatedIssueId] }
+  }
+
+  if (type === 'Project') {
+    return action === 'remove'
+      ? { type, action, id: data.id }
+      : { type, action, id: data.id, project: { id: data.id, name: data.name, state: data.state } }
+  }
+
+  return null
+}
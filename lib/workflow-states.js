@@ -0,0 +1,115 @@
+/**
+ * Workflow state helpers.
+ * Linear groups each team's workflow states into a few types (backlog,
+ * unstarted, started, completed, canceled). Teams often add their own states
+ * next to the default ones, like "In Review" or "Blocked"; these get a glyph
+ * of their own so they can be told apart from the default state of their type.
+ */
+
+// =============================================================================
+// Type Definitions
+// =============================================================================
+
+/**
+ * Workflow state from Linear API
+ * @typedef {Object} WorkflowState
+ * @property {string} id - Unique state ID
+ * @property {string} name - State name (e.g. "In Review")
+ * @property {string} type - State type (triage, backlog, unstarted, started, completed, canceled)
+ * @property {number} [position] - Order of the state within its team
+ * @property {{id: string, name: string}} team - Team the state belongs to
+ */
+
+/**
+ * Glyphs of the states that don't use their type's default glyph,
+ * by team ID, then state name
+ * @typedef {Object<string, Object<string, string>>} StateGlyphs
+ */
+
+// =============================================================================
+// State Glyphs
+// =============================================================================
+
+/**
+ * Glyphs per state type. A team's first state of a type (by position) uses
+ * the first glyph, which is the one getIssueStatus shows by default; further
+ * states of that type use the next ones (the last glyph is reused if a team
+ * has more states than glyphs).
+ */
+export const STATE_TYPE_GLYPHS = {
+  triage: ['○', '◌', '◍'],
+  backlog: ['○', '◌', '◍'],
+  unstarted: ['○', '◌', '◍'],
+  started: ['◐', '◑', '◒', '◓', '◕'],
+  completed: ['✓', '✔'],
+  canceled: ['✗', '✘']
+}
+
+/**
+ * Sort workflow states by position, then name (states without a position last)
+ * @param {WorkflowState} a
+ * @param {WorkflowState} b
+ * @returns {number}
+ */
+function compareStates(a, b) {
+  return (a.position ?? Infinity) - (b.position ?? Infinity) || a.name.localeCompare(b.name)
+}
+
+/**
+ * Map each team's custom workflow states to a glyph of their own.
+ * States that keep their type's default glyph are left out, so teams using
+ * only Linear's default states have no entry.
+ *
+ * @param {WorkflowState[]} workflowStates - Workflow states of any number of teams
+ * @returns {StateGlyphs} Glyphs by team ID, then state name
+ */
+export function buildStateGlyphs(workflowStates) {
+  const statesByTeam = new Map()
+  for (const state of workflowStates) {
+    const teamId = state.team?.id
+    if (!teamId || !STATE_TYPE_GLYPHS[state.type]) continue
+    if (!statesByTeam.has(teamId)) statesByTeam.set(teamId, [])
+    statesByTeam.get(teamId).push(state)
+  }
+
+  const glyphs = {}
+  for (const [teamId, states] of statesByTeam) {
+    const countByType = new Map()
+    for (const state of [...states].sort(compareStates)) {
+      const index = countByType.get(state.type) || 0
+      countByType.set(state.type, index + 1)
+      if (index === 0) continue
+
+      const typeGlyphs = STATE_TYPE_GLYPHS[state.type]
+      glyphs[teamId] = glyphs[teamId] || {}
+      glyphs[teamId][state.name] = typeGlyphs[Math.min(index, typeGlyphs.length - 1)]
+    }
+  }
+  return glyphs
+}
+
+/**
+ * Get the glyph of an issue's state, if its team gave the state one of its own
+ * @param {StateGlyphs} stateGlyphs - Glyphs from buildStateGlyphs
+ * @param {{team?: {id: string}, state?: {name: string}}} issue - The issue
+ * @returns {string|null} Glyph (null for states shown with their type's default glyph)
+ */
+export function getStateGlyph(stateGlyphs, issue) {
+  const teamGlyphs = stateGlyphs?.[issue.team?.id]
+  const name = issue.state?.name
+  return teamGlyphs && name && Object.hasOwn(teamGlyphs, name) ? teamGlyphs[name] : null
+}
+
+/**
+ * Names of the started states, in workflow order (for the In Progress sub-groups).
+ * Teams sharing a state name share its sub-group.
+ * @param {WorkflowState[]} workflowStates - Workflow states of any number of teams
+ * @returns {string[]} Unique state names
+ */
+export function getStartedStateNames(workflowStates) {
+  const names = workflowStates
+    .filter(state => state.type === 'started')
+    .sort(compareStates)
+    .map(state => state.name)
+  return [...new Set(names)]
+}
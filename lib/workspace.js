@@ -17,6 +17,7 @@
  * @property {string} [refreshToken] - OAuth refresh token
  * @property {number} tokenExpiresAt - Token expiry timestamp (ms since epoch)
  * @property {number} addedAt - Timestamp when workspace was added (ms since epoch)
+ * @property {{id: string, name: string}} [viewer] - Signed-in Linear user (missing for sessions created before it was stored)
  */
 
 /**
@@ -56,7 +57,7 @@ export function getActiveWorkspace(session) {
 }
 
 /**
- * Add or update a workspace in session.
+ * Add or update a workspace in session (including the signed-in viewer).
  * Updates existing workspace if same org ID, otherwise adds new.
  * @param {WorkspaceSession} session - Express session object
  * @param {Workspace} workspace - Workspace object to add/update
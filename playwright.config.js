@@ -21,7 +21,7 @@ export default defineConfig({
     },
   },
   webServer: {
-    command: 'NODE_ENV=test PORT=3001 SESSION_SECRET=test-secret-for-playwright node server.js',
+    command: 'NODE_ENV=test PORT=3001 SESSION_SECRET=test-secret-for-playwright LINEAR_WEBHOOK_SECRET=test-webhook-secret node server.js',
     url: 'http://localhost:3001',
     reuseExistingServer: !process.env.CI,
     timeout: 120000,
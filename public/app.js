@@ -1,5 +1,10 @@
 const STORAGE_KEY = 'linear-projects-state'
 const TEAM_STORAGE_KEY = 'linear-projects-selected-team'
+const PROJECT_STATE_STORAGE_KEY = 'linear-projects-selected-project-states'
+const MODE_STORAGE_KEYS = {
+  group: 'linear-projects-selected-group',
+  sort: 'linear-projects-selected-sort'
+}
 
 // Safe localStorage helpers for team selection
 function getTeamSelection() {
@@ -27,6 +32,60 @@ function clearTeamSelection() {
   }
 }
 
+// Safe localStorage helpers for project state selection (comma-separated states)
+function getProjectStateSelection() {
+  try {
+    return localStorage.getItem(PROJECT_STATE_STORAGE_KEY)
+  } catch (e) {
+    console.warn('Failed to read project state selection:', e)
+    return null
+  }
+}
+
+function setProjectStateSelection(states) {
+  try {
+    localStorage.setItem(PROJECT_STATE_STORAGE_KEY, states)
+  } catch (e) {
+    console.warn('Failed to save project state selection:', e)
+  }
+}
+
+// Safe localStorage helpers for single-choice modes (group, sort)
+function getModeSelection(name) {
+  try {
+    return localStorage.getItem(MODE_STORAGE_KEYS[name])
+  } catch (e) {
+    console.warn(`Failed to read ${name} selection:`, e)
+    return null
+  }
+}
+
+function setModeSelection(name, mode) {
+  try {
+    localStorage.setItem(MODE_STORAGE_KEYS[name], mode)
+  } catch (e) {
+    console.warn(`Failed to save ${name} selection:`, e)
+  }
+}
+
+// Project states shown on this page (as rendered in the state selector)
+function getSelectedProjectStates() {
+  const selected = document.querySelectorAll('#project-state-options .nav-option[aria-selected="true"]')
+  return selected.length > 0 ? [...selected].map(opt => opt.dataset.projectState) : ['started']
+}
+
+// URL of the current page with one query parameter changed (null removes it)
+function withParam(name, value) {
+  const params = new URLSearchParams(window.location.search)
+  if (value === null) {
+    params.delete(name)
+  } else {
+    params.set(name, value)
+  }
+  const query = params.toString()
+  return query ? `${window.location.pathname}?${query}` : window.location.pathname
+}
+
 function hasStoredState() {
   try {
     return localStorage.getItem(STORAGE_KEY) !== null
@@ -50,9 +109,11 @@ function getDefaultState() {
 const show = el => el?.classList.remove('hidden')
 const hide = el => el?.classList.add('hidden')
 const setHidden = (el, hidden) => hidden ? hide(el) : show(el)
+// Only the leading text is changed, so markup after the arrow (e.g. badges) is kept
 const setArrow = (el, expanded) => {
-  if (!el) return
-  el.textContent = el.textContent.replace(expanded ? '▶' : '▼', expanded ? '▼' : '▶')
+  if (!el?.firstChild) return
+  const text = el.firstChild
+  text.textContent = text.textContent.replace(expanded ? '▶' : '▼', expanded ? '▼' : '▶')
 }
 
 // Expanded state helpers (expanded is now array of { id, section } objects)
@@ -113,13 +174,13 @@ function resetDOM() {
     }
     show(project.querySelector('.project-description'))
     hide(project.querySelector('.project-meta'))
-    show(project.querySelector('.completed-toggle'))
   })
+  document.querySelectorAll('.milestone, .completed-toggle').forEach(show)
 
   // Hide all completed sections, reset toggle text
   document.querySelectorAll('[data-completed-for]').forEach(hide)
   document.querySelectorAll('.completed-toggle').forEach(toggle => {
-    toggle.textContent = `show ${toggle.dataset.count} completed`
+    toggle.textContent = getCompletedToggleText(toggle, false)
   })
 
   // Expand in-progress section
@@ -137,30 +198,33 @@ function toggleInArray(arr, id) {
   else arr.splice(idx, 1)
 }
 
+// Lines of an issue in a section. Usually one, but when grouping by label an
+// issue is listed under each of its labels; the copies share their state.
+function getIssueLines(id, section) {
+  return document.querySelectorAll(`.line[data-id="${CSS.escape(id)}"][data-section="${section}"]`)
+}
+
 function getDescendants(id, section) {
   // With nested .node structure, find the parent's .children container
-  const line = document.querySelector(`.line[data-id="${id}"][data-section="${section}"]`)
-  if (!line) return []
-
-  const node = line.closest('.node')
-  const childrenContainer = node?.querySelector(':scope > .children')
-  if (!childrenContainer) return []
+  return [...getIssueLines(id, section)].flatMap(line => {
+    const node = line.closest('.node')
+    const childrenContainer = node?.querySelector(':scope > .children')
+    if (!childrenContainer) return []
 
-  // Return all descendant nodes (they contain their own line and details)
-  return [...childrenContainer.querySelectorAll('.node')]
+    // Return all descendant nodes (they contain their own line and details)
+    return [...childrenContainer.querySelectorAll('.node')]
+  })
 }
 
 function showDescendantsRespectingExpanded(id, expandedArr, section) {
   // With nested .node structure, find direct child nodes
-  const line = document.querySelector(`.line[data-id="${id}"][data-section="${section}"]`)
-  if (!line) return
-
-  const node = line.closest('.node')
-  const childrenContainer = node?.querySelector(':scope > .children')
-  if (!childrenContainer) return
+  const childNodes = [...getIssueLines(id, section)].flatMap(line => {
+    const childrenContainer = line.closest('.node')?.querySelector(':scope > .children')
+    return childrenContainer ? [...childrenContainer.querySelectorAll(':scope > .node')] : []
+  })
 
   // Show direct child nodes
-  childrenContainer.querySelectorAll(':scope > .node').forEach(childNode => {
+  childNodes.forEach(childNode => {
     show(childNode)
     const childId = childNode.dataset.id
 
@@ -222,7 +286,7 @@ function applyState(state) {
     const section = document.querySelector(`[data-completed-for="${id}"]`)
     show(section)
     const toggle = document.querySelector(`.completed-toggle[data-project-id="${id}"]`)
-    if (toggle) toggle.textContent = 'hide completed'
+    if (toggle) toggle.textContent = getCompletedToggleText(toggle, true)
   })
 
   // Collapse projects
@@ -234,7 +298,7 @@ function applyState(state) {
     setArrow(header, false)
 
     // Hide all project content (including .node containers)
-    const children = project.querySelectorAll('.node, .project-description, .project-meta, .completed-toggle, [data-completed-for]')
+    const children = project.querySelectorAll('.node, .milestone, .project-description, .project-meta, .completed-toggle, [data-completed-for]')
     children.forEach(hide)
   })
 }
@@ -270,6 +334,12 @@ function init() {
 
   applyState(state)
 
+  // Search box and live updates (authenticated pages only)
+  if (!isLanding) {
+    initSearch()
+    initLiveUpdates(() => state)
+  }
+
   // Reset view to defaults (including default collapsed projects)
   const resetBtn = document.querySelector('.reset-view')
   if (resetBtn) {
@@ -289,22 +359,21 @@ function init() {
     const nowExpanded = toggleExpanded(state.expanded, id, section)
     persistState(state)
 
-    // With nested .node structure, find details within the node
-    const node = line.closest('.node')
-    const details = node?.querySelector(':scope > .details')
+    // With nested .node structure, find details within the node (of every copy)
+    getIssueLines(id, section).forEach(copy => {
+      const details = copy.closest('.node')?.querySelector(':scope > .details')
+      setHidden(details, !nowExpanded)
+
+      const toggle = copy.querySelector('.toggle')
+      if (toggle) toggle.textContent = nowExpanded ? '▼' : '▶'
+    })
 
+    // Both sections can have children
     if (nowExpanded) {
-      if (details) show(details)
-      // Both sections can have children
       showDescendantsRespectingExpanded(id, state.expanded, section)
     } else {
-      if (details) hide(details)
-      // Both sections can have children
       getDescendants(id, section).forEach(hide)
     }
-
-    const toggle = line.querySelector('.toggle')
-    if (toggle) toggle.textContent = nowExpanded ? '▼' : '▶'
   }
 
   // Handle project header collapse/expand
@@ -318,51 +387,99 @@ function init() {
 
     if (isCollapsed) {
       // Hide all project content (including .node containers)
-      project.querySelectorAll('.node, .project-description, .project-meta, .completed-toggle, [data-completed-for]')
+      project.querySelectorAll('.node, .milestone, .project-description, .project-meta, .completed-toggle, [data-completed-for]')
         .forEach(hide)
     } else {
-      // Show project description, meta, and completed toggle
+      // Show project description and meta
       show(project.querySelector('.project-description'))
       show(project.querySelector('.project-meta'))
-      show(project.querySelector('.completed-toggle'))
-
-      // Show top-level nodes (but keep them collapsed unless explicitly expanded)
-      // Nodes are inside a .tree wrapper (not the completed one)
-      const incompleteTree = project.querySelector(':scope > .tree:not([data-completed-for])')
-      incompleteTree?.querySelectorAll(':scope > .node').forEach(node => {
-        show(node)
-        const nodeId = node.dataset.id
-        // Show details and children only if this task is expanded
-        if (nodeId && isExpanded(state.expanded, nodeId, 'project')) {
-          const details = node.querySelector(':scope > .details')
-          if (details) show(details)
-          showDescendantsRespectingExpanded(nodeId, state.expanded, 'project')
-          const toggle = node.querySelector('.line .toggle')
-          if (toggle) toggle.textContent = '▼'
-        }
-      })
 
-      // Completed section: only show if in hideCompleted (which tracks "shown" projects)
-      const completedSection = project.querySelector('[data-completed-for]')
-      if (completedSection && state.hideCompleted.includes(projectId)) {
-        show(completedSection)
-        // Show top-level completed nodes
-        completedSection.querySelectorAll(':scope > .node').forEach(node => {
+      // The project's own issues, then each milestone's
+      const sections = [project, ...project.querySelectorAll(':scope > .milestone')]
+      sections.forEach(section => {
+        show(section)
+        section.querySelectorAll(':scope > .completed-toggle').forEach(show)
+
+        // Show top-level nodes (but keep them collapsed unless explicitly expanded)
+        // Nodes are inside a .tree wrapper (not the completed one)
+        const incompleteTree = section.querySelector(':scope > .tree:not([data-completed-for])')
+        incompleteTree?.querySelectorAll(':scope > .node').forEach(node => {
           show(node)
           const nodeId = node.dataset.id
-          // Show details and children only if expanded
+          // Show details and children only if this task is expanded
           if (nodeId && isExpanded(state.expanded, nodeId, 'project')) {
             const details = node.querySelector(':scope > .details')
             if (details) show(details)
             showDescendantsRespectingExpanded(nodeId, state.expanded, 'project')
+            const toggle = node.querySelector('.line .toggle')
+            if (toggle) toggle.textContent = '▼'
           }
         })
-      }
+
+        // Completed/canceled sections: only show if in hideCompleted (which tracks "shown" sections)
+        section.querySelectorAll(':scope > [data-completed-for]').forEach(completedSection => {
+          if (!state.hideCompleted.includes(completedSection.dataset.completedFor)) return
+          show(completedSection)
+          // Show top-level completed nodes
+          completedSection.querySelectorAll(':scope > .node').forEach(node => {
+            show(node)
+            const nodeId = node.dataset.id
+            // Show details and children only if expanded
+            if (nodeId && isExpanded(state.expanded, nodeId, 'project')) {
+              const details = node.querySelector(':scope > .details')
+              if (details) show(details)
+              showDescendantsRespectingExpanded(nodeId, state.expanded, 'project')
+            }
+          })
+        })
+      })
     }
 
     setArrow(header, !isCollapsed)
   }
 
+  // Handle "show N completed" / "hide completed" toggle
+  function handleCompletedToggleClick(completedToggle) {
+    const projectId = completedToggle.dataset.projectId
+    toggleInArray(state.hideCompleted, projectId)
+    persistState(state)
+    const isShown = state.hideCompleted.includes(projectId)
+    const section = document.querySelector(`[data-completed-for="${projectId}"]`)
+    setHidden(section, !isShown)
+    completedToggle.textContent = getCompletedToggleText(completedToggle, isShown)
+  }
+
+  // Show a node linked to from another project (see renderGroupLink in
+  // lib/render.js): expand its project, completed section and ancestors,
+  // then move focus to it
+  function revealNode(node) {
+    const project = node.closest('.project')
+    if (project && state.collapsedProjects.includes(project.dataset.id)) {
+      handleProjectHeaderClick(project.querySelector('.project-header'))
+    }
+
+    const completedSection = node.closest('[data-completed-for]')
+    if (completedSection?.classList.contains('hidden')) {
+      const completedToggle = project.querySelector(`.completed-toggle[data-project-id="${CSS.escape(completedSection.dataset.completedFor)}"]`)
+      if (completedToggle) handleCompletedToggleClick(completedToggle)
+    }
+
+    // Expand collapsed ancestors, outermost first
+    const ancestors = []
+    for (let el = node.parentElement?.closest('.node'); el; el = el.parentElement?.closest('.node')) {
+      ancestors.unshift(el.querySelector(':scope > .line'))
+    }
+    ancestors
+      .filter(line => !isLineExpanded(line, state))
+      .forEach(toggleItem)
+
+    const line = node.querySelector(':scope > .line')
+    setCurrentLine(line, state)
+    line.focus({ preventScroll: true })
+    line.scrollIntoView({ block: 'center' })
+    history.replaceState(null, '', `#${node.id}`)
+  }
+
   // ==========================================================================
   // Delegated click handler - replaces individual event listeners
   // ==========================================================================
@@ -380,7 +497,18 @@ function init() {
       return
     }
 
-    // 2. Toggle arrow click (expand/collapse children)
+    // 2. Link to a parent in another project (reveal it instead of jumping)
+    const parentLink = e.target.closest('a.parent-link[href^="#"]')
+    if (parentLink) {
+      const node = document.getElementById(parentLink.getAttribute('href').slice(1))
+      if (node) {
+        e.preventDefault()
+        revealNode(node)
+      }
+      return
+    }
+
+    // 3. Toggle arrow click (expand/collapse children)
     const toggle = e.target.closest('.toggle')
     if (toggle) {
       e.stopPropagation()
@@ -388,7 +516,7 @@ function init() {
       return
     }
 
-    // 3. Project description click (show/hide meta)
+    // 4. Project description click (show/hide meta)
     const desc = e.target.closest('.project-description')
     if (desc) {
       const project = desc.closest('.project')
@@ -400,36 +528,28 @@ function init() {
       return
     }
 
-    // 4. Line click (expand issue details) - skip if clicking a link
+    // 5. Line click (expand issue details) - skip if clicking a link
     const line = e.target.closest('.line.expandable')
     if (line && !e.target.closest('a')) {
       toggleItem(line)
       return
     }
 
-    // 5. Completed toggle click
+    // 6. Completed toggle click
     const completedToggle = e.target.closest('.completed-toggle')
     if (completedToggle) {
-      const projectId = completedToggle.dataset.projectId
-      toggleInArray(state.hideCompleted, projectId)
-      persistState(state)
-      const isShown = state.hideCompleted.includes(projectId)
-      const section = document.querySelector(`[data-completed-for="${projectId}"]`)
-      setHidden(section, !isShown)
-      completedToggle.textContent = isShown
-        ? 'hide completed'
-        : `show ${completedToggle.dataset.count} completed`
+      handleCompletedToggleClick(completedToggle)
       return
     }
 
-    // 6. Project header click (collapse project)
+    // 7. Project header click (collapse project)
     const header = e.target.closest('.project-header')
     if (header) {
       handleProjectHeaderClick(header)
       return
     }
 
-    // 7. In-progress header click
+    // 8. In-progress header click
     const inProgressHeader = e.target.closest('.in-progress-header')
     if (inProgressHeader) {
       state.inProgressCollapsed = !state.inProgressCollapsed
@@ -440,9 +560,783 @@ function init() {
       return
     }
   })
+
+  initTreeKeyboard(toggleItem, () => state)
+
+  // Opened from a link to an issue's node (e.g. a shared "parent in" link)
+  if (location.hash.startsWith('#issue-')) {
+    const node = document.getElementById(location.hash.slice(1))
+    if (node) revealNode(node)
+  }
+}
+
+// =============================================================================
+// Keyboard navigation
+// =============================================================================
+// vim/arrow-style movement over visible issue lines, using a roving tabindex:
+// only the current line is in the tab order. Lines are exposed as ARIA tree
+// items labelled with their title and status, so moving focus announces them.
+//   j/↓ next   k/↑ previous   l/→ expand (or first child)   h/← collapse (or parent)
+//   Enter toggle   o open in Linear   / search   ? help
+function initTreeKeyboard(toggleItem, getState) {
+  document.querySelectorAll('.tree, .in-progress-items').forEach(tree => {
+    // Nested trees (completed section inside a project) are still one tree each
+    tree.setAttribute('role', 'tree')
+  })
+  document.querySelectorAll('.children').forEach(group => group.setAttribute('role', 'group'))
+  document.querySelectorAll('.line[data-id]').forEach(line => {
+    line.setAttribute('role', 'treeitem')
+    line.setAttribute('aria-level', parseInt(line.dataset.depth, 10) + 1)
+    line.tabIndex = -1
+  })
+
+  const firstLine = getVisibleLines()[0]
+  if (firstLine) firstLine.tabIndex = 0
+
+  // Clicking a line makes it the current one for keyboard navigation
+  document.addEventListener('focusin', (e) => {
+    const line = e.target.closest?.('.line[data-id]')
+    if (line) setCurrentLine(line, getState())
+  })
+
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return
+    // Selector panels handle their own keys (see initNavBar)
+    if (document.querySelector('.nav-options-panel:not(.hidden)')) return
+
+    const help = document.getElementById('keyboard-help')
+    if (help && !help.classList.contains('hidden')) {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault()
+        hide(help)
+        getCurrentLine()?.focus()
+      }
+      return
+    }
+
+    const current = getCurrentLine()
+    const state = getState()
+
+    switch (e.key) {
+      case 'j':
+      case 'ArrowDown':
+        e.preventDefault()
+        focusRelative(current, 1)
+        break
+      case 'k':
+      case 'ArrowUp':
+        e.preventDefault()
+        focusRelative(current, -1)
+        break
+      case 'l':
+      case 'ArrowRight':
+        if (!current) return
+        e.preventDefault()
+        if (current.classList.contains('expandable') && !isLineExpanded(current, state)) {
+          toggleItem(current)
+          describeLine(current, state)
+        } else {
+          const firstChild = current.closest('.node').querySelector(':scope > .children > .node > .line')
+          if (firstChild && isVisible(firstChild)) firstChild.focus()
+        }
+        break
+      case 'h':
+      case 'ArrowLeft':
+        if (!current) return
+        e.preventDefault()
+        if (isLineExpanded(current, state)) {
+          toggleItem(current)
+          describeLine(current, state)
+        } else {
+          getParentLine(current)?.focus()
+        }
+        break
+      case 'Enter':
+        if (!current?.classList.contains('expandable')) return
+        e.preventDefault()
+        toggleItem(current)
+        describeLine(current, state)
+        break
+      case 'o': {
+        const link = current?.closest('.node').querySelector(':scope > .details .detail-link')
+        if (!link) return
+        e.preventDefault()
+        window.open(link.href, '_blank', 'noopener')
+        break
+      }
+      case '/': {
+        const search = document.getElementById('tree-search')
+        if (!search) return
+        e.preventDefault()
+        search.focus()
+        break
+      }
+      case '?':
+        if (!help) return
+        e.preventDefault()
+        show(help)
+        help.focus()
+        break
+    }
+  })
+}
+
+// Issue lines currently on screen (not collapsed, filtered or in a hidden section)
+function getVisibleLines() {
+  return [...document.querySelectorAll('.line[data-id]')].filter(isVisible)
+}
+
+function isVisible(el) {
+  return el.getClientRects().length > 0
+}
+
+function getCurrentLine() {
+  const active = document.activeElement?.closest?.('.line[data-id]')
+  return active || document.querySelector('.line[data-id][tabindex="0"]')
+}
+
+function setCurrentLine(line, state) {
+  document.querySelectorAll('.line[data-id][tabindex="0"]').forEach(el => { el.tabIndex = -1 })
+  line.tabIndex = 0
+  describeLine(line, state)
+}
+
+// Label read by screen readers when the line gets focus: title and status
+function describeLine(line, state) {
+  const title = line.querySelector('.title')?.textContent || ''
+  const status = line.querySelector('.state')?.dataset.status || ''
+  line.setAttribute('aria-label', status ? `${title}, ${status}` : title)
+  if (line.classList.contains('expandable')) {
+    line.setAttribute('aria-expanded', isLineExpanded(line, state))
+  }
+}
+
+function isLineExpanded(line, state) {
+  return isExpanded(state.expanded, line.dataset.id, line.dataset.section)
+}
+
+// Move focus to the next/previous visible line (first line if none is current)
+function focusRelative(current, offset) {
+  const lines = getVisibleLines()
+  if (lines.length === 0) return
+
+  const index = current ? lines.indexOf(current) : -1
+  const next = index === -1
+    ? lines[0]
+    : lines[Math.min(Math.max(index + offset, 0), lines.length - 1)]
+  next.focus()
+  next.scrollIntoView({ block: 'nearest' })
+}
+
+// Parent issue's line, found through data-parent within the same project/section
+function getParentLine(line) {
+  const scope = line.closest('.project, .in-progress-items')
+  const parentId = line.dataset.parent
+  if (!scope || !parentId) return null
+  return scope.querySelector(`.line[data-id="${CSS.escape(parentId)}"]`)
+}
+
+// =============================================================================
+// Search
+// =============================================================================
+// Filters the rendered tree as you type. Free text matches title, description,
+// assignee and labels; `key:value` tokens filter on one field:
+//   assignee:me|none|{name}   label:{name}   state:{type|name|status}
+//   due:<7d|>2w|overdue|none
+// Matches are revealed with their ancestor chain (followed via data-parent).
+// Visibility uses search-* classes only, so collapse state is never modified.
+const SEARCH_FILTER_KEYS = ['assignee', 'label', 'state', 'due']
+
+// Split a query into free-text terms and key:value filters ("quoted values" allowed)
+function parseSearchQuery(query) {
+  const terms = []
+  const filters = []
+  const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g
+
+  for (const match of query.matchAll(tokenPattern)) {
+    const key = (match[1] || match[3] || '').toLowerCase()
+    const value = match[2] ?? match[4]
+
+    if (SEARCH_FILTER_KEYS.includes(key) && value) {
+      filters.push({ key, value: value.toLowerCase() })
+    } else {
+      terms.push((match[5] ?? match[0]).toLowerCase())
+    }
+  }
+
+  return { terms: terms.filter(Boolean), filters }
+}
+
+// Local date as YYYY-MM-DD (Linear due dates have no time part)
+function toDateString(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// due:<7d, due:>2w, due:overdue, due:none
+function matchesDue(line, value) {
+  const due = line.dataset.due
+  const today = new Date()
+
+  if (value === 'none') return !due
+  if (!due) return false
+  if (value === 'overdue') {
+    const isClosed = isClosedStatus(line.querySelector('.state')?.dataset.status)
+    return !isClosed && due < toDateString(today)
+  }
+
+  const match = value.match(/^([<>])(\d+)([dw])$/)
+  if (!match) return false
+  const [, op, amount, unit] = match
+  const limit = new Date(today)
+  limit.setDate(limit.getDate() + Number(amount) * (unit === 'w' ? 7 : 1))
+  return op === '<' ? due < toDateString(limit) : due > toDateString(limit)
+}
+
+function matchesSearchFilter(line, { key, value }) {
+  const { assignee = '', stateType = '', stateName = '' } = line.dataset
+
+  switch (key) {
+    case 'assignee':
+      if (value === 'none') return !assignee
+      if (value === 'me') {
+        const viewerId = document.body.dataset.viewerId
+        return !!viewerId && line.dataset.assigneeId === viewerId
+      }
+      return assignee.toLowerCase().includes(value)
+    case 'label':
+      return getLineLabels(line).some(label => label.toLowerCase() === value)
+    case 'state': {
+      const status = line.querySelector('.state')?.dataset.status
+      return [stateType, stateName.toLowerCase(), status].includes(value)
+    }
+    case 'due':
+      return matchesDue(line, value)
+    default:
+      return false
+  }
+}
+
+function getLineLabels(line) {
+  try {
+    return line.dataset.labels ? JSON.parse(line.dataset.labels) : []
+  } catch (e) {
+    return []
+  }
+}
+
+function matchesSearch(line, { terms, filters }) {
+  const text = [
+    line.querySelector('.title')?.textContent,
+    line.dataset.description,
+    line.dataset.assignee,
+    ...getLineLabels(line)
+  ].filter(Boolean).join('\n').toLowerCase()
+
+  return terms.every(term => text.includes(term)) &&
+    filters.every(filter => matchesSearchFilter(line, filter))
+}
+
+// Mark the ancestors of a matching line visible by following data-parent links
+// within its project (or the In Progress section)
+function revealAncestors(line) {
+  const scope = line.closest('.project, .in-progress-items')
+  if (!scope) return
+
+  let parentId = line.dataset.parent
+  while (parentId) {
+    const parentLine = scope.querySelector(`.line[data-id="${CSS.escape(parentId)}"]`)
+    if (!parentLine) break
+    parentLine.parentElement.classList.add('search-visible')
+    parentId = parentLine.dataset.parent
+  }
+}
+
+function applySearch(rawQuery) {
+  const query = parseSearchQuery(rawQuery.trim())
+  const isSearching = query.terms.length > 0 || query.filters.length > 0
+  const count = document.querySelector('.nav-search-count')
+
+  document.querySelectorAll('.search-visible, .search-match, .search-has-match, .search-empty').forEach(el => {
+    el.classList.remove('search-visible', 'search-match', 'search-has-match', 'search-empty')
+  })
+  document.body.classList.toggle('searching', isSearching)
+
+  if (!isSearching) {
+    if (count) count.textContent = ''
+    return
+  }
+
+  const matchedIds = new Set()
+  document.querySelectorAll('.line[data-id]').forEach(line => {
+    if (!matchesSearch(line, query)) return
+    line.parentElement.classList.add('search-visible', 'search-match')
+    matchedIds.add(line.dataset.id)
+    revealAncestors(line)
+  })
+
+  // Open hidden containers that hold matches, hide sections without any
+  document.querySelectorAll('[data-completed-for], .milestone, .in-progress-items').forEach(container => {
+    container.classList.toggle('search-has-match', !!container.querySelector('.search-match'))
+  })
+  document.querySelectorAll('.project, .milestone, .in-progress-section, .in-progress-state').forEach(section => {
+    section.classList.toggle('search-empty', !section.querySelector('.search-match'))
+  })
+
+  if (count) {
+    count.textContent = matchedIds.size === 1 ? '1 issue' : `${matchedIds.size} issues`
+  }
+}
+
+// Re-run the current search (e.g. after live updates changed the tree)
+function refreshSearch() {
+  const input = document.getElementById('tree-search')
+  if (input?.value) applySearch(input.value)
+}
+
+function initSearch() {
+  const input = document.getElementById('tree-search')
+  if (!input) return
+
+  input.addEventListener('input', () => applySearch(input.value))
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      input.value = ''
+      applySearch('')
+      input.blur()
+    }
+  })
+
+  // Browsers may restore the field's value on back/forward navigation
+  if (input.value) applySearch(input.value)
+}
+
+// =============================================================================
+// Live updates (Server-Sent Events)
+// =============================================================================
+// Patches issue nodes in place when the server reports a change, so the page
+// stays current without a reload. Only the DOM is touched - collapse state in
+// localStorage is kept. Changes that alter the tree's shape (new issues,
+// re-parented issues, new projects) show a reload notice instead.
+function initLiveUpdates(getState) {
+  if (typeof EventSource === 'undefined') return
+
+  const selectedTeam = new URLSearchParams(window.location.search).get('team')
+  const source = new EventSource('/events')
+
+  source.addEventListener('change', (e) => {
+    let change
+    try {
+      change = JSON.parse(e.data)
+    } catch (err) {
+      console.warn('Ignoring malformed live update:', err)
+      return
+    }
+
+    if (change.type === 'Issue') applyIssueChange(change, selectedTeam, getState())
+    else if (change.type === 'Project') applyProjectChange(change)
+    else if (change.type === 'IssueRelation') applyRelationChange(change)
+
+    refreshSearch()
+  })
+}
+
+function applyIssueChange(change, selectedTeam, state) {
+  const nodes = [...document.querySelectorAll(`.node[data-id="${CSS.escape(change.id)}"]`)]
+
+  // Removed, or moved to a team this page doesn't show
+  const leftTeam = selectedTeam && change.issue && change.issue.team?.id !== selectedTeam
+  if (change.action === 'remove' || leftTeam) {
+    nodes.forEach(node => removeIssueNode(node, state))
+    return
+  }
+
+  const { issue } = change
+
+  // In "mine" mode, only issues assigned to the viewer are shown
+  const isMineView = document.getElementById('mine-toggle')?.getAttribute('aria-pressed') === 'true'
+  const isMine = issue.assignee?.id === document.body.dataset.viewerId
+
+  // New to this page - we don't know where it belongs without a re-render.
+  // Issues in groups (projects) this page doesn't show are ignored.
+  if (nodes.length === 0) {
+    const isShown = !isMineView || isMine
+    const isInShownGroup = getIssueGroupIds(issue)
+      .some(groupId => document.querySelector(`.project[data-id="${CSS.escape(groupId)}"]`))
+    if (isShown && isInShownGroup) showReloadNotice()
+    return
+  }
+
+  // Assigned to (or away from) the viewer - the shown issues changed
+  const wasMine = nodes.some(node => !node.querySelector(':scope > .line').classList.contains('context'))
+  if (isMineView && isMine !== wasMine) showReloadNotice()
+
+  // Issue just started (or stopped) - the In Progress section needs a re-render
+  const isStarted = issue.state?.type === 'started'
+  const inProgressLine = document.querySelector(`.in-progress-items .line[data-id="${CSS.escape(issue.id)}"]`)
+  if (isStarted && !inProgressLine) showReloadNotice()
+
+  // Moved to another started state - it belongs in another In Progress sub-group
+  // (copies in other sub-groups are ancestors of issues in that state)
+  const stateGroups = [...document.querySelectorAll(`.in-progress-state .line[data-id="${CSS.escape(issue.id)}"]`)]
+    .map(line => line.closest('.in-progress-state').dataset.stateName)
+  if (isStarted && stateGroups.length > 0 && !stateGroups.includes(issue.state.name)) showReloadNotice()
+
+  // A blocker was closed (or reopened) - blocked markers and the Blocked sub-section change
+  const isClosed = isClosedStatus(change.status.stateClass)
+  const blocksShownIssue = document.querySelector(`.blocked-marker[data-blocked-by~="${CSS.escape(issue.id)}"]`)
+  const closedBlockerLink = document.querySelector(`[data-relation="blocked-by"] .relation-link.closed[data-linked-id="${CSS.escape(issue.id)}"]`)
+  if ((isClosed && blocksShownIssue) || (!isClosed && closedBlockerLink)) showReloadNotice()
+
+  // Listed under another (or an additional) group, e.g. a label was added
+  const shownGroupIds = nodes
+    .map(node => node.closest('.project')?.dataset.id)
+    .filter(Boolean)
+  if (shownGroupIds.length > 0 && getIssueGroupIds(issue).some(groupId => !shownGroupIds.includes(groupId))) {
+    showReloadNotice()
+  }
+
+  nodes.forEach(node => {
+    const line = node.querySelector(':scope > .line')
+    if (hasMoved(node, line, issue)) {
+      showReloadNotice()
+      return
+    }
+
+    patchIssueNode(node, line, change)
+
+    if (line.dataset.section === 'project') {
+      updateCompletedPartition(getRootNode(node), state)
+    }
+  })
+}
+
+// Relation added or removed between issues on the page - blocked markers and
+// the details' relation lines need a re-render
+function applyRelationChange(change) {
+  const isShown = (change.issueIds || [])
+    .some(id => document.querySelector(`.node[data-id="${CSS.escape(id)}"]`))
+  if (isShown) showReloadNotice()
+}
+
+// Groups (projects by default) the page lists an issue under
+// (mirrors getIssueGroups in lib/tree.js)
+function getIssueGroupIds(issue) {
+  switch (document.body.dataset.groupBy) {
+    case 'assignee':
+      return [issue.assignee ? `assignee-${issue.assignee.id}` : 'assignee-none']
+    case 'team':
+      return [issue.team ? `team-${issue.team.id}` : 'team-none']
+    case 'cycle':
+      return [issue.cycle ? `cycle-${issue.cycle.id}` : 'cycle-none']
+    case 'label': {
+      const labels = issue.labels?.nodes || []
+      return labels.length > 0 ? labels.map(label => `label-${encodeURIComponent(label.name)}`) : ['label-none']
+    }
+    case 'priority':
+      return [`priority-${issue.priority || 0}`]
+    default:
+      return [issue.project?.id || 'no-project']
+  }
+}
+
+// True if the issue's parent or group (project) no longer matches where it's rendered
+function hasMoved(node, line, issue) {
+  const depth = parseInt(line.dataset.depth, 10)
+  if (depth > 0) return line.dataset.parent !== issue.parent?.id
+
+  const project = node.closest('.project')
+  if (!project) return false
+
+  // Greyed parent from another project - moved if it now belongs here
+  if (line.classList.contains('foreign')) return getIssueGroupIds(issue).includes(project.dataset.id)
+  if (!getIssueGroupIds(issue).includes(project.dataset.id)) return true
+
+  // Linked to a parent in another project that is no longer its parent
+  const parentLink = line.querySelector('.parent-link')
+  if (parentLink && parentLink.dataset.linkedId !== issue.parent?.id) return true
+
+  // Planned in another milestone (milestones only show when grouping by project)
+  if (document.body.dataset.groupBy === 'project' && project.dataset.id !== 'no-project') {
+    const milestoneId = node.closest('.milestone')?.dataset.milestoneId || null
+    if (milestoneId !== (issue.projectMilestone?.id || null)) return true
+  }
+
+  // Root node that now has a parent in the same project
+  return !!(issue.parent?.id && project.querySelector(`.node[data-id="${CSS.escape(issue.parent.id)}"]`))
+}
+
+function patchIssueNode(node, line, { issue, status, detailsHtml }) {
+  // Custom states of the issue's team have their own glyph (see buildStateGlyphs in lib/workflow-states.js)
+  const glyph = getStateGlyph(issue)
+  const stateEl = line.querySelector('.state')
+  stateEl.className = `state ${status.stateClass}`
+  stateEl.dataset.status = status.stateClass
+  stateEl.setAttribute('aria-label', `Status: ${glyph ? issue.state.name : status.stateLabel}`)
+  stateEl.textContent = glyph || status.stateChar
+
+  const stateNameEl = line.querySelector('.state-name')
+  if (stateNameEl) {
+    stateNameEl.textContent = issue.state?.name || ''
+    stateNameEl.dataset.status = status.stateClass
+  }
+
+  setSearchData(line, issue)
+
+  const titleEl = line.querySelector('.title')
+  titleEl.textContent = issue.title
+  titleEl.className = isClosedStatus(status.stateClass) ? `title ${status.stateClass}` : 'title'
+
+  let details = node.querySelector(':scope > .details')
+  // Link to a parent in another project and relations (webhooks don't carry
+  // them) aren't part of the patched lines
+  const parentLine = details?.querySelector('.detail-parent')
+  const relationLines = [...(details?.querySelectorAll('.detail-relation') || [])]
+  if (!detailsHtml && !parentLine && relationLines.length === 0) {
+    details?.remove()
+    return
+  }
+
+  if (!details) {
+    // Issue had nothing to show before - add a (collapsed) details panel and toggle
+    details = document.createElement('div')
+    details.className = 'details hidden'
+    details.dataset.detailsFor = issue.id
+    details.dataset.section = line.dataset.section
+    details.style.setProperty('--depth', line.dataset.depth)
+    line.after(details)
+
+    if (!line.classList.contains('expandable')) {
+      line.classList.add('expandable')
+      const toggle = document.createElement('span')
+      toggle.className = 'toggle'
+      toggle.textContent = '▶'
+      line.appendChild(toggle)
+    }
+  }
+  details.innerHTML = detailsHtml || ''
+  if (parentLine) details.prepend(parentLine)
+
+  // Relations go before the link to Linear, as rendered
+  const linkLine = details.querySelector('.detail-link')?.closest('.detail-line')
+  relationLines.forEach(relationLine => linkLine ? linkLine.before(relationLine) : details.append(relationLine))
+}
+
+// Glyph of the issue's state if its team gave the state one of its own
+// (mirrors getStateGlyph in lib/workflow-states.js)
+function getStateGlyph(issue) {
+  if (!document.body.dataset.stateGlyphs) return null
+  const teamGlyphs = JSON.parse(document.body.dataset.stateGlyphs)[issue.team?.id]
+  const name = issue.state?.name
+  return teamGlyphs && name && Object.hasOwn(teamGlyphs, name) ? teamGlyphs[name] : null
+}
+
+// Keep the attributes search matches against in sync (see renderSearchAttributes)
+function setSearchData(line, issue) {
+  const labels = issue.labels?.nodes?.map(l => l.name) || []
+  const data = {
+    stateType: issue.state?.type,
+    stateName: issue.state?.name,
+    assigneeId: issue.assignee?.id,
+    assignee: issue.assignee?.name,
+    labels: labels.length > 0 ? JSON.stringify(labels) : null,
+    due: issue.dueDate,
+    description: issue.description
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value) {
+      line.dataset[key] = value
+    } else {
+      delete line.dataset[key]
+    }
+  }
+}
+
+function removeIssueNode(node, state) {
+  const isProjectSection = node.querySelector(':scope > .line')?.dataset.section === 'project'
+  const project = node.closest('.milestone, .project')
+  const container = node.parentElement
+  const parentNode = container.closest('.node')
+
+  node.remove()
+
+  // Parent no longer has children
+  if (container.classList.contains('children') && container.children.length === 0) {
+    container.remove()
+    parentNode?.querySelector(':scope > .line')?.classList.remove('has-children')
+  }
+
+  if (!isProjectSection || !project) return
+
+  // Removing an incomplete child can leave the rest of its tree completed
+  if (parentNode) updateCompletedPartition(getRootNode(parentNode), state)
+  updateCompletedToggle(project, state)
+  updateMilestoneProgress(project)
+}
+
+// Walk up to the top-level node of a project tree
+function getRootNode(node) {
+  let root = node
+  while (root.parentElement && !root.parentElement.classList.contains('tree')) {
+    const parent = root.parentElement.closest('.node')
+    if (!parent) break
+    root = parent
+  }
+  return root
+}
+
+// Closed issues are hidden in a tree per kind, each with its own toggle
+// (see renderProjectIssues in lib/render.js)
+const CLOSED_KINDS = ['completed', 'canceled']
+
+function isClosedStatus(status) {
+  return status === 'done' || status === 'canceled'
 }
 
-// Navigation bar interactions (workspace/team selectors)
+// ID of a section's completed or canceled tree (and of its toggle)
+function getClosedTreeId(section, kind) {
+  return kind === 'canceled' ? `canceled-${section.dataset.id}` : section.dataset.id
+}
+
+function getCompletedToggleText(toggle, isShown) {
+  const kind = toggle.dataset.kind || 'completed'
+  return isShown ? `hide ${kind}` : `show ${toggle.dataset.count} ${kind}`
+}
+
+// Move a top-level node between the incomplete, completed and canceled trees
+// when its subtree's state changes. Milestones have their own trees.
+function updateCompletedPartition(root, state) {
+  const project = root.closest('.milestone, .project')
+  if (!project) return
+  updateMilestoneProgress(project)
+
+  // A closed subtree goes with its root (as in partitionCompleted in lib/tree.js)
+  const isClosed = [...root.querySelectorAll('.state')].every(el => isClosedStatus(el.dataset.status))
+  const rootStatus = root.querySelector(':scope > .line > .state')?.dataset.status
+  const kind = !isClosed ? null : rootStatus === 'canceled' ? 'canceled' : 'completed'
+
+  const currentId = root.parentElement.closest('[data-completed-for]')?.dataset.completedFor || null
+  if (currentId === (kind && getClosedTreeId(project, kind))) return
+
+  const target = kind ? getCompletedTree(project, state, kind) : getIncompleteTree(project)
+  target.appendChild(root)
+  updateCompletedToggle(project, state)
+}
+
+// Whether the project a section (project or milestone) is part of is collapsed
+function isProjectCollapsed(section, state) {
+  return state.collapsedProjects.includes(section.closest('.project').dataset.id)
+}
+
+// Keep a milestone's "done/total" count in sync with its issues
+function updateMilestoneProgress(section) {
+  const progress = section.classList.contains('milestone') && section.querySelector(':scope > .milestone-header .milestone-progress')
+  if (!progress) return
+
+  // Canceled issues don't count (as in countProgress in lib/tree.js)
+  const states = [...section.querySelectorAll('.line:not(.foreign) > .state')]
+    .filter(el => el.dataset.status !== 'canceled')
+  const done = states.filter(el => el.dataset.status === 'done').length
+  progress.textContent = progress.textContent.replace(/^\d+\/\d+ done/, `${done}/${states.length} done`)
+}
+
+function getIncompleteTree(project) {
+  let tree = project.querySelector(':scope > .tree:not([data-completed-for])')
+  if (!tree) {
+    tree = document.createElement('div')
+    tree.className = 'tree'
+    const completedTree = project.querySelector(':scope > [data-completed-for]')
+    const toggle = project.querySelector(':scope > .completed-toggle')
+    project.insertBefore(tree, completedTree || toggle || null)
+  }
+  return tree
+}
+
+function getCompletedTree(project, state, kind = 'completed') {
+  const treeId = getClosedTreeId(project, kind)
+  let tree = project.querySelector(`:scope > [data-completed-for="${CSS.escape(treeId)}"]`)
+  if (!tree) {
+    tree = document.createElement('div')
+    tree.className = 'tree'
+    tree.dataset.completedFor = treeId
+    setHidden(tree, !state.hideCompleted.includes(treeId) || isProjectCollapsed(project, state))
+    // Completed before canceled, both before the toggles
+    const next = kind === 'completed'
+      ? project.querySelector(':scope > [data-completed-for], :scope > .completed-toggle')
+      : project.querySelector(':scope > .completed-toggle')
+    project.insertBefore(tree, next)
+  }
+  return tree
+}
+
+// Keep the "show N completed" and "show N canceled" toggles in sync with their trees
+function updateCompletedToggle(project, state) {
+  CLOSED_KINDS.forEach(kind => {
+    const treeId = getClosedTreeId(project, kind)
+    const completedTree = project.querySelector(`:scope > [data-completed-for="${CSS.escape(treeId)}"]`)
+    const count = completedTree ? completedTree.querySelectorAll('.node').length : 0
+    let toggle = project.querySelector(`:scope > .completed-toggle[data-project-id="${CSS.escape(treeId)}"]`)
+
+    if (count === 0) {
+      completedTree?.remove()
+      toggle?.remove()
+      return
+    }
+
+    if (!toggle) {
+      toggle = document.createElement('div')
+      toggle.className = 'completed-toggle'
+      toggle.dataset.projectId = treeId
+      toggle.dataset.kind = kind
+      setHidden(toggle, isProjectCollapsed(project, state))
+      // The completed toggle comes first
+      project.insertBefore(toggle, kind === 'completed' ? project.querySelector(':scope > .completed-toggle') : null)
+    }
+
+    toggle.dataset.count = count
+    toggle.textContent = getCompletedToggleText(toggle, state.hideCompleted.includes(treeId))
+  })
+}
+
+function applyProjectChange(change) {
+  const project = document.querySelector(`.project[data-id="${CSS.escape(change.id)}"]`)
+
+  // Removed, or moved to a state this page doesn't show (e.g. completed)
+  const isShownState = change.project && getSelectedProjectStates().includes(change.project.state)
+  if (change.action === 'remove' || !isShownState) {
+    project?.remove()
+    return
+  }
+
+  if (!project) {
+    showReloadNotice()
+    return
+  }
+
+  // Keep the collapse arrow and state badge, replace the name
+  const header = project.querySelector('.project-header')
+  const arrow = header.textContent.trim().charAt(0)
+  const badge = header.querySelector('.project-state')
+  header.firstChild.textContent = badge ? `${arrow} ${change.project.name} ` : `${arrow} ${change.project.name}`
+
+  // Moved between shown states - its badge and position need a re-render
+  if ((badge?.dataset.state || 'started') !== change.project.state) showReloadNotice()
+}
+
+function showReloadNotice() {
+  if (document.querySelector('.live-notice')) return
+
+  const notice = document.createElement('div')
+  notice.className = 'live-notice'
+  notice.setAttribute('role', 'status')
+  notice.innerHTML = 'Projects changed · <a href="">reload</a>'
+  document.querySelector('main')?.prepend(notice)
+}
+
+// Navigation bar interactions (workspace/team/project state selectors)
 function initNavBar() {
   const navBar = document.querySelector('.nav-bar')
   if (!navBar) return
@@ -451,15 +1345,27 @@ function initNavBar() {
   const teamToggle = document.getElementById('team-toggle')
   const workspaceOptions = document.getElementById('workspace-options')
   const teamOptions = document.getElementById('team-options')
+  const projectStateToggle = document.getElementById('project-state-toggle')
+  const projectStateOptions = document.getElementById('project-state-options')
+
+  // Single-choice mode selectors; the first option of each is its default
+  const modeSelectors = Object.keys(MODE_STORAGE_KEYS)
+    .map(name => ({
+      name,
+      toggle: document.getElementById(`${name}-toggle`),
+      options: document.getElementById(`${name}-options`)
+    }))
+    .filter(({ toggle, options }) => toggle && options)
+    .map(selector => ({ ...selector, defaultMode: selector.options.querySelector('.nav-option').dataset[selector.name] }))
 
   // Track currently open selector
   let openSelector = null
 
   function closeAllSelectors() {
-    ;[workspaceToggle, teamToggle].forEach(btn => {
+    ;[workspaceToggle, teamToggle, projectStateToggle, ...modeSelectors.map(m => m.toggle)].forEach(btn => {
       if (btn) btn.setAttribute('aria-expanded', 'false')
     })
-    ;[workspaceOptions, teamOptions].forEach(panel => {
+    ;[workspaceOptions, teamOptions, projectStateOptions, ...modeSelectors.map(m => m.options)].forEach(panel => {
       if (panel) panel.classList.add('hidden')
     })
     openSelector = null
@@ -494,6 +1400,49 @@ function initNavBar() {
     })
   }
 
+  // Project state toggle
+  if (projectStateToggle && projectStateOptions) {
+    projectStateToggle.addEventListener('click', (e) => {
+      e.stopPropagation()
+      toggleSelector(projectStateToggle, projectStateOptions, 'project-state')
+    })
+  }
+
+  // Mode toggles (group, sort)
+  modeSelectors.forEach(({ name, toggle, options }) => {
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation()
+      toggleSelector(toggle, options, name)
+    })
+  })
+
+  // "Mine" toggle (only the viewer's issues)
+  const mineToggle = document.getElementById('mine-toggle')
+  if (mineToggle) {
+    mineToggle.addEventListener('click', () => {
+      const isMine = mineToggle.getAttribute('aria-pressed') === 'true'
+      window.location.href = withParam('mine', isMine ? null : '1')
+    })
+  }
+
+  // "Parents" toggle (parents from other projects as context nodes)
+  const parentsToggle = document.getElementById('parents-toggle')
+  if (parentsToggle) {
+    parentsToggle.addEventListener('click', () => {
+      const isShown = parentsToggle.getAttribute('aria-pressed') === 'true'
+      window.location.href = withParam('parents', isShown ? null : '1')
+    })
+  }
+
+  // "States" toggle (workflow state names, In Progress split by state)
+  const statesToggle = document.getElementById('states-toggle')
+  if (statesToggle) {
+    statesToggle.addEventListener('click', () => {
+      const isShown = statesToggle.getAttribute('aria-pressed') === 'true'
+      window.location.href = withParam('states', isShown ? null : '1')
+    })
+  }
+
   // Team option selection (workspace uses form submission)
   if (teamOptions) {
     teamOptions.addEventListener('click', (e) => {
@@ -503,11 +1452,48 @@ function initNavBar() {
       e.stopPropagation()
       const teamId = option.dataset.team
       setTeamSelection(teamId)
-      const url = teamId === 'all' ? '/' : `/?team=${teamId}`
-      window.location.href = url
+      window.location.href = withParam('team', teamId === 'all' ? null : teamId)
+    })
+  }
+
+  // Project state option selection (multi-select: toggles one state)
+  if (projectStateOptions) {
+    projectStateOptions.addEventListener('click', (e) => {
+      const option = e.target.closest('.nav-option[data-project-state]')
+      if (!option) return
+
+      e.stopPropagation()
+      const state = option.dataset.projectState
+      const selected = getSelectedProjectStates()
+      const toggled = selected.includes(state)
+        ? selected.filter(s => s !== state)
+        : [...selected, state]
+
+      // At least one state must stay selected
+      if (toggled.length === 0) return
+
+      // Keep the selector's order so the same selection gives the same URL
+      const allStates = [...projectStateOptions.querySelectorAll('.nav-option[data-project-state]')]
+        .map(opt => opt.dataset.projectState)
+      const states = allStates.filter(s => toggled.includes(s)).join(',')
+      setProjectStateSelection(states)
+      window.location.href = withParam('projectState', states)
     })
   }
 
+  // Mode option selection (the default mode is left out of the URL)
+  modeSelectors.forEach(({ name, options, defaultMode }) => {
+    options.addEventListener('click', (e) => {
+      const option = e.target.closest(`.nav-option[data-${name}]`)
+      if (!option) return
+
+      e.stopPropagation()
+      const mode = option.dataset[name]
+      setModeSelection(name, mode)
+      window.location.href = withParam(name, mode === defaultMode ? null : mode)
+    })
+  })
+
   // Close on outside click
   document.addEventListener('click', () => {
     if (openSelector) closeAllSelectors()
@@ -515,7 +1501,7 @@ function initNavBar() {
 
   // Prevent clicks inside options panels from triggering "close on outside click"
   // Links still navigate, forms still submit - we just don't hide the panel first
-  ;[workspaceOptions, teamOptions].forEach(panel => {
+  ;[workspaceOptions, teamOptions, projectStateOptions, ...modeSelectors.map(m => m.options)].forEach(panel => {
     if (panel) {
       panel.addEventListener('click', (e) => e.stopPropagation())
     }
@@ -566,12 +1552,20 @@ function initNavBar() {
       handleKeyboard(e, workspaceToggle, workspaceOptions)
     } else if (openSelector === 'team') {
       handleKeyboard(e, teamToggle, teamOptions)
+    } else if (openSelector === 'project-state') {
+      handleKeyboard(e, projectStateToggle, projectStateOptions)
+    } else {
+      const mode = modeSelectors.find(m => m.name === openSelector)
+      if (mode) handleKeyboard(e, mode.toggle, mode.options)
     }
   })
 
-  // Sync team selection with localStorage on initial load
+  // Sync filter selections with localStorage on initial load.
+  // Filters missing from the URL are restored from the saved selection in a single redirect.
+  const urlParams = new URLSearchParams(window.location.search)
+  const restoredParams = new URLSearchParams(urlParams)
+
   if (teamToggle) {
-    const urlParams = new URLSearchParams(window.location.search)
     const urlTeam = urlParams.get('team')
     const savedTeam = getTeamSelection()
 
@@ -580,19 +1574,54 @@ function initNavBar() {
     const savedTeamExists = savedTeam === 'all' ||
       [...teamOptionsAll].some(opt => opt.dataset.team === savedTeam)
 
-    // If URL has no team but localStorage does (and team still exists), redirect
     if (!urlTeam && savedTeam && savedTeam !== 'all' && savedTeamExists) {
-      window.location.href = `/?team=${savedTeam}`
-      return
+      // URL has no team but localStorage does (and team still exists)
+      restoredParams.set('team', savedTeam)
+    } else {
+      // Clear invalid saved team
+      if (savedTeam && !savedTeamExists) {
+        clearTeamSelection()
+      }
+
+      // Save current selection
+      setTeamSelection(urlTeam || 'all')
     }
+  }
+
+  if (projectStateToggle) {
+    const urlStates = urlParams.get('projectState')
+    const shownStates = getSelectedProjectStates().join(',')
+
+    // Ignore saved states the selector doesn't offer
+    const offeredStates = [...document.querySelectorAll('#project-state-options .nav-option[data-project-state]')]
+      .map(opt => opt.dataset.projectState)
+    const savedStates = (getProjectStateSelection() || '')
+      .split(',')
+      .filter(state => offeredStates.includes(state))
+      .join(',')
+
+    if (!urlStates && savedStates && savedStates !== shownStates) {
+      restoredParams.set('projectState', savedStates)
+    } else {
+      setProjectStateSelection(shownStates)
+    }
+  }
+
+  modeSelectors.forEach(({ name, options, defaultMode }) => {
+    const urlMode = urlParams.get(name)
+    const shownMode = options.querySelector('.nav-option[aria-selected="true"]')?.dataset[name] || defaultMode
+    const savedMode = getModeSelection(name)
+    const savedModeExists = !!options.querySelector(`.nav-option[data-${name}="${CSS.escape(savedMode || '')}"]`)
 
-    // Clear invalid saved team
-    if (savedTeam && !savedTeamExists) {
-      clearTeamSelection()
+    if (!urlMode && savedMode && savedMode !== defaultMode && savedModeExists) {
+      restoredParams.set(name, savedMode)
+    } else {
+      setModeSelection(name, shownMode)
     }
+  })
 
-    // Save current selection
-    setTeamSelection(urlTeam || 'all')
+  if (restoredParams.toString() !== urlParams.toString()) {
+    window.location.href = `${window.location.pathname}?${restoredParams}`
   }
 }
 
@@ -2,6 +2,7 @@
  * Operator Dashboard Frontend
  *
  * Handles the audit button click, fetches audit data, and renders the report.
+ * Also charts the workspace's audit history and compares two stored reports.
  */
 
 // =============================================================================
@@ -11,16 +12,69 @@ const runAuditBtn = document.getElementById('run-audit');
 const auditStatus = document.getElementById('audit-status');
 const auditReport = document.getElementById('audit-report');
 const auditError = document.getElementById('audit-error');
+const queueConfigEditor = document.getElementById('queue-config-editor');
+const queueConfigSource = document.getElementById('queue-config-source');
+const queueConfigStatus = document.getElementById('queue-config-status');
+const queueConfigErrors = document.getElementById('queue-config-errors');
+const saveQueueConfigBtn = document.getElementById('save-queue-config');
+const resetQueueConfigBtn = document.getElementById('reset-queue-config');
+const auditHistoryCount = document.getElementById('audit-history-count');
+const auditHistoryEmpty = document.getElementById('audit-history-empty');
+const auditTrends = document.getElementById('audit-trends');
+const compareControls = document.getElementById('audit-compare-controls');
+const compareFromSelect = document.getElementById('compare-from');
+const compareToSelect = document.getElementById('compare-to');
+const compareAuditsBtn = document.getElementById('compare-audits');
+const auditComparison = document.getElementById('audit-comparison');
 
 // =============================================================================
 // State
 // =============================================================================
 const sectionState = {};
+let auditHistory = [];
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// Numbers of each stored audit that are charted and compared.
+// Percentages are charted on a 0-100 scale, counts from 0 to their maximum.
+const TREND_METRICS = [
+  { key: 'readinessScore', label: 'Queue readiness', percent: true, higherIsBetter: true },
+  { key: 'unlabeled', label: 'Unlabeled', percent: false, higherIsBetter: false },
+  { key: 'noAssignee', label: 'No assignee', percent: false, higherIsBetter: false },
+  { key: 'shortDescription', label: 'Short descriptions', percent: false, higherIsBetter: false },
+  { key: 'estimatesUsage', label: 'Estimates', percent: true, higherIsBetter: true },
+  { key: 'dueDatesUsage', label: 'Due dates', percent: true, higherIsBetter: true }
+];
+
+// Also compared side by side, but not charted
+const COMPARE_METRICS = [
+  { key: 'totalTasks', label: 'Total tasks', percent: false, higherIsBetter: null },
+  { key: 'orphans', label: 'Orphans', percent: false, higherIsBetter: false },
+  ...TREND_METRICS
+];
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
 
 // =============================================================================
 // Event Handlers
 // =============================================================================
 runAuditBtn.addEventListener('click', runAudit);
+saveQueueConfigBtn.addEventListener('click', saveQueueConfig);
+resetQueueConfigBtn.addEventListener('click', resetQueueConfig);
+compareAuditsBtn.addEventListener('click', compareAudits);
+
+loadQueueConfig();
+const historyLoaded = loadAuditHistory();
+
+// Links to part of the report (e.g. "/fancy#orphans" from the tree) show the latest
+// report right away, so reloading the page doesn't add an audit to the history each time
+if (window.location.hash) {
+  historyLoaded.then(showLatestAudit).then(() => {
+    document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+  });
+}
 
 // Delegate section toggle clicks
 document.addEventListener('click', (e) => {
@@ -60,6 +114,7 @@ async function runAudit() {
     renderReport(report);
     auditStatus.textContent = 'Audit complete';
     auditStatus.className = 'audit-status';
+    loadAuditHistory();
   } catch (error) {
     console.error('Audit error:', error);
     auditError.textContent = `Error: ${error.message}`;
@@ -71,6 +126,311 @@ async function runAudit() {
   }
 }
 
+/**
+ * Shows the most recent stored report (running an audit if there is none yet).
+ */
+async function showLatestAudit() {
+  const latest = auditHistory.at(-1);
+  if (!latest) {
+    return runAudit();
+  }
+
+  auditStatus.textContent = 'Loading latest audit...';
+  auditStatus.className = 'audit-status loading';
+
+  try {
+    const response = await fetch(`/api/audits/${encodeURIComponent(latest.id)}`);
+    if (!response.ok) {
+      throw new Error(`Loading audit failed: ${response.status}`);
+    }
+
+    const { report } = await response.json();
+    renderReport(report);
+    auditStatus.textContent = `Latest audit (${formatAuditDate(latest.timestamp)})`;
+    auditStatus.className = 'audit-status';
+  } catch (error) {
+    console.error('Audit error:', error);
+    auditError.textContent = `Error: ${error.message}`;
+    auditError.classList.remove('hidden');
+    auditStatus.textContent = 'Audit failed';
+    auditStatus.className = 'audit-status error';
+  }
+}
+
+// =============================================================================
+// Audit History
+// =============================================================================
+
+/**
+ * Loads the workspace's stored audits and charts them.
+ */
+async function loadAuditHistory() {
+  try {
+    const response = await fetch('/api/audits');
+    if (!response.ok) {
+      throw new Error(`Loading audit history failed: ${response.status}`);
+    }
+    const { audits } = await response.json();
+    auditHistory = audits;
+    renderHistory();
+  } catch (error) {
+    console.error('Audit history error:', error);
+    auditHistoryEmpty.textContent = error.message;
+  }
+}
+
+/**
+ * Renders the trend charts and fills the comparison pickers.
+ */
+function renderHistory() {
+  const count = auditHistory.length;
+  auditHistoryCount.textContent = count > 0 ? `(${count} ${count === 1 ? 'report' : 'reports'})` : '';
+  auditHistoryEmpty.classList.toggle('hidden', count > 0);
+  auditTrends.innerHTML = count > 0
+    ? TREND_METRICS.map(metric => renderTrend(metric, auditHistory)).join('')
+    : '';
+
+  // Newest first, comparing the previous report with the latest by default
+  const options = auditHistory.slice().reverse().map(audit =>
+    `<option value="${escapeHtml(audit.id)}">${escapeHtml(formatAuditDate(audit.timestamp))} · ${audit.summary.readinessScore}%</option>`
+  ).join('');
+  compareFromSelect.innerHTML = options;
+  compareToSelect.innerHTML = options;
+  if (count > 1) {
+    compareFromSelect.selectedIndex = 1;
+    compareToSelect.selectedIndex = 0;
+  }
+  compareControls.classList.toggle('hidden', count < 2);
+}
+
+/**
+ * Renders a metric's trend: a sparkline with one bar per audit and the
+ * change from the first to the latest audit.
+ */
+function renderTrend(metric, audits) {
+  const values = audits.map(audit => audit.summary[metric.key] ?? 0);
+  const max = metric.percent ? 100 : Math.max(1, ...values);
+
+  const bars = audits.map((audit, index) => {
+    const value = values[index];
+    const level = Math.round((value / max) * (SPARK_CHARS.length - 1));
+    const title = `${formatAuditDate(audit.timestamp)}: ${formatMetric(metric, value)}`;
+    return `<span title="${escapeHtml(title)}">${SPARK_CHARS[Math.min(Math.max(level, 0), SPARK_CHARS.length - 1)]}</span>`;
+  }).join('');
+
+  const first = values[0];
+  const latest = values[values.length - 1];
+  return `
+    <div class="trend-row" data-metric="${metric.key}">
+      <span class="trend-label">${escapeHtml(metric.label)}</span>
+      <span class="trend-chart">${bars}</span>
+      <span class="trend-values">${formatMetric(metric, first)} → <span class="${getChangeClass(metric, latest - first)}">${formatMetric(metric, latest)}</span></span>
+    </div>
+  `;
+}
+
+/**
+ * Loads the two picked reports and shows them side by side.
+ */
+async function compareAudits() {
+  const ids = [compareFromSelect.value, compareToSelect.value];
+  compareAuditsBtn.disabled = true;
+
+  try {
+    const [from, to] = await Promise.all(ids.map(async id => {
+      const response = await fetch(`/api/audits/${encodeURIComponent(id)}`);
+      if (!response.ok) {
+        throw new Error(`Loading audit failed: ${response.status}`);
+      }
+      return response.json();
+    }));
+    auditComparison.innerHTML = renderComparison(from, to);
+  } catch (error) {
+    console.error('Audit comparison error:', error);
+    auditComparison.innerHTML = `<p class="audit-status error">${escapeHtml(error.message)}</p>`;
+  } finally {
+    auditComparison.classList.remove('hidden');
+    compareAuditsBtn.disabled = false;
+  }
+}
+
+/**
+ * Renders two stored reports side by side: the charted numbers, then each
+ * queue's status (queues of either report).
+ */
+function renderComparison(from, to) {
+  const [fromSummary, toSummary] = [from, to].map(audit =>
+    auditHistory.find(entry => entry.id === audit.id)?.summary || {}
+  );
+
+  const metricRows = COMPARE_METRICS.map(metric => {
+    const a = fromSummary[metric.key] ?? 0;
+    const b = toSummary[metric.key] ?? 0;
+    return renderComparisonRow(metric.label, formatMetric(metric, a), formatMetric(metric, b), b - a, metric);
+  }).join('');
+
+  const queueNames = [...new Set([...from.report.queues.queues, ...to.report.queues.queues].map(q => q.name))];
+  const queueRows = queueNames.map(name => {
+    const [a, b] = [from, to].map(audit => audit.report.queues.queues.find(q => q.name === name));
+    return renderComparisonRow(`Queue ${name}`, formatQueueStatus(a), formatQueueStatus(b));
+  }).join('');
+
+  return `
+    <table class="comparison-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>${escapeHtml(formatAuditDate(from.timestamp))}</th>
+          <th>${escapeHtml(formatAuditDate(to.timestamp))}</th>
+          <th>change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${metricRows}
+        ${queueRows}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderComparisonRow(label, a, b, change = null, metric = null) {
+  const changeHtml = change === null || change === 0
+    ? ''
+    : `<span class="${getChangeClass(metric, change)}">${change > 0 ? '+' : ''}${formatMetric(metric, change)}</span>`;
+
+  return `
+    <tr class="comparison-row">
+      <th scope="row">${escapeHtml(label)}</th>
+      <td>${escapeHtml(a)}</td>
+      <td>${escapeHtml(b)}</td>
+      <td class="comparison-change">${changeHtml}</td>
+    </tr>
+  `;
+}
+
+/**
+ * Class for a change of a metric: better, worse, or neither.
+ */
+function getChangeClass(metric, change) {
+  if (change === 0 || metric.higherIsBetter === null) return 'change-none';
+  return (change > 0) === metric.higherIsBetter ? 'change-better' : 'change-worse';
+}
+
+function formatMetric(metric, value) {
+  return metric.percent ? `${value}%` : String(value);
+}
+
+function formatQueueStatus(queue) {
+  if (!queue) return '—';
+  return queue.exists ? `✓ ${queue.taskCount} tasks` : '✗ missing';
+}
+
+function formatAuditDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+// =============================================================================
+// Queue Configuration
+// =============================================================================
+
+/**
+ * Loads the workspace's queue config into the editor.
+ */
+async function loadQueueConfig() {
+  try {
+    const response = await fetch('/api/queue-config');
+    if (!response.ok) {
+      throw new Error(`Loading queues failed: ${response.status}`);
+    }
+    showQueueConfig(await response.json());
+  } catch (error) {
+    console.error('Queue config error:', error);
+    setQueueConfigStatus(error.message, 'error');
+  }
+}
+
+/**
+ * Validates and saves the queues in the editor.
+ * The server checks the queues; its messages are listed below the editor.
+ */
+async function saveQueueConfig() {
+  showQueueConfigErrors([]);
+
+  let queues;
+  try {
+    queues = JSON.parse(queueConfigEditor.value);
+  } catch (error) {
+    showQueueConfigErrors([`Not valid JSON: ${error.message}`]);
+    setQueueConfigStatus('Not saved', 'error');
+    return;
+  }
+
+  await sendQueueConfig('PUT', queues);
+}
+
+/**
+ * Removes the workspace's queues, going back to the default ones.
+ */
+async function resetQueueConfig() {
+  if (!window.confirm('Replace this workspace\'s queues with the default ones?')) return;
+  showQueueConfigErrors([]);
+  await sendQueueConfig('DELETE');
+}
+
+/**
+ * Sends a queue config change and shows the result.
+ */
+async function sendQueueConfig(method, queues) {
+  saveQueueConfigBtn.disabled = true;
+  setQueueConfigStatus('Saving...', 'loading');
+
+  try {
+    const response = await fetch('/api/queue-config', {
+      method,
+      headers: queues ? { 'Content-Type': 'application/json' } : {},
+      body: queues ? JSON.stringify(queues) : undefined
+    });
+    const result = await response.json();
+
+    if (response.status === 400 && result.errors) {
+      showQueueConfigErrors(result.errors);
+      setQueueConfigStatus('Not saved', 'error');
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Saving queues failed: ${response.status}`);
+    }
+
+    showQueueConfig(result);
+    setQueueConfigStatus('Saved. Run the audit again to score the new queues.');
+  } catch (error) {
+    console.error('Queue config error:', error);
+    setQueueConfigStatus(error.message, 'error');
+  } finally {
+    saveQueueConfigBtn.disabled = false;
+  }
+}
+
+/**
+ * Shows a queue config in the editor.
+ */
+function showQueueConfig(config) {
+  queueConfigEditor.value = JSON.stringify(config.queues, null, 2);
+  queueConfigSource.textContent = config.isDefault
+    ? '(default queues)'
+    : `(saved ${new Date(config.updatedAt).toLocaleString()})`;
+}
+
+function setQueueConfigStatus(text, className = '') {
+  queueConfigStatus.textContent = text;
+  queueConfigStatus.className = `audit-status ${className}`.trim();
+}
+
+function showQueueConfigErrors(errors) {
+  queueConfigErrors.innerHTML = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+  queueConfigErrors.classList.toggle('hidden', errors.length === 0);
+}
+
 // =============================================================================
 // Rendering Functions
 // =============================================================================
@@ -273,7 +633,7 @@ function renderHealthContent(health) {
     </div>
 
     <h4 style="margin-top: 1rem;">Health Issues</h4>
-    ${renderHealthIssue('Orphan tasks (no project)', health.orphans)}
+    ${renderHealthIssue('Orphan tasks (no project)', health.orphans, 'orphans')}
     ${renderHealthIssue('Unlabeled tasks', health.unlabeled)}
     ${renderHealthIssue(`Short descriptions (<${health.shortDescription.threshold} chars)`, health.shortDescription)}
     ${renderHealthIssue('No assignee', health.noAssignee)}
@@ -282,8 +642,9 @@ function renderHealthContent(health) {
 
 /**
  * Renders a health issue with count and sample items.
+ * An optional anchor ID lets other pages link to it.
  */
-function renderHealthIssue(label, issue) {
+function renderHealthIssue(label, issue, anchorId = null) {
   const countClass = issue.count === 0 ? 'good' : (issue.count > 10 ? 'warning' : 'bad');
 
   let itemsHtml = '';
@@ -299,7 +660,7 @@ function renderHealthIssue(label, issue) {
   }
 
   return `
-    <div class="health-indicator">
+    <div class="health-indicator"${anchorId ? ` id="${anchorId}"` : ''}>
       <span class="health-count ${countClass}">${issue.count}</span>
       <span class="health-label">${escapeHtml(label)}</span>
     </div>
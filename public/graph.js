@@ -0,0 +1,98 @@
+/**
+ * Dependency graph page (/graph)
+ *
+ * Selecting an issue (click, Enter or Space) highlights its edges and shows
+ * its details next to the graph. The selection is kept in the URL hash so
+ * links can point at an issue of the graph.
+ */
+
+const show = el => el?.classList.remove('hidden')
+const hide = el => el?.classList.add('hidden')
+
+function getGraphNodes() {
+  return [...document.querySelectorAll('.graph-node')]
+}
+
+/**
+ * Select an issue of the graph (or clear the selection with null)
+ */
+function selectIssue(id) {
+  for (const node of getGraphNodes()) {
+    const selected = node.dataset.id === id
+    node.classList.toggle('selected', selected)
+    node.setAttribute('aria-pressed', String(selected))
+  }
+
+  // Edges from and to the selected issue, and the issues at their other end
+  const neighbors = new Set()
+  for (const edge of document.querySelectorAll('.graph-edge')) {
+    const connected = id !== null && (edge.dataset.from === id || edge.dataset.to === id)
+    edge.classList.toggle('connected', connected)
+    if (connected) neighbors.add(edge.dataset.from === id ? edge.dataset.to : edge.dataset.from)
+  }
+  for (const node of getGraphNodes()) {
+    node.classList.toggle('neighbor', neighbors.has(node.dataset.id))
+  }
+
+  const panel = document.querySelector('.graph-details')
+  let found = false
+  for (const issue of panel.querySelectorAll('.graph-issue')) {
+    if (issue.dataset.issueId === id) {
+      show(issue)
+      show(issue.querySelector('.details'))
+      found = true
+    } else {
+      hide(issue)
+    }
+  }
+  if (found) {
+    hide(panel.querySelector('.graph-details-empty'))
+  } else {
+    show(panel.querySelector('.graph-details-empty'))
+  }
+
+  const hash = found ? `#${id}` : ''
+  if (window.location.hash !== hash) {
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`)
+  }
+}
+
+function getSelectedId() {
+  return document.querySelector('.graph-node.selected')?.dataset.id || null
+}
+
+function initGraph() {
+  const svg = document.querySelector('.issue-graph')
+  if (!svg) return
+
+  const toggleIssue = id => selectIssue(getSelectedId() === id ? null : id)
+
+  svg.addEventListener('click', (e) => {
+    const node = e.target.closest('.graph-node')
+    if (node) toggleIssue(node.dataset.id)
+  })
+
+  svg.addEventListener('keydown', (e) => {
+    const node = e.target.closest('.graph-node')
+    if (node && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault()
+      toggleIssue(node.dataset.id)
+    }
+  })
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && getSelectedId()) {
+      selectIssue(null)
+    }
+  })
+
+  // Links to an issue of the graph (e.g. "/graph?project=…#issue-id")
+  const hashId = decodeURIComponent(window.location.hash.slice(1))
+  const hashNode = getGraphNodes().find(node => node.dataset.id === hashId)
+  if (hashNode) {
+    selectIssue(hashId)
+    hashNode.scrollIntoView({ block: 'center', inline: 'center' })
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initGraph)
@@ -7,7 +7,7 @@
  */
 import crypto from 'crypto'
 import { Router } from 'express'
-import { fetchOrganization } from '../lib/linear.js'
+import { fetchOrganization, fetchViewer } from '../lib/linear.js'
 import { renderErrorPage } from '../lib/render.js'
 import { calculateExpiresAt } from '../lib/token-refresh.js'
 import { upsertWorkspace, saveSession } from '../lib/workspace.js'
@@ -107,10 +107,14 @@ export function createAuthRoutes({ sessionStore }) {
         return res.status(400).send(html)
       }
 
-      // Fetch organization info to identify workspace
+      // Fetch organization info to identify workspace, and who signed in
       let org
+      let viewer
       try {
-        org = await fetchOrganization(data.access_token)
+        [org, viewer] = await Promise.all([
+          fetchOrganization(data.access_token),
+          fetchViewer(data.access_token)
+        ])
       } catch (orgError) {
         console.error('Failed to fetch organization:', orgError)
         const html = renderErrorPage('Connection Error', 'Could not fetch workspace information from Linear. Please try again.', {
@@ -128,7 +132,8 @@ export function createAuthRoutes({ sessionStore }) {
         accessToken: data.access_token,
         refreshToken: data.refresh_token,
         tokenExpiresAt: calculateExpiresAt(data.expires_in || 86400),
-        addedAt: Date.now()
+        addedAt: Date.now(),
+        viewer
       }
 
       // Preserve existing workspaces before regenerating session
@@ -0,0 +1,71 @@
+/**
+ * Server-Sent Events stream of live changes.
+ * Browsers subscribe to their active workspace and patch the rendered tree
+ * in place when issues or projects change.
+ */
+import { Router } from 'express'
+import { getActiveWorkspace } from '../lib/workspace.js'
+import { getIssueStatus, renderDetailLines } from '../lib/render.js'
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 30 * 1000
+
+/**
+ * Adds what the browser needs to patch an issue node (status glyph, details HTML).
+ * @param {import('../lib/change-feed.js').Change} change - Change from the feed
+ * @returns {Object} Change message sent to the browser
+ */
+function toClientChange(change) {
+  if (change.type !== 'Issue' || !change.issue) return change
+
+  return {
+    ...change,
+    status: getIssueStatus(change.issue),
+    detailsHtml: renderDetailLines(change.issue)
+  }
+}
+
+/**
+ * Create live event routes with required dependencies.
+ * @param {Object} options
+ * @param {import('../lib/change-feed.js').ChangeFeed} options.changeFeed - Feed to forward changes from
+ * @returns {Router} Express router
+ */
+export function createEventRoutes({ changeFeed }) {
+  const router = Router()
+
+  /**
+   * Event stream for the active workspace.
+   * Each change is sent as a "change" event with a JSON payload.
+   */
+  router.get('/events', (req, res) => {
+    const workspace = getActiveWorkspace(req.session)
+    if (!workspace) {
+      return res.status(401).end()
+    }
+
+    // Subscribe before responding, so no change is missed once the browser sees the stream open
+    const unsubscribe = changeFeed.subscribe(workspace.id, change => {
+      res.write(`event: change\ndata: ${JSON.stringify(toClientChange(change))}\n\n`)
+    })
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    })
+    res.flushHeaders()
+
+    // Ask the browser to wait 5s before reconnecting after a dropped connection
+    res.write('retry: 5000\n\n')
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS)
+
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      unsubscribe()
+    })
+  })
+
+  return router
+}
@@ -0,0 +1,70 @@
+/**
+ * Linear webhook routes.
+ * Receives Issue/Project events from Linear and applies them to the cached
+ * snapshots of the workspace, so pages show changes without polling Linear.
+ * Open pages are notified through the change feed (see routes/events.js).
+ *
+ * Configure the webhook in Linear Settings → API → Webhooks with the URL
+ * https://yourdomain.com/webhooks/linear and set LINEAR_WEBHOOK_SECRET to
+ * the signing secret Linear shows.
+ */
+import express, { Router } from 'express'
+import { verifyWebhookSignature, isWebhookFresh, applyWebhookEvent, toChange } from '../lib/webhook.js'
+
+/**
+ * Create webhook routes with required dependencies.
+ * @param {Object} options
+ * @param {import('../lib/project-cache.js').ProjectCache} options.projectCache - Cache holding workspace snapshots
+ * @param {import('../lib/change-feed.js').ChangeFeed} options.changeFeed - Feed notifying open pages of changes
+ * @returns {Router} Express router
+ */
+export function createWebhookRoutes({ projectCache, changeFeed }) {
+  const router = Router()
+
+  /**
+   * Linear webhook receiver.
+   * Body is read raw because the signature covers the exact bytes sent.
+   */
+  router.post('/webhooks/linear', express.raw({ type: 'application/json' }), async (req, res) => {
+    const secret = process.env.LINEAR_WEBHOOK_SECRET
+    if (!secret) {
+      return res.status(503).send('Webhooks not configured')
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+    if (!verifyWebhookSignature(rawBody, req.get('linear-signature'), secret)) {
+      return res.status(401).send('Invalid signature')
+    }
+
+    let event
+    try {
+      event = JSON.parse(rawBody.toString('utf-8'))
+    } catch (err) {
+      return res.status(400).send('Invalid JSON')
+    }
+
+    if (!isWebhookFresh(event.webhookTimestamp)) {
+      return res.status(401).send('Stale webhook')
+    }
+
+    if (!event.organizationId || !event.data?.id) {
+      return res.status(400).send('Invalid payload')
+    }
+
+    try {
+      await projectCache.update(event.organizationId, (snapshot, teamId) =>
+        applyWebhookEvent(snapshot, event, teamId)
+      )
+
+      const change = toChange(event)
+      if (change) changeFeed.publish(event.organizationId, change)
+
+      res.send('ok')
+    } catch (err) {
+      console.error('Webhook processing error:', err)
+      res.status(500).send('Webhook processing failed')
+    }
+  })
+
+  return router
+}
@@ -5,6 +5,7 @@
  * - OAuth 2.0 authentication with Linear
  * - Session management (MongoDB in production, file-based in development)
  * - Fetching and rendering projects/issues from Linear API
+ * - Receiving Linear webhooks to keep cached data up to date
  * - Serving static landing page for unauthenticated users
  */
 import 'dotenv/config'
@@ -13,17 +14,30 @@ import session from 'express-session'
 import { MongoClient } from 'mongodb'
 import { MangoClient } from '@jkershaw/mangodb'
 import { MongoSessionStore } from './lib/session-store.js'
-import { fetchProjects, fetchTeams } from './lib/linear.js'
-import { buildForest, partitionCompleted, buildInProgressForest } from './lib/tree.js'
-import { renderPage, renderErrorPage } from './lib/render.js'
+import { ProjectCache } from './lib/project-cache.js'
+import { ChangeFeed } from './lib/change-feed.js'
+import { syncProjects, fetchTeams, fetchViewer, fetchCycles, fetchWorkflowStates } from './lib/linear.js'
+import { buildForest, partitionCompleted, summarizeProject, buildInProgressForest, buildInProgressStateGroups, resolveIssueRelations, selectProjects, PROJECT_STATES, DEFAULT_PROJECT_STATES, SORT_MODES, DEFAULT_SORT, GROUP_BY_MODES, DEFAULT_GROUP_BY, NO_PROJECT_ID, buildGroupTrees } from './lib/tree.js'
+import { renderPage, renderCyclesPage, renderGraphPage, renderQueuesPage, renderErrorPage } from './lib/render.js'
+import { buildCycleTrees } from './lib/cycles.js'
+import { buildIssueGraph } from './lib/graph.js'
+import { buildQueueBoard } from './lib/queue-board.js'
+import { buildStateGlyphs, getStartedStateNames } from './lib/workflow-states.js'
 import { parseLandingPage } from './lib/parse-landing.js'
 import { refreshAccessToken, calculateExpiresAt } from './lib/token-refresh.js'
 import { UUID_REGEX, getActiveWorkspace, removeWorkspace, saveSession } from './lib/workspace.js'
 import { createAuthRoutes } from './routes/auth.js'
 import { createWorkspaceRoutes } from './routes/workspace.js'
-import { testMockTeams, testMockData } from './tests/fixtures/mock-data.js'
+import { createWebhookRoutes } from './routes/webhooks.js'
+import { createEventRoutes } from './routes/events.js'
+import { testMockTeams, testMockData, testMockViewer, testMockCycles, testMockWorkflowStates } from './tests/fixtures/mock-data.js'
 import { runAudit, computeAuditFromData } from './lib/audit.js'
+import { QueueConfigStore, QueueConfigError } from './lib/queue-config-store.js'
+import { AuditHistory, parseHistoryLimit } from './lib/audit-history.js'
 import { renderFancyPage } from './lib/render-fancy.js'
+import { parseThresholds, DEFAULT_AUDIT_THRESHOLDS } from './lib/audit-alerts.js'
+import { AuditScheduler, parseScheduleTime } from './lib/audit-scheduler.js'
+import { WebhookNotifier, LogNotifier } from './lib/notifier.js'
 
 // =============================================================================
 // Environment Variable Validation
@@ -50,12 +64,33 @@ if (process.env.NODE_ENV !== 'test') {
   }
 }
 
+// Scheduled audits are optional, but a malformed schedule, threshold or webhook URL fails fast
+const auditScheduleTime = process.env.AUDIT_SCHEDULE_TIME ? parseScheduleTime(process.env.AUDIT_SCHEDULE_TIME) : null;
+if (process.env.AUDIT_SCHEDULE_TIME && !auditScheduleTime) {
+  console.error(`Error: AUDIT_SCHEDULE_TIME must be a time of day in UTC (HH:MM), got "${process.env.AUDIT_SCHEDULE_TIME}"`);
+  process.exit(1);
+}
+
+let auditThresholds;
+try {
+  auditThresholds = parseThresholds(process.env.AUDIT_THRESHOLDS || DEFAULT_AUDIT_THRESHOLDS);
+} catch (error) {
+  console.error(`Error: Invalid AUDIT_THRESHOLDS: ${error.message}`);
+  process.exit(1);
+}
+
+if (process.env.AUDIT_WEBHOOK_URL && !URL.canParse(process.env.AUDIT_WEBHOOK_URL)) {
+  console.error(`Error: AUDIT_WEBHOOK_URL is not a valid URL: ${process.env.AUDIT_WEBHOOK_URL}`);
+  process.exit(1);
+}
+
 // =============================================================================
 // Constants
 // =============================================================================
 const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
 const SESSION_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 const TOKEN_REFRESH_BUFFER_MS = 5 * 60 * 1000; // 5 minutes before expiry
+const PROJECT_CACHE_TTL_SECONDS = parseInt(process.env.PROJECT_CACHE_TTL_SECONDS, 10) || 5 * 60; // 5 minutes
 
 // =============================================================================
 // Landing Page Setup
@@ -68,8 +103,8 @@ const landingTrees = landingData.projects
   .sort((a, b) => a.sortOrder - b.sortOrder)
   .map(project => {
     const { roots } = landingForest.get(project.id) || { roots: [] }
-    const { incomplete, completed, completedCount } = partitionCompleted(roots)
-    return { project, incomplete, completed, completedCount }
+    const { incomplete, completed, completedCount, canceled, canceledCount } = partitionCompleted(roots)
+    return { project, incomplete, completed, completedCount, canceled, canceledCount }
   })
 
 // =============================================================================
@@ -90,6 +125,25 @@ const sessionStore = new MongoSessionStore({
   ttl: SESSION_TTL_SECONDS
 })
 
+// Cached Linear data per workspace/team, refreshed in the background once stale
+const projectCache = new ProjectCache({
+  collection: db.collection('projectCache'),
+  ttl: PROJECT_CACHE_TTL_SECONDS
+})
+
+// Queue definitions per workspace, edited from the Operator Dashboard
+const queueConfigStore = new QueueConfigStore({
+  collection: db.collection('queueConfigs')
+})
+
+// Every audit report per workspace, charted on the Operator Dashboard
+const auditHistory = new AuditHistory({
+  collection: db.collection('audits')
+})
+
+// Live change notifications (webhooks publish, /events streams to browsers)
+const changeFeed = new ChangeFeed()
+
 // =============================================================================
 // Express App Configuration
 // =============================================================================
@@ -138,7 +192,7 @@ if (process.env.NODE_ENV === 'test') {
   //   ?noRefreshToken=true   - Omit refresh token
   //   ?multiWorkspace=true   - Set up 2 workspaces
   //   ?maxWorkspaces=true    - Set up 10 workspaces (at limit)
-  app.get('/test/set-session', (req, res) => {
+  app.get('/test/set-session', async (req, res) => {
     const { tokenExpired, noRefreshToken, multiWorkspace, maxWorkspaces } = req.query
 
     // Base workspace configuration - IDs must be valid UUIDs to pass validation
@@ -151,7 +205,8 @@ if (process.env.NODE_ENV === 'test') {
       tokenExpiresAt: tokenExpired
         ? Date.now() - (60 * 60 * 1000)  // 1 hour in the past
         : Date.now() + (24 * 60 * 60 * 1000),  // 24 hours from now
-      addedAt: Date.now()
+      addedAt: Date.now(),
+      viewer: testMockViewer
     })
 
     // Test UUIDs (valid format for workspace validation)
@@ -184,6 +239,9 @@ if (process.env.NODE_ENV === 'test') {
     req.session.workspaces = workspaces
     req.session.activeWorkspaceId = workspaces[0].id
 
+    // Drop cached data so each test starts from the mock data
+    await Promise.all(workspaces.map(ws => projectCache.invalidate(ws.id)))
+
     // Explicitly save session before responding to ensure it's persisted
     req.session.save((err) => {
       if (err) {
@@ -253,9 +311,9 @@ async function ensureValidToken(req, res, next) {
   }
 }
 
-// Apply middleware to all routes except auth, logout, and workspace routes
+// Apply middleware to all routes except auth, logout, workspace, and webhook routes
 app.use((req, res, next) => {
-  if (req.path.startsWith('/auth/') || req.path === '/logout' || req.path.startsWith('/workspace/')) {
+  if (req.path.startsWith('/auth/') || req.path === '/logout' || req.path.startsWith('/workspace/') || req.path.startsWith('/webhooks/')) {
     return next();
   }
   ensureValidToken(req, res, next);
@@ -267,54 +325,224 @@ app.use((req, res, next) => {
 // Mount extracted route modules
 app.use(createAuthRoutes({ sessionStore }))
 app.use(createWorkspaceRoutes())
+app.use(createWebhookRoutes({ projectCache, changeFeed }))
+app.use(createEventRoutes({ changeFeed }))
 
 // =============================================================================
 // Main Application Route
 // =============================================================================
 
 /**
- * Helper function to fetch and prepare project data for rendering.
- * Handles both test mode and real API calls.
+ * Fetches raw project data from Linear (or mock data in test mode).
+ * Used as the project cache loader, so it only runs on a cache miss or refresh.
+ * With a previous snapshot, only issues updated since its last sync are fetched.
  *
  * @param {string} accessToken - The access token for Linear API
  * @param {string|null} teamId - Optional team ID to filter issues by
- * @returns {Promise<{trees, inProgressTrees, organizationName, teams, selectedTeamId}>} Prepared data for rendering
+ * @param {Object|null} snapshot - Previously cached data to update incrementally
+ * @returns {Promise<{organizationName, projects, issues, teams, cycles, workflowStates, syncedAt, fullSyncedAt, version}>} Raw data from Linear
  */
-async function fetchAndPrepareProjects(accessToken, teamId = null) {
+async function fetchProjectData(accessToken, teamId = null, snapshot = null) {
   // Use mock data in test mode to avoid hitting Linear API
   const isTestMode = process.env.NODE_ENV === 'test' && accessToken === 'test-token';
 
-  // Fetch teams
-  const teams = isTestMode
-    ? testMockTeams
-    : await fetchTeams(accessToken);
-
-  // Fetch projects and issues (filtered by team if specified)
-  let { organizationName, projects, issues } = isTestMode
-    ? testMockData
-    : await fetchProjects(accessToken, teamId);
+  const [teams, cycles, workflowStates, synced] = await Promise.all([
+    isTestMode ? testMockTeams : fetchTeams(accessToken),
+
+    // Each team's current, next and previous cycle (only shown on /cycles, so
+    // the other pages still load without them)
+    isTestMode
+      ? testMockCycles.filter(cycle => !teamId || cycle.team.id === teamId)
+      : fetchCycles(accessToken, teamId).catch(error => {
+        console.error('Cycles fetch error:', error);
+        return [];
+      }),
+
+    // Each team's workflow states (for custom state glyphs and the In Progress
+    // sub-groups; without them states get the default glyphs)
+    isTestMode
+      ? testMockWorkflowStates.filter(state => !teamId || state.team.id === teamId)
+      : fetchWorkflowStates(accessToken, teamId).catch(error => {
+        console.error('Workflow states fetch error:', error);
+        return [];
+      }),
+
+    // Projects and issues (filtered by team if specified)
+    isTestMode
+      ? { ...testMockData, syncedAt: new Date().toISOString(), fullSyncedAt: new Date().toISOString() }
+      : syncProjects(accessToken, teamId, snapshot)
+  ]);
+  let { organizationName, projects, issues, syncedAt, fullSyncedAt, version } = synced;
 
   // In test mode, manually filter issues by team
   if (isTestMode && teamId) {
     issues = issues.filter(i => i.team?.id === teamId);
   }
 
+  return { organizationName, projects, issues, teams, cycles, workflowStates, syncedAt, fullSyncedAt, version };
+}
+
+/**
+ * View filters parsed from the query string (see parseViewFilters)
+ * @typedef {Object} ViewFilters
+ * @property {string|null} teamId - Team ID to filter issues by (null = all teams)
+ * @property {string[]} projectStates - Project states to show
+ * @property {boolean} mine - Only show issues assigned to the viewer (with ancestors as context)
+ * @property {string} sort - Sort mode for issues (see SORT_MODES)
+ * @property {string} groupBy - What the trees are grouped by (see GROUP_BY_MODES)
+ * @property {boolean} foreignParents - Show parents from other projects (groups) as greyed context nodes
+ * @property {boolean} stateNames - Show workflow state names and split In Progress by state
+ */
+
+/**
+ * Helper function to fetch and prepare project data for rendering.
+ * Data comes from the project cache, which is refreshed in the background once stale.
+ * The cache holds projects in every open state and issues for every assignee;
+ * the selected states, the "mine" filter, the sort mode and the grouping are applied here.
+ * Other groupings than by project list the issues of the selected projects
+ * (and issues without a project).
+ *
+ * @param {Object} workspace - The active workspace (provides ID, access token and viewer)
+ * @param {ViewFilters} filters - Which issues and projects to show
+ * @returns {Promise<{trees, inProgressTrees, blockedInProgressTrees, inProgressStateGroups, stateGlyphs, organizationName, teams, selectedTeamId, selectedProjectStates, mine, sort, groupBy, foreignParents, stateNames, fetchedAt}>} Prepared data for rendering
+ */
+async function fetchAndPrepareProjects(workspace, { teamId = null, projectStates = DEFAULT_PROJECT_STATES, mine = false, sort = DEFAULT_SORT, groupBy = DEFAULT_GROUP_BY, foreignParents = false, stateNames = false } = {}) {
+  // Read the access token when the loader runs, so a refreshed token is used
+  const { data, fetchedAt } = await projectCache.get(workspace.id, teamId, (snapshot) =>
+    fetchProjectData(workspace.accessToken, teamId, snapshot)
+  );
+  const { organizationName, teams } = data;
+  const projects = selectProjects(data.projects, projectStates);
+
+  // Blockers may have been completed since their relation was fetched
+  const issues = resolveIssueRelations(data.issues);
+
+  // "Mine" needs to know who the viewer is (ignored for sessions without one)
+  const assigneeId = mine ? workspace.viewer?.id || null : null;
+
+  // Issues of the selected projects, plus issues that aren't in any project
+  const projectIds = new Set(projects.map(project => project.id));
+
   // Build issue tree structure (parent-child relationships)
-  const forest = buildForest(issues);
-
-  // Build in-progress tree with ancestor chains for context
-  const inProgressTrees = buildInProgressForest(issues, projects);
-
-  // Build tree structure for each project, separating complete from incomplete
-  const trees = projects
-    .sort((a, b) => a.sortOrder - b.sortOrder)
-    .map(project => {
-      const { roots } = forest.get(project.id) || { roots: [] };
-      const { incomplete, completed, completedCount } = partitionCompleted(roots);
-      return { project, incomplete, completed, completedCount };
-    });
+  const forest = buildForest(issues, { assigneeId, sort, groupBy, projectIds, foreignParents });
+
+  // Build in-progress tree with ancestor chains for context, also split by
+  // workflow state when state names are shown. Issues with open blockers are
+  // listed apart, in the Blocked sub-section. Entries cached before workflow
+  // states were fetched get them on their next refresh.
+  const workflowStates = data.workflowStates || [];
+  const inProgressTrees = buildInProgressForest(issues, projects, { assigneeId, sort, blocked: false });
+  const blockedInProgressTrees = buildInProgressForest(issues, projects, { assigneeId, sort, blocked: true });
+  const inProgressStateGroups = stateNames
+    ? buildInProgressStateGroups(issues, projects, { assigneeId, sort, blocked: false, stateOrder: getStartedStateNames(workflowStates) })
+    : null;
+  const stateGlyphs = buildStateGlyphs(workflowStates);
+
+  // Build tree structure for each project, separating complete from incomplete,
+  // with a summary of all the project's issues (regardless of "mine").
+  // Issues without a project come last, in a pseudo-project linking to the
+  // audit's list of these orphans.
+  let trees;
+  if (groupBy === 'project') {
+    trees = projects
+      .map(project => {
+        const { roots } = forest.get(project.id) || { roots: [] };
+        const { incomplete, completed, completedCount, canceled, canceledCount } = partitionCompleted(roots);
+        return { project, incomplete, completed, completedCount, canceled, canceledCount, summary: summarizeProject(project, issues) };
+      });
+
+    const noProject = forest.get(NO_PROJECT_ID);
+    if (noProject) {
+      const [tree] = buildGroupTrees([noProject]);
+      const project = { ...tree.project, url: '/fancy#orphans', linkText: 'Orphans in audit →', sameTab: true };
+      trees.push({ ...tree, project });
+    }
+  } else {
+    trees = buildGroupTrees(forest.values());
+  }
+
+  return { trees, inProgressTrees, blockedInProgressTrees, inProgressStateGroups, stateGlyphs, organizationName, teams, selectedTeamId: teamId, selectedProjectStates: projectStates, mine: !!assigneeId, sort, groupBy, foreignParents, stateNames, fetchedAt };
+}
+
+/**
+ * Parses and validates the team filter from the query string.
+ *
+ * @param {string|undefined} rawTeam - Value of the `team` query parameter
+ * @returns {string|null} Team ID, or null for all teams (missing, 'all' or not a valid UUID)
+ */
+function parseTeamParam(rawTeam) {
+  return rawTeam && rawTeam !== 'all' && UUID_REGEX.test(rawTeam) ? rawTeam : null;
+}
+
+/**
+ * Parses and validates the project state filter from the query string.
+ *
+ * @param {string|undefined} rawStates - Value of the `projectState` query parameter (comma-separated)
+ * @returns {string[]} Selected project states (defaults to started projects if none are valid)
+ */
+function parseProjectStateParam(rawStates) {
+  const states = typeof rawStates === 'string'
+    ? PROJECT_STATES.filter(state => rawStates.split(',').includes(state))
+    : [];
+  return states.length > 0 ? states : DEFAULT_PROJECT_STATES;
+}
+
+/**
+ * Parses and validates the sort mode from the query string.
+ *
+ * @param {string|undefined} rawSort - Value of the `sort` query parameter
+ * @returns {string} Sort mode (default order if missing or unknown)
+ */
+function parseSortParam(rawSort) {
+  return SORT_MODES.includes(rawSort) ? rawSort : DEFAULT_SORT;
+}
 
-  return { trees, inProgressTrees, organizationName, teams, selectedTeamId: teamId };
+/**
+ * Parses and validates the group-by mode from the query string.
+ *
+ * @param {string|undefined} rawGroup - Value of the `group` query parameter
+ * @returns {string} Group-by mode (by project if missing or unknown)
+ */
+function parseGroupParam(rawGroup) {
+  return GROUP_BY_MODES.includes(rawGroup) ? rawGroup : DEFAULT_GROUP_BY;
+}
+
+/**
+ * Parses the view filters shared by the page and the tree API.
+ *
+ * @param {Object} query - Express query object (`team`, `projectState`, `mine`, `sort`, `group`, `parents`, `states`)
+ * @returns {ViewFilters} Validated filters
+ */
+function parseViewFilters(query) {
+  return {
+    teamId: parseTeamParam(query.team),
+    projectStates: parseProjectStateParam(query.projectState),
+    mine: query.mine === '1' || query.mine === 'true',
+    sort: parseSortParam(query.sort),
+    groupBy: parseGroupParam(query.group),
+    foreignParents: query.parents === '1' || query.parents === 'true',
+    stateNames: query.states === '1' || query.states === 'true'
+  };
+}
+
+/**
+ * Makes sure the workspace knows its signed-in user (the viewer).
+ * Sessions created before the viewer was stored at login fetch it once here.
+ * Failures are logged and leave the viewer unset ("mine" is then unavailable).
+ *
+ * @param {Object} session - Express session holding the workspace
+ * @param {Object} workspace - The active workspace
+ */
+async function ensureViewer(session, workspace) {
+  if (workspace.viewer) return;
+
+  try {
+    const isTestMode = process.env.NODE_ENV === 'test' && workspace.accessToken === 'test-token';
+    workspace.viewer = isTestMode ? testMockViewer : await fetchViewer(workspace.accessToken);
+    await saveSession(session);
+  } catch (error) {
+    console.error('Failed to fetch viewer:', error);
+  }
 }
 
 /**
@@ -326,6 +554,12 @@ async function fetchAndPrepareProjects(accessToken, teamId = null) {
  *
  * Query parameters:
  * - team: Optional team ID to filter issues by (or 'all' for all teams)
+ * - projectState: Optional comma-separated project states to show (default: started)
+ * - mine: Set to 1 to only show issues assigned to the signed-in user
+ * - sort: Optional sort mode (default, linear, due, estimate, updated, assignee)
+ * - group: Optional grouping (project, assignee, team, cycle, label, priority)
+ * - parents: Set to 1 to show parents from other projects as context nodes
+ * - states: Set to 1 to show workflow state names and split In Progress by state
  */
 app.get('/', async (req, res) => {
   // Get active workspace (null if not authenticated)
@@ -337,17 +571,28 @@ app.get('/', async (req, res) => {
     return res.send(html)
   }
 
-  // Parse and validate team filter from query string (must be valid UUID)
-  const rawTeam = req.query.team;
-  const teamId = rawTeam && rawTeam !== 'all' && UUID_REGEX.test(rawTeam) ? rawTeam : null;
+  const filters = parseViewFilters(req.query);
+  await ensureViewer(req.session, workspace);
 
   try {
-    const { trees, inProgressTrees, organizationName, teams, selectedTeamId } = await fetchAndPrepareProjects(workspace.accessToken, teamId);
+    const { trees, inProgressTrees, blockedInProgressTrees, inProgressStateGroups, stateGlyphs, organizationName, teams, selectedTeamId, selectedProjectStates, mine, sort, groupBy, foreignParents, stateNames, fetchedAt } = await fetchAndPrepareProjects(workspace, filters);
     const html = renderPage(trees, inProgressTrees, organizationName, {
       teams,
       selectedTeamId,
+      selectedProjectStates,
+      viewer: workspace.viewer,
+      mine,
+      sort,
+      groupBy,
+      foreignParents,
+      stateNames,
+      inProgressStateGroups,
+      blockedInProgressTrees,
+      stateGlyphs,
       workspaces: req.session.workspaces,
-      activeWorkspaceId: req.session.activeWorkspaceId
+      activeWorkspaceId: req.session.activeWorkspaceId,
+      fetchedAt,
+      currentUrl: req.originalUrl
     });
     res.send(html);
   } catch (error) {
@@ -366,12 +611,24 @@ app.get('/', async (req, res) => {
         console.log('Token refreshed after 401, retrying request');
 
         // Retry the request with the new token
-        const { trees, inProgressTrees, organizationName, teams, selectedTeamId } = await fetchAndPrepareProjects(workspace.accessToken, teamId);
+        const { trees, inProgressTrees, blockedInProgressTrees, inProgressStateGroups, stateGlyphs, organizationName, teams, selectedTeamId, selectedProjectStates, mine, sort, groupBy, foreignParents, stateNames, fetchedAt } = await fetchAndPrepareProjects(workspace, filters);
         const html = renderPage(trees, inProgressTrees, organizationName, {
           teams,
           selectedTeamId,
+          selectedProjectStates,
+          viewer: workspace.viewer,
+          mine,
+          sort,
+          groupBy,
+          foreignParents,
+          stateNames,
+          inProgressStateGroups,
+          blockedInProgressTrees,
+          stateGlyphs,
           workspaces: req.session.workspaces,
-          activeWorkspaceId: req.session.activeWorkspaceId
+          activeWorkspaceId: req.session.activeWorkspaceId,
+          fetchedAt,
+          currentUrl: req.originalUrl
         });
         return res.send(html);
       } catch (refreshError) {
@@ -417,6 +674,339 @@ app.get('/', async (req, res) => {
   }
 })
 
+/**
+ * Manual "refresh now" action from the nav bar.
+ * Drops the active workspace's cached data (all team filters) so the next page
+ * load fetches fresh data from Linear, then returns to the page the user was on.
+ *
+ * Body parameters:
+ * - returnTo: Local path to redirect back to (defaults to '/')
+ */
+app.post('/refresh', express.urlencoded({ extended: false }), async (req, res) => {
+  const workspace = getActiveWorkspace(req.session)
+  if (!workspace) {
+    return res.redirect('/')
+  }
+
+  await projectCache.invalidate(workspace.id)
+
+  // Only redirect to local paths (reject protocol-relative URLs like //evil.com)
+  const { returnTo } = req.body
+  const isLocalPath = typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo)
+  res.redirect(isLocalPath ? returnTo : '/')
+})
+
+// =============================================================================
+// Cycles Routes
+// =============================================================================
+
+/**
+ * Prepares each team's current, next and previous cycle for rendering.
+ * Uses the same cached data as `/`, so issues and cycles come from one fetch.
+ *
+ * @param {Object} workspace - The active workspace (provides ID and access token)
+ * @param {{teamId: string|null, sort: string}} filters - Team filter and sort mode
+ * @returns {Promise<{cycleTrees, stateGlyphs, organizationName, teams, selectedTeamId, sort, fetchedAt}>} Prepared data for rendering
+ */
+async function fetchAndPrepareCycles(workspace, { teamId = null, sort = DEFAULT_SORT } = {}) {
+  const { data, fetchedAt } = await projectCache.get(workspace.id, teamId, (snapshot) =>
+    fetchProjectData(workspace.accessToken, teamId, snapshot)
+  );
+
+  // Entries cached before cycles were fetched get them on their next refresh
+  const cycleTrees = buildCycleTrees(data.cycles || [], resolveIssueRelations(data.issues), { sort });
+
+  const stateGlyphs = buildStateGlyphs(data.workflowStates || []);
+
+  return { cycleTrees, stateGlyphs, organizationName: data.organizationName, teams: data.teams, selectedTeamId: teamId, sort, fetchedAt };
+}
+
+/**
+ * Cycles page - each team's current, next and previous cycle with a burn-up
+ * chart and the cycle's issues as a tree. Requires authentication.
+ *
+ * Query parameters:
+ * - team: Optional team ID to only show that team's cycles (or 'all' for all teams)
+ * - sort: Optional sort mode (default, linear, due, estimate, updated, assignee)
+ */
+app.get('/cycles', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Redirect to home if not authenticated
+  if (!workspace) {
+    return res.redirect('/');
+  }
+
+  try {
+    const { cycleTrees, stateGlyphs, organizationName, teams, selectedTeamId, sort, fetchedAt } = await fetchAndPrepareCycles(workspace, {
+      teamId: parseTeamParam(req.query.team),
+      sort: parseSortParam(req.query.sort)
+    });
+    const html = renderCyclesPage(cycleTrees, organizationName, {
+      teams,
+      selectedTeamId,
+      sort,
+      stateGlyphs,
+      workspaces: req.session.workspaces,
+      activeWorkspaceId: req.session.activeWorkspaceId,
+      fetchedAt,
+      currentUrl: req.originalUrl
+    });
+    res.send(html);
+  } catch (error) {
+    console.error('Cycles page error:', error);
+
+    // Invalid/expired token - the main page refreshes it or removes the workspace
+    if (error.response?.status === 401) {
+      return res.redirect('/');
+    }
+
+    const html = renderErrorPage('Something Went Wrong', 'Could not load your cycles. Please try again or re-authenticate.', {
+      action: 'Try again',
+      actionUrl: '/cycles'
+    });
+    res.status(500).send(html);
+  }
+});
+
+/**
+ * Cycles API - returns the cycles shown on `/cycles` with their issue trees
+ * and burn-up data. Requires authentication.
+ *
+ * Query parameters:
+ * - team: Optional team ID to only return that team's cycles (or 'all' for all teams)
+ * - sort: Optional sort mode (default, linear, due, estimate, updated, assignee)
+ */
+app.get('/api/cycles', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { cycleTrees, organizationName, selectedTeamId, sort, fetchedAt } = await fetchAndPrepareCycles(workspace, {
+      teamId: parseTeamParam(req.query.team),
+      sort: parseSortParam(req.query.sort)
+    });
+    res.json({ organizationName, teamId: selectedTeamId, sort, fetchedAt, cycles: cycleTrees });
+  } catch (error) {
+    console.error('Cycles API error:', error);
+
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: 'Token expired or invalid' });
+    }
+
+    res.status(500).json({ error: 'Failed to load cycles', message: error.message });
+  }
+});
+
+// =============================================================================
+// Graph Routes
+// =============================================================================
+
+/**
+ * Prepares the dependency graph of one project for rendering.
+ * Uses the same cached data as `/`. Without a (known) project, the first
+ * started project is shown, or the first open project if none is started.
+ *
+ * @param {Object} workspace - The active workspace (provides ID and access token)
+ * @param {{teamId: string|null, projectId: string|null}} filters - Team filter and project to draw
+ * @returns {Promise<{graph, projects, selectedProject, stateGlyphs, organizationName, selectedTeamId, fetchedAt}>} Prepared data for rendering
+ */
+async function fetchAndPrepareGraph(workspace, { teamId = null, projectId = null } = {}) {
+  const { data, fetchedAt } = await projectCache.get(workspace.id, teamId, (snapshot) =>
+    fetchProjectData(workspace.accessToken, teamId, snapshot)
+  );
+
+  const projects = selectProjects(data.projects, PROJECT_STATES)
+  const selectedProject = projects.find(project => project.id === projectId) ||
+    selectProjects(projects, DEFAULT_PROJECT_STATES)[0] ||
+    projects[0] ||
+    null
+
+  const graph = selectedProject ? buildIssueGraph(resolveIssueRelations(data.issues), selectedProject.id) : null
+  const stateGlyphs = buildStateGlyphs(data.workflowStates || [])
+
+  return { graph, projects, selectedProject, stateGlyphs, organizationName: data.organizationName, selectedTeamId: teamId, fetchedAt };
+}
+
+/**
+ * Graph page - a project's issues as a directed graph of parent and blocking
+ * edges, with the critical path highlighted. Requires authentication.
+ *
+ * Query parameters:
+ * - project: Optional project ID (defaults to the first started project)
+ * - team: Optional team ID to only include that team's issues (or 'all' for all teams)
+ */
+app.get('/graph', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Redirect to home if not authenticated
+  if (!workspace) {
+    return res.redirect('/');
+  }
+
+  try {
+    const { graph, projects, selectedProject, stateGlyphs, organizationName, selectedTeamId, fetchedAt } = await fetchAndPrepareGraph(workspace, {
+      teamId: parseTeamParam(req.query.team),
+      projectId: typeof req.query.project === 'string' ? req.query.project : null
+    });
+    const html = renderGraphPage(graph, projects, organizationName, {
+      selectedProject,
+      selectedTeamId,
+      stateGlyphs,
+      fetchedAt,
+      currentUrl: req.originalUrl
+    });
+    res.send(html);
+  } catch (error) {
+    console.error('Graph page error:', error);
+
+    // Invalid/expired token - the main page refreshes it or removes the workspace
+    if (error.response?.status === 401) {
+      return res.redirect('/');
+    }
+
+    const html = renderErrorPage('Something Went Wrong', 'Could not load the dependency graph. Please try again or re-authenticate.', {
+      action: 'Try again',
+      actionUrl: '/graph'
+    });
+    res.status(500).send(html);
+  }
+});
+
+/**
+ * Graph API - returns the laid out graph shown on `/graph`. Requires authentication.
+ *
+ * Query parameters:
+ * - project: Optional project ID (defaults to the first started project)
+ * - team: Optional team ID to only include that team's issues (or 'all' for all teams)
+ */
+app.get('/api/graph', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { graph, selectedProject, organizationName, selectedTeamId, fetchedAt } = await fetchAndPrepareGraph(workspace, {
+      teamId: parseTeamParam(req.query.team),
+      projectId: typeof req.query.project === 'string' ? req.query.project : null
+    });
+    res.json({ organizationName, teamId: selectedTeamId, projectId: selectedProject?.id ?? null, fetchedAt, graph });
+  } catch (error) {
+    console.error('Graph API error:', error);
+
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: 'Token expired or invalid' });
+    }
+
+    res.status(500).json({ error: 'Failed to load graph', message: error.message });
+  }
+});
+
+// =============================================================================
+// Queue Board Routes
+// =============================================================================
+
+/**
+ * Prepares the queue board: the workspace's issues laid out by its queue config.
+ * Uses the same cached data as `/`.
+ *
+ * @param {Object} workspace - The active workspace (provides ID and access token)
+ * @param {{teamId: string|null}} filters - Team filter
+ * @returns {Promise<{board, isDefaultConfig, stateGlyphs, organizationName, selectedTeamId, fetchedAt}>} Prepared data for rendering
+ */
+async function fetchAndPrepareQueues(workspace, { teamId = null } = {}) {
+  const [{ data, fetchedAt }, { queues, isDefault }] = await Promise.all([
+    projectCache.get(workspace.id, teamId, (snapshot) =>
+      fetchProjectData(workspace.accessToken, teamId, snapshot)
+    ),
+    queueConfigStore.get(workspace.id)
+  ]);
+
+  const board = buildQueueBoard(data.issues, queues)
+  const stateGlyphs = buildStateGlyphs(data.workflowStates || [])
+
+  return { board, isDefaultConfig: isDefault, stateGlyphs, organizationName: data.organizationName, selectedTeamId: teamId, fetchedAt };
+}
+
+/**
+ * Queue board page - the workspace's issues in one column per queue, with
+ * issues in several queues or in none highlighted. Requires authentication.
+ *
+ * Query parameters:
+ * - team: Optional team ID to only include that team's issues (or 'all' for all teams)
+ */
+app.get('/queues', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Redirect to home if not authenticated
+  if (!workspace) {
+    return res.redirect('/');
+  }
+
+  try {
+    const { board, isDefaultConfig, stateGlyphs, organizationName, fetchedAt } = await fetchAndPrepareQueues(workspace, {
+      teamId: parseTeamParam(req.query.team)
+    });
+    const html = renderQueuesPage(board, organizationName, {
+      isDefaultConfig,
+      stateGlyphs,
+      fetchedAt,
+      currentUrl: req.originalUrl
+    });
+    res.send(html);
+  } catch (error) {
+    console.error('Queues page error:', error);
+
+    // Invalid/expired token - the main page refreshes it or removes the workspace
+    if (error.response?.status === 401) {
+      return res.redirect('/');
+    }
+
+    const html = renderErrorPage('Something Went Wrong', 'Could not load the queue board. Please try again or re-authenticate.', {
+      action: 'Try again',
+      actionUrl: '/queues'
+    });
+    res.status(500).send(html);
+  }
+});
+
+/**
+ * Queue board API - returns the issues shown on `/queues` by queue. Requires authentication.
+ *
+ * Query parameters:
+ * - team: Optional team ID to only include that team's issues (or 'all' for all teams)
+ */
+app.get('/api/queues', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { board, isDefaultConfig, organizationName, selectedTeamId, fetchedAt } = await fetchAndPrepareQueues(workspace, {
+      teamId: parseTeamParam(req.query.team)
+    });
+    res.json({ organizationName, teamId: selectedTeamId, isDefaultConfig, fetchedAt, board });
+  } catch (error) {
+    console.error('Queues API error:', error);
+
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: 'Token expired or invalid' });
+    }
+
+    res.status(500).json({ error: 'Failed to load queues', message: error.message });
+  }
+});
+
 // =============================================================================
 // Operator Dashboard Routes
 // =============================================================================
@@ -439,7 +1029,8 @@ app.get('/fancy', (req, res) => {
 
 /**
  * Audit API endpoint - runs a workspace audit and returns JSON.
- * Requires authentication.
+ * The report is stored in the workspace's audit history; its `id` there is
+ * added to the response. Requires authentication.
  */
 app.get('/api/audit', async (req, res) => {
   const workspace = getActiveWorkspace(req.session);
@@ -450,32 +1041,7 @@ app.get('/api/audit', async (req, res) => {
   }
 
   try {
-    // Use mock audit data in test mode
-    if (process.env.NODE_ENV === 'test' && workspace.accessToken === 'test-token') {
-      const mockAuditData = {
-        teams: testMockTeams,
-        projects: testMockData.projects.map(p => ({ ...p, state: 'started' })),
-        workflowStates: [
-          { id: 'ws1', name: 'Backlog', type: 'backlog', team: { id: 'team1', name: 'Test Team' } },
-          { id: 'ws2', name: 'In Progress', type: 'started', team: { id: 'team1', name: 'Test Team' } },
-          { id: 'ws3', name: 'Done', type: 'completed', team: { id: 'team1', name: 'Test Team' } }
-        ],
-        labels: [
-          { id: 'l1', name: 'breakdown', color: '#000', issues: { nodes: [{ id: 'i1' }] } },
-          { id: 'l2', name: 'ready', color: '#000', issues: { nodes: [{ id: 'i2' }, { id: 'i3' }] } },
-          { id: 'l3', name: 'bug', color: '#f00', issues: { nodes: [] } }
-        ],
-        issues: testMockData.issues.map(i => ({
-          ...i,
-          labels: { nodes: [] }
-        }))
-      };
-      const report = computeAuditFromData(mockAuditData);
-      return res.json(report);
-    }
-
-    const report = await runAudit(workspace.accessToken);
-    res.json(report);
+    res.json(await auditWorkspace(workspace));
   } catch (error) {
     console.error('Audit error:', error);
 
@@ -488,10 +1054,320 @@ app.get('/api/audit', async (req, res) => {
   }
 });
 
+/**
+ * Audits a workspace with its queue config and stores the report in its
+ * audit history. Used by /api/audit and the audit scheduler.
+ *
+ * @param {Object} workspace - Workspace to audit (provides ID and access token)
+ * @returns {Promise<Object>} The report, with its history ID (null if it wasn't stored)
+ */
+async function auditWorkspace(workspace) {
+  const { queues: queueConfig } = await queueConfigStore.get(workspace.id);
+
+  // Use mock audit data in test mode
+  if (process.env.NODE_ENV === 'test' && workspace.accessToken === 'test-token') {
+    const mockAuditData = {
+      teams: testMockTeams,
+      projects: testMockData.projects,
+      workflowStates: [
+        { id: 'ws1', name: 'Backlog', type: 'backlog', team: { id: 'team1', name: 'Test Team' } },
+        { id: 'ws2', name: 'In Progress', type: 'started', team: { id: 'team1', name: 'Test Team' } },
+        { id: 'ws3', name: 'Done', type: 'completed', team: { id: 'team1', name: 'Test Team' } }
+      ],
+      labels: [
+        { id: 'l1', name: 'breakdown', color: '#000', issues: { nodes: [{ id: 'i1' }] } },
+        { id: 'l2', name: 'ready', color: '#000', issues: { nodes: [{ id: 'i2' }, { id: 'i3' }] } },
+        { id: 'l3', name: 'bug', color: '#f00', issues: { nodes: [] } }
+      ],
+      issues: testMockData.issues.map(i => ({
+        ...i,
+        labels: { nodes: [] }
+      }))
+    };
+    const report = computeAuditFromData(mockAuditData, { queueConfig });
+    return saveAudit(workspace, report);
+  }
+
+  const report = await runAudit(workspace.accessToken, { queueConfig });
+  return saveAudit(workspace, report);
+}
+
+/**
+ * Stores an audit report in the workspace's history.
+ * A failed write is logged rather than failing the audit.
+ *
+ * @param {Object} workspace - The audited workspace
+ * @param {Object} report - Audit report
+ * @returns {Promise<Object>} The report, with its history ID (null if it wasn't stored)
+ */
+async function saveAudit(workspace, report) {
+  try {
+    const { id } = await auditHistory.save(workspace.id, report);
+    return { ...report, id };
+  } catch (error) {
+    console.error('Audit history error:', error);
+    return { ...report, id: null };
+  }
+}
+
+/**
+ * Audit history API - the active workspace's stored audits, oldest first,
+ * with the numbers charted on the Operator Dashboard. Requires authentication.
+ *
+ * Query parameters:
+ * - limit: Optional number of most recent audits to return (default 100, at most 1000)
+ */
+app.get('/api/audits', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const limit = parseHistoryLimit(req.query.limit);
+
+  try {
+    res.json({ audits: await auditHistory.list(workspace.id, limit) });
+  } catch (error) {
+    console.error('Audit history error:', error);
+    res.status(500).json({ error: 'Failed to load audit history', message: error.message });
+  }
+});
+
+/**
+ * Stored audit API - one report of the active workspace's audit history
+ * (404 if it has none with this ID). Requires authentication.
+ */
+app.get('/api/audits/:id', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const audit = await auditHistory.get(workspace.id, req.params.id);
+    if (!audit) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+    res.json(audit);
+  } catch (error) {
+    console.error('Audit history error:', error);
+    res.status(500).json({ error: 'Failed to load audit', message: error.message });
+  }
+});
+
+/**
+ * Queue config API - the active workspace's queue definitions used by the
+ * audit (the default ones until the workspace saves its own).
+ * Requires authentication.
+ *
+ * - GET returns `{queues, isDefault, updatedAt}`
+ * - PUT validates and stores a JSON array of queues (400 with `errors` if invalid)
+ * - DELETE removes the workspace's queues, going back to the default ones
+ */
+app.get('/api/queue-config', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await queueConfigStore.get(workspace.id));
+  } catch (error) {
+    console.error('Queue config error:', error);
+    res.status(500).json({ error: 'Failed to load queue config', message: error.message });
+  }
+});
+
+const jsonParser = express.json();
+
+/**
+ * Parses a JSON request body. Malformed or oversized bodies get a JSON error
+ * (in the `{error, errors}` shape of config validation) instead of Express's
+ * HTML error page, so the queue config editor can show it.
+ */
+function parseJsonBody(req, res, next) {
+  jsonParser(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON', errors: [`Request body is not valid JSON: ${error.message}`] });
+    }
+    res.status(error.status || 400).json({ error: 'Invalid request body', errors: [error.message] });
+  });
+}
+
+app.put('/api/queue-config', parseJsonBody, async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await queueConfigStore.save(workspace.id, req.body));
+  } catch (error) {
+    if (error instanceof QueueConfigError) {
+      return res.status(400).json({ error: 'Invalid queue config', errors: error.errors });
+    }
+
+    console.error('Queue config error:', error);
+    res.status(500).json({ error: 'Failed to save queue config', message: error.message });
+  }
+});
+
+app.delete('/api/queue-config', async (req, res) => {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await queueConfigStore.reset(workspace.id));
+  } catch (error) {
+    console.error('Queue config error:', error);
+    res.status(500).json({ error: 'Failed to reset queue config', message: error.message });
+  }
+});
+
+// =============================================================================
+// Tree API Routes
+// =============================================================================
+
+/**
+ * Sends the prepared tree data as JSON, using the same data (and cache) as the
+ * rendered page so scripts see exactly what the UI shows.
+ *
+ * @param {Object} req - Express request (query parameters as on `/`)
+ * @param {Object} res - Express response
+ * @param {function(Object): Object} pick - Selects the response body from the prepared data
+ */
+async function sendTreeJson(req, res, pick) {
+  const workspace = getActiveWorkspace(req.session);
+
+  // Return 401 if not authenticated
+  if (!workspace) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    await ensureViewer(req.session, workspace);
+    const prepared = await fetchAndPrepareProjects(workspace, parseViewFilters(req.query));
+    res.json({
+      organizationName: prepared.organizationName,
+      teamId: prepared.selectedTeamId,
+      projectStates: prepared.selectedProjectStates,
+      mine: prepared.mine,
+      sort: prepared.sort,
+      groupBy: prepared.groupBy,
+      foreignParents: prepared.foreignParents,
+      stateNames: prepared.stateNames,
+      fetchedAt: prepared.fetchedAt,
+      ...pick(prepared)
+    });
+  } catch (error) {
+    console.error('Tree API error:', error);
+
+    // Handle 401 from Linear API
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: 'Token expired or invalid' });
+    }
+
+    res.status(500).json({ error: 'Could not load projects', message: error.message });
+  }
+}
+
+/**
+ * Project trees API - returns each project's issue tree, split into
+ * incomplete and completed roots (the project section of `/`).
+ *
+ * Query parameters:
+ * - team: Optional team ID to filter issues by (or 'all' for all teams)
+ * - projectState: Optional comma-separated project states to show (default: started)
+ * - mine: Set to 1 to only show issues assigned to the signed-in user
+ * - sort: Optional sort mode (default, linear, due, estimate, updated, assignee)
+ * - group: Optional grouping (project, assignee, team, cycle, label, priority)
+ * - parents: Set to 1 to show parents from other projects as context nodes
+ * - states: Set to 1 to show workflow state names and split In Progress by state
+ */
+app.get('/api/tree', (req, res) => sendTreeJson(req, res, ({ trees }) => ({ trees })));
+
+/**
+ * In-progress API - returns in-progress issues with their ancestor chains,
+ * grouped by project (the "In Progress" section of `/`). Issues with open
+ * blockers are returned apart, as blockedInProgressTrees.
+ *
+ * Query parameters:
+ * - team: Optional team ID to filter issues by (or 'all' for all teams)
+ * - projectState: Optional comma-separated project states to show (default: started)
+ * - mine: Set to 1 to only show issues assigned to the signed-in user
+ * - sort: Optional sort mode (default, linear, due, estimate, updated, assignee)
+ * - group: Optional grouping (project, assignee, team, cycle, label, priority)
+ * - parents: Set to 1 to show parents from other projects as context nodes
+ * - states: Set to 1 to show workflow state names and split In Progress by state
+ */
+app.get('/api/in-progress', (req, res) => sendTreeJson(req, res, ({ inProgressTrees, blockedInProgressTrees, inProgressStateGroups }) => ({
+  inProgressTrees,
+  blockedInProgressTrees,
+  ...(inProgressStateGroups && { inProgressStateGroups })
+})));
+
+// =============================================================================
+// Scheduled Audits
+// =============================================================================
+// With AUDIT_SCHEDULE_TIME set, every stored workspace is audited daily and
+// threshold breaches are posted to AUDIT_WEBHOOK_URL (or logged without one).
+
+/**
+ * Lists the workspaces of stored sessions for the audit scheduler.
+ * Workspaces whose token is expired or about to expire are skipped: refresh
+ * tokens rotate, and a refresh here could be overwritten by a request that
+ * loaded the session before it, signing that user out of the workspace.
+ * The token is refreshed on the user's next visit instead.
+ *
+ * @returns {Promise<Object[]>} Workspaces with valid tokens
+ */
+async function listScheduledWorkspaces() {
+  const workspaces = []
+
+  for (const workspace of await sessionStore.listWorkspaces()) {
+    if (workspace.tokenExpiresAt - Date.now() < TOKEN_REFRESH_BUFFER_MS) {
+      console.warn(`Skipping scheduled audit of workspace ${workspace.id}: its token has expired (it is refreshed on the next visit)`)
+      continue
+    }
+    workspaces.push(workspace)
+  }
+
+  return workspaces
+}
+
+const auditScheduler = auditScheduleTime && new AuditScheduler({
+  time: auditScheduleTime,
+  listWorkspaces: listScheduledWorkspaces,
+  auditWorkspace,
+  thresholds: auditThresholds,
+  notifier: process.env.AUDIT_WEBHOOK_URL
+    ? new WebhookNotifier({ url: process.env.AUDIT_WEBHOOK_URL })
+    : new LogNotifier()
+})
+
 // =============================================================================
 // Server Startup
 // =============================================================================
 const PORT = process.env.PORT || 3000
 app.listen(PORT, () => {
   console.log(`Linear Projects Viewer running at http://localhost:${PORT}`)
+
+  if (auditScheduler) {
+    const nextRun = auditScheduler.start()
+    console.log(`Scheduled audits enabled, next run at ${nextRun.toISOString()}`)
+  }
 })
@@ -0,0 +1,69 @@
+import { test, expect } from '@playwright/test';
+
+const ENGINEERING_TEAM_ID = 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee';
+
+test.describe('Tree API', () => {
+  test('returns 401 when not authenticated', async ({ request }) => {
+    for (const path of ['/api/tree', '/api/in-progress']) {
+      const response = await request.get(path);
+      expect(response.status()).toBe(401);
+
+      const data = await response.json();
+      expect(data.error).toBe('Not authenticated');
+    }
+  });
+
+  test.describe('when authenticated', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto('/test/set-session');
+    });
+
+    test('tree matches the projects on the page', async ({ page }) => {
+      const response = await page.request.get('/api/tree');
+      expect(response.status()).toBe(200);
+
+      const data = await response.json();
+      expect(data.organizationName).toBe('Test Workspace');
+      expect(data.teamId).toBeNull();
+      expect(data.trees.map(t => t.project.id)).toEqual(['proj-alpha', 'proj-beta']);
+
+      // Parent/child structure and completed partition, as rendered
+      const alpha = data.trees[0];
+      const parent = alpha.incomplete.find(node => node.issue.id === 'issue-1');
+      expect(parent.depth).toBe(0);
+      expect(parent.children.map(node => node.issue.id)).toContain('issue-2');
+      expect(alpha.completed.map(node => node.issue.id)).toContain('issue-3');
+      expect(alpha.completedCount).toBe(1);
+    });
+
+    test('in-progress returns in-progress issues grouped by project', async ({ page }) => {
+      const response = await page.request.get('/api/in-progress');
+      expect(response.status()).toBe(200);
+
+      const data = await response.json();
+      const beta = data.inProgressTrees.find(t => t.projectId === 'proj-beta');
+      expect(beta.projectName).toBe('Project Beta');
+      expect(beta.roots.map(node => node.issue.id)).toEqual(['issue-4']);
+      expect(beta.roots[0].isInProgress).toBe(true);
+    });
+
+    test('accepts the team query parameter', async ({ page }) => {
+      const response = await page.request.get(`/api/tree?team=${ENGINEERING_TEAM_ID}`);
+      const data = await response.json();
+      expect(data.teamId).toBe(ENGINEERING_TEAM_ID);
+
+      // Design-team issues are filtered out
+      const beta = data.trees.find(t => t.project.id === 'proj-beta');
+      expect(beta.incomplete.map(node => node.issue.id)).not.toContain('issue-5');
+    });
+
+    test('accepts the sort query parameter', async ({ page }) => {
+      const sorted = await (await page.request.get('/api/tree?sort=due')).json();
+      expect(sorted.sort).toBe('due');
+
+      // Unknown modes fall back to the default order
+      const fallback = await (await page.request.get('/api/tree?sort=random')).json();
+      expect(fallback.sort).toBe('default');
+    });
+  });
+});
@@ -92,8 +92,8 @@ test.describe('Operator Dashboard', () => {
       const queueSection = page.locator('.report-section:has(.section-header:has-text("Queue Readiness"))');
       await expect(queueSection).toBeVisible();
 
-      // Should show queue items
-      await expect(queueSection.locator('.queue-item')).toHaveCount(5);
+      // Should show queue items (the default queues)
+      await expect(queueSection.locator('.queue-item')).toHaveCount(4);
     });
 
     test('sections are collapsible', async ({ page }) => {
@@ -130,6 +130,138 @@ test.describe('Operator Dashboard', () => {
       // Status should say complete
       await expect(page.locator('#audit-status')).toContainText('complete');
     });
+
+    test('link to the orphan list shows an audit report', async ({ page }) => {
+      await page.goto('/fancy#orphans');
+
+      await expect(page.locator('.audit-report')).toBeVisible({ timeout: 10000 });
+      await expect(page.locator('#orphans')).toContainText('Orphan tasks');
+    });
+  });
+
+  test.describe('Audit History', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto('/test/set-session');
+    });
+
+    test('stores each audit and charts the history', async ({ page }) => {
+      // The test workspace's history persists between runs, so count from here
+      const { audits: before } = await (await page.request.get('/api/audits')).json();
+
+      await page.goto('/fancy');
+      await page.locator('#run-audit').click();
+      await expect(page.locator('#audit-status')).toHaveText('Audit complete');
+
+      await expect(page.locator('#audit-history-count')).toContainText(`${before.length + 1} report`);
+      await expect(page.locator('#audit-history-empty')).toBeHidden();
+      await expect(page.locator('.trend-row')).toHaveCount(6);
+      await expect(page.locator('.trend-row[data-metric="readinessScore"] .trend-chart span')).toHaveCount(Math.min(before.length + 1, 100));
+    });
+
+    test('compares two reports side by side', async ({ page }) => {
+      await page.request.get('/api/audit');
+      await page.request.put('/api/queue-config', { data: [{ name: 'Doing', type: 'state', stateTypes: ['started'], required: true }] });
+      await page.request.get('/api/audit');
+      await page.request.delete('/api/queue-config');
+
+      await page.goto('/fancy');
+      await expect(page.locator('#audit-compare-controls')).toBeVisible();
+      await page.locator('#compare-audits').click();
+
+      const table = page.locator('.comparison-table');
+      await expect(table).toBeVisible();
+      await expect(table.locator('tr', { hasText: 'Queue readiness' }).locator('td').nth(1)).toHaveText('100%');
+      await expect(table.locator('tr', { hasText: 'Queue Doing' }).locator('td').nth(0)).toHaveText('—');
+      await expect(table.locator('tr', { hasText: 'Queue Doing' }).locator('td').nth(1)).toHaveText('✓ 2 tasks');
+    });
+
+    test('links to the report show the latest audit without storing another', async ({ page }) => {
+      const { id } = await (await page.request.get('/api/audit')).json();
+
+      await page.goto('/fancy#orphans');
+      await expect(page.locator('#audit-status')).toContainText('Latest audit');
+      await expect(page.locator('#orphans')).toContainText('Orphan tasks');
+
+      const { audits } = await (await page.request.get('/api/audits?limit=1')).json();
+      expect(audits.map(audit => audit.id)).toEqual([id]);
+    });
+
+    test('audit history API returns stored reports', async ({ page }) => {
+      const { id } = await (await page.request.get('/api/audit')).json();
+
+      const { audits } = await (await page.request.get('/api/audits?limit=1')).json();
+      expect(audits.map(audit => audit.id)).toEqual([id]);
+      expect(audits[0].summary).toHaveProperty('readinessScore');
+
+      const stored = await (await page.request.get(`/api/audits/${id}`)).json();
+      expect(stored.report.health).toHaveProperty('unlabeled');
+      expect((await page.request.get('/api/audits/unknown')).status()).toBe(404);
+    });
+  });
+
+  test.describe('Queue Configuration', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto('/test/set-session');
+    });
+
+    // The test workspace is shared by all tests: go back to the default queues
+    test.afterEach(async ({ page }) => {
+      await page.request.delete('/api/queue-config');
+    });
+
+    test('shows the default queues in the editor', async ({ page }) => {
+      await page.goto('/fancy');
+      await page.locator('.queue-config-header').click();
+
+      await expect(page.locator('#queue-config-source')).toHaveText('(default queues)');
+      await expect(page.locator('#queue-config-editor')).toHaveValue(/"name": "Breakdown"/);
+    });
+
+    test('saves the workspace\'s queues and scores the audit with them', async ({ page }) => {
+      await page.goto('/fancy');
+      await page.locator('.queue-config-header').click();
+
+      await page.locator('#queue-config-editor').fill(JSON.stringify([
+        { name: 'Bugs', type: 'label', labelPatterns: ['bug'], required: true },
+        { name: 'Doing', type: 'state', stateTypes: ['started'] }
+      ]));
+      await page.locator('#save-queue-config').click();
+
+      await expect(page.locator('#queue-config-status')).toContainText('Saved');
+      await expect(page.locator('#queue-config-source')).toContainText('saved');
+
+      await page.locator('#run-audit').click();
+      const queueSection = page.locator('.report-section:has(.section-header:has-text("Queue Readiness"))');
+      await expect(queueSection.locator('.queue-name')).toHaveText(['Bugs', 'Doing']);
+    });
+
+    test('lists validation errors without saving', async ({ page }) => {
+      await page.goto('/fancy');
+      await page.locator('.queue-config-header').click();
+
+      await page.locator('#queue-config-editor').fill('[{ "name": "Review", "type": "state", "stateTypes": ["reviewing"] }]');
+      await page.locator('#save-queue-config').click();
+
+      await expect(page.locator('#queue-config-errors li')).toHaveText([/unknown state type reviewing/]);
+      await expect(page.locator('#queue-config-status')).toHaveText('Not saved');
+
+      await page.locator('#queue-config-editor').fill('[{ "name": ');
+      await page.locator('#save-queue-config').click();
+      await expect(page.locator('#queue-config-errors li')).toHaveText([/Not valid JSON/]);
+    });
+
+    test('resets to the default queues', async ({ page }) => {
+      await page.request.put('/api/queue-config', { data: [{ name: 'Doing', type: 'state', stateTypes: ['started'] }] });
+      await page.goto('/fancy');
+      await page.locator('.queue-config-header').click();
+      await expect(page.locator('#queue-config-editor')).toHaveValue(/"name": "Doing"/);
+
+      page.once('dialog', dialog => dialog.accept());
+      await page.locator('#reset-queue-config').click();
+
+      await expect(page.locator('#queue-config-source')).toHaveText('(default queues)');
+      await expect(page.locator('#queue-config-editor')).toHaveValue(/"name": "Breakdown"/);
+    });
   });
 });
 
@@ -190,4 +322,25 @@ test.describe('Audit API', () => {
     expect(report.health).toHaveProperty('orphans');
     expect(report.health).toHaveProperty('unlabeled');
   });
+
+  test('audit history returns 401 when not authenticated', async ({ request }) => {
+    expect((await request.get('/api/audits')).status()).toBe(401);
+  });
+
+  test('queue config returns 401 when not authenticated', async ({ request }) => {
+    expect((await request.get('/api/queue-config')).status()).toBe(401);
+    expect((await request.put('/api/queue-config', { data: [] })).status()).toBe(401);
+  });
+
+  test('queue config rejects malformed JSON with a JSON error', async ({ page }) => {
+    await page.goto('/test/set-session');
+
+    const response = await page.request.put('/api/queue-config', {
+      headers: { 'Content-Type': 'application/json' },
+      data: '[{ "name": '
+    });
+
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error).toBe('Invalid JSON');
+  });
 });
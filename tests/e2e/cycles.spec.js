@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Cycles Page', () => {
+  test('redirects to home when not authenticated', async ({ page }) => {
+    await page.goto('/test/clear-session');
+    await page.goto('/cycles');
+    await expect(page).toHaveURL('/');
+  });
+
+  test.describe('Authenticated', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto('/test/set-session');
+      await page.evaluate(() => localStorage.clear());
+    });
+
+    test('is linked from the projects page', async ({ page }) => {
+      await page.goto('/');
+      await page.locator('.nav-action[href="/cycles"]').click();
+      await expect(page).toHaveURL('/cycles');
+    });
+
+    test('shows the current and next cycles of each team', async ({ page }) => {
+      await page.goto('/cycles');
+
+      await expect(page.locator('.project-header')).toHaveText([
+        /Design › Beta push\s+current/,
+        /Engineering › Cycle 1\s+current/,
+        /Engineering › Cycle 2\s+next/
+      ]);
+    });
+
+    test('shows progress with a burn-up chart', async ({ page }) => {
+      await page.goto('/cycles');
+
+      const cycle = page.locator('.project[data-id="cycle-cycle-1"]');
+      await expect(cycle.locator('.cycle-summary')).toContainText('1/3 done');
+      await expect(cycle.locator('.burn-up')).toContainText('█');
+      await expect(cycle.locator('.burn-up')).toContainText('Jan 14');
+
+      // Nothing to chart before a cycle starts
+      await expect(page.locator('.project[data-kind="next"] .burn-up')).toHaveCount(0);
+    });
+
+    test('shows cycle issues as a tree', async ({ page }) => {
+      await page.goto('/cycles');
+
+      const cycle = page.locator('.project[data-id="cycle-cycle-1"]');
+      await cycle.locator('.line[data-id="issue-1"]').click();
+      await expect(cycle.locator('.line[data-id="issue-2"]')).toBeVisible();
+
+      await cycle.locator('.completed-toggle').click();
+      await expect(cycle.locator('.line[data-id="issue-3"]')).toBeVisible();
+    });
+
+    test('team filter scopes the cycles', async ({ page }) => {
+      await page.goto('/cycles');
+      await page.locator('#team-toggle').click();
+      await page.locator('#team-options [data-team="dddddddd-dddd-dddd-dddd-dddddddddddd"]').click();
+
+      await expect(page).toHaveURL(/\/cycles\?team=dddddddd/);
+      await expect(page.locator('.project-header')).toHaveText([/Design › Beta push/]);
+    });
+
+    test('cycles API returns the cycles with their burn-up', async ({ page }) => {
+      const data = await (await page.request.get('/api/cycles')).json();
+
+      expect(data.cycles.map(c => c.groupId)).toEqual(['cycle-cycle-2', 'cycle-cycle-1', 'cycle-cycle-3']);
+      expect(data.cycles[1].burnUp.scope).toBe(3);
+      expect(data.cycles[1].burnUp.days).toHaveLength(14);
+    });
+  });
+});
@@ -72,6 +72,20 @@ test.describe('Authenticated Dashboard', () => {
     await expect(page.locator('.nav-action[href="/logout"]')).toBeVisible();
   });
 
+  test('refresh action re-fetches data and returns to the current view', async ({ page }) => {
+    await page.goto('/?team=eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee');
+
+    const refresh = page.locator('.nav-action.refresh-data');
+    await expect(refresh).toBeVisible();
+    await expect(refresh).toHaveAttribute('title', /Updated/);
+
+    await refresh.click();
+
+    // Should come back to the same filtered view
+    await expect(page).toHaveURL('/?team=eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee');
+    await expect(page.locator('.project-header:has-text("Project Alpha")')).toBeVisible();
+  });
+
   test('shows organization name from mock data', async ({ page }) => {
     // The h1 should contain the organization name from mock data
     // (not the landing page title "Linear Projects Viewer")
@@ -96,3 +110,283 @@ test.describe('Authenticated Dashboard', () => {
     expect(parseFloat(nodeStyle)).toBeGreaterThan(0);
   });
 });
+
+test.describe('Mine View', () => {
+  test.beforeEach(async ({ page }) => {
+    // Test session signs in as Alice (assigned to issue-1)
+    await page.goto('/test/set-session');
+  });
+
+  test('mine toggle limits the tree to the viewer\'s issues', async ({ page }) => {
+    await page.goto('/');
+
+    const toggle = page.locator('#mine-toggle');
+    await expect(toggle).toHaveAttribute('aria-pressed', 'false');
+    await toggle.click();
+
+    await expect(page).toHaveURL(/mine=1/);
+    await expect(page.locator('#mine-toggle')).toHaveAttribute('aria-pressed', 'true');
+
+    // Only issue-1 is Alice's; other issues are gone from both sections
+    await expect(page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-1"]')).toBeVisible();
+    await expect(page.locator('.node[data-id="issue-2"]')).toHaveCount(0);
+    await expect(page.locator('.node[data-id="issue-4"]')).toHaveCount(0);
+    await expect(page.locator('.in-progress-items .line[data-id="issue-1"]')).toHaveCount(1);
+  });
+
+  test('toggling mine off shows every issue again', async ({ page }) => {
+    await page.goto('/?mine=1');
+    await page.locator('#mine-toggle').click();
+
+    await expect(page).not.toHaveURL(/mine=/);
+    await expect(page.locator('.project[data-id="proj-beta"] .line[data-id="issue-4"]')).toBeVisible();
+  });
+});
+
+test.describe('Sort Modes', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+  });
+
+  test('sort selector switches the sort mode', async ({ page }) => {
+    await page.goto('/');
+    await expect(page.locator('#sort-toggle')).toHaveText('default');
+
+    await page.locator('#sort-toggle').click();
+    await page.locator('#sort-options [data-sort="due"]').click();
+
+    await expect(page).toHaveURL(/sort=due/);
+    await expect(page.locator('#sort-toggle')).toHaveText('due');
+    await expect(page.locator('#sort-options [data-sort="due"]')).toHaveAttribute('aria-selected', 'true');
+  });
+
+  test('selected sort mode is restored on the next visit', async ({ page }) => {
+    await page.goto('/?sort=updated');
+    await page.goto('/');
+
+    await expect(page).toHaveURL(/sort=updated/);
+    await expect(page.locator('#sort-toggle')).toHaveText('updated');
+  });
+});
+
+test.describe('Group-by Modes', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+  });
+
+  test('group selector regroups the trees by assignee', async ({ page }) => {
+    await page.goto('/');
+    await expect(page.locator('#group-toggle')).toHaveText('project');
+
+    await page.locator('#group-toggle').click();
+    await page.locator('#group-options [data-group="assignee"]').click();
+
+    await expect(page).toHaveURL(/group=assignee/);
+    await expect(page.locator('.project-header')).toHaveText([/Alice/, /Bob/, /Charlie/, /Unassigned/]);
+    await expect(page.locator('.project[data-id="assignee-user-charlie"] .line[data-id="issue-4"]')).toBeVisible();
+
+    // In Progress stays grouped by project
+    await expect(page.locator('.in-progress-items .line[data-id="issue-1"]')).toBeVisible();
+  });
+
+  test('groups keep the parent/child hierarchy', async ({ page }) => {
+    await page.goto('/?group=team');
+
+    const engineering = page.locator('.project[data-id="team-eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee"]');
+    await engineering.locator('.line[data-id="issue-1"]').click();
+    await expect(engineering.locator('.line[data-id="issue-2"]')).toBeVisible();
+  });
+
+  test('tree API accepts the group query parameter', async ({ page }) => {
+    const data = await (await page.request.get('/api/tree?group=priority')).json();
+
+    expect(data.groupBy).toBe('priority');
+    expect(data.trees.map(t => t.project.name)).toEqual(['Urgent', 'High', 'Medium', 'Low', 'No priority']);
+  });
+});
+
+test.describe('Parents in Other Groups', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+  });
+
+  test('breadcrumb links to the parent and reveals it', async ({ page }) => {
+    await page.goto('/?group=assignee');
+
+    // issue-2 is unassigned, its parent issue-1 is Alice's
+    const link = page.locator('.project[data-id="assignee-none"] .line[data-id="issue-2"] .parent-link');
+    await expect(link).toHaveText('↗ parent in Alice');
+
+    await link.click();
+    await expect(page.locator('.project[data-id="assignee-user-alice"] .line[data-id="issue-1"]')).toBeFocused();
+    await expect(page).toHaveURL(/#issue-assignee-user-alice-issue-1$/);
+  });
+
+  test('parents toggle shows foreign parents as greyed context nodes', async ({ page }) => {
+    await page.goto('/?group=assignee');
+    await page.locator('#parents-toggle').click();
+    await expect(page).toHaveURL(/parents=1/);
+
+    const unassigned = page.locator('.project[data-id="assignee-none"]');
+    const parent = unassigned.locator('.line.context.foreign[data-id="issue-1"]');
+    await expect(parent.locator('.parent-link')).toHaveText('↗ in Alice');
+
+    await parent.click();
+    await expect(unassigned.locator('.line[data-id="issue-2"]')).toBeVisible();
+  });
+
+  test('link to a node expands its ancestors on load', async ({ page }) => {
+    await page.goto('/?group=team#issue-team-eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee-issue-2');
+
+    const child = page.locator('.project[data-id="team-eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee"] .line[data-id="issue-2"]');
+    await expect(child).toBeVisible();
+    await expect(child).toBeFocused();
+  });
+});
+
+test.describe('Project Milestones', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+    await page.goto('/');
+  });
+
+  test('milestone sits between the project and its issues', async ({ page }) => {
+    const beta = page.locator('.project[data-id="proj-beta"]');
+    const milestone = beta.locator('.milestone[data-milestone-id="milestone-1"]');
+
+    await expect(milestone.locator('.milestone-header')).toContainText('Beta launch');
+    await expect(milestone.locator('.milestone-progress')).toHaveText('0/1 done · target Mar 15');
+    await expect(milestone.locator('.line[data-id="issue-4"]')).toBeVisible();
+
+    // Issues without a milestone are listed after the milestones
+    await expect(beta.locator(':scope > .tree .line[data-id="issue-5"]')).toBeVisible();
+  });
+
+  test('collapsing the project hides its milestones', async ({ page }) => {
+    const beta = page.locator('.project[data-id="proj-beta"]');
+    await beta.locator('.project-header').click();
+    await expect(beta.locator('.milestone')).toBeHidden();
+
+    await beta.locator('.project-header').click();
+    await expect(beta.locator('.milestone .line[data-id="issue-4"]')).toBeVisible();
+  });
+
+  test('tree API nests milestone issues under the milestone', async ({ page }) => {
+    const data = await (await page.request.get('/api/tree')).json();
+    const beta = data.trees.find(t => t.project.id === 'proj-beta');
+
+    expect(beta.incomplete[0].milestone.name).toBe('Beta launch');
+    expect(beta.incomplete[0].progress).toEqual({ done: 0, total: 1 });
+    expect(beta.incomplete[0].incomplete.map(node => node.issue.id)).toEqual(['issue-4']);
+  });
+});
+
+test.describe('Project Summary', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+    await page.goto('/');
+  });
+
+  test('project header shows progress, points, overdue issues, target and lead', async ({ page }) => {
+    const summary = page.locator('.project[data-id="proj-alpha"] .project-summary');
+
+    await expect(summary.locator('.summary-bar')).toHaveText('███████░░░░░░░░░░░░░');
+    await expect(summary.locator('.summary-percent')).toHaveText('33%');
+    await expect(summary.locator('.summary-meta')).toHaveText('1/3 issues · 1/8 pts · 1 overdue · target Mar 31 · lead Alice');
+  });
+
+  test('summary stays visible when the project is collapsed', async ({ page }) => {
+    const alpha = page.locator('.project[data-id="proj-alpha"]');
+    await alpha.locator('.project-header').click();
+
+    await expect(alpha.locator('.project-description')).toBeHidden();
+    await expect(alpha.locator('.project-summary')).toBeVisible();
+  });
+});
+
+test.describe('Workflow States', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+  });
+
+  test('custom states get their own glyph and keep their status', async ({ page }) => {
+    await page.goto('/');
+
+    // issue-4 is "In Review", which Design added after "In Progress"
+    const reviewState = page.locator('.project[data-id="proj-beta"] .line[data-id="issue-4"] .state');
+    await expect(reviewState).toHaveText('◑');
+    await expect(reviewState).toHaveAttribute('data-status', 'in-progress');
+    await expect(reviewState).toHaveAttribute('aria-label', 'Status: In Review');
+
+    await expect(page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-1"] .state')).toHaveText('◐');
+    await expect(page.locator('.state-name')).toHaveCount(0);
+  });
+
+  test('states toggle shows state names and splits In Progress by state', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#states-toggle').click();
+
+    await expect(page).toHaveURL(/states=1/);
+    await expect(page.locator('#states-toggle')).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('.project[data-id="proj-beta"] .line[data-id="issue-4"] .state-name')).toHaveText('In Review');
+    await expect(page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-2"] .state-name')).toHaveText('Todo');
+
+    const groups = page.locator('.in-progress-state');
+    await expect(groups).toHaveCount(2);
+    await expect(groups.nth(0)).toHaveAttribute('data-state-name', 'In Progress');
+    await expect(groups.nth(0).locator('.in-progress-state-header')).toHaveText('In Progress 1');
+    await expect(groups.nth(1).locator('.line[data-id="issue-4"]')).toBeVisible();
+  });
+
+  test('in-progress API splits issues by state with ?states=1', async ({ page }) => {
+    const response = await page.request.get('/api/in-progress?states=1');
+    const body = await response.json();
+
+    expect(body.stateNames).toBe(true);
+    expect(body.inProgressStateGroups.map(({ stateName, count }) => [stateName, count])).toEqual([['In Progress', 1], ['In Review', 1]]);
+  });
+});
+
+test.describe('Issue Relations', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+    await page.goto('/');
+  });
+
+  test('blocked issues show a marker naming their open blockers', async ({ page }) => {
+    const beta = page.locator('.project[data-id="proj-beta"]');
+    const marker = beta.locator('.line[data-id="issue-5"] .blocked-marker');
+
+    await expect(marker).toHaveText('⛔');
+    await expect(marker).toHaveAttribute('aria-label', 'Blocked by TEST-4 Beta task in progress');
+
+    // issue-1's only blocker is done
+    await expect(page.locator('.line[data-id="issue-1"] .blocked-marker')).toHaveCount(0);
+  });
+
+  test('details link to blocking and blocked issues', async ({ page }) => {
+    const beta = page.locator('.project[data-id="proj-beta"]');
+    await beta.locator('.line[data-id="issue-5"]').click();
+
+    const blockedBy = beta.locator('[data-details-for="issue-5"] [data-relation="blocked-by"]');
+    await expect(blockedBy).toContainText('blocked by: TEST-4 Beta task in progress');
+    await expect(blockedBy.locator('a.relation-link')).toHaveAttribute('href', 'https://linear.app/test/issue/TEST-4');
+
+    await beta.locator('.line[data-id="issue-4"]').click();
+    await expect(beta.locator('[data-details-for="issue-4"] [data-relation="blocks"]')).toContainText('TEST-5 Beta todo task');
+  });
+
+  test('closed blockers are struck through', async ({ page }) => {
+    const alpha = page.locator('.project[data-id="proj-alpha"]');
+    await alpha.locator('.line[data-id="issue-1"]').click();
+
+    await expect(alpha.locator('[data-details-for="issue-1"] [data-relation="blocked-by"] .relation-link')).toHaveClass(/closed/);
+  });
+});
@@ -119,6 +119,58 @@ test.describe('Team Filtering', () => {
   });
 });
 
+test.describe('Project State Filtering', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    // Start without a saved project state selection
+    await page.evaluate(() => localStorage.clear());
+  });
+
+  test('shows only started projects by default', async ({ page }) => {
+    await page.goto('/');
+
+    await expect(page.locator('#project-state-toggle')).toHaveText('started');
+    await expect(page.locator('.project[data-id="proj-alpha"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-gamma"]')).toHaveCount(0);
+  });
+
+  test('selecting another state adds its projects with a badge', async ({ page }) => {
+    await page.goto('/');
+
+    await page.locator('#project-state-toggle').click();
+    await page.locator('#project-state-options .nav-option[data-project-state="paused"]').click();
+
+    await expect(page).toHaveURL(/projectState=started%2Cpaused/);
+    await expect(page.locator('#project-state-toggle')).toHaveText('started, paused');
+
+    // Paused project is listed after started ones and badged
+    const gamma = page.locator('.project[data-id="proj-gamma"]');
+    await expect(gamma.locator('.project-state')).toHaveText('paused');
+    await expect(page.locator('.project').last()).toHaveAttribute('data-id', 'proj-gamma');
+  });
+
+  test('project state selection persists across visits', async ({ page }) => {
+    await page.goto('/?projectState=paused');
+    await expect(page.locator('#project-state-toggle')).toHaveText('paused');
+
+    // Visiting without the parameter restores the saved selection
+    await page.goto('/');
+    await expect(page).toHaveURL(/projectState=paused/);
+    await expect(page.locator('.project[data-id="proj-gamma"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-alpha"]')).toHaveCount(0);
+  });
+
+  test('changing team keeps the project state filter', async ({ page }) => {
+    await page.goto('/?projectState=started,paused');
+
+    await page.locator('#team-toggle').click();
+    await page.locator('#team-options .nav-option[data-team="eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee"]').click();
+
+    await expect(page).toHaveURL(/team=eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee/);
+    await expect(page).toHaveURL(/projectState=started%2Cpaused/);
+  });
+});
+
 test.describe('OAuth Error Handling', () => {
   test('OAuth callback with error shows friendly message', async ({ page }) => {
     // Simulate user denying access
@@ -0,0 +1,94 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Graph Page', () => {
+  test('redirects to home when not authenticated', async ({ page }) => {
+    await page.goto('/test/clear-session');
+    await page.goto('/graph');
+    await expect(page).toHaveURL('/');
+  });
+
+  test.describe('Authenticated', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto('/test/set-session');
+      await page.evaluate(() => localStorage.clear());
+    });
+
+    test('is linked from the projects page', async ({ page }) => {
+      await page.goto('/');
+      await page.locator('.nav-action[href="/graph"]').click();
+      await expect(page).toHaveURL('/graph');
+      await expect(page.locator('h1')).toContainText('Project Alpha');
+    });
+
+    test('draws parent and blocking edges between the project\'s issues', async ({ page }) => {
+      await page.goto('/graph?project=proj-alpha');
+
+      await expect(page.locator('.graph-node')).toHaveCount(3);
+      await expect(page.locator('.graph-edge[data-kind="parent"][data-from="issue-1"][data-to="issue-2"]')).toHaveCount(1);
+      await expect(page.locator('.graph-edge[data-kind="blocks"][data-from="issue-3"][data-to="issue-1"]')).toHaveCount(1);
+
+      // Nodes are colored like the status indicators of the tree
+      await expect(page.locator('.graph-node[data-id="issue-1"]')).toHaveAttribute('data-status', 'in-progress');
+      await expect(page.locator('.graph-node[data-id="issue-3"]')).toHaveAttribute('data-status', 'done');
+
+      // Issue 3 is done, so nothing is on the critical path
+      await expect(page.locator('.graph-summary')).toContainText('no open blocked chains');
+      await expect(page.locator('.graph-node.critical')).toHaveCount(0);
+    });
+
+    test('highlights the critical path of open blocked issues', async ({ page }) => {
+      await page.goto('/graph?project=proj-beta');
+
+      await expect(page.locator('.graph-summary')).toContainText('critical path: TEST-4 → TEST-5');
+      await expect(page.locator('.graph-node.critical')).toHaveCount(2);
+      await expect(page.locator('.graph-edge.critical')).toHaveCount(1);
+    });
+
+    test('shows the issue\'s details when a node is clicked', async ({ page }) => {
+      await page.goto('/graph?project=proj-beta');
+
+      const details = page.locator('.graph-issue[data-issue-id="issue-5"]');
+      await expect(details).toBeHidden();
+
+      await page.locator('.graph-node[data-id="issue-5"]').click();
+      await expect(details).toBeVisible();
+      await expect(details.locator('.detail-text')).toHaveText('A todo task in Beta');
+      await expect(details.locator('.detail-relation[data-relation="blocked-by"]')).toContainText('TEST-4 Beta task in progress');
+      await expect(page.locator('.graph-edge[data-from="issue-4"]')).toHaveClass(/connected/);
+      await expect(page).toHaveURL(/#issue-5$/);
+
+      // Clicking again (or Escape) clears the selection
+      await page.locator('.graph-node[data-id="issue-5"]').click();
+      await expect(details).toBeHidden();
+      await expect(page.locator('.graph-details-empty')).toBeVisible();
+    });
+
+    test('selects issues from the keyboard and from the URL hash', async ({ page }) => {
+      await page.goto('/graph?project=proj-beta#issue-4');
+      await expect(page.locator('.graph-issue[data-issue-id="issue-4"]')).toBeVisible();
+
+      await page.keyboard.press('Escape');
+      await expect(page.locator('.graph-issue[data-issue-id="issue-4"]')).toBeHidden();
+
+      await page.locator('.graph-node[data-id="issue-5"]').focus();
+      await page.keyboard.press('Enter');
+      await expect(page.locator('.graph-node[data-id="issue-5"]')).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    test('switches between projects', async ({ page }) => {
+      await page.goto('/graph');
+      await page.locator('.graph-project-link', { hasText: 'Project Beta' }).click();
+
+      await expect(page).toHaveURL('/graph?project=proj-beta');
+      await expect(page.locator('.graph-project-link[aria-current="page"]')).toHaveText('Project Beta');
+    });
+
+    test('graph API returns the laid out graph', async ({ page }) => {
+      const data = await (await page.request.get('/api/graph?project=proj-beta')).json();
+
+      expect(data.projectId).toBe('proj-beta');
+      expect(data.graph.nodes.map(node => [node.id, node.layer])).toEqual([['issue-4', 0], ['issue-5', 1]]);
+      expect(data.graph.criticalPath).toEqual(['issue-4', 'issue-5']);
+    });
+  });
+});
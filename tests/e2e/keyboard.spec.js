@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Keyboard Navigation', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.evaluate(() => localStorage.clear());
+    await page.goto('/');
+  });
+
+  test('j and k move focus between visible lines', async ({ page }) => {
+    const alpha = page.locator('.project[data-id="proj-alpha"]');
+    await alpha.locator('.line[data-id="issue-1"]').focus();
+
+    // issue-2 is a collapsed child, so j skips to issue-3
+    await page.keyboard.press('j');
+    await expect(alpha.locator('.line[data-id="issue-3"]')).toBeFocused();
+
+    await page.keyboard.press('k');
+    await expect(alpha.locator('.line[data-id="issue-1"]')).toBeFocused();
+  });
+
+  test('l expands and moves into children, h goes back to the parent', async ({ page }) => {
+    const alpha = page.locator('.project[data-id="proj-alpha"]');
+    const parent = alpha.locator('.line[data-id="issue-1"]');
+    await parent.focus();
+
+    await page.keyboard.press('l');
+    await expect(parent).toHaveAttribute('aria-expanded', 'true');
+    await expect(alpha.locator('.line[data-id="issue-2"]')).toBeVisible();
+
+    await page.keyboard.press('l');
+    await expect(alpha.locator('.line[data-id="issue-2"]')).toBeFocused();
+
+    await page.keyboard.press('h');
+    await expect(parent).toBeFocused();
+
+    await page.keyboard.press('h');
+    await expect(parent).toHaveAttribute('aria-expanded', 'false');
+    await expect(alpha.locator('.line[data-id="issue-2"]')).toBeHidden();
+  });
+
+  test('focused line is announced with its title and status', async ({ page }) => {
+    const line = page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-1"]');
+    await line.focus();
+
+    await expect(line).toHaveAttribute('role', 'treeitem');
+    await expect(line).toHaveAttribute('aria-label', /in-progress$/);
+    await expect(line).toHaveAttribute('tabindex', '0');
+  });
+
+  test('/ focuses search and ? toggles help', async ({ page }) => {
+    await page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-1"]').focus();
+
+    await page.keyboard.press('?');
+    await expect(page.locator('#keyboard-help')).toBeVisible();
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#keyboard-help')).toBeHidden();
+
+    await page.keyboard.press('/');
+    await expect(page.locator('#tree-search')).toBeFocused();
+
+    // Typing in search doesn't trigger shortcuts
+    await page.keyboard.type('j');
+    await expect(page.locator('#tree-search')).toHaveValue('j');
+  });
+});
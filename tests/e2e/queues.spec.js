@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Queues Page', () => {
+  test('redirects to home when not authenticated', async ({ page }) => {
+    await page.goto('/test/clear-session');
+    await page.goto('/queues');
+    await expect(page).toHaveURL('/');
+  });
+
+  test('queues API returns 401 when not authenticated', async ({ request }) => {
+    const response = await request.get('/api/queues');
+    expect(response.status()).toBe(401);
+  });
+
+  test.describe('Authenticated', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.goto('/test/set-session');
+    });
+
+    // The test workspace is shared by all tests: go back to the default queues
+    test.afterEach(async ({ page }) => {
+      await page.request.delete('/api/queue-config');
+    });
+
+    test('is linked from the projects page', async ({ page }) => {
+      await page.goto('/');
+      await page.locator('.nav-action[href="/queues"]').click();
+      await expect(page).toHaveURL('/queues');
+      await expect(page.locator('h1')).toContainText('queues');
+    });
+
+    test('shows a column per default queue with the issues as cards', async ({ page }) => {
+      await page.goto('/queues');
+
+      await expect(page.locator('.queue-column-header')).toHaveText([/^Breakdown/, /^Research/, /^Ready/, /^In-Progress/]);
+      const inProgress = page.locator('.queue-column[data-queue="In-Progress"]');
+      await expect(inProgress.locator('.queue-card')).toHaveCount(2);
+
+      const card = inProgress.locator('.queue-card[data-id="issue-1"]');
+      await expect(card.locator('.queue-card-title')).toHaveText('TEST-1 Parent task in progress');
+      await expect(card.locator('.queue-card-meta')).toHaveText('Alice · 5 pts');
+      await expect(card.locator('.queue-card-labels')).toContainText('feature');
+
+      await expect(page.locator('.queue-board-summary')).toContainText('every issue in one queue');
+      await expect(page.locator('.config-problem')).toHaveCount(0);
+    });
+
+    test('highlights issues the workspace\'s queues place in several queues or none', async ({ page }) => {
+      await page.request.put('/api/queue-config', {
+        data: [
+          { name: 'Open', type: 'state', stateTypes: ['unstarted', 'started'] },
+          { name: 'Doing', type: 'state', stateTypes: ['started'] }
+        ]
+      });
+      await page.goto('/queues');
+
+      // Started issues are in both queues, the backlog issue in none
+      await expect(page.locator('.queue-column[data-queue="Doing"] .queue-card.config-problem')).toHaveCount(2);
+      await expect(page.locator('.queue-column[data-queue="Doing"] .queue-card[data-id="issue-1"] .queue-card-problem')).toHaveText('also in Open');
+      await expect(page.locator('.queue-column.unqueued .queue-card[data-problem="unqueued"]')).toHaveCount(1);
+      await expect(page.locator('.queue-board-summary')).toContainText('2 in several queues · 1 in no queue');
+    });
+
+    test('queues API returns the board', async ({ page }) => {
+      const data = await (await page.request.get('/api/queues')).json();
+
+      expect(data.isDefaultConfig).toBe(true);
+      expect(data.board.columns.map(column => column.queue.name)).toEqual(['Breakdown', 'Research', 'Ready', 'In-Progress']);
+      expect(data.board.issueCount).toBe(4);
+    });
+  });
+});
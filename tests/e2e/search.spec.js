@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Tree Search', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+    await page.goto('/');
+    await page.evaluate(() => localStorage.clear());
+    await page.reload();
+  });
+
+  test('reveals matching child issues with their ancestors', async ({ page }) => {
+    const alpha = page.locator('.project[data-id="proj-alpha"]');
+
+    // issue-2 is a collapsed child of issue-1
+    await expect(alpha.locator('.node[data-id="issue-2"]')).toBeHidden();
+
+    await page.locator('#tree-search').fill('child task');
+
+    await expect(alpha.locator('.node[data-id="issue-2"]')).toBeVisible();
+    await expect(alpha.locator('.line[data-id="issue-1"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-beta"]')).toBeHidden();
+    await expect(page.locator('.nav-search-count')).toHaveText('1 issue');
+  });
+
+  test('matches on assignee and description text', async ({ page }) => {
+    await page.locator('#tree-search').fill('charlie');
+    await expect(page.locator('.project[data-id="proj-beta"] .line[data-id="issue-4"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-alpha"]')).toBeHidden();
+
+    await page.locator('#tree-search').fill('todo task in beta');
+    await expect(page.locator('.project[data-id="proj-beta"] .line[data-id="issue-5"]')).toBeVisible();
+  });
+
+  test('label filter reveals completed issues', async ({ page }) => {
+    await page.locator('#tree-search').fill('label:bug');
+
+    await expect(page.locator('[data-completed-for="proj-alpha"] .line[data-id="issue-3"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-1"]')).toBeHidden();
+  });
+
+  test('state and due filters', async ({ page }) => {
+    const alpha = page.locator('.project[data-id="proj-alpha"]');
+
+    await page.locator('#tree-search').fill('state:started');
+    await expect(alpha.locator('.line[data-id="issue-1"]')).toBeVisible();
+    await expect(alpha.locator('.node[data-id="issue-2"]')).toBeHidden();
+
+    // Mock due dates are in the past, so both are due within 7 days
+    await page.locator('#tree-search').fill('due:<7d');
+    await expect(page.locator('.project[data-id="proj-beta"] .line[data-id="issue-4"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-beta"] .node[data-id="issue-5"]')).toBeHidden();
+
+    await page.locator('#tree-search').fill('assignee:none state:todo');
+    await expect(alpha.locator('.node[data-id="issue-2"]')).toBeVisible();
+  });
+
+  test('assignee:me matches issues assigned to the signed-in user', async ({ page }) => {
+    // Test session signs in as Alice
+    await page.locator('#tree-search').fill('assignee:me');
+
+    await expect(page.locator('.project[data-id="proj-alpha"] .line[data-id="issue-1"]')).toBeVisible();
+    await expect(page.locator('.project[data-id="proj-beta"]')).toBeHidden();
+  });
+
+  test('clearing the search restores the collapse state', async ({ page }) => {
+    const search = page.locator('#tree-search');
+    await search.fill('child task');
+    await expect(page.locator('.project[data-id="proj-alpha"] .node[data-id="issue-2"]')).toBeVisible();
+
+    await search.press('Escape');
+
+    await expect(search).toHaveValue('');
+    await expect(page.locator('.project[data-id="proj-alpha"] .node[data-id="issue-2"]')).toBeHidden();
+    await expect(page.locator('.project[data-id="proj-beta"]')).toBeVisible();
+    await expect(page.locator('[data-completed-for="proj-alpha"]')).toBeHidden();
+  });
+});
@@ -0,0 +1,182 @@
+import { test, expect } from '@playwright/test';
+import { signPayload, issuePayload, projectPayload, issue5StartedData } from '../fixtures/webhook-payloads.js';
+
+/**
+ * POST a signed webhook payload to the local server.
+ */
+async function postWebhook(request, payload, { signature } = {}) {
+  const body = JSON.stringify(payload);
+  return request.post('/webhooks/linear', {
+    headers: {
+      'Content-Type': 'application/json',
+      'Linear-Signature': signature ?? signPayload(body)
+    },
+    data: body
+  });
+}
+
+test.describe('Linear Webhooks', () => {
+  test.beforeEach(async ({ page }) => {
+    // Resets cached data to the mock data
+    await page.goto('/test/set-session');
+
+    // Load the page once so the workspace snapshot is cached
+    await page.goto('/');
+    await expect(page.locator('.project-header:has-text("Project Beta")')).toBeVisible();
+  });
+
+  test('rejects payloads with an invalid signature', async ({ request }) => {
+    const response = await postWebhook(request, issuePayload('update', issue5StartedData), { signature: 'deadbeef' });
+    expect(response.status()).toBe(401);
+  });
+
+  test('rejects stale payloads', async ({ request }) => {
+    const payload = { ...issuePayload('update', issue5StartedData), webhookTimestamp: Date.now() - 10 * 60 * 1000 };
+    const response = await postWebhook(request, payload);
+    expect(response.status()).toBe(401);
+  });
+
+  test('issue update is reflected in the tree', async ({ page, request }) => {
+    const response = await postWebhook(request, issuePayload('update', issue5StartedData));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+
+    // Renamed issue now shows as in-progress, in both the project and In Progress section
+    const betaProject = page.locator('.project[data-id="proj-beta"]');
+    await expect(betaProject.locator('.line[data-id="issue-5"] .title')).toHaveText('Beta task picked up');
+    await expect(betaProject.locator('.line[data-id="issue-5"] .state')).toHaveAttribute('data-status', 'in-progress');
+    await expect(page.locator('.in-progress-items .line[data-id="issue-5"]')).toHaveCount(1);
+  });
+
+  test('started issue with an open blocker is listed under Blocked', async ({ page, request }) => {
+    // issue-5 is blocked by issue-4, which is still in progress
+    const response = await postWebhook(request, issuePayload('update', issue5StartedData));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+
+    const blocked = page.locator('.in-progress-blocked');
+    await expect(blocked.locator('.in-progress-blocked-header')).toHaveText('⛔ Blocked 1');
+    await expect(blocked.locator('.line[data-id="issue-5"]')).toBeVisible();
+    await expect(blocked.locator('.line[data-id="issue-4"]')).toHaveCount(0);
+  });
+
+  test('issue removal is reflected in the tree', async ({ page, request }) => {
+    const response = await postWebhook(request, issuePayload('remove', { id: 'issue-5' }));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+    await expect(page.locator('.node[data-id="issue-5"]')).toHaveCount(0);
+  });
+
+  test('issue moved out of its project shows as unassigned to project', async ({ page, request }) => {
+    const response = await postWebhook(request, issuePayload('update', { ...issue5StartedData, projectId: null }));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+
+    const orphans = page.locator('.project[data-id="no-project"]');
+    await expect(orphans.locator('.project-header')).toContainText('Unassigned to project');
+    await expect(orphans.locator('.line[data-id="issue-5"]')).toBeVisible();
+    await expect(orphans.locator('a[href="/fancy#orphans"]')).toBeVisible();
+
+    // Started, so it's also in In Progress
+    await expect(page.locator('.in-progress-items .line[data-id="issue-5"]')).toContainText('Unassigned to project');
+  });
+
+  test('issue moved under a parent in another project links to it', async ({ page, request }) => {
+    const response = await postWebhook(request, issuePayload('update', { ...issue5StartedData, parentId: 'issue-1' }));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+
+    // Still listed in Beta, with a breadcrumb to its parent in Alpha
+    const line = page.locator('.project[data-id="proj-beta"] .line[data-id="issue-5"]');
+    await expect(line.locator('.parent-link')).toHaveText('↗ parent in Project Alpha');
+    await expect(line.locator('.parent-link')).toHaveAttribute('href', '#issue-proj-alpha-issue-1');
+  });
+
+  test('canceled issue is listed behind its own toggle', async ({ page, request }) => {
+    const canceled = { ...issue5StartedData, state: { id: 'ws5', name: 'Canceled', type: 'canceled', color: '#95a2b3' } };
+    const response = await postWebhook(request, issuePayload('update', canceled));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+
+    const beta = page.locator('.project[data-id="proj-beta"]');
+    const line = beta.locator('.line[data-id="issue-5"]');
+    await expect(line.locator('.state')).toHaveAttribute('data-status', 'canceled');
+    await expect(line.locator('.state')).toHaveText('✗');
+    await expect(line).toBeHidden();
+
+    const toggle = beta.locator('.completed-toggle[data-kind="canceled"]');
+    await expect(toggle).toHaveText('show 1 canceled');
+    await toggle.click();
+    await expect(line).toBeVisible();
+    await expect(toggle).toHaveText('hide canceled');
+  });
+
+  test('project update is reflected in the tree', async ({ page, request }) => {
+    const response = await postWebhook(request, projectPayload('update', {
+      id: 'proj-alpha', name: 'Project Alpha Renamed', state: 'started', sortOrder: 1
+    }));
+    expect(response.status()).toBe(200);
+
+    await page.goto('/');
+    await expect(page.locator('.project[data-id="proj-alpha"] .project-header')).toContainText('Project Alpha Renamed');
+  });
+});
+
+test.describe('Live Updates', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/test/set-session');
+
+    // Wait for the page's event stream to connect before sending webhooks
+    await Promise.all([
+      page.waitForResponse(response => response.url().endsWith('/events')),
+      page.goto('/')
+    ]);
+  });
+
+  test('issue update patches the open page without a reload', async ({ page, request }) => {
+    const response = await postWebhook(request, issuePayload('update', issue5StartedData));
+    expect(response.status()).toBe(200);
+
+    const line = page.locator('.project[data-id="proj-beta"] .line[data-id="issue-5"]');
+    await expect(line.locator('.title')).toHaveText('Beta task picked up');
+    await expect(line.locator('.state')).toHaveAttribute('data-status', 'in-progress');
+
+    // Newly started issue isn't in the In Progress section yet - offer a reload
+    await expect(page.locator('.live-notice')).toContainText('reload');
+  });
+
+  test('canceled issue moves behind the canceled toggle on the open page', async ({ page, request }) => {
+    const canceled = { ...issue5StartedData, state: { id: 'ws5', name: 'Canceled', type: 'canceled', color: '#95a2b3' } };
+    const response = await postWebhook(request, issuePayload('update', canceled));
+    expect(response.status()).toBe(200);
+
+    const beta = page.locator('.project[data-id="proj-beta"]');
+    await expect(beta.locator('.line[data-id="issue-5"] .state')).toHaveAttribute('data-status', 'canceled');
+    await expect(beta.locator('[data-completed-for="canceled-proj-beta"] .node[data-id="issue-5"]')).toHaveCount(1);
+    await expect(beta.locator('.completed-toggle[data-kind="canceled"]')).toHaveText('show 1 canceled');
+  });
+
+  test('issue removal removes the node from the open page', async ({ page, request }) => {
+    await expect(page.locator('.node[data-id="issue-5"]')).not.toHaveCount(0);
+
+    const response = await postWebhook(request, issuePayload('remove', { id: 'issue-5' }));
+    expect(response.status()).toBe(200);
+
+    await expect(page.locator('.node[data-id="issue-5"]')).toHaveCount(0);
+  });
+
+  test('project rename updates the header on the open page', async ({ page, request }) => {
+    const response = await postWebhook(request, projectPayload('update', {
+      id: 'proj-alpha', name: 'Project Alpha Renamed', state: 'started', sortOrder: 1
+    }));
+    expect(response.status()).toBe(200);
+
+    await expect(page.locator('.project[data-id="proj-alpha"] .project-header')).toContainText('Project Alpha Renamed');
+  });
+});
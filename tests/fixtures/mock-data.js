@@ -8,17 +8,56 @@ export const testMockTeams = [
   { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd', name: 'Design', key: 'DES' }
 ]
 
+// Current/next/previous cycles (issues 1-3 are in cycle-1, issue-4 in cycle-2)
+export const testMockCycles = [
+  { id: 'cycle-1', number: 1, name: null, startsAt: '2024-01-01T00:00:00Z', endsAt: '2024-01-15T00:00:00Z', completedAt: null, isActive: true, isNext: false, isPrevious: false, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', name: 'Engineering', key: 'ENG' } },
+  { id: 'cycle-3', number: 2, name: null, startsAt: '2024-01-15T00:00:00Z', endsAt: '2024-01-29T00:00:00Z', completedAt: null, isActive: false, isNext: true, isPrevious: false, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', name: 'Engineering', key: 'ENG' } },
+  { id: 'cycle-2', number: 2, name: 'Beta push', startsAt: '2024-01-15T00:00:00Z', endsAt: '2024-01-29T00:00:00Z', completedAt: null, isActive: true, isNext: false, isPrevious: false, team: { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd', name: 'Design', key: 'DES' } }
+]
+
+// Milestones of Project Beta (issue-4 is planned in the first)
+export const testMockMilestones = [
+  { id: 'milestone-1', name: 'Beta launch', targetDate: '2024-03-15', sortOrder: 1 },
+  { id: 'milestone-2', name: 'Beta polish', targetDate: '2024-04-30', sortOrder: 2 }
+]
+
+// Workflow states of both teams (Design adds "In Review" after "In Progress", issue-4 is in review)
+const ENGINEERING = { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', name: 'Engineering' }
+const DESIGN = { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd', name: 'Design' }
+export const testMockWorkflowStates = [
+  { id: 'state-eng-backlog', name: 'Backlog', type: 'backlog', position: 0, team: ENGINEERING },
+  { id: 'state-eng-todo', name: 'Todo', type: 'unstarted', position: 1, team: ENGINEERING },
+  { id: 'state-eng-started', name: 'In Progress', type: 'started', position: 2, team: ENGINEERING },
+  { id: 'state-eng-done', name: 'Done', type: 'completed', position: 3, team: ENGINEERING },
+  { id: 'state-eng-canceled', name: 'Canceled', type: 'canceled', position: 4, team: ENGINEERING },
+  { id: 'state-des-backlog', name: 'Backlog', type: 'backlog', position: 0, team: DESIGN },
+  { id: 'state-des-todo', name: 'Todo', type: 'unstarted', position: 1, team: DESIGN },
+  { id: 'state-des-started', name: 'In Progress', type: 'started', position: 2, team: DESIGN },
+  { id: 'state-des-review', name: 'In Review', type: 'started', position: 3, team: DESIGN },
+  { id: 'state-des-done', name: 'Done', type: 'completed', position: 4, team: DESIGN },
+  { id: 'state-des-canceled', name: 'Canceled', type: 'canceled', position: 5, team: DESIGN }
+]
+
+// Relations: issue-4 blocks issue-5 (still open), issue-3 blocked issue-1 but is done
+const relatedIssue = (n, title, type) => ({ id: `issue-${n}`, identifier: `TEST-${n}`, title, url: `https://linear.app/test/issue/TEST-${n}`, state: { type } })
+const blocks4to5 = { id: 'relation-1', type: 'blocks' }
+const blocks3to1 = { id: 'relation-2', type: 'blocks' }
+
+// Signed-in user for test sessions (assigned to issue-1)
+export const testMockViewer = { id: 'user-alice', name: 'Alice' }
+
 export const testMockData = {
   organizationName: 'Test Workspace',
   projects: [
-    { id: 'proj-alpha', name: 'Project Alpha', content: 'First test project', url: 'https://linear.app/test/project/proj-alpha', sortOrder: 1 },
-    { id: 'proj-beta', name: 'Project Beta', content: 'Second test project', url: 'https://linear.app/test/project/proj-beta', sortOrder: 2 }
+    { id: 'proj-alpha', name: 'Project Alpha', content: 'First test project', url: 'https://linear.app/test/project/proj-alpha', sortOrder: 1, state: 'started', targetDate: '2024-03-31', lead: { id: 'user-alice', name: 'Alice' } },
+    { id: 'proj-beta', name: 'Project Beta', content: 'Second test project', url: 'https://linear.app/test/project/proj-beta', sortOrder: 2, state: 'started', projectMilestones: { nodes: testMockMilestones } },
+    { id: 'proj-gamma', name: 'Project Gamma', content: 'Paused test project', url: 'https://linear.app/test/project/proj-gamma', sortOrder: 3, state: 'paused' }
   ],
   issues: [
-    { id: 'issue-1', title: 'Parent task in progress', description: 'This is a parent task', estimate: 5, priority: 2, sortOrder: 1, createdAt: '2024-01-01T00:00:00Z', dueDate: '2024-02-01', completedAt: null, url: 'https://linear.app/test/issue/TEST-1', parent: null, project: { id: 'proj-alpha' }, state: { name: 'In Progress', type: 'started' }, assignee: { name: 'Alice' }, labels: { nodes: [{ name: 'feature' }] }, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee' } },
-    { id: 'issue-2', title: 'Child task todo', description: 'A child task', estimate: 2, priority: 3, sortOrder: 2, createdAt: '2024-01-02T00:00:00Z', dueDate: null, completedAt: null, url: 'https://linear.app/test/issue/TEST-2', parent: { id: 'issue-1' }, project: { id: 'proj-alpha' }, state: { name: 'Todo', type: 'unstarted' }, assignee: null, labels: { nodes: [] }, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee' } },
-    { id: 'issue-3', title: 'Completed task', description: 'This task is done', estimate: 1, priority: 4, sortOrder: 3, createdAt: '2024-01-03T00:00:00Z', dueDate: null, completedAt: '2024-01-10T00:00:00Z', url: 'https://linear.app/test/issue/TEST-3', parent: null, project: { id: 'proj-alpha' }, state: { name: 'Done', type: 'completed' }, assignee: { name: 'Bob' }, labels: { nodes: [{ name: 'bug' }] }, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee' } },
-    { id: 'issue-4', title: 'Beta task in progress', description: 'An in-progress task in Beta', estimate: 3, priority: 1, sortOrder: 1, createdAt: '2024-01-04T00:00:00Z', dueDate: '2024-03-01', completedAt: null, url: 'https://linear.app/test/issue/TEST-4', parent: null, project: { id: 'proj-beta' }, state: { name: 'In Progress', type: 'started' }, assignee: { name: 'Charlie' }, labels: { nodes: [{ name: 'urgent' }] }, team: { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd' } },
-    { id: 'issue-5', title: 'Beta todo task', description: 'A todo task in Beta', estimate: null, priority: 0, sortOrder: 2, createdAt: '2024-01-05T00:00:00Z', dueDate: null, completedAt: null, url: 'https://linear.app/test/issue/TEST-5', parent: null, project: { id: 'proj-beta' }, state: { name: 'Backlog', type: 'backlog' }, assignee: null, labels: { nodes: [] }, team: { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd' } }
+    { id: 'issue-1', identifier: 'TEST-1', title: 'Parent task in progress', description: 'This is a parent task', estimate: 5, priority: 2, sortOrder: 1, createdAt: '2024-01-01T00:00:00Z', dueDate: '2024-02-01', completedAt: null, url: 'https://linear.app/test/issue/TEST-1', parent: null, project: { id: 'proj-alpha' }, state: { name: 'In Progress', type: 'started' }, assignee: { id: 'user-alice', name: 'Alice' }, labels: { nodes: [{ name: 'feature' }] }, inverseRelations: { nodes: [{ ...blocks3to1, issue: relatedIssue(3, 'Completed task', 'completed') }] }, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', name: 'Engineering' }, cycle: { id: 'cycle-1', number: 1, name: null, startsAt: '2024-01-01T00:00:00Z' } },
+    { id: 'issue-2', identifier: 'TEST-2', title: 'Child task todo', description: 'A child task', estimate: 2, priority: 3, sortOrder: 2, createdAt: '2024-01-02T00:00:00Z', dueDate: null, completedAt: null, url: 'https://linear.app/test/issue/TEST-2', parent: { id: 'issue-1' }, project: { id: 'proj-alpha' }, state: { name: 'Todo', type: 'unstarted' }, assignee: null, labels: { nodes: [] }, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', name: 'Engineering' }, cycle: { id: 'cycle-1', number: 1, name: null, startsAt: '2024-01-01T00:00:00Z' } },
+    { id: 'issue-3', identifier: 'TEST-3', title: 'Completed task', description: 'This task is done', estimate: 1, priority: 4, sortOrder: 3, createdAt: '2024-01-03T00:00:00Z', dueDate: null, completedAt: '2024-01-10T00:00:00Z', url: 'https://linear.app/test/issue/TEST-3', parent: null, project: { id: 'proj-alpha' }, state: { name: 'Done', type: 'completed' }, assignee: { id: 'user-bob', name: 'Bob' }, labels: { nodes: [{ name: 'bug' }] }, relations: { nodes: [{ ...blocks3to1, relatedIssue: relatedIssue(1, 'Parent task in progress', 'started') }] }, team: { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', name: 'Engineering' }, cycle: { id: 'cycle-1', number: 1, name: null, startsAt: '2024-01-01T00:00:00Z' } },
+    { id: 'issue-4', identifier: 'TEST-4', title: 'Beta task in progress', description: 'An in-progress task in Beta', estimate: 3, priority: 1, sortOrder: 1, createdAt: '2024-01-04T00:00:00Z', dueDate: '2024-03-01', completedAt: null, url: 'https://linear.app/test/issue/TEST-4', parent: null, project: { id: 'proj-beta' }, state: { name: 'In Review', type: 'started' }, assignee: { id: 'user-charlie', name: 'Charlie' }, labels: { nodes: [{ name: 'urgent' }] }, projectMilestone: testMockMilestones[0], relations: { nodes: [{ ...blocks4to5, relatedIssue: relatedIssue(5, 'Beta todo task', 'backlog') }] }, team: { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd', name: 'Design' }, cycle: { id: 'cycle-2', number: 2, name: 'Beta push', startsAt: '2024-01-15T00:00:00Z' } },
+    { id: 'issue-5', identifier: 'TEST-5', title: 'Beta todo task', description: 'A todo task in Beta', estimate: null, priority: 0, sortOrder: 2, createdAt: '2024-01-05T00:00:00Z', dueDate: null, completedAt: null, url: 'https://linear.app/test/issue/TEST-5', parent: null, project: { id: 'proj-beta' }, state: { name: 'Backlog', type: 'backlog' }, assignee: null, labels: { nodes: [] }, inverseRelations: { nodes: [{ ...blocks4to5, issue: relatedIssue(4, 'Beta task in progress', 'started') }] }, team: { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd', name: 'Design' }, cycle: null }
   ]
 }
@@ -0,0 +1,83 @@
+/**
+ * Linear webhook payload fixtures for tests.
+ * Issue data uses the same IDs as mock-data.js so assertions can reuse it.
+ */
+import crypto from 'crypto'
+
+// Matches LINEAR_WEBHOOK_SECRET in playwright.config.js
+export const TEST_WEBHOOK_SECRET = 'test-webhook-secret'
+
+// Workspace ID used by /test/set-session
+export const TEST_ORGANIZATION_ID = '11111111-1111-1111-1111-111111111111'
+
+/**
+ * Compute the Linear-Signature header for a raw body.
+ */
+export function signPayload(body, secret = TEST_WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex')
+}
+
+/**
+ * Build an Issue webhook payload in Linear's format (flat IDs, plain label array).
+ */
+export function issuePayload(action, data, organizationId = TEST_ORGANIZATION_ID) {
+  return {
+    action,
+    type: 'Issue',
+    createdAt: new Date().toISOString(),
+    organizationId,
+    webhookTimestamp: Date.now(),
+    url: `https://linear.app/test/issue/${data.id}`,
+    data
+  }
+}
+
+/**
+ * Build an IssueRelation webhook payload in Linear's format (flat issue IDs).
+ */
+export function relationPayload(action, data, organizationId = TEST_ORGANIZATION_ID) {
+  return {
+    action,
+    type: 'IssueRelation',
+    createdAt: new Date().toISOString(),
+    organizationId,
+    webhookTimestamp: Date.now(),
+    data
+  }
+}
+
+/**
+ * Build a Project webhook payload in Linear's format.
+ */
+export function projectPayload(action, data, organizationId = TEST_ORGANIZATION_ID) {
+  return {
+    action,
+    type: 'Project',
+    createdAt: new Date().toISOString(),
+    organizationId,
+    webhookTimestamp: Date.now(),
+    url: `https://linear.app/test/project/${data.id}`,
+    data
+  }
+}
+
+// issue-5 ("Beta todo task") moved to in-progress and renamed
+export const issue5StartedData = {
+  id: 'issue-5',
+  identifier: 'TEST-5',
+  title: 'Beta task picked up',
+  description: 'A todo task in Beta',
+  estimate: null,
+  priority: 0,
+  sortOrder: 2,
+  createdAt: '2024-01-05T00:00:00Z',
+  updatedAt: '2024-01-20T00:00:00Z',
+  dueDate: null,
+  completedAt: null,
+  parentId: null,
+  projectId: 'proj-beta',
+  teamId: 'dddddddd-dddd-dddd-dddd-dddddddddddd',
+  state: { id: 'ws2', name: 'In Progress', type: 'started', color: '#f2c94c' },
+  assignee: { id: 'user-charlie', name: 'Charlie' },
+  labels: [{ id: 'l4', name: 'feature', color: '#000' }]
+}
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for audit threshold alerts.
+ *
+ * Run with: node --test tests/unit/audit-alerts.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseThresholds, formatThreshold, checkThresholds, ThresholdError, DEFAULT_AUDIT_THRESHOLDS } from '../../lib/audit-alerts.js';
+
+const summary = {
+  readinessScore: 50,
+  totalTasks: 20,
+  orphans: 0,
+  unlabeled: 5,
+  noAssignee: 2,
+  shortDescription: 1,
+  estimatesUsage: 80,
+  dueDatesUsage: 40
+};
+
+describe('parseThresholds', () => {
+  test('parses the default thresholds', () => {
+    assert.deepStrictEqual(parseThresholds(DEFAULT_AUDIT_THRESHOLDS), [
+      { metric: 'readinessScore', operator: '<', value: 100, ofTotal: false },
+      { metric: 'orphans', operator: '>', value: 0, ofTotal: false },
+      { metric: 'unlabeled', operator: '>', value: 20, ofTotal: true }
+    ]);
+  });
+
+  test('accepts every operator, decimals and loose spacing', () => {
+    const thresholds = parseThresholds(' noAssignee>=3 ,estimatesUsage <= 50% ,, shortDescription>2.5');
+
+    assert.deepStrictEqual(thresholds.map(formatThreshold), ['noAssignee >= 3', 'estimatesUsage <= 50%', 'shortDescription > 2.5']);
+    // Percentage metrics are compared as they are, not as a share of all tasks
+    assert.strictEqual(thresholds[1].ofTotal, false);
+  });
+
+  test('rejects malformed thresholds and unknown metrics', () => {
+    assert.throws(() => parseThresholds('orphans = 0'), ThresholdError);
+    assert.throws(() => parseThresholds('orphans > many'), /Invalid threshold "orphans > many"/);
+    assert.throws(() => parseThresholds('bugs > 0'), /Unknown metric "bugs"/);
+  });
+});
+
+describe('checkThresholds', () => {
+  test('returns the breached thresholds with the actual values', () => {
+    const breaches = checkThresholds(summary, parseThresholds(DEFAULT_AUDIT_THRESHOLDS));
+
+    assert.deepStrictEqual(breaches, [
+      {
+        metric: 'readinessScore',
+        threshold: 'readinessScore < 100%',
+        actual: 50,
+        message: 'readinessScore is 50%, alert when readinessScore < 100%'
+      },
+      {
+        metric: 'unlabeled',
+        threshold: 'unlabeled > 20%',
+        actual: 25,
+        message: 'unlabeled is 25% (5 of 20 tasks), alert when unlabeled > 20%'
+      }
+    ]);
+  });
+
+  test('returns no breaches for a healthy workspace', () => {
+    const healthy = { ...summary, readinessScore: 100, unlabeled: 4 };
+
+    assert.deepStrictEqual(checkThresholds(healthy, parseThresholds(DEFAULT_AUDIT_THRESHOLDS)), []);
+  });
+
+  test('treats a workspace without tasks as 0% of all tasks', () => {
+    const empty = { ...summary, totalTasks: 0, unlabeled: 0 };
+
+    assert.deepStrictEqual(checkThresholds(empty, parseThresholds('unlabeled >= 0%')).map(breach => breach.actual), [0]);
+  });
+});
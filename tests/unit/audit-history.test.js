@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the audit history.
+ *
+ * Run with: node --test tests/unit/audit-history.test.js
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MangoClient } from '@jkershaw/mangodb';
+import { AuditHistory, summarizeAudit, parseHistoryLimit, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT } from '../../lib/audit-history.js';
+import { computeAuditFromData } from '../../lib/audit.js';
+import { testMockData } from '../fixtures/mock-data.js';
+
+// Audit of the mock workspace, run at the given time
+const auditAt = (timestamp, issues = testMockData.issues) => ({
+  ...computeAuditFromData({ projects: testMockData.projects, issues }),
+  timestamp
+});
+
+describe('summarizeAudit', () => {
+  test('extracts the charted numbers of a report', () => {
+    const report = auditAt('2024-02-01T00:00:00.000Z');
+
+    assert.deepStrictEqual(summarizeAudit(report), {
+      readinessScore: 0,
+      totalTasks: 5,
+      orphans: 0,
+      unlabeled: 2,
+      noAssignee: 2,
+      shortDescription: 2,
+      estimatesUsage: 80,
+      dueDatesUsage: 40
+    });
+  });
+});
+
+describe('parseHistoryLimit', () => {
+  test('defaults missing and zero limits', () => {
+    assert.strictEqual(parseHistoryLimit(undefined), DEFAULT_HISTORY_LIMIT);
+    assert.strictEqual(parseHistoryLimit('abc'), DEFAULT_HISTORY_LIMIT);
+    assert.strictEqual(parseHistoryLimit('0'), DEFAULT_HISTORY_LIMIT);
+  });
+
+  test('clamps negative and large limits', () => {
+    assert.strictEqual(parseHistoryLimit('-1'), 1);
+    assert.strictEqual(parseHistoryLimit('-5'), 1);
+    assert.strictEqual(parseHistoryLimit('5'), 5);
+    assert.strictEqual(parseHistoryLimit('5000'), MAX_HISTORY_LIMIT);
+  });
+});
+
+describe('AuditHistory', () => {
+  let dataDir;
+  let client;
+  let history;
+
+  before(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'audit-history-'));
+    client = new MangoClient(dataDir);
+    await client.connect();
+    history = new AuditHistory({ collection: client.db('test').collection('audits') });
+  });
+
+  after(async () => {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('stores reports and lists them oldest first', async () => {
+    const second = await history.save('ws-1', auditAt('2024-02-02T00:00:00.000Z', testMockData.issues.slice(0, 2)));
+    const first = await history.save('ws-1', auditAt('2024-02-01T00:00:00.000Z'));
+    await history.save('ws-2', auditAt('2024-02-03T00:00:00.000Z'));
+
+    const entries = await history.list('ws-1');
+    assert.deepStrictEqual(entries.map(entry => entry.id), [first.id, second.id]);
+    assert.deepStrictEqual(entries.map(entry => entry.summary.totalTasks), [5, 2]);
+    assert.strictEqual(new Date(entries[0].timestamp).toISOString(), '2024-02-01T00:00:00.000Z');
+    assert.strictEqual(entries[0].report, undefined);
+  });
+
+  test('lists only the most recent reports', async () => {
+    const entries = await history.list('ws-1', 1);
+
+    assert.deepStrictEqual(entries.map(entry => new Date(entry.timestamp).toISOString()), ['2024-02-02T00:00:00.000Z']);
+  });
+
+  test('returns a stored report of the workspace', async () => {
+    const [entry] = await history.list('ws-2');
+
+    const stored = await history.get('ws-2', entry.id);
+    assert.strictEqual(stored.report.health.totalTasks, 5);
+    assert.strictEqual(stored.report.timestamp, '2024-02-03T00:00:00.000Z');
+
+    assert.strictEqual(await history.get('ws-1', entry.id), null);
+    assert.strictEqual(await history.get('ws-2', 'missing'), null);
+  });
+
+  test('keeps only the most recent reports of each workspace', async () => {
+    const capped = new AuditHistory({ collection: client.db('test').collection('cappedAudits'), maxAudits: 2 });
+    await capped.save('ws-1', auditAt('2024-02-02T00:00:00.000Z'));
+    await capped.save('ws-1', auditAt('2024-02-01T00:00:00.000Z'));
+    await capped.save('ws-1', auditAt('2024-02-03T00:00:00.000Z'));
+    await capped.save('ws-2', auditAt('2024-01-01T00:00:00.000Z'));
+
+    const timestamps = async (workspaceId) => (await capped.list(workspaceId)).map(entry => new Date(entry.timestamp).toISOString());
+    assert.deepStrictEqual(await timestamps('ws-1'), ['2024-02-02T00:00:00.000Z', '2024-02-03T00:00:00.000Z']);
+    assert.deepStrictEqual(await timestamps('ws-2'), ['2024-01-01T00:00:00.000Z']);
+  });
+});
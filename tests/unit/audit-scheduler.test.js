@@ -0,0 +1,151 @@
+/**
+ * Unit tests for scheduled audits.
+ *
+ * Run with: node --test tests/unit/audit-scheduler.test.js
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { AuditScheduler, parseScheduleTime, getNextRunTime } from '../../lib/audit-scheduler.js';
+import { parseThresholds, DEFAULT_AUDIT_THRESHOLDS } from '../../lib/audit-alerts.js';
+import { WebhookNotifier } from '../../lib/notifier.js';
+import { computeAuditFromData } from '../../lib/audit.js';
+import { testMockData } from '../fixtures/mock-data.js';
+
+// Audit of the mock workspace, stored under the given history ID
+const auditOf = (id) => ({
+  ...computeAuditFromData({ projects: testMockData.projects, issues: testMockData.issues }),
+  timestamp: '2024-02-01T02:00:00.000Z',
+  id
+});
+
+describe('parseScheduleTime', () => {
+  test('parses times of day', () => {
+    assert.deepStrictEqual(parseScheduleTime('02:30'), { hours: 2, minutes: 30 });
+    assert.deepStrictEqual(parseScheduleTime(' 23:59 '), { hours: 23, minutes: 59 });
+  });
+
+  test('rejects malformed times', () => {
+    for (const time of ['24:00', '12:60', '2pm', '12', '']) {
+      assert.strictEqual(parseScheduleTime(time), null, time);
+    }
+  });
+});
+
+describe('getNextRunTime', () => {
+  test('runs later today if the time has not passed yet', () => {
+    const next = getNextRunTime({ hours: 2, minutes: 0 }, new Date('2024-02-01T01:59:00.000Z'));
+    assert.strictEqual(next.toISOString(), '2024-02-01T02:00:00.000Z');
+  });
+
+  test('runs tomorrow if the time has passed', () => {
+    const next = getNextRunTime({ hours: 2, minutes: 0 }, new Date('2024-02-01T02:00:00.000Z'));
+    assert.strictEqual(next.toISOString(), '2024-02-02T02:00:00.000Z');
+  });
+});
+
+describe('AuditScheduler', () => {
+  let server;
+  let webhookUrl;
+  const received = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('audits every workspace and posts breaches to the webhook', async () => {
+    const audited = [];
+    const scheduler = new AuditScheduler({
+      time: { hours: 2, minutes: 0 },
+      listWorkspaces: async () => [
+        { id: 'ws-1', name: 'Acme' },
+        { id: 'ws-2', name: 'Broken' },
+        { id: 'ws-3', name: 'Globex' }
+      ],
+      auditWorkspace: async (workspace) => {
+        audited.push(workspace.id);
+        if (workspace.id === 'ws-2') throw new Error('Linear is down');
+        return auditOf(`audit-${workspace.id}`);
+      },
+      // The mock workspace has no queues and 2 of its 5 tasks are unlabeled
+      thresholds: parseThresholds(DEFAULT_AUDIT_THRESHOLDS),
+      notifier: new WebhookNotifier({ url: webhookUrl })
+    });
+
+    const results = await scheduler.runAll();
+
+    // A failing workspace doesn't stop the others
+    assert.deepStrictEqual(audited, ['ws-1', 'ws-2', 'ws-3']);
+    assert.deepStrictEqual(results.map(({ workspaceId, auditId, notified, error }) => ({ workspaceId, auditId, notified, error })), [
+      { workspaceId: 'ws-1', auditId: 'audit-ws-1', notified: true, error: null },
+      { workspaceId: 'ws-2', auditId: null, notified: false, error: 'Linear is down' },
+      { workspaceId: 'ws-3', auditId: 'audit-ws-3', notified: true, error: null }
+    ]);
+
+    const alerts = received.splice(0);
+    assert.deepStrictEqual(alerts.map(alert => alert.workspace), [{ id: 'ws-1', name: 'Acme' }, { id: 'ws-3', name: 'Globex' }]);
+    assert.strictEqual(alerts[0].event, 'audit.alert');
+    assert.strictEqual(alerts[0].auditId, 'audit-ws-1');
+    assert.strictEqual(alerts[0].summary.totalTasks, 5);
+    assert.deepStrictEqual(alerts[0].breaches.map(breach => breach.threshold), ['readinessScore < 100%', 'unlabeled > 20%']);
+  });
+
+  test('does not notify when no threshold is breached', async () => {
+    const notified = [];
+    const scheduler = new AuditScheduler({
+      time: { hours: 2, minutes: 0 },
+      listWorkspaces: async () => [{ id: 'ws-1', name: 'Acme' }],
+      auditWorkspace: async () => auditOf('audit-1'),
+      thresholds: parseThresholds('orphans > 0'),
+      notifier: { notify: async (alert) => notified.push(alert) }
+    });
+
+    const [result] = await scheduler.runAll();
+
+    assert.deepStrictEqual(result.breaches, []);
+    assert.strictEqual(result.notified, false);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('shares a run that is already in progress', async () => {
+    let listed = 0;
+    const scheduler = new AuditScheduler({
+      time: { hours: 2, minutes: 0 },
+      listWorkspaces: async () => { listed++; return []; },
+      auditWorkspace: async () => auditOf('audit-1'),
+      thresholds: [],
+      notifier: { notify: async () => {} }
+    });
+
+    await Promise.all([scheduler.runAll(), scheduler.runAll()]);
+
+    assert.strictEqual(listed, 1);
+  });
+
+  test('schedules the next run at the configured time', () => {
+    const scheduler = new AuditScheduler({
+      time: { hours: 2, minutes: 0 },
+      now: () => new Date('2024-02-01T12:00:00.000Z')
+    });
+
+    const nextRun = scheduler.start();
+    scheduler.stop();
+
+    assert.strictEqual(nextRun.toISOString(), '2024-02-02T02:00:00.000Z');
+    assert.strictEqual(scheduler.timer, null);
+  });
+});
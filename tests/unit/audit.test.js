@@ -6,7 +6,7 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { computeAuditFromData } from '../../lib/audit.js';
-import { getQueueForLabel, matchesPattern, isInQueue, QUEUE_CONFIG, QUEUE_TYPES } from '../../lib/queue-config.js';
+import { getLabelPath, getQueueForLabel, getQueuesForIssue, matchesPattern, isInQueue, validateQueueConfig, QUEUE_CONFIG, QUEUE_TYPES, MAX_PATTERN_LENGTH, MAX_LABEL_PATH_LENGTH } from '../../lib/queue-config.js';
 
 // =============================================================================
 // Queue Config Tests
@@ -107,6 +107,198 @@ describe('Queue Config', () => {
   });
 });
 
+describe('Label Patterns', () => {
+  const groupedQueues = [
+    { name: 'Needs', type: 'label', labelPatterns: ['needs-*'] },
+    { name: 'Research', type: 'label', labelPatterns: ['/^research(:|-)/'] },
+    { name: 'Bugs', type: 'label', labelPatterns: ['Type/Bug'] },
+    { name: 'Ready', type: 'implicit', stateTypes: ['unstarted'], excludeLabels: ['needs-*', 'Blocked/*'] }
+  ];
+
+  test('matchesPattern supports * and ? wildcards', () => {
+    assert.strictEqual(matchesPattern('Needs-Design', ['needs-*']), true);
+    assert.strictEqual(matchesPattern('p1', ['p?']), true);
+    assert.strictEqual(matchesPattern('p10', ['p?']), false);
+    assert.strictEqual(matchesPattern('unneeds-x', ['needs-*']), false);
+    // Other regex characters are matched literally
+    assert.strictEqual(matchesPattern('v1x0', ['v1.0']), false);
+    assert.strictEqual(matchesPattern('v1.0', ['v1.0']), true);
+  });
+
+  test('matchesPattern supports /regex/ patterns', () => {
+    assert.strictEqual(matchesPattern('research:spike', ['/^research(:|-)/']), true);
+    assert.strictEqual(matchesPattern('Research-API', ['/^research(:|-)/']), true);
+    assert.strictEqual(matchesPattern('researched', ['/^research(:|-)/']), false);
+    assert.strictEqual(matchesPattern('Area/Backend', ['/backend$/']), true);
+  });
+
+  test('labels in a label group are matched by their full path', () => {
+    const bug = { name: 'Bug', parent: { name: 'Type' } };
+    assert.strictEqual(getLabelPath(bug), 'Type/Bug');
+    assert.strictEqual(getLabelPath({ name: 'bug', parent: null }), 'bug');
+
+    assert.strictEqual(matchesPattern(getLabelPath(bug), ['type/bug']), true);
+    assert.strictEqual(matchesPattern(getLabelPath(bug), ['Type/*']), true);
+    assert.strictEqual(matchesPattern(getLabelPath(bug), ['Bug']), false);
+    assert.strictEqual(getQueueForLabel('Type/Bug', groupedQueues), 'Bugs');
+    assert.strictEqual(getQueueForLabel('Bug', groupedQueues), null);
+  });
+
+  test('isInQueue matches issue labels by pattern and group', () => {
+    const issue = labels => ({ state: { type: 'unstarted' }, labels: { nodes: labels } });
+
+    assert.deepStrictEqual(getQueuesForIssue(issue([{ name: 'needs-design' }]), groupedQueues), ['Needs']);
+    assert.deepStrictEqual(getQueuesForIssue(issue([{ name: 'Bug', parent: { name: 'Type' } }]), groupedQueues), ['Bugs', 'Ready']);
+    assert.deepStrictEqual(getQueuesForIssue(issue([{ name: 'Vendor', parent: { name: 'Blocked' } }]), groupedQueues), []);
+    assert.deepStrictEqual(getQueuesForIssue(issue([{ name: 'research-api' }]), groupedQueues), ['Research', 'Ready']);
+  });
+
+  test('validateQueueConfig rejects invalid regular expressions', () => {
+    assert.strictEqual(validateQueueConfig(groupedQueues).queues.length, 4);
+
+    const { errors } = validateQueueConfig([
+      { name: 'Broken', type: 'label', labelPatterns: ['/(/'] },
+      { name: 'Ready', type: 'implicit', stateTypes: ['unstarted'], excludeLabels: ['/[/'] }
+    ]);
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /^Queue 1 \(Broken\): labelPatterns has an invalid pattern \/\(\/ /);
+    assert.match(errors[1], /^Queue 2 \(Ready\): excludeLabels has an invalid pattern \/\[\/ /);
+  });
+
+  test('validateQueueConfig rejects regular expressions that could backtrack badly', () => {
+    const errorFor = (pattern) => validateQueueConfig([{ name: 'Slow', type: 'label', labelPatterns: [pattern] }]).errors[0];
+
+    assert.match(errorFor('/^(a+)+$/'), /invalid pattern \/\^\(a\+\)\+\$\/ \(nested quantifier/);
+    assert.match(errorFor('/(bug|defect)*/'), /nested quantifier/);
+    assert.match(errorFor('/a*a*b/'), /overlapping quantifiers/);
+    assert.match(errorFor('/(.)\\1/'), /backreference/);
+    assert.match(errorFor('/a.*b.*c.*d/'), /more than 2 repeating quantifiers/);
+    assert.match(errorFor(`needs-${'x'.repeat(MAX_PATTERN_LENGTH)}`), /longer than 100 characters/);
+
+    // Alternatives, classes and separated quantifiers are fine
+    assert.deepStrictEqual(validateQueueConfig([
+      { name: 'Ok', type: 'label', labelPatterns: ['/^research(:|-)/', '/^needs-.*-.*$/', '/^p[0-9]+$/', '/^(bug|defect)$/'] }
+    ]).errors, []);
+  });
+
+  test('matching stays fast for long labels and many wildcards', () => {
+    const longLabel = 'a'.repeat(MAX_LABEL_PATH_LENGTH + 1);
+    assert.strictEqual(matchesPattern(longLabel, ['/^a/']), false);
+    assert.strictEqual(matchesPattern(longLabel, ['a*']), true);
+
+    const started = Date.now();
+    assert.strictEqual(matchesPattern('a'.repeat(500), ['*a*a*a*a*a*a*a*a*b']), false);
+    assert.strictEqual(matchesPattern('aXbYc', ['*a*b*c']), true);
+    assert.ok(Date.now() - started < 100);
+  });
+
+  test('the audit names grouped labels by path and maps them with patterns', () => {
+    const report = computeAuditFromData({
+      workflowStates: [{ id: 'ws1', name: 'Todo', type: 'unstarted' }],
+      labels: [
+        { id: 'l1', name: 'Bug', parent: { name: 'Type' }, issues: { nodes: [{ id: 'i1' }] } },
+        { id: 'l2', name: 'needs-design', issues: { nodes: [] } },
+        { id: 'l3', name: 'Bug', issues: { nodes: [] } }
+      ],
+      issues: [{ id: 'i1', title: 'Task', state: { type: 'unstarted' }, labels: { nodes: [{ id: 'l1', name: 'Bug', parent: { name: 'Type' } }] } }]
+    }, { queueConfig: groupedQueues });
+
+    assert.deepStrictEqual(report.labels.mapped.map(l => [l.name, l.queue]), [['Type/Bug', 'Bugs'], ['needs-design', 'Needs']]);
+    assert.deepStrictEqual(report.labels.unmapped.map(l => l.name), ['Bug']);
+
+    const queues = Object.fromEntries(report.queues.queues.map(q => [q.name, q]));
+    assert.strictEqual(queues.Bugs.matchedLabel, 'Type/Bug');
+    assert.strictEqual(queues.Bugs.taskCount, 1);
+    assert.strictEqual(queues.Needs.matchedLabel, 'needs-design');
+    assert.strictEqual(queues.Research.exists, false);
+  });
+});
+
+describe('Workspace Queue Config', () => {
+  const reviewQueues = [
+    { name: 'Review', type: 'label', labelPatterns: ['In Review'], required: true },
+    { name: 'Todo', type: 'implicit', stateTypes: ['unstarted'], excludeLabels: ['In Review'] }
+  ];
+
+  test('the default queues are valid', () => {
+    assert.deepStrictEqual(validateQueueConfig(QUEUE_CONFIG).errors, []);
+    assert.ok(QUEUE_CONFIG.every(q => q.type !== QUEUE_TYPES.STATE || !q.stateTypes.includes('review')));
+  });
+
+  test('isInQueue and getQueueForLabel read the given config', () => {
+    const issue = { labels: { nodes: [{ name: 'in review' }] }, state: { type: 'unstarted' } };
+
+    assert.strictEqual(getQueueForLabel('In Review', reviewQueues), 'Review');
+    assert.strictEqual(getQueueForLabel('needs-breakdown', reviewQueues), null);
+    assert.strictEqual(isInQueue(issue, 'Review', reviewQueues), true);
+    assert.strictEqual(isInQueue(issue, 'Todo', reviewQueues), false);
+    assert.strictEqual(isInQueue(issue, 'Breakdown', reviewQueues), false);
+    assert.deepStrictEqual(getQueuesForIssue(issue, reviewQueues), ['Review']);
+  });
+
+  test('validateQueueConfig normalizes valid queues', () => {
+    const { queues, errors } = validateQueueConfig([
+      { name: ' Doing ', type: 'state', stateTypes: ['Started'] },
+      { name: 'Ready', type: 'implicit', stateTypes: ['backlog'], description: 'Up next', required: true }
+    ]);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(queues, [
+      { name: 'Doing', type: 'state', required: false, description: '', stateTypes: ['started'] },
+      { name: 'Ready', type: 'implicit', required: true, description: 'Up next', stateTypes: ['backlog'], excludeLabels: [] }
+    ]);
+  });
+
+  test('validateQueueConfig rejects bad types, patterns, state types and excluded labels', () => {
+    const { queues, errors } = validateQueueConfig([
+      { name: 'Odd', type: 'column' },
+      { name: 'Labels', type: 'label', labelPatterns: [] },
+      { name: 'Review', type: 'state', stateTypes: ['reviewing'] },
+      { name: 'Ready', type: 'implicit', stateTypes: ['backlog'], excludeLabels: 'needs-research' },
+      { name: 'ready', type: 'state', stateTypes: ['started'], labelPatterns: ['x'], required: 'yes' },
+      { type: 'state', stateTypes: ['started'] }
+    ]);
+
+    assert.strictEqual(queues, null);
+    assert.deepStrictEqual(errors, [
+      'Queue 1 (Odd): type must be one of label, state, implicit',
+      'Queue 2 (Labels): labelPatterns must be a non-empty list of label patterns',
+      'Queue 3 (Review): unknown state type reviewing (use triage, backlog, unstarted, started, completed, canceled)',
+      'Queue 4 (Ready): excludeLabels must be a list of label patterns',
+      'Queue 5 (ready): name is already used by another queue',
+      'Queue 5 (ready): labelPatterns is not used by state queues',
+      'Queue 5 (ready): required must be true or false',
+      'Queue 6: name is required'
+    ]);
+  });
+
+  test('validateQueueConfig accepts the old default Review queue', () => {
+    const oldReviewQueue = { name: 'Review', type: 'state', stateTypes: ['review'], required: false, description: 'Tasks awaiting review' };
+    const { queues, errors } = validateQueueConfig([...QUEUE_CONFIG, oldReviewQueue]);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(queues.at(-1).stateTypes, ['review']);
+  });
+
+  test('validateQueueConfig needs a list of queues', () => {
+    assert.deepStrictEqual(validateQueueConfig({ name: 'Ready' }).errors, ['Queue config must be an array of queues']);
+    assert.deepStrictEqual(validateQueueConfig([]).errors, ['Queue config needs at least one queue']);
+    assert.deepStrictEqual(validateQueueConfig([null]).errors, ['Queue 1: must be an object']);
+  });
+
+  test('the audit scores the workspace against its own queues', () => {
+    const report = computeAuditFromData({
+      workflowStates: [{ id: 'ws1', name: 'Todo', type: 'unstarted' }],
+      labels: [{ id: 'l1', name: 'In Review', issues: { nodes: [{ id: 'i1' }] } }],
+      issues: [{ id: 'i1', title: 'Task', state: { type: 'unstarted' }, labels: { nodes: [{ name: 'In Review' }] } }]
+    }, { queueConfig: reviewQueues });
+
+    assert.deepStrictEqual(report.queues.queues.map(q => [q.name, q.exists, q.taskCount]), [['Review', true, 1], ['Todo', true, 0]]);
+    assert.strictEqual(report.queues.readinessScore, 100);
+    assert.deepStrictEqual(report.labels.mapped.map(l => [l.name, l.queue]), [['In Review', 'Review']]);
+  });
+});
+
 // =============================================================================
 // Audit Computation Tests
 // =============================================================================
@@ -239,7 +431,6 @@ describe('Audit Computation', () => {
     // - Research: exists (label-based, needs-research exists)
     // - Ready: exists (implicit, backlog state exists)
     // - In-Progress: exists (state-based, started state exists)
-    // - Review: does not exist (state-based, review state not in workflowStates)
 
     // All required queues exist (Breakdown, Ready, In-Progress)
     assert.ok(report.queues.isReady, 'Should be ready (all required queues exist)');
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the cycles page helpers.
+ *
+ * Run with: node --test tests/unit/cycles.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getCycleKind, buildCycleTrees, buildBurnUp, formatBurnUpChart } from '../../lib/cycles.js';
+import { testMockData, testMockCycles } from '../fixtures/mock-data.js';
+
+describe('buildCycleTrees', () => {
+  const { issues } = testMockData;
+
+  test('orders cycles by team, then current, next, previous', () => {
+    const previous = { ...testMockCycles[0], id: 'cycle-0', number: 0, isActive: false, isPrevious: true };
+    const other = { ...testMockCycles[0], id: 'cycle-old', isActive: false };
+    const trees = buildCycleTrees([previous, other, ...testMockCycles], issues);
+
+    assert.deepStrictEqual(trees.map(t => [t.cycle.team.name, t.kind]), [
+      ['Design', 'current'],
+      ['Engineering', 'current'],
+      ['Engineering', 'next'],
+      ['Engineering', 'previous']
+    ]);
+    assert.strictEqual(getCycleKind(other), null);
+  });
+
+  test('partitions each cycle\'s issue tree like a project', () => {
+    const engineering = buildCycleTrees(testMockCycles, issues).find(t => t.cycle.id === 'cycle-1');
+
+    assert.strictEqual(engineering.groupId, 'cycle-cycle-1');
+    assert.strictEqual(engineering.name, 'Cycle 1');
+    assert.deepStrictEqual(engineering.incomplete.map(node => node.issue.id), ['issue-1']);
+    assert.deepStrictEqual(engineering.incomplete[0].children.map(node => node.issue.id), ['issue-2']);
+    assert.strictEqual(engineering.completedCount, 1);
+    assert.deepStrictEqual([engineering.burnUp.done, engineering.burnUp.scope], [1, 3]);
+  });
+
+  test('cycles without issues have empty trees', () => {
+    const next = buildCycleTrees(testMockCycles, issues).find(t => t.kind === 'next');
+
+    assert.strictEqual(next.incomplete.length, 0);
+    assert.strictEqual(next.burnUp.scope, 0);
+  });
+});
+
+describe('burn-up', () => {
+  const cycle = { startsAt: '2024-01-01T00:00:00Z', endsAt: '2024-01-05T00:00:00Z' };
+  const issue = (type, completedAt = null) => ({ state: { type }, completedAt });
+
+  test('counts issues completed by the end of each day', () => {
+    const burnUp = buildBurnUp(cycle, [
+      issue('completed', '2023-12-30T12:00:00Z'),
+      issue('completed', '2024-01-02T12:00:00Z'),
+      issue('started'),
+      issue('canceled')
+    ], new Date('2024-01-10T00:00:00Z'));
+
+    assert.strictEqual(burnUp.scope, 3);
+    assert.strictEqual(burnUp.done, 2);
+    assert.deepStrictEqual(burnUp.days.map(day => day.completed), [1, 2, 2, 2]);
+    assert.strictEqual(burnUp.days[1].date, '2024-01-02T00:00:00.000Z');
+  });
+
+  test('leaves days that haven\'t started empty', () => {
+    const burnUp = buildBurnUp(cycle, [issue('started')], new Date('2024-01-02T12:00:00Z'));
+    assert.deepStrictEqual(burnUp.days.map(day => day.completed), [0, 0, null, null]);
+  });
+
+  test('draws bars up to the scope line with the cycle dates below', () => {
+    const chart = formatBurnUpChart({
+      scope: 2,
+      done: 2,
+      days: [
+        { date: '2024-01-01T00:00:00.000Z', completed: 1 },
+        { date: '2024-01-02T00:00:00.000Z', completed: 2 },
+        { date: '2024-01-03T00:00:00.000Z', completed: null }
+      ]
+    }, { height: 2, columnWidth: 3 });
+
+    assert.deepStrictEqual(chart.split('\n'), [
+      '2 ┤···███···',
+      '  │██████   ',
+      '0 └─────────',
+      '   Jan 1 Jan 3'
+    ]);
+  });
+});
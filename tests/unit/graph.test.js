@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the dependency graph helpers.
+ *
+ * Run with: node --test tests/unit/graph.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildIssueGraph, GRAPH_LAYOUT } from '../../lib/graph.js';
+import { renderGraphPage } from '../../lib/render.js';
+import { testMockData } from '../fixtures/mock-data.js';
+
+// Issue of project "p" blocking the given issues
+const issue = (id, type, { parent = null, blocks = [] } = {}) => ({
+  id,
+  identifier: id.toUpperCase(),
+  title: `Issue ${id}`,
+  project: { id: 'p' },
+  parent: parent ? { id: parent } : null,
+  state: { name: type, type },
+  relations: { nodes: blocks.map(blocked => ({ id: `${id}-${blocked}`, type: 'blocks', relatedIssue: { id: blocked } })) }
+});
+
+describe('buildIssueGraph', () => {
+  const { issues } = testMockData;
+
+  test('draws parent and blocking edges between issues of the project', () => {
+    const graph = buildIssueGraph(issues, 'proj-alpha');
+
+    assert.deepStrictEqual(graph.nodes.map(node => node.id).sort(), ['issue-1', 'issue-2', 'issue-3']);
+    assert.deepStrictEqual(graph.edges.map(({ from, to, kind }) => [from, to, kind]).sort(), [
+      ['issue-1', 'issue-2', 'parent'],
+      ['issue-3', 'issue-1', 'blocks']
+    ]);
+  });
+
+  test('places each issue one column right of its furthest predecessor', () => {
+    const graph = buildIssueGraph(issues, 'proj-alpha');
+    const layer = id => graph.nodes.find(node => node.id === id).layer;
+
+    assert.deepStrictEqual([layer('issue-3'), layer('issue-1'), layer('issue-2')], [0, 1, 2]);
+
+    const { nodeWidth, nodeHeight, columnGap, padding } = GRAPH_LAYOUT;
+    const edge = graph.edges.find(e => e.kind === 'parent');
+    assert.deepStrictEqual(edge.points, {
+      x1: padding + 2 * nodeWidth + columnGap,
+      y1: padding + nodeHeight / 2,
+      x2: padding + 2 * (nodeWidth + columnGap),
+      y2: padding + nodeHeight / 2
+    });
+    assert.strictEqual(graph.width, 2 * padding + 3 * nodeWidth + 2 * columnGap);
+    assert.strictEqual(graph.height, 2 * padding + nodeHeight);
+  });
+
+  test('leaves out blocking chains with a closed end from the critical path', () => {
+    assert.deepStrictEqual(buildIssueGraph(issues, 'proj-alpha').criticalPath, []);
+
+    const beta = buildIssueGraph(issues, 'proj-beta');
+    assert.deepStrictEqual(beta.criticalPath, ['issue-4', 'issue-5']);
+    assert.deepStrictEqual(beta.edges.map(e => e.critical), [true]);
+    assert.ok(beta.nodes.every(node => node.critical));
+  });
+
+  test('follows the longest chain of open blocked issues', () => {
+    const graph = buildIssueGraph([
+      issue('a', 'started', { blocks: ['b', 'x'] }),
+      issue('b', 'unstarted', { blocks: ['c'] }),
+      issue('c', 'backlog'),
+      issue('x', 'unstarted', { parent: 'c' }),
+      issue('done', 'completed', { blocks: ['a'] })
+    ], 'p');
+
+    assert.deepStrictEqual(graph.criticalPath, ['a', 'b', 'c']);
+    assert.deepStrictEqual(graph.edges.filter(e => e.critical).map(e => `${e.from}>${e.to}`), ['a>b', 'b>c']);
+    assert.strictEqual(graph.nodes.find(node => node.id === 'x').critical, false);
+  });
+
+  test('keeps going when issues block each other', () => {
+    const graph = buildIssueGraph([
+      issue('a', 'started', { blocks: ['b'] }),
+      issue('b', 'unstarted', { blocks: ['a'] })
+    ], 'p');
+
+    assert.strictEqual(graph.nodes.length, 2);
+    assert.strictEqual(graph.edges.length, 2);
+    assert.deepStrictEqual(graph.criticalPath, ['a', 'b']);
+  });
+
+  test('projects without issues have an empty graph', () => {
+    assert.deepStrictEqual(buildIssueGraph(issues, 'proj-none'), { nodes: [], edges: [], criticalPath: [], width: 0, height: 0 });
+  });
+});
+
+describe('renderGraphPage', () => {
+  const { issues, projects } = testMockData;
+  const beta = projects.find(project => project.id === 'proj-beta');
+
+  test('colors nodes by status and marks the critical path', () => {
+    const html = renderGraphPage(buildIssueGraph(issues, 'proj-beta'), projects, 'Test Org', { selectedProject: beta });
+
+    assert.match(html, /<g class="graph-node critical" data-id="issue-4" data-status="in-progress"/);
+    assert.match(html, /<path class="graph-edge critical" data-kind="blocks" data-from="issue-4" data-to="issue-5"/);
+    assert.match(html, /critical path: TEST-4 → TEST-5/);
+    assert.match(html, /<a href="\/graph\?project=proj-beta" class="graph-project-link" aria-current="page">/);
+  });
+
+  test('includes each issue\'s details for the side panel', () => {
+    const html = renderGraphPage(buildIssueGraph(issues, 'proj-beta'), projects, 'Test Org', { selectedProject: beta });
+
+    assert.match(html, /<div class="graph-issue hidden" data-issue-id="issue-5">/);
+    assert.match(html, /data-details-for="issue-5" data-section="graph"/);
+    assert.match(html, /data-relation="blocked-by"/);
+  });
+
+  test('explains empty graphs', () => {
+    assert.match(renderGraphPage(null, [], 'Test Org'), /No open projects to draw/);
+    assert.match(renderGraphPage(buildIssueGraph(issues, 'proj-none'), projects, 'Test Org'), /no issues yet/);
+  });
+});
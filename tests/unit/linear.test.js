@@ -0,0 +1,64 @@
+/**
+ * Unit tests for Linear sync helpers.
+ *
+ * Run with: node --test tests/unit/linear.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mergeIssues } from '../../lib/linear.js';
+
+describe('mergeIssues', () => {
+  const snapshotIssues = [
+    { id: 'i1', title: 'First', team: { id: 'team1' } },
+    { id: 'i2', title: 'Second', team: { id: 'team1' } }
+  ];
+
+  test('replaces updated issues and adds new ones', () => {
+    const merged = mergeIssues(snapshotIssues, [
+      { id: 'i1', title: 'First (renamed)', team: { id: 'team1' } },
+      { id: 'i3', title: 'Third', team: { id: 'team1' } }
+    ]);
+
+    assert.strictEqual(merged.length, 3);
+    assert.strictEqual(merged.find(i => i.id === 'i1').title, 'First (renamed)');
+    assert.ok(merged.some(i => i.id === 'i3'));
+  });
+
+  test('removes archived and deleted issues', () => {
+    const merged = mergeIssues(snapshotIssues, [
+      { id: 'i2', title: 'Second', team: { id: 'team1' }, archivedAt: '2024-01-10T00:00:00Z' }
+    ]);
+
+    assert.deepStrictEqual(merged.map(i => i.id), ['i1']);
+  });
+
+  test('ignores archived issues that were never in the snapshot', () => {
+    const merged = mergeIssues(snapshotIssues, [
+      { id: 'i9', title: 'Old', team: { id: 'team1' }, archivedAt: '2024-01-10T00:00:00Z' }
+    ]);
+
+    assert.strictEqual(merged.length, 2);
+  });
+
+  test('drops issues that moved out of a team-filtered snapshot', () => {
+    const merged = mergeIssues(snapshotIssues, [
+      { id: 'i1', title: 'First', team: { id: 'team2' } },
+      { id: 'i4', title: 'Other team', team: { id: 'team2' } }
+    ], 'team1');
+
+    assert.deepStrictEqual(merged.map(i => i.id), ['i2']);
+  });
+
+  test('keeps issues from every team when the snapshot is unfiltered', () => {
+    const merged = mergeIssues(snapshotIssues, [
+      { id: 'i4', title: 'Other team', team: { id: 'team2' } }
+    ]);
+
+    assert.strictEqual(merged.length, 3);
+  });
+
+  test('does not modify the snapshot array', () => {
+    mergeIssues(snapshotIssues, [{ id: 'i5', title: 'New', team: { id: 'team1' } }]);
+    assert.strictEqual(snapshotIssues.length, 2);
+  });
+});
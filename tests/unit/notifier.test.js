@@ -0,0 +1,88 @@
+/**
+ * Unit tests for audit alert notifiers.
+ *
+ * Run with: node --test tests/unit/notifier.test.js
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { WebhookNotifier, NotifierError, formatAlertText } from '../../lib/notifier.js';
+
+const alert = {
+  workspace: { id: 'ws-1', name: 'Acme' },
+  auditId: 'audit-1',
+  timestamp: '2024-02-01T02:00:00.000Z',
+  summary: { readinessScore: 50, totalTasks: 20, orphans: 3 },
+  breaches: [
+    { metric: 'readinessScore', threshold: 'readinessScore < 100%', actual: 50, message: 'readinessScore is 50%, alert when readinessScore < 100%' },
+    { metric: 'orphans', threshold: 'orphans > 0', actual: 3, message: 'orphans is 3, alert when orphans > 0' }
+  ]
+};
+
+describe('formatAlertText', () => {
+  test('lists each breach on its own line', () => {
+    assert.strictEqual(formatAlertText(alert), [
+      'Audit of Acme breached 2 thresholds:',
+      '- readinessScore is 50%, alert when readinessScore < 100%',
+      '- orphans is 3, alert when orphans > 0'
+    ].join('\n'));
+  });
+});
+
+describe('WebhookNotifier', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    // Local receiver: /fail answers 500, /slow never answers, anything else 204
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/slow') return;
+        received.push({ method: req.method, url: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+        res.statusCode = req.url === '/fail' ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('posts the alert as JSON', async () => {
+    await new WebhookNotifier({ url: `${baseUrl}/hook` }).notify(alert);
+
+    const [request] = received.splice(0);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/hook');
+    assert.strictEqual(request.contentType, 'application/json');
+    assert.deepStrictEqual(request.body, { event: 'audit.alert', text: formatAlertText(alert), ...alert });
+  });
+
+  test('throws with the status when the receiver fails', async () => {
+    await assert.rejects(
+      new WebhookNotifier({ url: `${baseUrl}/fail` }).notify(alert),
+      error => error instanceof NotifierError && error.status === 500
+    );
+  });
+
+  test('throws when the receiver does not answer in time', async () => {
+    await assert.rejects(
+      new WebhookNotifier({ url: `${baseUrl}/slow`, timeoutMs: 50 }).notify(alert),
+      /timed out after 50ms/
+    );
+  });
+
+  test('throws when the receiver is unreachable', async () => {
+    await assert.rejects(
+      new WebhookNotifier({ url: 'http://127.0.0.1:1/hook' }).notify(alert),
+      error => error instanceof NotifierError && error.status === null
+    );
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the project data cache.
+ *
+ * Run with: node --test tests/unit/project-cache.test.js
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MangoClient } from '@jkershaw/mangodb';
+import { ProjectCache } from '../../lib/project-cache.js';
+
+describe('ProjectCache', () => {
+  let dataDir;
+  let client;
+  let collection;
+
+  before(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'project-cache-'));
+    client = new MangoClient(dataDir);
+    await client.connect();
+    collection = client.db('test').collection('projectCache');
+  });
+
+  after(async () => {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('key combines workspace and team filter', () => {
+    assert.strictEqual(ProjectCache.key('ws1', null), 'ws1:all');
+    assert.strictEqual(ProjectCache.key('ws1', 'team1'), 'ws1:team1');
+  });
+
+  test('loads and stores data on a cache miss', async () => {
+    const cache = new ProjectCache({ collection, ttl: 60 });
+    let calls = 0;
+    const loader = async () => { calls++; return { issues: ['a'] }; };
+
+    const first = await cache.get('miss', null, loader);
+    assert.deepStrictEqual(first.data, { issues: ['a'] });
+    assert.strictEqual(first.isStale, false);
+
+    const second = await cache.get('miss', null, loader);
+    assert.deepStrictEqual(second.data, { issues: ['a'] });
+    assert.strictEqual(calls, 1, 'Fresh entry should be served without calling the loader');
+  });
+
+  test('keeps team filters separate', async () => {
+    const cache = new ProjectCache({ collection, ttl: 60 });
+
+    await cache.get('teams', null, async () => ({ team: 'all' }));
+    const filtered = await cache.get('teams', 'team1', async () => ({ team: 'team1' }));
+
+    assert.deepStrictEqual(filtered.data, { team: 'team1' });
+  });
+
+  test('serves stale data while refreshing in the background', async () => {
+    const cache = new ProjectCache({ collection, ttl: 60 });
+    await cache.get('stale', null, async () => ({ version: 1 }));
+
+    // Age the entry past the TTL
+    await collection.updateOne(
+      { _id: ProjectCache.key('stale', null) },
+      { $set: { fetchedAt: new Date(Date.now() - 120 * 1000) } }
+    );
+
+    const stale = await cache.get('stale', null, async () => ({ version: 2 }));
+    assert.deepStrictEqual(stale.data, { version: 1 });
+    assert.strictEqual(stale.isStale, true);
+
+    // Wait for the background refresh to finish
+    await cache.pending.get(ProjectCache.key('stale', null));
+
+    const refreshed = await cache.get('stale', null, async () => ({ version: 3 }));
+    assert.deepStrictEqual(refreshed.data, { version: 2 });
+    assert.strictEqual(refreshed.isStale, false);
+  });
+
+  test('shares one loader call between concurrent refreshes', async () => {
+    const cache = new ProjectCache({ collection, ttl: 60 });
+    let calls = 0;
+    const loader = async () => { calls++; return { ok: true }; };
+
+    await Promise.all([
+      cache.refresh('concurrent', null, loader),
+      cache.refresh('concurrent', null, loader)
+    ]);
+
+    assert.strictEqual(calls, 1);
+  });
+
+  test('invalidate removes every team filter for a workspace', async () => {
+    const cache = new ProjectCache({ collection, ttl: 60 });
+    await cache.get('invalidate', null, async () => ({ team: 'all' }));
+    await cache.get('invalidate', 'team1', async () => ({ team: 'team1' }));
+
+    await cache.invalidate('invalidate');
+
+    assert.strictEqual(await collection.countDocuments({ workspaceId: 'invalidate' }), 0);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the queue board helpers.
+ *
+ * Run with: node --test tests/unit/queue-board.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildQueueBoard } from '../../lib/queue-board.js';
+import { renderQueuesPage } from '../../lib/render.js';
+import { testMockData } from '../fixtures/mock-data.js';
+
+const issue = (id, type, labels = []) => ({
+  id,
+  identifier: id.toUpperCase(),
+  title: `Issue ${id}`,
+  state: { name: type, type },
+  labels: { nodes: labels.map(name => ({ name })) }
+});
+
+const queueConfig = [
+  { name: 'Breakdown', type: 'label', labelPatterns: ['needs-breakdown'], required: true, description: 'Too big' },
+  { name: 'Ready', type: 'implicit', stateTypes: ['unstarted'], excludeLabels: [], required: true, description: 'Up next' },
+  { name: 'Doing', type: 'state', stateTypes: ['started'], required: true, description: '' }
+];
+
+describe('buildQueueBoard', () => {
+  test('places issues in the columns of their queues', () => {
+    const board = buildQueueBoard(testMockData.issues);
+
+    assert.deepStrictEqual(board.columns.map(({ queue, cards }) => [queue.name, cards.map(card => card.issue.id)]), [
+      ['Breakdown', []],
+      ['Research', []],
+      ['Ready', ['issue-2', 'issue-5']],
+      ['In-Progress', ['issue-1', 'issue-4']]
+    ]);
+    assert.deepStrictEqual(board.unqueued, []);
+    assert.strictEqual(board.issueCount, 4);
+    assert.strictEqual(board.overlapCount, 0);
+  });
+
+  test('flags issues in several queues in each of their columns', () => {
+    const board = buildQueueBoard([issue('a', 'unstarted', ['needs-breakdown']), issue('b', 'unstarted')], queueConfig);
+
+    const [breakdown, ready] = board.columns;
+    assert.deepStrictEqual(breakdown.cards.map(card => card.issue.id), ['a']);
+    assert.deepStrictEqual(ready.cards.map(card => [card.issue.id, card.problem]), [['a', 'overlap'], ['b', null]]);
+    assert.deepStrictEqual(ready.cards[0].queues, ['Breakdown', 'Ready']);
+    assert.strictEqual(board.issueCount, 2);
+    assert.strictEqual(board.overlapCount, 1);
+  });
+
+  test('lists open issues in no queue apart and leaves out closed ones', () => {
+    const board = buildQueueBoard([issue('a', 'backlog'), issue('b', 'completed'), issue('c', 'canceled')], queueConfig);
+
+    assert.deepStrictEqual(board.unqueued.map(card => [card.issue.id, card.problem]), [['a', 'unqueued']]);
+    assert.ok(board.columns.every(column => column.cards.length === 0));
+    assert.strictEqual(board.issueCount, 1);
+  });
+});
+
+describe('renderQueuesPage', () => {
+  test('renders a column per queue with the issues as cards', () => {
+    const html = renderQueuesPage(buildQueueBoard(testMockData.issues), 'Test Org');
+
+    assert.match(html, /<section class="queue-column" data-queue="Ready" aria-label="Ready">/);
+    assert.match(html, /<h2 class="queue-column-header">In-Progress <span class="queue-column-count">2<\/span><\/h2>/);
+    assert.match(html, /class="queue-card-title">TEST-1 Parent task in progress<\/a>/);
+    assert.match(html, /<span class="queue-card-assignee">Alice<\/span> · <span class="queue-card-estimate">5 pts<\/span>/);
+    assert.match(html, /<span class="queue-card-label">feature<\/span>/);
+    assert.match(html, /every issue in one queue/);
+    assert.doesNotMatch(html, /config-problem/);
+  });
+
+  test('highlights issues in several queues or in none', () => {
+    const board = buildQueueBoard([
+      issue('a', 'unstarted', ['needs-breakdown']),
+      { ...issue('b', 'backlog'), labels: { nodes: [{ name: 'Bug', parent: { name: 'Type' } }] } }
+    ], queueConfig);
+    const html = renderQueuesPage(board, 'Test Org', { isDefaultConfig: false });
+
+    assert.match(html, /1 in several queues<\/span> · <span class="queue-problem-count">1 in no queue/);
+    assert.match(html, /<li class="queue-card config-problem" data-id="a" data-problem="overlap">/);
+    assert.match(html, /also in Ready/);
+    assert.match(html, /also in Breakdown/);
+    assert.match(html, /<section class="queue-column unqueued" aria-label="No queue">/);
+    assert.match(html, /<li class="queue-card config-problem" data-id="b" data-problem="unqueued">/);
+    assert.match(html, /<span class="queue-card-label">Type\/Bug<\/span>/);
+    assert.match(html, /workspace queues · edit in audit/);
+  });
+});
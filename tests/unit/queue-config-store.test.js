@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the per-workspace queue config store.
+ *
+ * Run with: node --test tests/unit/queue-config-store.test.js
+ */
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MangoClient } from '@jkershaw/mangodb';
+import { QueueConfigStore, QueueConfigError } from '../../lib/queue-config-store.js';
+import { QUEUE_CONFIG } from '../../lib/queue-config.js';
+
+describe('QueueConfigStore', () => {
+  let dataDir;
+  let client;
+  let collection;
+  let store;
+
+  const queues = [{ name: 'Doing', type: 'state', stateTypes: ['started'], required: true }];
+
+  before(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'queue-config-'));
+    client = new MangoClient(dataDir);
+    await client.connect();
+    collection = client.db('test').collection('queueConfigs');
+    store = new QueueConfigStore({ collection });
+  });
+
+  after(async () => {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('workspaces without a config get the default queues', async () => {
+    const config = await store.get('ws-new');
+
+    assert.strictEqual(config.queues, QUEUE_CONFIG);
+    assert.strictEqual(config.isDefault, true);
+    assert.strictEqual(config.updatedAt, null);
+  });
+
+  test('saves normalized queues per workspace', async () => {
+    const saved = await store.save('ws1', queues);
+    assert.strictEqual(saved.isDefault, false);
+
+    const config = await store.get('ws1');
+    assert.deepStrictEqual(config.queues, [{ name: 'Doing', type: 'state', required: true, description: '', stateTypes: ['started'] }]);
+    assert.strictEqual(config.isDefault, false);
+    assert.ok(config.updatedAt);
+
+    assert.strictEqual((await store.get('ws2')).isDefault, true, 'Other workspaces keep the default queues');
+  });
+
+  test('rejects invalid queues without replacing the saved ones', async () => {
+    await store.save('ws3', queues);
+
+    await assert.rejects(
+      store.save('ws3', [{ name: 'Review', type: 'state', stateTypes: ['reviewing'] }]),
+      (error) => error instanceof QueueConfigError && error.errors.length === 1 && /reviewing/.test(error.errors[0])
+    );
+    assert.strictEqual((await store.get('ws3')).queues[0].name, 'Doing');
+  });
+
+  test('falls back to the default queues if a stored config no longer validates', async () => {
+    await collection.updateOne({ _id: 'ws4' }, { $set: { queues: [{ name: 'Old', type: 'column' }], updatedAt: new Date() } }, { upsert: true });
+
+    assert.strictEqual((await store.get('ws4')).isDefault, true);
+  });
+
+  test('reset goes back to the default queues', async () => {
+    await store.save('ws5', queues);
+    const reset = await store.reset('ws5');
+
+    assert.strictEqual(reset.isDefault, true);
+    assert.strictEqual((await store.get('ws5')).queues, QUEUE_CONFIG);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * Unit tests for tree building helpers.
+ *
+ * Run with: node --test tests/unit/tree.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildForest, buildInProgressForest, buildGroupTrees, partitionCompleted, summarizeProject, selectProjects, getIssueRelations, getOpenBlockers, resolveIssueRelations, NO_PROJECT_ID, NO_PROJECT_NAME } from '../../lib/tree.js';
+import { testMockData, testMockViewer, testMockMilestones } from '../fixtures/mock-data.js';
+
+describe('selectProjects', () => {
+  test('keeps only selected states, grouped by state then sort order', () => {
+    const projects = [
+      { id: 'p1', sortOrder: 1, state: 'paused' },
+      { id: 'p2', sortOrder: 2, state: 'started' },
+      { id: 'p3', sortOrder: 3, state: 'planned' },
+      { id: 'p4', sortOrder: 0, state: 'started' }
+    ];
+
+    const selected = selectProjects(projects, ['started', 'paused']);
+    assert.deepStrictEqual(selected.map(p => p.id), ['p4', 'p2', 'p1']);
+  });
+
+  test('treats projects without a state as started', () => {
+    const selected = selectProjects([{ id: 'p1', sortOrder: 1 }], ['started']);
+    assert.strictEqual(selected.length, 1);
+  });
+});
+
+describe('assignee filter', () => {
+  const { issues, projects } = testMockData;
+
+  test('buildForest keeps assigned issues and their ancestors as context', () => {
+    const issuesWithChild = [
+      ...issues,
+      {
+        id: 'issue-6', title: 'Grandchild', priority: 0, createdAt: '2024-01-06T00:00:00Z',
+        parent: { id: 'issue-2' }, project: { id: 'proj-alpha' },
+        state: { name: 'Todo', type: 'unstarted' }, assignee: testMockViewer
+      }
+    ];
+
+    const forest = buildForest(issuesWithChild, { assigneeId: testMockViewer.id });
+    const alpha = forest.get('proj-alpha');
+
+    // issue-1 is Alice's; issue-2 is only kept as the parent of her issue-6
+    assert.deepStrictEqual([...alpha.issueMap.keys()].sort(), ['issue-1', 'issue-2', 'issue-6']);
+    assert.strictEqual(alpha.issueMap.get('issue-1').isContext, false);
+    assert.strictEqual(alpha.issueMap.get('issue-2').isContext, true);
+    assert.strictEqual(alpha.issueMap.get('issue-6').depth, 2);
+
+    // No issues of hers in Beta
+    assert.strictEqual(forest.has('proj-beta'), false);
+  });
+
+  test('buildForest without an assignee keeps every issue', () => {
+    const forest = buildForest(issues);
+    const total = [...forest.values()].reduce((sum, { issueMap }) => sum + issueMap.size, 0);
+    assert.strictEqual(total, issues.length);
+  });
+
+  test('buildInProgressForest only counts assigned issues as in progress', () => {
+    const trees = buildInProgressForest(issues, projects, { assigneeId: testMockViewer.id });
+
+    assert.deepStrictEqual(trees.map(t => t.projectId), ['proj-alpha']);
+    assert.deepStrictEqual(trees[0].roots.map(node => node.issue.id), ['issue-1']);
+    assert.strictEqual(trees[0].roots[0].isInProgress, true);
+
+    // Unassigned subtask of her in-progress issue is left out
+    assert.strictEqual(trees[0].roots[0].children.length, 0);
+  });
+});
+
+describe('sort modes', () => {
+  const issue = (id, fields) => ({
+    id, title: id, priority: 0, createdAt: '2024-01-01T00:00:00Z',
+    project: { id: 'proj-alpha' }, state: { name: 'Todo', type: 'unstarted' },
+    ...fields
+  });
+
+  const rootIds = (issues, sort) => buildForest(issues, { sort }).get('proj-alpha').roots.map(node => node.issue.id);
+
+  test('default sort orders by priority, then oldest first', () => {
+    const issues = [
+      issue('a', { priority: 0 }),
+      issue('b', { priority: 3, createdAt: '2024-01-02T00:00:00Z' }),
+      issue('c', { priority: 3 }),
+      issue('d', { priority: 1 })
+    ];
+    assert.deepStrictEqual(rootIds(issues), ['d', 'c', 'b', 'a']);
+    assert.deepStrictEqual(rootIds(issues, 'unknown'), ['d', 'c', 'b', 'a']);
+  });
+
+  test('each mode puts issues missing the field last', () => {
+    const issues = [
+      issue('none'),
+      issue('x', { sortOrder: 2, dueDate: '2024-03-01', estimate: 5, updatedAt: '2024-02-01T00:00:00Z', assignee: { id: 'u2', name: 'Bob' } }),
+      issue('y', { sortOrder: 1, dueDate: '2024-02-01', estimate: 1, updatedAt: '2024-03-01T00:00:00Z', assignee: { id: 'u1', name: 'Alice' } })
+    ];
+
+    assert.deepStrictEqual(rootIds(issues, 'linear'), ['y', 'x', 'none']);
+    assert.deepStrictEqual(rootIds(issues, 'due'), ['y', 'x', 'none']);
+    assert.deepStrictEqual(rootIds(issues, 'estimate'), ['y', 'x', 'none']);
+    assert.deepStrictEqual(rootIds(issues, 'updated'), ['y', 'x', 'none']);
+    assert.deepStrictEqual(rootIds(issues, 'assignee'), ['y', 'x', 'none']);
+  });
+
+  test('in-progress and incomplete issues still come first', () => {
+    const issues = [
+      issue('done', { sortOrder: 1, state: { name: 'Done', type: 'completed' } }),
+      issue('todo', { sortOrder: 2 }),
+      issue('started', { sortOrder: 3, state: { name: 'In Progress', type: 'started' } })
+    ];
+    assert.deepStrictEqual(rootIds(issues, 'linear'), ['started', 'todo', 'done']);
+  });
+
+  test('in-progress forest uses the same sort mode', () => {
+    const issues = [
+      issue('a', { priority: 1, dueDate: '2024-05-01', state: { name: 'In Progress', type: 'started' } }),
+      issue('b', { priority: 4, dueDate: '2024-04-01', state: { name: 'In Progress', type: 'started' } })
+    ];
+    const projects = [{ id: 'proj-alpha', name: 'Alpha', sortOrder: 0 }];
+
+    const order = sort => buildInProgressForest(issues, projects, { sort })[0].roots.map(node => node.issue.id);
+    assert.deepStrictEqual(order(), ['a', 'b']);
+    assert.deepStrictEqual(order('due'), ['b', 'a']);
+  });
+});
+
+describe('group-by modes', () => {
+  const { issues } = testMockData;
+
+  const groupNames = (groupBy, list = issues) => buildGroupTrees(buildForest(list, { groupBy }).values()).map(tree => tree.project.name);
+
+  test('groups issues without a project under NO_PROJECT_ID', () => {
+    const loose = { ...issues[4], id: 'issue-9', project: null };
+    const forest = buildForest([...issues, loose]);
+
+    assert.deepStrictEqual(forest.get(NO_PROJECT_ID).roots.map(node => node.issue.id), ['issue-9']);
+    assert.strictEqual(forest.get(NO_PROJECT_ID).group.name, NO_PROJECT_NAME);
+  });
+
+  test('in-progress forest lists issues without a project last', () => {
+    const loose = { ...issues[3], id: 'issue-9', project: null };
+    const trees = buildInProgressForest([loose, ...issues], testMockData.projects);
+
+    assert.deepStrictEqual(trees.map(t => t.projectId), ['proj-alpha', 'proj-beta', NO_PROJECT_ID]);
+    assert.strictEqual(trees[2].projectName, NO_PROJECT_NAME);
+    assert.deepStrictEqual(trees[2].roots.map(node => node.issue.id), ['issue-9']);
+  });
+
+  test('keeps the hierarchy within a group', () => {
+    const engineering = buildForest(issues, { groupBy: 'team' }).get('team-eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee');
+
+    assert.deepStrictEqual(engineering.roots.map(node => node.issue.id), ['issue-1', 'issue-3']);
+    assert.deepStrictEqual(engineering.roots[0].children.map(node => node.issue.id), ['issue-2']);
+  });
+
+  test('children in another group become roots there', () => {
+    const forest = buildForest(issues, { groupBy: 'assignee' });
+
+    assert.strictEqual(forest.get('assignee-user-alice').roots[0].children.length, 0);
+    assert.deepStrictEqual(forest.get('assignee-none').roots.map(node => node.issue.id), ['issue-2', 'issue-5']);
+  });
+
+  test('orders groups by name, cycle start or priority, catch-all groups last', () => {
+    assert.deepStrictEqual(groupNames('assignee'), ['Alice', 'Bob', 'Charlie', 'Unassigned']);
+    assert.deepStrictEqual(groupNames('team'), ['Design', 'Engineering']);
+    assert.deepStrictEqual(groupNames('cycle'), ['Cycle 1', 'Beta push', 'No cycle']);
+    assert.deepStrictEqual(groupNames('priority'), ['Urgent', 'High', 'Medium', 'Low', 'No priority']);
+  });
+
+  test('lists an issue under each of its labels', () => {
+    const multiLabel = { ...issues[0], labels: { nodes: [{ name: 'feature' }, { name: 'bug' }] } };
+    const list = [multiLabel, ...issues.slice(1)];
+
+    assert.deepStrictEqual(groupNames('label', list), ['bug', 'feature', 'urgent', 'No label']);
+
+    const forest = buildForest(list, { groupBy: 'label' });
+    assert.ok(forest.get('label-bug').issueMap.has('issue-1'));
+    assert.ok(forest.get('label-feature').issueMap.has('issue-1'));
+  });
+
+  test('group trees are partitioned like project trees', () => {
+    const [bug] = buildGroupTrees(buildForest(issues, { groupBy: 'label' }).values());
+
+    assert.deepStrictEqual(bug.project, { id: 'label-bug', name: 'bug', sortOrder: 0 });
+    assert.strictEqual(bug.incomplete.length, 0);
+    assert.strictEqual(bug.completedCount, 1);
+  });
+});
+
+describe('parents in other groups', () => {
+  const { issues } = testMockData;
+
+  // issue-5 moved under issue-1 (Project Alpha), while staying in Project Beta
+  const moved = issues.map(issue => issue.id === 'issue-5' ? { ...issue, parent: { id: 'issue-1' } } : issue);
+
+  test('root references its parent in another project', () => {
+    const beta = buildForest(moved).get('proj-beta');
+    const node = beta.issueMap.get('issue-5');
+
+    assert.strictEqual(node.depth, 0);
+    assert.deepStrictEqual(node.foreignParent, {
+      id: 'issue-1', title: 'Parent task in progress', url: 'https://linear.app/test/issue/TEST-1', groupId: 'proj-alpha'
+    });
+  });
+
+  test('foreignParents nests roots under a context node for the parent', () => {
+    const beta = buildForest(moved, { foreignParents: true }).get('proj-beta');
+    const context = beta.roots.find(node => node.issue?.id === 'issue-1');
+
+    assert.strictEqual(context.isContext, true);
+    assert.strictEqual(context.foreignGroupId, 'proj-alpha');
+    assert.deepStrictEqual(context.children.map(node => node.issue.id), ['issue-5']);
+    assert.strictEqual(context.children[0].depth, 1);
+
+    // The parent stays listed in its own project only
+    assert.strictEqual(beta.issueMap.has('issue-1'), false);
+  });
+
+  test('finds parents in projects that are filtered out', () => {
+    const forest = buildForest(moved, { projectIds: new Set(['proj-beta']) });
+
+    assert.deepStrictEqual([...forest.keys()], ['proj-beta']);
+    assert.strictEqual(forest.get('proj-beta').issueMap.get('issue-5').foreignParent.groupId, 'proj-alpha');
+  });
+});
+
+describe('project milestones', () => {
+  const { issues } = testMockData;
+  const [launch, polish] = testMockMilestones;
+
+  const issue = (id, fields) => ({
+    id, title: id, priority: 0, createdAt: '2024-01-01T00:00:00Z',
+    project: { id: 'proj-beta' }, state: { name: 'Todo', type: 'unstarted' },
+    ...fields
+  });
+
+  test('nests roots under their milestone, before issues without one', () => {
+    const { roots } = buildForest(issues).get('proj-beta');
+
+    assert.strictEqual(roots[0].isMilestone, true);
+    assert.strictEqual(roots[0].milestone, launch);
+    assert.deepStrictEqual(roots[0].children.map(node => node.issue.id), ['issue-4']);
+    assert.strictEqual(roots[0].children[0].depth, 0);
+    assert.strictEqual(roots[1].issue.id, 'issue-5');
+  });
+
+  test('orders milestones by sort order, then target date, keeping issue order', () => {
+    const unordered = { id: 'milestone-3', name: 'Someday', targetDate: '2024-01-01' };
+    const list = [
+      issue('a', { projectMilestone: unordered }),
+      issue('b', { projectMilestone: polish }),
+      issue('c', { projectMilestone: launch }),
+      issue('d', { projectMilestone: launch })
+    ];
+    const { roots } = buildForest(list).get('proj-beta');
+
+    assert.deepStrictEqual(roots.map(node => node.milestone.id), ['milestone-1', 'milestone-2', 'milestone-3']);
+    assert.deepStrictEqual(roots[0].children.map(node => node.issue.id), ['c', 'd']);
+  });
+
+  test('subtasks stay under their parent in its milestone', () => {
+    const list = [
+      issue('parent', { projectMilestone: launch }),
+      issue('child', { parent: { id: 'parent' }, projectMilestone: polish })
+    ];
+    const { roots } = buildForest(list).get('proj-beta');
+
+    assert.strictEqual(roots.length, 1);
+    assert.deepStrictEqual(roots[0].children[0].children.map(node => node.issue.id), ['child']);
+  });
+
+  test('milestones are only used when grouping by project', () => {
+    const roots = buildForest(issues, { groupBy: 'team' }).get('team-dddddddd-dddd-dddd-dddd-dddddddddddd').roots;
+    assert.ok(roots.every(node => !node.isMilestone));
+  });
+
+  test('each milestone gets its own completed partition and progress', () => {
+    const done = { name: 'Done', type: 'completed' };
+    const list = [
+      issue('open', { projectMilestone: launch }),
+      issue('shipped', { projectMilestone: launch, state: done }),
+      issue('shipped-child', { parent: { id: 'shipped' }, projectMilestone: launch, state: done }),
+      issue('loose', { state: done })
+    ];
+    const { incomplete, completed, completedCount } = partitionCompleted(buildForest(list).get('proj-beta').roots);
+
+    // The milestone stays listed; only issues outside it count for the project
+    assert.strictEqual(incomplete.length, 1);
+    assert.deepStrictEqual(completed.map(node => node.issue.id), ['loose']);
+    assert.strictEqual(completedCount, 1);
+
+    const [milestone] = incomplete;
+    assert.deepStrictEqual(milestone.incomplete.map(node => node.issue.id), ['open']);
+    assert.deepStrictEqual(milestone.completed.map(node => node.issue.id), ['shipped']);
+    assert.strictEqual(milestone.completedCount, 2);
+    assert.deepStrictEqual(milestone.progress, { done: 2, total: 3 });
+  });
+});
+
+describe('summarizeProject', () => {
+  const { issues, projects } = testMockData;
+  const now = new Date(2024, 1, 15);
+
+  test('counts issues and points done, and overdue issues', () => {
+    const summary = summarizeProject(projects[0], issues, now);
+
+    assert.deepStrictEqual(summary, {
+      done: 1, total: 3, donePoints: 1, totalPoints: 8, percent: 33, overdue: 1,
+      targetDate: '2024-03-31', lead: { id: 'user-alice', name: 'Alice' }
+    });
+  });
+
+  test('leaves canceled issues out and never counts done issues as overdue', () => {
+    const project = { id: 'proj-alpha' };
+    const list = [
+      { id: 'a', project, estimate: 3, dueDate: '2024-01-01', state: { type: 'completed' } },
+      { id: 'b', project, estimate: 5, dueDate: '2024-01-01', state: { type: 'canceled' } },
+      { id: 'c', project, dueDate: '2024-02-15', state: { type: 'started' } }
+    ];
+    const summary = summarizeProject(project, list, now);
+
+    assert.strictEqual(summary.total, 2);
+    assert.strictEqual(summary.totalPoints, 3);
+    assert.strictEqual(summary.percent, 50);
+    assert.strictEqual(summary.overdue, 0, 'Due today is not overdue yet');
+    assert.strictEqual(summary.lead, null);
+  });
+
+  test('empty project is 0% done', () => {
+    assert.strictEqual(summarizeProject({ id: 'proj-empty' }, issues, now).percent, 0);
+  });
+});
+
+describe('canceled issues', () => {
+  const issue = (id, type, fields) => ({
+    id, title: id, priority: 0, createdAt: '2024-01-01T00:00:00Z',
+    project: { id: 'proj-alpha' }, state: { name: type, type },
+    ...fields
+  });
+
+  const partition = list => partitionCompleted(buildForest(list).get('proj-alpha').roots);
+
+  test('are partitioned apart from completed issues', () => {
+    const { incomplete, completed, completedCount, canceled, canceledCount } = partition([
+      issue('open', 'started'),
+      issue('done', 'completed'),
+      issue('dropped', 'canceled'),
+      issue('dropped-child', 'canceled', { parent: { id: 'dropped' } })
+    ]);
+
+    assert.deepStrictEqual(incomplete.map(node => node.issue.id), ['open']);
+    assert.deepStrictEqual(completed.map(node => node.issue.id), ['done']);
+    assert.strictEqual(completedCount, 1);
+    assert.deepStrictEqual(canceled.map(node => node.issue.id), ['dropped']);
+    assert.strictEqual(canceledCount, 2);
+  });
+
+  test('closed trees go with their root', () => {
+    const { completed, canceled } = partition([
+      issue('done', 'completed'),
+      issue('dropped-child', 'canceled', { parent: { id: 'done' } }),
+      issue('dropped', 'canceled'),
+      issue('done-child', 'completed', { parent: { id: 'dropped' } })
+    ]);
+
+    assert.deepStrictEqual(completed.map(node => node.issue.id), ['done']);
+    assert.deepStrictEqual(canceled.map(node => node.issue.id), ['dropped']);
+  });
+
+  test('a canceled subtask leaves an open parent incomplete', () => {
+    const { incomplete, canceledCount } = partition([
+      issue('open', 'unstarted'),
+      issue('dropped', 'canceled', { parent: { id: 'open' } })
+    ]);
+
+    assert.deepStrictEqual(incomplete.map(node => node.issue.id), ['open']);
+    assert.strictEqual(canceledCount, 0);
+  });
+
+  test('are left out of milestone progress', () => {
+    const projectMilestone = { id: 'm1', name: 'Launch' };
+    const [milestone] = partition([
+      issue('done', 'completed', { projectMilestone }),
+      issue('dropped', 'canceled', { projectMilestone })
+    ]).incomplete;
+
+    assert.deepStrictEqual(milestone.progress, { done: 1, total: 1 });
+    assert.strictEqual(milestone.canceledCount, 1);
+  });
+});
+
+describe('issue relations', () => {
+  const { issues, projects } = testMockData;
+  const byId = (list, id) => list.find(issue => issue.id === id);
+
+  test('sorts relations by kind and direction', () => {
+    const related = { id: 'x', title: 'Other' };
+    const issue = {
+      id: 'a',
+      relations: { nodes: [{ id: 'r1', type: 'blocks', relatedIssue: related }, { id: 'r2', type: 'duplicate', relatedIssue: related }] },
+      inverseRelations: { nodes: [{ id: 'r3', type: 'related', issue: related }] }
+    };
+
+    const { blockedBy, blocks, duplicateOf, duplicatedBy, related: relatedIssues } = getIssueRelations(issue);
+    assert.deepStrictEqual([blockedBy.length, blocks.length, duplicateOf.length, duplicatedBy.length, relatedIssues.length], [0, 1, 1, 0, 1]);
+  });
+
+  test('only open blockers block', () => {
+    // issue-5 is blocked by issue-4 (started); issue-1's blocker issue-3 is done
+    assert.deepStrictEqual(getOpenBlockers(byId(issues, 'issue-5')).map(blocker => blocker.id), ['issue-4']);
+    assert.deepStrictEqual(getOpenBlockers(byId(issues, 'issue-1')), []);
+  });
+
+  test('resolves related issues to their current state', () => {
+    const blockerDone = issues.map(issue => issue.id === 'issue-4'
+      ? { ...issue, state: { name: 'Done', type: 'completed' } }
+      : issue);
+
+    const resolved = resolveIssueRelations(blockerDone);
+
+    assert.deepStrictEqual(getOpenBlockers(byId(resolved, 'issue-5')), []);
+    assert.strictEqual(byId(resolved, 'issue-2'), byId(blockerDone, 'issue-2'));
+  });
+
+  test('in-progress forest lists blocked issues apart', () => {
+    const started = issues.map(issue => issue.id === 'issue-5'
+      ? { ...issue, state: { name: 'In Progress', type: 'started' } }
+      : issue);
+
+    const ids = trees => trees.flatMap(tree => tree.roots.map(node => node.issue.id));
+    assert.deepStrictEqual(ids(buildInProgressForest(started, projects, { blocked: true })), ['issue-5']);
+    assert.deepStrictEqual(ids(buildInProgressForest(started, projects, { blocked: false })), ['issue-1', 'issue-4']);
+    assert.strictEqual(ids(buildInProgressForest(started, projects)).length, 3);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for Linear webhook handling.
+ *
+ * Run with: node --test tests/unit/webhook.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { verifyWebhookSignature, isWebhookFresh, normalizeWebhookIssue, applyWebhookEvent, toChange } from '../../lib/webhook.js';
+import { getLabelPath, matchesPattern } from '../../lib/queue-config.js';
+import { testMockData, testMockMilestones } from '../fixtures/mock-data.js';
+import { signPayload, issuePayload, projectPayload, relationPayload, issue5StartedData, TEST_WEBHOOK_SECRET } from '../fixtures/webhook-payloads.js';
+
+describe('Webhook signature', () => {
+  const body = JSON.stringify(issuePayload('update', issue5StartedData));
+
+  test('accepts a valid signature', () => {
+    assert.strictEqual(verifyWebhookSignature(body, signPayload(body), TEST_WEBHOOK_SECRET), true);
+  });
+
+  test('rejects a signature made with another secret', () => {
+    assert.strictEqual(verifyWebhookSignature(body, signPayload(body, 'other-secret'), TEST_WEBHOOK_SECRET), false);
+  });
+
+  test('rejects a tampered body', () => {
+    const signature = signPayload(body);
+    assert.strictEqual(verifyWebhookSignature(body.replace('picked up', 'hacked'), signature, TEST_WEBHOOK_SECRET), false);
+  });
+
+  test('rejects missing or malformed signatures', () => {
+    assert.strictEqual(verifyWebhookSignature(body, undefined, TEST_WEBHOOK_SECRET), false);
+    assert.strictEqual(verifyWebhookSignature(body, 'not-hex', TEST_WEBHOOK_SECRET), false);
+  });
+
+  test('only accepts recent timestamps', () => {
+    const now = Date.now();
+    assert.strictEqual(isWebhookFresh(now - 1000, now), true);
+    assert.strictEqual(isWebhookFresh(now - 5 * 60 * 1000, now), false);
+    assert.strictEqual(isWebhookFresh(undefined, now), false);
+  });
+});
+
+describe('applyWebhookEvent', () => {
+  const snapshot = {
+    organizationName: testMockData.organizationName,
+    projects: testMockData.projects,
+    issues: testMockData.issues
+  };
+
+  test('normalizes webhook issue data to the tree issue shape', () => {
+    const issue = normalizeWebhookIssue(issue5StartedData, 'https://linear.app/test/issue/TEST-5');
+
+    assert.deepStrictEqual(issue.project, { id: 'proj-beta' });
+    assert.deepStrictEqual(issue.team, { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd' });
+    assert.strictEqual(issue.parent, null);
+    assert.deepStrictEqual(issue.state, { name: 'In Progress', type: 'started' });
+    assert.deepStrictEqual(issue.labels, { nodes: [{ name: 'feature' }] });
+    assert.strictEqual(issue.url, 'https://linear.app/test/issue/TEST-5');
+  });
+
+  test('applies an issue update', () => {
+    const updated = applyWebhookEvent(snapshot, issuePayload('update', issue5StartedData));
+    const issue = updated.issues.find(i => i.id === 'issue-5');
+
+    assert.strictEqual(issue.title, 'Beta task picked up');
+    assert.strictEqual(issue.state.type, 'started');
+    assert.strictEqual(updated.issues.length, testMockData.issues.length);
+  });
+
+  test('keeps fields the webhook does not carry', () => {
+    const withExtra = {
+      ...snapshot,
+      issues: snapshot.issues.map(i => i.id === 'issue-5' ? { ...i, extraField: 'kept' } : i)
+    };
+    const updated = applyWebhookEvent(withExtra, issuePayload('update', issue5StartedData));
+
+    assert.strictEqual(updated.issues.find(i => i.id === 'issue-5').extraField, 'kept');
+  });
+
+  test('keeps team and cycle names when their IDs are unchanged', () => {
+    const updated = applyWebhookEvent(snapshot, issuePayload('update', issue5StartedData));
+    assert.deepStrictEqual(updated.issues.find(i => i.id === 'issue-5').team, { id: 'dddddddd-dddd-dddd-dddd-dddddddddddd', name: 'Design' });
+
+    const moved = applyWebhookEvent(snapshot, issuePayload('update', { ...issue5StartedData, teamId: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee', cycleId: 'cycle-9' }));
+    const issue = moved.issues.find(i => i.id === 'issue-5');
+    assert.deepStrictEqual(issue.team, { id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee' });
+    assert.deepStrictEqual(issue.cycle, { id: 'cycle-9' });
+  });
+
+  test('looks up a new milestone in the issue\'s project', () => {
+    const moved = applyWebhookEvent(snapshot, issuePayload('update', { ...issue5StartedData, projectMilestoneId: 'milestone-2' }));
+    assert.deepStrictEqual(moved.issues.find(i => i.id === 'issue-5').projectMilestone, testMockMilestones[1]);
+
+    const unknown = applyWebhookEvent(snapshot, issuePayload('update', { ...issue5StartedData, projectMilestoneId: 'milestone-9' }));
+    assert.deepStrictEqual(unknown.issues.find(i => i.id === 'issue-5').projectMilestone, { id: 'milestone-9' });
+  });
+
+  test('keeps the label group of grouped labels', () => {
+    const grouped = {
+      ...snapshot,
+      issues: snapshot.issues.map(i => i.id === 'issue-5' ? { ...i, labels: { nodes: [{ name: 'Bug', parent: { name: 'Type' } }] } } : i)
+    };
+    const labelPaths = (updated) => updated.issues.find(i => i.id === 'issue-5').labels.nodes.map(getLabelPath);
+
+    // Group missing from the payload: kept from the cached issue
+    const withoutGroup = applyWebhookEvent(grouped, issuePayload('update', { ...issue5StartedData, labels: [{ id: 'l5', name: 'Bug' }] }));
+    assert.deepStrictEqual(labelPaths(withoutGroup), ['Type/Bug']);
+    assert.ok(labelPaths(withoutGroup).some(path => matchesPattern(path, ['Type/*'])));
+
+    // Group sent with the label (a newly added label)
+    const withGroup = applyWebhookEvent(grouped, issuePayload('update', {
+      ...issue5StartedData,
+      labels: [{ id: 'l5', name: 'Bug' }, { id: 'l6', name: 'P1', parent: { id: 'g2', name: 'Priority' } }]
+    }));
+    assert.deepStrictEqual(labelPaths(withGroup), ['Type/Bug', 'Priority/P1']);
+  });
+
+  test('adds created issues', () => {
+    const data = { ...issue5StartedData, id: 'issue-6', title: 'New webhook issue', parentId: 'issue-5' };
+    const updated = applyWebhookEvent(snapshot, issuePayload('create', data));
+
+    const issue = updated.issues.find(i => i.id === 'issue-6');
+    assert.ok(issue);
+    assert.deepStrictEqual(issue.parent, { id: 'issue-5' });
+  });
+
+  test('removes deleted and archived issues', () => {
+    const removed = applyWebhookEvent(snapshot, issuePayload('remove', { id: 'issue-3' }));
+    assert.ok(!removed.issues.some(i => i.id === 'issue-3'));
+
+    const archived = applyWebhookEvent(snapshot, issuePayload('update', {
+      ...issue5StartedData,
+      archivedAt: '2024-01-21T00:00:00Z'
+    }));
+    assert.ok(!archived.issues.some(i => i.id === 'issue-5'));
+  });
+
+  test('drops issues that moved out of a team-filtered snapshot', () => {
+    const updated = applyWebhookEvent(snapshot, issuePayload('update', issue5StartedData), 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee');
+    assert.ok(!updated.issues.some(i => i.id === 'issue-5'));
+  });
+
+  test('does not modify the original snapshot', () => {
+    applyWebhookEvent(snapshot, issuePayload('update', issue5StartedData));
+    assert.strictEqual(snapshot.issues.find(i => i.id === 'issue-5').title, 'Beta todo task');
+  });
+
+  test('updates, adds and removes projects', () => {
+    const renamed = applyWebhookEvent(snapshot, projectPayload('update', {
+      id: 'proj-alpha', name: 'Project Alpha v2', state: 'started', sortOrder: 1
+    }));
+    const alpha = renamed.projects.find(p => p.id === 'proj-alpha');
+    assert.strictEqual(alpha.name, 'Project Alpha v2');
+    assert.strictEqual(alpha.content, 'First test project', 'Existing content is kept');
+
+    const created = applyWebhookEvent(snapshot, projectPayload('create', {
+      id: 'proj-gamma', name: 'Project Gamma', state: 'started', sortOrder: 3
+    }));
+    assert.ok(created.projects.some(p => p.id === 'proj-gamma'));
+
+    const removed = applyWebhookEvent(snapshot, projectPayload('remove', { id: 'proj-beta' }));
+    assert.ok(!removed.projects.some(p => p.id === 'proj-beta'));
+  });
+
+  test('keeps the project lead\'s name when the lead is unchanged', () => {
+    const update = lead => applyWebhookEvent(snapshot, projectPayload('update', {
+      id: 'proj-alpha', name: 'Project Alpha', state: 'started', sortOrder: 1, targetDate: '2024-04-30', leadId: lead
+    })).projects.find(p => p.id === 'proj-alpha');
+
+    assert.deepStrictEqual(update('user-alice').lead, { id: 'user-alice', name: 'Alice' });
+    assert.deepStrictEqual(update('user-bob').lead, { id: 'user-bob' });
+    assert.strictEqual(update(null).lead, null);
+    assert.strictEqual(update(null).targetDate, '2024-04-30');
+  });
+
+  test('removes projects that are completed or canceled', () => {
+    const completed = applyWebhookEvent(snapshot, projectPayload('update', {
+      id: 'proj-beta', name: 'Project Beta', state: 'completed', sortOrder: 2
+    }));
+    assert.ok(!completed.projects.some(p => p.id === 'proj-beta'));
+  });
+
+  test('keeps paused and planned projects with their state', () => {
+    const paused = applyWebhookEvent(snapshot, projectPayload('update', {
+      id: 'proj-beta', name: 'Project Beta', state: 'paused', sortOrder: 2
+    }));
+    assert.strictEqual(paused.projects.find(p => p.id === 'proj-beta').state, 'paused');
+  });
+
+  test('adds a relation to both of its issues', () => {
+    const updated = applyWebhookEvent(snapshot, relationPayload('create', {
+      id: 'relation-new', type: 'blocks', issueId: 'issue-2', relatedIssueId: 'issue-4'
+    }));
+    const blocker = updated.issues.find(i => i.id === 'issue-2');
+    const blocked = updated.issues.find(i => i.id === 'issue-4');
+
+    assert.deepStrictEqual(blocker.relations.nodes, [{
+      id: 'relation-new',
+      type: 'blocks',
+      relatedIssue: { id: 'issue-4', identifier: 'TEST-4', title: 'Beta task in progress', url: 'https://linear.app/test/issue/TEST-4', state: { type: 'started' } }
+    }]);
+    assert.deepStrictEqual(blocked.inverseRelations.nodes.map(r => [r.id, r.issue.identifier]), [['relation-new', 'TEST-2']]);
+    // issue-4's own relation to issue-5 is kept
+    assert.deepStrictEqual(blocked.relations.nodes.map(r => r.id), ['relation-1']);
+  });
+
+  test('removes a relation from both of its issues', () => {
+    const updated = applyWebhookEvent(snapshot, relationPayload('remove', {
+      id: 'relation-1', type: 'blocks', issueId: 'issue-4', relatedIssueId: 'issue-5'
+    }));
+
+    assert.deepStrictEqual(updated.issues.find(i => i.id === 'issue-4').relations.nodes, []);
+    assert.deepStrictEqual(updated.issues.find(i => i.id === 'issue-5').inverseRelations.nodes, []);
+  });
+
+  test('relation changes name both issues for open pages', () => {
+    const change = toChange(relationPayload('create', { id: 'r1', type: 'blocks', issueId: 'issue-2', relatedIssueId: 'issue-4' }));
+    assert.deepStrictEqual(change, { type: 'IssueRelation', action: 'create', id: 'r1', issueIds: ['issue-2', 'issue-4'] });
+  });
+
+  test('ignores entity types the tree does not show', () => {
+    const event = { action: 'create', type: 'Comment', data: { id: 'c1' } };
+    assert.strictEqual(applyWebhookEvent(snapshot, event), snapshot);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the workflow state helpers.
+ *
+ * Run with: node --test tests/unit/workflow-states.test.js
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildStateGlyphs, getStateGlyph, getStartedStateNames } from '../../lib/workflow-states.js';
+import { buildInProgressStateGroups } from '../../lib/tree.js';
+import { getIssueStatus } from '../../lib/render.js';
+import { testMockData, testMockWorkflowStates } from '../fixtures/mock-data.js';
+
+const DESIGN_ID = 'dddddddd-dddd-dddd-dddd-dddddddddddd';
+
+describe('buildStateGlyphs', () => {
+  test('gives custom states the next glyph of their type, per team', () => {
+    const glyphs = buildStateGlyphs(testMockWorkflowStates);
+
+    // Engineering only has Linear's default states
+    assert.deepStrictEqual(glyphs, { [DESIGN_ID]: { 'In Review': '◑' } });
+  });
+
+  test('orders states by position and reuses the last glyph', () => {
+    const team = { id: 'team-1', name: 'Team' };
+    const states = ['Blocked', 'Review', 'QA', 'Staging', 'Deploying', 'Doing'].map((name, index) => ({
+      id: `s${index}`, name, type: 'started', position: 6 - index, team
+    }));
+
+    const glyphs = buildStateGlyphs(states);
+
+    assert.strictEqual(glyphs['team-1'].Doing, undefined);
+    assert.deepStrictEqual(Object.values(glyphs['team-1']), ['◑', '◒', '◓', '◕', '◕']);
+    assert.strictEqual(glyphs['team-1'].Deploying, '◑');
+  });
+
+  test('ignores states without a team or with an unknown type', () => {
+    const glyphs = buildStateGlyphs([
+      { id: 's1', name: 'Odd', type: 'mystery', team: { id: 'team-1' } },
+      { id: 's2', name: 'Loose', type: 'started' }
+    ]);
+
+    assert.deepStrictEqual(glyphs, {});
+  });
+});
+
+describe('getStateGlyph', () => {
+  const glyphs = buildStateGlyphs(testMockWorkflowStates);
+
+  test('looks up the issue\'s state in its team', () => {
+    const inReview = testMockData.issues.find(issue => issue.id === 'issue-4');
+    const inProgress = testMockData.issues.find(issue => issue.id === 'issue-1');
+
+    assert.strictEqual(getStateGlyph(glyphs, inReview), '◑');
+    assert.strictEqual(getStateGlyph(glyphs, inProgress), null);
+    assert.strictEqual(getStateGlyph(glyphs, { state: { name: 'constructor' }, team: { id: DESIGN_ID } }), null);
+    assert.strictEqual(getStateGlyph(undefined, inReview), null);
+  });
+
+  test('getIssueStatus keeps the status class and labels custom states by name', () => {
+    const inReview = testMockData.issues.find(issue => issue.id === 'issue-4');
+
+    assert.deepStrictEqual(getIssueStatus(inReview, glyphs), { stateClass: 'in-progress', stateChar: '◑', stateLabel: 'In Review' });
+    assert.deepStrictEqual(getIssueStatus(inReview), { stateClass: 'in-progress', stateChar: '◐', stateLabel: 'In Progress' });
+  });
+});
+
+describe('In Progress by state', () => {
+  const { issues, projects } = testMockData;
+
+  test('getStartedStateNames lists started states in workflow order', () => {
+    assert.deepStrictEqual(getStartedStateNames(testMockWorkflowStates), ['In Progress', 'In Review']);
+  });
+
+  test('splits the in-progress forest by state name', () => {
+    const groups = buildInProgressStateGroups(issues, projects, { stateOrder: ['In Review', 'In Progress'] });
+
+    assert.deepStrictEqual(groups.map(({ stateName, count }) => [stateName, count]), [['In Review', 1], ['In Progress', 1]]);
+    assert.deepStrictEqual(groups[0].trees.map(tree => tree.projectId), ['proj-beta']);
+    assert.deepStrictEqual(groups[1].trees.map(tree => tree.projectId), ['proj-alpha']);
+  });
+
+  test('repeats ancestors in another state as context', () => {
+    const withChild = [
+      ...issues,
+      { ...issues[1], id: 'issue-review', parent: { id: 'issue-1' }, state: { name: 'In Review', type: 'started' } }
+    ];
+
+    const groups = buildInProgressStateGroups(withChild, projects);
+    const review = groups.find(group => group.stateName === 'In Review');
+    const alpha = review.trees.find(tree => tree.projectId === 'proj-alpha');
+
+    assert.strictEqual(alpha.roots[0].issue.id, 'issue-1');
+    assert.strictEqual(alpha.roots[0].isInProgress, false);
+    assert.deepStrictEqual(alpha.roots[0].children.map(node => [node.issue.id, node.isInProgress]), [['issue-review', true]]);
+  });
+});